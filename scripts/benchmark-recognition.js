@@ -0,0 +1,404 @@
+// Recognition accuracy benchmark - replays recorded landmarks through the real
+// classifier and smoother (SignLanguageDetector.processHands) under Node, no camera needed.
+//
+// Fixtures (default: benchmarks/fixtures, *.json and *.jsonl):
+//   *.json   { "label": "A", "mode": "letters", "alphabet": "asl", "fps": 30,
+//              "frames": [ { "timestamp": 0, "hands": [ { "handedness": "Right", "keypoints3D": [...21] } ] } ] }
+//            A frame may also be a single hand ({ keypoints3D, handedness }); a file may hold an array of fixtures.
+//            handedness is the signer's hand, not MediaPipe's label for the unmirrored frame.
+//            Hands of moving signs (J, Z, YES) also need image "keypoints" in pixels - the motion tracker follows those,
+//            and so do two-handed BSL letters, which are told apart by where the hands touch.
+//   *.jsonl  Data collector exports - consecutive samples with the same label and session form one recording.
+// The committed set covers static letters, J/Z, two word signs (YES, I-LOVE-YOU), fist movements
+// that must not read as YES and the BSL alphabet; drop collector exports next to it to benchmark real signers.
+// It also checks that J/Z recordings never emit the I/D they are drawn with, and that the fast smoothing
+// presets never turn a single frame or A/B flicker into a letter (exit code 1 if either fails, like
+// --min-accuracy).
+//
+// Usage:
+//   node scripts/benchmark-recognition.js [fixtures dir or file] [--json report.json]
+//        [--calibration calibration.json] [--smoothing hmm:fast] [--min-accuracy 0.8] [--verbose]
+import { readdir, readFile, writeFile, stat } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { performance } from 'perf_hooks';
+import { createServer } from 'vite';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DETECTOR_MODULE = '/src/ai-services/sign-language-detection/services/signLanguageDetector.js';
+const LOGGER_MODULE = '/src/services/logger.js';
+const SMOOTHING_MODULE = '/src/ai-services/sign-language-detection/services/gestureSmoothing.js';
+const NO_GESTURE = '—'; // Smoother emitted nothing for the frame
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+const optionValues = new Set(['--json', '--calibration', '--smoothing', '--min-accuracy'].map(option));
+const fixturesPath = path.resolve(root, args.find(arg => !arg.startsWith('--') && !optionValues.has(arg)) || 'benchmarks/fixtures');
+const verbose = args.includes('--verbose');
+
+// The detector logs every frame - keep the report readable
+const print = console.log.bind(console);
+if (!verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+/**
+ * Data collector features are normalized image coordinates - turn them back into
+ * the keypoints3D layout getNormalizedKeypoints expects
+ */
+function featuresToHand(sample) {
+  const keypoints3D = [];
+  for (let i = 0; i < 21; i++) {
+    keypoints3D.push({
+      x: sample.features[i * 3] - 0.5,
+      y: 0.5 - sample.features[i * 3 + 1],
+      z: sample.features[i * 3 + 2]
+    });
+  }
+  // The features are already mirrored onto a right hand (getNormalizedKeypoints)
+  return { handedness: 'Right', score: sample.handScore ?? 1, keypoints3D };
+}
+
+function parseJsonl(text, file) {
+  const recordings = [];
+  let current = null;
+  text.split('\n').filter(line => line.trim()).forEach(line => {
+    const sample = JSON.parse(line);
+    if (!current || current.label !== sample.label || current.sessionId !== sample.sessionId) {
+      current = {
+        name: `${path.basename(file)}#${recordings.length + 1}`,
+        label: sample.label,
+        sessionId: sample.sessionId,
+        mode: /^\d$/.test(sample.label) ? 'numbers' : 'letters',
+        frames: [],
+        start: Date.parse(sample.capturedAt) || 0
+      };
+      recordings.push(current);
+    }
+    current.frames.push({
+      timestamp: (Date.parse(sample.capturedAt) || 0) - current.start,
+      hands: [featuresToHand(sample)]
+    });
+  });
+  return recordings;
+}
+
+function normalizeFixture(fixture, name) {
+  const interval = 1000 / (fixture.fps || 30);
+  return {
+    name: fixture.name || name,
+    label: String(fixture.label).toUpperCase(),
+    mode: fixture.mode || (/^\d+$/.test(fixture.label) ? 'numbers' : 'letters'),
+    alphabet: fixture.alphabet || 'asl',
+    frames: fixture.frames.map((frame, index) => ({
+      timestamp: frame.timestamp ?? index * interval,
+      hands: frame.hands || (frame.keypoints3D ? [frame] : [])
+    }))
+  };
+}
+
+async function loadFixtures(target) {
+  const files = (await stat(target)).isDirectory()
+    ? (await readdir(target)).filter(file => /\.jsonl?$/.test(file)).sort().map(file => path.join(target, file))
+    : [target];
+
+  const fixtures = [];
+  for (const file of files) {
+    const text = await readFile(file, 'utf8');
+    if (file.endsWith('.jsonl')) {
+      fixtures.push(...parseJsonl(text, file).map(recording => normalizeFixture(recording, recording.name)));
+    } else {
+      const content = JSON.parse(text);
+      [].concat(content).forEach((fixture, index) => {
+        fixtures.push(normalizeFixture(fixture, Array.isArray(content) ? `${path.basename(file)}#${index + 1}` : path.basename(file)));
+      });
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * Replay one recording with its own frame timing (the smoother debounces on Date.now)
+ */
+async function replay(detector, fixture, clock) {
+  detector.setAlphabet(fixture.alphabet);
+  detector.resetTracking();
+  detector.setRecognitionMode(fixture.mode);
+
+  const frames = [];
+  for (const frame of fixture.frames) {
+    clock.now = clock.base + frame.timestamp;
+    const start = performance.now();
+    const result = await detector.processHands(frame.hands);
+    frames.push({
+      timestamp: frame.timestamp,
+      raw: frame.hands.length ? result.rawGesture : null,
+      smoothed: result.gesture || NO_GESTURE,
+      latency: performance.now() - start
+    });
+  }
+  clock.base = clock.now + 10000; // Recordings must not debounce into each other
+  return frames;
+}
+
+class ConfusionMatrix {
+  constructor() {
+    this.counts = new Map(); // expected → Map(predicted → count)
+  }
+
+  add(expected, predicted) {
+    if (!this.counts.has(expected)) this.counts.set(expected, new Map());
+    const row = this.counts.get(expected);
+    row.set(predicted, (row.get(predicted) || 0) + 1);
+  }
+
+  labels() {
+    const labels = new Set(this.counts.keys());
+    this.counts.forEach(row => row.forEach((_, predicted) => labels.add(predicted)));
+    return Array.from(labels).sort();
+  }
+
+  /**
+   * @returns {Object} - label → { precision, recall, support }
+   */
+  metrics() {
+    const result = {};
+    this.labels().forEach(label => {
+      const truePositive = this.counts.get(label)?.get(label) || 0;
+      const support = Array.from(this.counts.get(label)?.values() || []).reduce((a, b) => a + b, 0);
+      let predicted = 0;
+      this.counts.forEach(row => { predicted += row.get(label) || 0; });
+      if (support === 0 && predicted === 0) return;
+      result[label] = {
+        precision: predicted ? truePositive / predicted : null,
+        recall: support ? truePositive / support : null,
+        support
+      };
+    });
+    return result;
+  }
+
+  toJSON() {
+    const rows = {};
+    this.counts.forEach((row, expected) => { rows[expected] = Object.fromEntries(row); });
+    return rows;
+  }
+
+  format() {
+    const columns = this.labels();
+    const expected = Array.from(this.counts.keys()).sort();
+    const width = Math.max(4, ...columns.map(label => label.length)) + 1;
+    const cell = (value) => String(value).padStart(width);
+    const lines = [cell('') + ' |' + columns.map(cell).join('')];
+    expected.forEach(label => {
+      const row = this.counts.get(label);
+      lines.push(cell(label) + ' |' + columns.map(column => cell(row.get(column) || '.')).join(''));
+    });
+    return lines.join('\n');
+  }
+}
+
+const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+/**
+ * Fast presets trade evidence for speed, but a single stray frame or an A/B flicker
+ * must still never come out as a letter - fresh, or while another letter is held
+ * @param {Object} smoothing - gestureSmoothing.js exports
+ * @returns {Array} - Problems found, e.g. 'ema: B from A/B flicker'
+ */
+function checkFastPresets({ createSmoother, SMOOTHING_STRATEGIES }) {
+  const sequences = {
+    'one frame': 'A',
+    'A/B flicker': 'ABABABABAB',
+    'A/B flicker after C': 'CCCCCCCCCCABABABABAB'
+  };
+  const problems = [];
+  SMOOTHING_STRATEGIES.forEach(strategy => {
+    Object.entries(sequences).forEach(([name, sequence]) => {
+      const smoother = createSmoother(strategy, { speed: 'fast' });
+      const emitted = sequence.split('').map((gesture, index) => smoother.push(gesture, index * 33));
+      const stray = emitted.find(gesture => gesture === 'A' || gesture === 'B');
+      if (stray) problems.push(`${strategy}: ${stray} from ${name}`);
+    });
+  });
+  return problems;
+}
+
+const pct = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+async function main() {
+  const fixtures = await loadFixtures(fixturesPath).catch(error => {
+    throw new Error(`Could not read fixtures at ${path.relative(root, fixturesPath)}: ${error.message}`);
+  });
+  if (fixtures.length === 0) {
+    throw new Error(`No fixtures in ${path.relative(root, fixturesPath)} - export some from the data collector (JSONL)`);
+  }
+
+  // Vite resolves the app's extensionless imports, JSON rules and import.meta.env
+  const server = await createServer({
+    root,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { disabled: true }
+  });
+
+  const realNow = Date.now;
+  const clock = { base: realNow(), now: realNow() };
+
+  try {
+    const { default: detector } = await server.ssrLoadModule(DETECTOR_MODULE);
+    if (verbose) {
+      // Per-frame detector output is logged at debug level
+      const { default: logger } = await server.ssrLoadModule(LOGGER_MODULE);
+      logger.configure('sign');
+    }
+    // Fixtures hold hand-centred landmarks only, so there is no frame position to gate on
+    detector.setSigningZone({ enabled: false });
+    // Fixture handedness is already the signer's hand - don't swap it like a camera label
+    detector.inputMirrored = true;
+    // Moving signs are emitted once when the stroke completes, the shape before and after keeps its own letter
+    const oneShot = new Set(['J', 'Z', ...detector.wordSignRecognizer.getVocabulary()
+      .filter(sign => !sign.motion.includes('still'))
+      .map(sign => sign.word)]);
+    if (option('--calibration')) {
+      detector.applyCalibration(JSON.parse(await readFile(path.resolve(root, option('--calibration')), 'utf8')));
+    }
+    if (option('--smoothing')) {
+      // strategy[:speed], e.g. majority or hmm:slow
+      const [strategy, speed = 'normal'] = option('--smoothing').split(':');
+      detector.setSmoothing({ strategy, speed });
+    }
+
+    const raw = new ConfusionMatrix();
+    const smoothed = new ConfusionMatrix();
+    const latencies = [];
+    const recordings = [];
+
+    Date.now = () => clock.now;
+    for (const fixture of fixtures) {
+      const frames = await replay(detector, fixture, clock);
+
+      frames.forEach(frame => {
+        if (frame.raw !== null) raw.add(fixture.label, frame.raw);
+        smoothed.add(fixture.label, frame.smoothed);
+        latencies.push(frame.latency);
+      });
+
+      // What the call would have shown: a moving sign if one fired, else the most emitted
+      // gesture - and how long it took to appear
+      const emitted = frames.filter(frame => frame.smoothed !== NO_GESTURE);
+      const votes = {};
+      emitted.forEach(frame => { votes[frame.smoothed] = (votes[frame.smoothed] || 0) + 1; });
+      const moving = emitted.find(frame => oneShot.has(frame.smoothed));
+      const decision = moving ? moving.smoothed
+        : Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0] || NO_GESTURE;
+      const firstCorrect = frames.find(frame => frame.smoothed === fixture.label);
+      // A J or Z recording must not also spell the I or D its stroke starts from ("IJ")
+      const shape = detector.alphabet.strokeStarts?.[fixture.label];
+      const shapeEmitted = !!shape && frames.some(frame => frame.smoothed === shape);
+
+      recordings.push({
+        name: fixture.name,
+        label: fixture.label,
+        decision,
+        correct: decision === fixture.label,
+        shapeEmitted: shapeEmitted ? shape : null,
+        frames: frames.length,
+        timeToCorrectMs: firstCorrect ? firstCorrect.timestamp - frames[0].timestamp : null
+      });
+    }
+    Date.now = realNow;
+
+    const recognized = recordings.filter(recording => recording.correct).length;
+    const timesToCorrect = recordings.map(r => r.timeToCorrectMs).filter(t => t !== null);
+    const report = {
+      smoothing: detector.smoothing,
+      fixtures: recordings.length,
+      frames: latencies.length,
+      accuracy: recognized / recordings.length,
+      latencyMs: {
+        mean: latencies.reduce((a, b) => a + b, 0) / latencies.length,
+        p50: percentile(latencies, 0.5),
+        p95: percentile(latencies, 0.95),
+        max: Math.max(...latencies)
+      },
+      timeToCorrectMs: {
+        p50: percentile(timesToCorrect, 0.5),
+        p95: percentile(timesToCorrect, 0.95)
+      },
+      classifier: { confusion: raw.toJSON(), metrics: raw.metrics() },
+      smoothed: { confusion: smoothed.toJSON(), metrics: smoothed.metrics() },
+      recordings
+    };
+
+    print(`\n📊 Recognition benchmark - ${report.fixtures} recordings, ${report.frames} frames\n`);
+    print('Classifier (per frame, expected ↓ / predicted →)');
+    print(raw.format());
+    print(`\nAfter smoothing (${NO_GESTURE} = nothing emitted yet)`);
+    print(smoothed.format());
+
+    print('\nLabel   classifier P / R        smoothed P / R');
+    const rawMetrics = report.classifier.metrics;
+    const smoothedMetrics = report.smoothed.metrics;
+    Array.from(new Set(fixtures.map(fixture => fixture.label))).sort().forEach(label => {
+      const r = rawMetrics[label] || { precision: null, recall: null };
+      const s = smoothedMetrics[label] || { precision: null, recall: null };
+      print(`${label.padEnd(7)} ${pct(r.precision)} / ${pct(r.recall)}     ${pct(s.precision)} / ${pct(s.recall)}`);
+    });
+
+    print(`\n✅ Recordings recognised: ${recognized}/${recordings.length} (${pct(report.accuracy).trim()})`);
+    print(`⏱️  Latency per frame: mean ${report.latencyMs.mean.toFixed(2)}ms, p50 ${report.latencyMs.p50.toFixed(2)}ms, ` +
+      `p95 ${report.latencyMs.p95.toFixed(2)}ms, max ${report.latencyMs.max.toFixed(2)}ms`);
+    print(`⏱️  Time to correct letter: p50 ${report.timeToCorrectMs.p50.toFixed(0)}ms, p95 ${report.timeToCorrectMs.p95.toFixed(0)}ms`);
+
+    const missed = recordings.filter(recording => !recording.correct);
+    if (missed.length) {
+      print('\n❌ Misrecognised: ' + missed.map(r => `${r.name} (${r.label} → ${r.decision})`).join(', '));
+    }
+
+    const leaked = recordings.filter(recording => recording.shapeEmitted);
+    if (leaked.length) {
+      print('\n❌ Handshape emitted around its motion letter: ' +
+        leaked.map(r => `${r.name} (${r.shapeEmitted} + ${r.label})`).join(', '));
+      process.exitCode = 1;
+    } else {
+      print('\n✅ Motion letters never emit their static handshape');
+    }
+
+    const flicker = checkFastPresets(await server.ssrLoadModule(SMOOTHING_MODULE));
+    if (flicker.length) {
+      print('\n❌ Fast smoothing presets let single frames through: ' + flicker.join(', '));
+      process.exitCode = 1;
+    } else {
+      print('\n✅ Fast smoothing presets reject single-frame flicker');
+    }
+
+    if (option('--json')) {
+      await writeFile(path.resolve(root, option('--json')), JSON.stringify(report, null, 2));
+      print(`\n💾 Report written to ${option('--json')}`);
+    }
+
+    const minAccuracy = option('--min-accuracy');
+    if (minAccuracy && report.accuracy < Number(minAccuracy)) {
+      print(`\n❌ Accuracy below --min-accuracy ${minAccuracy}`);
+      process.exitCode = 1;
+    }
+  } finally {
+    Date.now = realNow;
+    await server.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+// Write public/models/registry.json from the versioned model folders, with SHA-256
+// checksums for modelDownloader.js to verify downloads against.
+//
+// Layout: public/models/<name>/<version>/model.json (+ weight shards, + optional letters.json)
+//
+// Usage:
+//   node scripts/build-model-registry.js                      newest version of each model is active
+//   node scripts/build-model-registry.js asl-cnn-lstm@1.0.0   make a specific version active
+import { createHash } from 'crypto';
+import { readdir, readFile, writeFile, stat } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const modelsDir = path.join(root, 'public', 'models');
+const registryPath = path.join(modelsDir, 'registry.json');
+
+const sha256 = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+// 1.10.0 sorts after 1.9.0
+const compareVersions = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+const listDirs = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+};
+
+/**
+ * Input shape from a layers model's first layer, or a graph model's signature
+ */
+function getInputShape(modelJson) {
+  const layers = modelJson.modelTopology?.config?.layers || modelJson.modelTopology?.model_config?.config?.layers;
+  const first = layers?.[0]?.config;
+  if (first?.batch_input_shape) return first.batch_input_shape;
+
+  const input = Object.values(modelJson.signature?.inputs || {})[0];
+  if (input?.tensorShape?.dim) {
+    return input.tensorShape.dim.map(dim => (Number(dim.size) < 0 ? null : Number(dim.size)));
+  }
+  return null;
+}
+
+async function describeVersion(name, version) {
+  const versionDir = path.join(modelsDir, name, version);
+  const modelJson = JSON.parse(await readFile(path.join(versionDir, 'model.json'), 'utf8'));
+
+  const files = {};
+  for (const file of (await readdir(versionDir)).sort()) {
+    const fullPath = path.join(versionDir, file);
+    files[file] = {
+      size: (await stat(fullPath)).size,
+      sha256: sha256(await readFile(fullPath))
+    };
+  }
+
+  const labels = files['letters.json'] ? `${name}/${version}/letters.json` : null;
+  return {
+    model: `${name}/${version}/model.json`,
+    labels,
+    inputShape: getInputShape(modelJson),
+    format: modelJson.format || 'layers-model',
+    files
+  };
+}
+
+async function main() {
+  // name@version arguments pin the active version
+  const pinned = Object.fromEntries(process.argv.slice(2).map(arg => arg.split('@')));
+
+  let previous = { models: {} };
+  try {
+    previous = JSON.parse(await readFile(registryPath, 'utf8'));
+  } catch (error) {
+    // First registry
+  }
+
+  const registry = { generatedAt: new Date().toISOString(), models: {} };
+  for (const name of await listDirs(modelsDir)) {
+    const versions = {};
+    for (const version of (await listDirs(path.join(modelsDir, name))).sort(compareVersions)) {
+      try {
+        versions[version] = await describeVersion(name, version);
+      } catch (error) {
+        console.warn(`⚠️ Skipping ${name}/${version}: ${error.message}`);
+      }
+    }
+
+    const available = Object.keys(versions);
+    if (available.length === 0) continue;
+
+    const active = pinned[name] || available[available.length - 1];
+    if (!versions[active]) {
+      throw new Error(`${name}@${active} does not exist (have ${available.join(', ')})`);
+    }
+    if (previous.models?.[name]?.active && previous.models[name].active !== active) {
+      console.log(`🔁 ${name}: active ${previous.models[name].active} → ${active}`);
+    }
+
+    registry.models[name] = { active, versions };
+    console.log(`📦 ${name}: ${available.length} version(s), active ${active}`);
+  }
+
+  await writeFile(registryPath, JSON.stringify(registry, null, 2));
+  console.log(`✅ Wrote ${path.relative(root, registryPath)}`);
+}
+
+main().catch(error => {
+  console.error('❌ Could not build the model registry:', error.message);
+  process.exit(1);
+});
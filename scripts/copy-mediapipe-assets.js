@@ -0,0 +1,152 @@
+// Copy the MediaPipe Hands solution files into public/ so sign detection works without
+// internet access, and write a manifest with SHA-256 hashes for the runtime integrity check.
+//
+// Usage:
+//   node scripts/copy-mediapipe-assets.js                  copy from node_modules/@mediapipe/hands and
+//                                                          download the tfjs hand models the detection
+//                                                          worker uses from tfhub.dev (models already in
+//                                                          public/ are reused) - fails if they can't be had
+//   node scripts/copy-mediapipe-assets.js --tfjs-optional  same, but a failed download only warns (npm run dev)
+//   node scripts/copy-mediapipe-assets.js --no-tfjs        MediaPipe files only - the worker then
+//                                                          loads its models from tfhub.dev
+import { createHash } from 'crypto';
+import { copyFile, mkdir, readdir, readFile, writeFile, stat } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const sourceDir = path.join(root, 'node_modules', '@mediapipe', 'hands');
+const targetDir = path.join(root, 'public', 'mediapipe', 'hands');
+
+// Package metadata that the browser never loads
+const SKIP_FILES = new Set(['README.md', 'package.json', 'index.d.ts']);
+
+// tfjs-runtime models used by the detection worker (same URLs hand-pose-detection defaults to).
+// The lite pair is what the adaptive scheduler switches to on slow devices.
+const TFJS_MODELS = {
+  detector: 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/detector/full/1',
+  landmark: 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/landmark/full/1',
+  'detector-lite': 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/detector/lite/1',
+  'landmark-lite': 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d/landmark/lite/1'
+};
+
+const sha256 = (buffer) => createHash('sha256').update(buffer).digest('hex');
+
+async function copySolutionFiles() {
+  const files = (await readdir(sourceDir)).filter(name => !SKIP_FILES.has(name));
+  for (const name of files) {
+    await copyFile(path.join(sourceDir, name), path.join(targetDir, name));
+  }
+  console.log(`📦 Copied ${files.length} MediaPipe Hands files to public/mediapipe/hands`);
+  return files;
+}
+
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Files of a tfjs model downloaded before, or null when it is missing or incomplete
+ * @returns {Promise<Array|null>} - Paths relative to the hands asset directory
+ */
+async function findTfjsModel(name) {
+  const modelDir = path.join(targetDir, 'tfjs', name);
+  try {
+    const { weightsManifest = [] } = JSON.parse(await readFile(path.join(modelDir, 'model.json'), 'utf8'));
+    const shards = weightsManifest.flatMap(group => group.paths);
+    await Promise.all(shards.map(shard => stat(path.join(modelDir, shard))));
+    return [`tfjs/${name}/model.json`, ...shards.map(shard => `tfjs/${name}/${shard}`)];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Download a tfhub graph model (model.json + weight shards)
+ * @returns {Array} - Paths relative to the hands asset directory
+ */
+async function downloadTfjsModel(name, baseUrl) {
+  const existing = await findTfjsModel(name);
+  if (existing) return existing;
+
+  const modelDir = path.join(targetDir, 'tfjs', name);
+  await mkdir(modelDir, { recursive: true });
+
+  const modelJson = await download(`${baseUrl}/model.json?tfjs-format=file`);
+  await writeFile(path.join(modelDir, 'model.json'), modelJson);
+
+  const files = [`tfjs/${name}/model.json`];
+  const { weightsManifest = [] } = JSON.parse(modelJson.toString());
+  for (const group of weightsManifest) {
+    for (const shard of group.paths) {
+      await writeFile(path.join(modelDir, shard), await download(`${baseUrl}/${shard}?tfjs-format=file`));
+      files.push(`tfjs/${name}/${shard}`);
+    }
+  }
+
+  console.log(`📥 Downloaded tfjs ${name} model (${files.length} files)`);
+  return files;
+}
+
+async function main() {
+  const withTfjs = !process.argv.includes('--no-tfjs');
+  const tfjsOptional = process.argv.includes('--tfjs-optional');
+  const { version } = JSON.parse(await readFile(path.join(sourceDir, 'package.json'), 'utf8'));
+
+  await mkdir(targetDir, { recursive: true });
+  const files = await copySolutionFiles();
+
+  let tfjs = null;
+  let tfjsError = null;
+  if (withTfjs) {
+    try {
+      const models = {};
+      const modelFiles = [];
+      for (const [name, url] of Object.entries(TFJS_MODELS)) {
+        modelFiles.push(...await downloadTfjsModel(name, url));
+        models[name] = `tfjs/${name}/model.json`;
+      }
+      files.push(...modelFiles);
+      tfjs = models;
+    } catch (error) {
+      // Recorded so the app can say why the worker needs tfhub.dev (see mediapipeAssets.js)
+      tfjsError = error.message;
+    }
+  }
+
+  const manifest = {
+    package: '@mediapipe/hands',
+    version,
+    generatedAt: new Date().toISOString(),
+    tfjs,
+    tfjsError,
+    files: {}
+  };
+  for (const file of files) {
+    const fullPath = path.join(targetDir, file);
+    manifest.files[file] = {
+      size: (await stat(fullPath)).size,
+      sha256: sha256(await readFile(fullPath))
+    };
+  }
+
+  await writeFile(path.join(targetDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  console.log(`✅ Wrote manifest for ${files.length} files (@mediapipe/hands ${version})`);
+
+  if (tfjsError) {
+    const message = `Could not get the tfjs hand models (${tfjsError}) - the detection worker would load them from tfhub.dev`;
+    if (!tfjsOptional) {
+      // A build without them isn't offline-capable - only ship that on purpose (--no-tfjs)
+      console.error(`❌ ${message}. Run with --no-tfjs to build without them.`);
+      process.exit(1);
+    }
+    console.warn(`⚠️ ${message}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Could not prepare MediaPipe assets:', error.message);
+  process.exit(1);
+});
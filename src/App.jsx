@@ -7,9 +7,13 @@ import LoginPage from './pages/LoginPage';
 import Dashboard from './pages/Dashboard';
 import CallPage from './pages/CallPage';
 import EditProfile from './pages/EditProfile';
+import SignCalibration from './pages/SignCalibration';
+import DataCollector from './pages/DataCollector';
+import PersonalDictionary from './pages/PersonalDictionary';
 import VideoCallContacts from './components/VideoCallContacts'; // ✅ ADDED THIS IMPORT
 import UserSearch from './components/users/UserSearch'; // ✅ ADDED USER SEARCH IMPORT
 import EmailVerification from './components/auth/EmailVerification'; // ✅ EMAIL VERIFICATION
+import DiagnosticsPanel from './components/DiagnosticsPanel';
 import './App.css';
 
 // Error Boundary Component
@@ -326,6 +330,33 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+
+                <Route 
+                  path="/profile/calibration" 
+                  element={
+                    <ProtectedRoute>
+                      <SignCalibration />
+                    </ProtectedRoute>
+                  } 
+                />
+
+                <Route 
+                  path="/profile/data-collector" 
+                  element={
+                    <ProtectedRoute>
+                      <DataCollector />
+                    </ProtectedRoute>
+                  } 
+                />
+
+                <Route 
+                  path="/profile/dictionary" 
+                  element={
+                    <ProtectedRoute>
+                      <PersonalDictionary />
+                    </ProtectedRoute>
+                  } 
+                />
                 
                 {/* Default redirect */}
                 <Route path="/" element={<Navigate to="/dashboard" />} />
@@ -371,6 +402,7 @@ function App() {
                   </div>
                 } />
               </Routes>
+              <DiagnosticsPanel />
             </div>
           </WebSocketProvider>
         </Router>
@@ -0,0 +1,247 @@
+// BSL Fingerspelling Classifier
+// British (BANZSL) fingerspelling is two-handed: the dominant hand points at or rests on
+// the other one. Letters are told apart by where the hands touch:
+//   A E I O U - dominant index on the thumb / index / middle / ring / little fingertip
+//   L N M     - one, two or three dominant fingers laid across the base palm
+//   J         - index drawn down the base palm from I (read where the stroke ends)
+//   H         - flat hand across the base palm     V - index and middle spread on the palm
+//   R         - crooked index on the palm           Z - crooked index and middle on the palm
+//   T         - index on the heel of the base hand  Y - index in the base thumb's crook
+//   D         - thumb and index curved against the base index finger
+//   K         - crooked index on the base index finger
+//   P Q       - thumb-index ring on the base index fingertip, pointing up (P) or down (Q)
+//   X         - index fingers crossed        F - two fingers on two fingers
+//   G         - fist on top of fist          S - little fingers hooked together
+//   B         - two rings side by side       W - open hands interlocked
+// C is one-handed - see rules/bslLetters.json.
+import TwoHandedSignClassifier from './twoHandedSigns';
+
+// MediaPipe keypoint indices
+const WRIST = 0;
+const THUMB_MCP = 2;
+const THUMB_TIP = 4;
+const INDEX_MCP = 5;
+const INDEX_PIP = 6;
+const INDEX_DIP = 7;
+const INDEX_TIP = 8;
+const MIDDLE_MCP = 9;
+const MIDDLE_PIP = 10;
+const MIDDLE_TIP = 12;
+const PINKY_TIP = 20;
+const PALM_POINTS = [0, 5, 9, 13, 17];
+const INDEX_POINTS = [5, 6, 7, 8];
+
+// Base hand fingertip each vowel is pointed at
+const VOWEL_TIPS = { A: 4, E: 8, I: 12, O: 16, U: 20 };
+
+class BSLFingerspellingClassifier extends TwoHandedSignClassifier {
+  constructor() {
+    super();
+
+    this.signs = [];
+    this.letters = ['A', 'B', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q', 'R', 'S',
+      'T', 'U', 'V', 'W', 'X', 'Y', 'Z'];
+
+    // Distances are in "hand units" (wrist → middle knuckle length), like the two-handed signs
+    this.tipTouchDistance = 0.35; // Dominant index this close to a base fingertip points at it
+    this.palmTouchDistance = 0.6; // Dominant fingertips this close to the base palm rest on it
+    this.fingerTouchDistance = 0.45; // Dominant fingertips this close to a base index joint touch the finger
+    this.spreadDistance = 0.4; // Index and middle tips further apart than this are spread (V)
+    this.crookedRatio = [0.6, 1.6]; // Fingertip/middle joint distances from the knuckle of a crooked finger
+    this.alongCos = 0.7; // |cos| of two hand directions above this is parallel, below 1 - this across
+    this.ringDistance = 0.35; // Thumb and index tips closer than this form a ring (B)
+    this.interlockDistance = 0.8; // Open hands with centres this close are interlocked (W)
+    this.candidates = []; // [{ label, score }] of the last classification, best first
+  }
+
+  /**
+   * Classify a pair of analysed hands
+   * @param {Object} handA - { handedness, keypoints, imageKeypoints, fingers }
+   * @param {Object} handB - Same shape as handA
+   * @returns {string|null} - Letter or null if no BSL letter matches
+   */
+  classify(handA, handB) {
+    this.candidates = [];
+    // Where the hands touch is only known in image space
+    if (!handA.imageKeypoints || !handB.imageKeypoints) return null;
+
+    const [dominant, base] = this.assignRoles(handA, handB);
+    const dominantShape = this.getHandShape(dominant);
+    const baseShape = this.getHandShape(base);
+    const relation = this.getRelation(dominant, base);
+    const unit = this.getHandUnit(dominant, base);
+    const d = dominant.imageKeypoints;
+    const b = base.imageKeypoints;
+    const df = dominant.fingers;
+    const bf = base.fingers;
+    const onlyIndex = (fingers) => fingers.index && !fingers.middle && !fingers.ring && !fingers.pinky;
+    const onlyPinky = (fingers) => fingers.pinky && !fingers.index && !fingers.middle && !fingers.ring;
+    const twoFingers = (fingers) => fingers.index && fingers.middle && !fingers.ring && !fingers.pinky;
+
+    // Vowels - the pointing index finger picks a fingertip of the spread base hand
+    if (df.index && baseShape.extendedCount >= 4) {
+      const tips = Object.entries(VOWEL_TIPS)
+        .map(([letter, tip]) => ({ label: letter, distance: this.distance(d[INDEX_TIP], b[tip]) / unit }))
+        .sort((x, y) => x.distance - y.distance);
+      if (tips[0].distance < this.tipTouchDistance) {
+        this.candidates = tips.map(({ label, distance }) => ({ label, score: Math.max(0, 1 - distance) }));
+        return tips[0].label;
+      }
+    }
+
+    const baseIsPalm = baseShape.name === 'flat' || baseShape.name === 'open';
+    const palm = this.getCenter(PALM_POINTS.map(i => b[i]));
+    const touchesPalm = (point) => this.distance(point, palm) / unit < this.palmTouchDistance;
+    const crookedIndex = this.isCrooked(d, INDEX_MCP, INDEX_PIP, INDEX_TIP);
+    const crookedMiddle = this.isCrooked(d, MIDDLE_MCP, MIDDLE_PIP, MIDDLE_TIP);
+    const otherFingersClosed = !df.ring && !df.pinky;
+    // Direction of the dominant index against the base hand (wrist → middle knuckle)
+    const baseAxis = this.direction(b[WRIST], b[MIDDLE_MCP]);
+    const indexAlong = Math.abs(this.cosine(this.direction(d[INDEX_MCP], d[INDEX_TIP]), baseAxis));
+
+    // Y - index laid in the crook between the base thumb and index
+    if (onlyIndex(df) && bf.thumb && bf.index) {
+      const crook = this.getCenter([b[THUMB_MCP], b[INDEX_MCP]]);
+      if (this.distance(d[INDEX_TIP], crook) / unit < this.tipTouchDistance) return this.setLetter('Y');
+    }
+
+    if (baseIsPalm) {
+      // T - index on the heel of the base hand
+      if (onlyIndex(df) && this.distance(d[INDEX_TIP], b[WRIST]) / unit < this.tipTouchDistance) {
+        return this.setLetter('T');
+      }
+
+      // J - the stroke from I ends with the index pointing down the palm, not across it like L
+      if (onlyIndex(df) && touchesPalm(d[INDEX_TIP]) && indexAlong > this.alongCos) {
+        return this.setLetter('J');
+      }
+
+      // V - index and middle spread, fingertips on the palm
+      if (twoFingers(df) && touchesPalm(d[INDEX_TIP]) && touchesPalm(d[MIDDLE_TIP]) &&
+          this.distance(d[INDEX_TIP], d[MIDDLE_TIP]) / unit > this.spreadDistance) {
+        return this.setLetter('V');
+      }
+
+      // Z and R - crooked index and middle, or the index alone, tapped on the palm
+      if (crookedIndex && crookedMiddle && otherFingersClosed && touchesPalm(d[INDEX_TIP]) && touchesPalm(d[MIDDLE_TIP])) {
+        return this.setLetter('Z');
+      }
+      if (crookedIndex && !df.middle && !crookedMiddle && otherFingersClosed && touchesPalm(d[INDEX_TIP])) {
+        return this.setLetter('R');
+      }
+
+      // H - flat hand across the palm
+      const dominantFlat = df.index && df.middle && df.ring && df.pinky;
+      const across = Math.abs(this.cosine(this.direction(d[WRIST], d[MIDDLE_MCP]), baseAxis)) < 1 - this.alongCos;
+      if (dominantFlat && across && touchesPalm(d[MIDDLE_PIP])) {
+        return this.setLetter('H');
+      }
+
+      // L, N, M - fingers laid across the palm, counted
+      const onPalm = [8, 12, 16].filter(tip => touchesPalm(d[tip]));
+      const laid = [df.index, df.index && df.middle, df.index && df.middle && df.ring].lastIndexOf(true) + 1;
+      if (laid > 0 && onPalm.length > 0 && !df.pinky) {
+        return this.setLetter(['L', 'N', 'M'][Math.min(laid, onPalm.length) - 1]);
+      }
+    }
+
+    // D, K, P, Q - the dominant hand against the base index finger
+    if (onlyIndex(bf)) {
+      const onBaseIndex = (point) =>
+        Math.min(...INDEX_POINTS.map(i => this.distance(point, b[i]))) / unit < this.fingerTouchDistance;
+      const ring = this.distance(d[THUMB_TIP], d[INDEX_TIP]) / unit < this.ringDistance;
+
+      if (!ring && df.index && !df.middle && otherFingersClosed &&
+          onBaseIndex(d[THUMB_TIP]) && onBaseIndex(d[INDEX_TIP])) {
+        return this.setLetter('D');
+      }
+      if (!ring && crookedIndex && !df.middle && otherFingersClosed && onBaseIndex(d[INDEX_TIP])) {
+        return this.setLetter('K');
+      }
+      const ringCenter = this.getCenter([d[THUMB_TIP], d[INDEX_TIP]]);
+      if (ring && this.distance(ringCenter, b[INDEX_TIP]) / unit < this.fingerTouchDistance) {
+        return this.setLetter(b[INDEX_TIP].y < b[INDEX_MCP].y ? 'P' : 'Q');
+      }
+    }
+
+    // X - index fingers crossed
+    if (onlyIndex(df) && onlyIndex(bf)) {
+      const cross = Math.min(this.distance(d[INDEX_TIP], b[INDEX_PIP]), this.distance(d[INDEX_TIP], b[INDEX_DIP]),
+        this.distance(d[INDEX_PIP], b[INDEX_TIP])) / unit;
+      if (cross < this.tipTouchDistance) return this.setLetter('X');
+    }
+
+    // F - dominant index and middle on the base index and middle
+    if (twoFingers(df) && twoFingers(bf) && relation.distance < this.touchDistance) {
+      return this.setLetter('F');
+    }
+
+    // S - little fingers hooked
+    if (onlyPinky(df) && onlyPinky(bf) && this.distance(d[PINKY_TIP], b[PINKY_TIP]) / unit < this.tipTouchDistance) {
+      return this.setLetter('S');
+    }
+
+    // G - dominant fist on top of the base fist
+    if (dominantShape.name === 'fist' && baseShape.name === 'fist' && relation.dy < -0.3 &&
+        Math.abs(relation.dx) < 1.0 && relation.distance < this.stackDistance) {
+      return this.setLetter('G');
+    }
+
+    // B - both hands form rings, side by side
+    const isRing = (points) => this.distance(points[THUMB_TIP], points[INDEX_TIP]) / unit < this.ringDistance;
+    if (isRing(d) && isRing(b) && relation.distance < this.stackDistance && Math.abs(relation.dy) < 0.6) {
+      return this.setLetter('B');
+    }
+
+    // W - open hands with the fingers interlocked
+    if (dominantShape.extendedCount >= 4 && baseShape.extendedCount >= 4 && relation.distance < this.interlockDistance) {
+      return this.setLetter('W');
+    }
+
+    return null;
+  }
+
+  setLetter(letter) {
+    this.candidates = [{ label: letter, score: 1 }];
+    return letter;
+  }
+
+  /**
+   * @returns {Array} - [{ label, score }] of the last classification - the vowels report
+   *                    every fingertip, so a near miss between E and I is visible
+   */
+  getCandidates() {
+    return this.candidates;
+  }
+
+  /**
+   * A finger bent at the middle joint with the tip hooked back, not curled into the palm
+   * @param {Array} points - Image keypoints of the hand
+   * @returns {boolean}
+   */
+  isCrooked(points, mcp, pip, tip) {
+    const ratio = this.distance(points[tip], points[mcp]) / (this.distance(points[pip], points[mcp]) || 1);
+    return ratio >= this.crookedRatio[0] && ratio <= this.crookedRatio[1];
+  }
+
+  direction(from, to) {
+    const length = this.distance(from, to) || 1;
+    return { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+  }
+
+  cosine(a, b) {
+    return a.x * b.x + a.y * b.y;
+  }
+
+  /**
+   * Average wrist → middle knuckle length of both hands in image pixels
+   */
+  getHandUnit(dominant, base) {
+    return (
+      this.distance(dominant.imageKeypoints[WRIST], dominant.imageKeypoints[MIDDLE_MCP]) +
+      this.distance(base.imageKeypoints[WRIST], base.imageKeypoints[MIDDLE_MCP])
+    ) / 2 || 1;
+  }
+}
+
+export default BSLFingerspellingClassifier;
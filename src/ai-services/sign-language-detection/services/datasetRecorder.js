@@ -0,0 +1,120 @@
+// Dataset Recorder
+// Collects labelled hand landmarks for retraining the CNN-LSTM model and exports them
+// as JSONL or CSV in the 63-feature layout of ASLMLModel.flattenLandmarks (x0, y0, z0 ... z20)
+import aslMLModel from '../../../services/aslMLModel';
+
+export const FEATURE_COLUMNS = Array.from({ length: 21 }, (_, i) => [`x${i}`, `y${i}`, `z${i}`]).flat();
+
+// Per-sample metadata columns, in CSV order after label and features
+const METADATA_COLUMNS = ['handedness', 'handScore', 'predicted', 'userId', 'userType', 'handSize', 'sessionId', 'capturedAt'];
+
+class DatasetRecorder {
+  /**
+   * @param {Object} metadata - Stored with every sample: { userId, userType, handSize }
+   */
+  constructor(metadata = {}) {
+    this.metadata = {
+      userId: metadata.userId || null,
+      userType: metadata.userType || null,
+      handSize: metadata.handSize || null, // From the user's calibration, if any
+      sessionId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+    };
+    this.samples = [];
+  }
+
+  /**
+   * Record one frame
+   * @param {string} label - Letter or digit being signed
+   * @param {Array} keypoints - Normalized keypoints from SignLanguageDetector.getNormalizedKeypoints
+   * @param {Object} details - { handedness, handScore, predicted }
+   * @returns {Object|null} - The stored sample, or null if the frame had no usable hand
+   */
+  addSample(label, keypoints, details = {}) {
+    if (!label || !keypoints || keypoints.length < 21) return null;
+
+    const sample = {
+      label,
+      features: aslMLModel.flattenLandmarks(keypoints).map(value => Number(value.toFixed(6))),
+      handedness: details.handedness || null,
+      handScore: typeof details.handScore === 'number' ? Number(details.handScore.toFixed(4)) : null,
+      predicted: details.predicted || null, // What the live detector thought it was
+      ...this.metadata,
+      capturedAt: new Date().toISOString()
+    };
+
+    this.samples.push(sample);
+    return sample;
+  }
+
+  /**
+   * Drop the samples of the last recording burst for a label
+   * @param {string} label
+   * @param {number} count
+   */
+  removeLast(label, count) {
+    let removed = 0;
+    for (let i = this.samples.length - 1; i >= 0 && removed < count; i--) {
+      if (this.samples[i].label === label) {
+        this.samples.splice(i, 1);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.samples = [];
+  }
+
+  /**
+   * @returns {Object} - label → number of samples
+   */
+  getCounts() {
+    return this.samples.reduce((counts, sample) => {
+      counts[sample.label] = (counts[sample.label] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * One JSON object per line: { label, features: [63], handedness, ... }
+   */
+  toJSONL() {
+    return this.samples.map(sample => JSON.stringify(sample)).join('\n');
+  }
+
+  /**
+   * Header row, then label, x0..z20 and the metadata columns
+   */
+  toCSV() {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = ['label', ...FEATURE_COLUMNS, ...METADATA_COLUMNS].join(',');
+    const rows = this.samples.map(sample => [
+      escape(sample.label),
+      ...sample.features,
+      ...METADATA_COLUMNS.map(column => escape(sample[column]))
+    ].join(','));
+
+    return [header, ...rows].join('\n');
+  }
+
+  /**
+   * @param {string} format - 'jsonl' or 'csv'
+   * @returns {Object} - { content, fileName, mimeType }
+   */
+  export(format = 'jsonl') {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const fileName = `signlink-landmarks-${stamp}.${format}`;
+
+    return format === 'csv'
+      ? { content: this.toCSV(), fileName, mimeType: 'text/csv' }
+      : { content: this.toJSONL(), fileName, mimeType: 'application/x-ndjson' };
+  }
+}
+
+export default DatasetRecorder;
@@ -0,0 +1,130 @@
+// Adaptive Frame Scheduler
+// Picks the detection interval and the MediaPipe model from measured estimateHands
+// latency, so fast devices detect often and slow ones stay responsive:
+//   - the interval keeps detection inside a share of the CPU (latency / cpuBudget)
+//   - a device too slow for the 'full' model drops to 'lite', and moves back up when
+//     'lite' runs with plenty of headroom
+//   - with no hands in view for a while, detection slows to an idle rate
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.scheduler');
+
+class AdaptiveFrameScheduler {
+  /**
+   * @param {Object} options - Overrides for any of the tuning fields below
+   */
+  constructor(options = {}) {
+    this.minInterval = 66; // ms - ~15 detections per second at most
+    this.maxInterval = 1000; // ms - while hands are in view, never slower than this
+    this.idleInterval = 1000; // ms - rate while nobody is signing
+    this.idleAfterMs = 3000; // No hands for this long → idle rate
+    this.cpuBudget = 0.5; // Share of the time detection may run (latency / interval)
+    this.latencyAlpha = 0.2; // EMA weight of a new latency sample
+
+    // Model switching - hysteresis between the thresholds and a cooldown after each
+    // switch, so a device near a threshold doesn't flip back and forth
+    this.liteAboveMs = 150; // 'full' slower than this → 'lite'
+    this.fullBelowMs = 40; // 'lite' faster than this → try 'full' again
+    this.modelCooldownMs = 15000; // Doubles each time 'full' turns out too slow again
+    this.maxModelCooldownMs = 300000;
+    this.warmupFrames = 3; // First frames of a new model (shader compilation) aren't measured
+    this.minSamples = 10; // Latency samples needed before the model may change
+
+    Object.assign(this, options);
+    this.modelType = options.modelType || 'full';
+    this.cooldownMs = this.modelCooldownMs;
+    this.downgrades = 0;
+    this.reset();
+  }
+
+  /**
+   * Forget measurements, e.g. when detection restarts on another video
+   */
+  reset() {
+    this.latency = null; // EMA of estimateHands latency (ms)
+    this.samples = 0;
+    this.skipFrames = this.warmupFrames;
+    this.lastHandsAt = null;
+    this.lastFrameAt = null;
+    this.lastModelChange = null;
+    this.interval = this.minInterval;
+  }
+
+  /**
+   * Feed one detection and get the schedule for the next one
+   * @param {Object} frame - { latency (ms, estimateHands), handsPresent, timestamp }
+   * @returns {Object} - { interval, modelType, modelChanged }
+   */
+  recordFrame({ latency, handsPresent, timestamp = Date.now() }) {
+    this.lastFrameAt = timestamp;
+    if (handsPresent || this.lastHandsAt === null) this.lastHandsAt = timestamp;
+
+    if (Number.isFinite(latency)) {
+      if (this.skipFrames > 0) {
+        this.skipFrames--;
+      } else {
+        this.latency = this.latency === null
+          ? latency
+          : this.latencyAlpha * latency + (1 - this.latencyAlpha) * this.latency;
+        this.samples++;
+      }
+    }
+
+    const modelChanged = this.updateModel(timestamp);
+    this.interval = this.computeInterval(timestamp);
+    return { interval: this.interval, modelType: this.modelType, modelChanged };
+  }
+
+  /**
+   * @returns {boolean} - Whether the model type changed
+   */
+  updateModel(timestamp) {
+    if (this.latency === null || this.samples < this.minSamples) return false;
+    if (this.lastModelChange !== null && timestamp - this.lastModelChange < this.cooldownMs) return false;
+
+    let next = this.modelType;
+    if (this.modelType === 'full' && this.latency > this.liteAboveMs) next = 'lite';
+    if (this.modelType === 'lite' && this.latency < this.fullBelowMs) next = 'full';
+    if (next === this.modelType) return false;
+
+    if (next === 'lite' && this.downgrades++ > 0) {
+      this.cooldownMs = Math.min(this.maxModelCooldownMs, this.cooldownMs * 2);
+    }
+
+    log.info(`⚙️ Hand model ${this.modelType} → ${next} (estimateHands ${Math.round(this.latency)}ms)`);
+    this.modelType = next;
+    this.lastModelChange = timestamp;
+    // The new model's latency has to be measured from scratch
+    this.latency = null;
+    this.samples = 0;
+    this.skipFrames = this.warmupFrames;
+    return true;
+  }
+
+  computeInterval(timestamp) {
+    if (this.isIdle(timestamp)) return this.idleInterval;
+    if (this.latency === null) return this.interval;
+
+    const interval = Math.round(this.latency / this.cpuBudget);
+    return Math.min(this.maxInterval, Math.max(this.minInterval, interval));
+  }
+
+  isIdle(timestamp) {
+    return this.lastHandsAt !== null && timestamp - this.lastHandsAt >= this.idleAfterMs;
+  }
+
+  /**
+   * @returns {Object} - { latency, interval, fps, modelType, idle } for the debug HUD
+   */
+  getStats() {
+    return {
+      latency: this.latency === null ? null : Math.round(this.latency),
+      interval: this.interval,
+      fps: Math.round(10000 / this.interval) / 10,
+      modelType: this.modelType,
+      idle: this.isIdle(this.lastFrameAt)
+    };
+  }
+}
+
+export default AdaptiveFrameScheduler;
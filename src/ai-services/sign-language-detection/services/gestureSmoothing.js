@@ -0,0 +1,414 @@
+// Gesture Smoothing
+// Turns the per-frame classifier output into a stable gesture stream. Every strategy
+// has the same interface:
+//   push(gesture, timestamp) → stable gesture, or null while a new gesture is still building
+//   force(gesture, timestamp)  make a gesture current at once (motion letters, moving word signs)
+//   reset()
+//   getState() → { current, unit, target, scores } for the debug HUD
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.smoothing');
+
+export const SMOOTHING_STRATEGIES = ['confidence', 'majority', 'ema', 'hmm', 'hold'];
+
+// Parameters per signing speed - fast signers need quick confirmation, slow or
+// hesitant signers need more evidence before a letter is accepted
+export const SMOOTHING_PRESETS = {
+  fast: {
+    confidence: { minConfidenceFrames: 1, debounceMs: 50 },
+    // Still two or more agreeing frames - a single stray frame or A/B flicker is never a letter
+    majority: { windowSize: 4, minVotes: 3 },
+    ema: { alpha: 0.6, threshold: 0.75 },
+    hmm: { stayProbability: 0.7, minProbability: 0.5, minRunFrames: 2 },
+    hold: { holdMs: 200 }
+  },
+  normal: {
+    confidence: { minConfidenceFrames: 2, debounceMs: 100 },
+    majority: { windowSize: 5, minVotes: 3 },
+    ema: { alpha: 0.5, threshold: 0.6 },
+    hmm: { stayProbability: 0.8, minProbability: 0.6 },
+    hold: { holdMs: 400 }
+  },
+  slow: {
+    confidence: { minConfidenceFrames: 4, debounceMs: 250 },
+    majority: { windowSize: 9, minVotes: 6 },
+    ema: { alpha: 0.3, threshold: 0.7 },
+    hmm: { stayProbability: 0.9, minProbability: 0.75 },
+    hold: { holdMs: 800 }
+  }
+};
+
+// Handshapes the classifier confuses with each other - switching inside a group is
+// a correction, not a new letter
+const CONFUSABLE_GROUPS = [
+  new Set(['N', 'M', 'C', 'E', 'A', 'S', 'T', 'O']), // Fist-like
+  new Set(['F', 'K', 'P', 'Q', 'R', 'U', 'V', 'W', 'X', 'H', 'B', 'G']), // Similar finger shapes
+  new Set(['N', 'M', 'P', 'K']) // Fingers over the thumb
+];
+
+const BACKGROUND_STATE = '__unseen__';
+
+const DEBUG_GESTURES = new Set(['N', 'M', 'C', 'E', 'P', 'K', 'O']);
+
+const areConfusable = (a, b) => CONFUSABLE_GROUPS.some(group => group.has(a) && group.has(b));
+
+class GestureSmoother {
+  constructor(options = {}) {
+    this.configure(options);
+    this.reset();
+  }
+
+  /**
+   * Set tuning parameters - only keys the strategy already has are taken
+   * @param {Object} options
+   */
+  configure(options = {}) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (typeof value === 'number' && typeof this[key] === 'number') this[key] = value;
+    });
+  }
+
+  reset() {
+    this.current = null;
+  }
+
+  /**
+   * What the smoother is currently weighing - the strongest gestures and the value
+   * each needs to reach (target) before it is emitted
+   * @returns {Object} - { current, unit, target, scores: [{ gesture, value }] }
+   */
+  getState() {
+    const { unit, target, entries, current = this.current } = this.describe();
+    const scores = Array.from(entries)
+      .filter(([gesture, value]) => gesture !== BACKGROUND_STATE && value > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([gesture, value]) => ({ gesture, value }));
+    return { current, unit, target, scores };
+  }
+}
+
+/**
+ * Per-gesture confidence counter with decay, confusable-group resets and a switch debounce
+ * (the detector's original smoothing)
+ */
+export class ConfidenceSmoother extends GestureSmoother {
+  constructor(options = {}) {
+    super();
+    this.minConfidenceFrames = 2; // Minimum frames before confirming (was 3, originally 5) - faster response
+    this.debounceMs = 100; // Prevent rapid switching (was 200ms) - faster letter changes
+    this.decay = 2.0; // AGGRESSIVE DECAY for the gestures not seen this frame (was 0.5)
+    this.configure(options);
+  }
+
+  reset() {
+    this.confidence = new Map();
+    this.lastGesture = 'none';
+    this.lastTimestamp = 0;
+  }
+
+  push(gesture, timestamp) {
+    // Switching between similar gestures HARD RESETS the old one
+    if (this.lastGesture !== gesture && areConfusable(gesture, this.lastGesture)) {
+      log.debug(`🔄 Switching between similar gestures: ${this.lastGesture} → ${gesture} (RESET old confidence)`);
+      this.confidence.set(this.lastGesture, 0);
+    }
+
+    const currentConfidence = this.confidence.get(gesture) || 0;
+    this.confidence.set(gesture, currentConfidence + 1);
+
+    for (const [other, value] of this.confidence.entries()) {
+      if (other !== gesture && value > 0) {
+        this.confidence.set(other, Math.max(0, value - this.decay));
+      }
+    }
+
+    // Debug: Show confidence map for confusable gesture debugging
+    if (DEBUG_GESTURES.has(gesture) || DEBUG_GESTURES.has(this.lastGesture)) {
+      const confMap = {};
+      for (const [g, c] of this.confidence.entries()) {
+        if (c > 0) confMap[g] = c.toFixed(1);
+      }
+      log.debug(`📊 Smoothing: detected="${gesture}" lastGesture="${this.lastGesture}" confidence=`, confMap);
+    }
+
+    // Only return gesture if it has enough confidence frames
+    if (currentConfidence >= this.minConfidenceFrames) {
+      if (gesture !== this.lastGesture) {
+        // Skip debounce for similar gesture switches (already reset confidence)
+        const isSimilarSwitch = areConfusable(gesture, this.lastGesture);
+        const timeSinceLastChange = timestamp - this.lastTimestamp;
+        if (!isSimilarSwitch && timeSinceLastChange < this.debounceMs) {
+          log.debug(`⏱️ Debouncing: waiting ${this.debounceMs - timeSinceLastChange}ms before switching from ${this.lastGesture} to ${gesture}`);
+          return this.lastGesture;
+        }
+        log.debug(`✅ Gesture switch confirmed: ${this.lastGesture} → ${gesture}${isSimilarSwitch ? ' (similar, no debounce)' : ''}`);
+        this.lastGesture = gesture;
+        this.lastTimestamp = timestamp;
+      }
+      return gesture;
+    }
+
+    // A NEW gesture without enough confidence returns null to avoid a stale letter
+    if (gesture !== this.lastGesture) {
+      log.debug(`⏳ Building confidence for "${gesture}" (${currentConfidence}/${this.minConfidenceFrames})`);
+      return null;
+    }
+    return this.lastGesture;
+  }
+
+  describe() {
+    return {
+      current: this.lastGesture === 'none' ? null : this.lastGesture,
+      unit: 'frames',
+      target: this.minConfidenceFrames,
+      entries: this.confidence.entries()
+    };
+  }
+
+  force(gesture, timestamp) {
+    this.confidence.clear();
+    this.confidence.set(gesture, this.minConfidenceFrames);
+    this.lastGesture = gesture;
+    this.lastTimestamp = timestamp;
+  }
+}
+
+/**
+ * The most frequent gesture of the last windowSize frames, once it has minVotes
+ */
+export class MajorityVoteSmoother extends GestureSmoother {
+  constructor(options = {}) {
+    super();
+    this.windowSize = 5;
+    this.minVotes = 3;
+    this.configure(options);
+  }
+
+  reset() {
+    this.current = null;
+    this.window = [];
+  }
+
+  push(gesture) {
+    this.window.push(gesture);
+    if (this.window.length > this.windowSize) this.window.shift();
+
+    const votes = new Map();
+    this.window.forEach(g => votes.set(g, (votes.get(g) || 0) + 1));
+    const [winner, count] = Array.from(votes.entries()).sort((a, b) => b[1] - a[1])[0];
+
+    if (count >= this.minVotes) this.current = winner;
+    return gesture === this.current || count >= this.minVotes ? this.current : null;
+  }
+
+  describe() {
+    const votes = new Map();
+    this.window.forEach(g => votes.set(g, (votes.get(g) || 0) + 1));
+    return { unit: 'votes', target: this.minVotes, entries: votes.entries() };
+  }
+
+  force(gesture) {
+    this.window = new Array(this.windowSize).fill(gesture);
+    this.current = gesture;
+  }
+}
+
+/**
+ * Exponential moving average of every gesture's presence - a gesture is current
+ * while its average is above threshold
+ */
+export class EmaSmoother extends GestureSmoother {
+  constructor(options = {}) {
+    super();
+    this.alpha = 0.5; // Weight of the newest frame
+    this.threshold = 0.6;
+    this.configure(options);
+  }
+
+  reset() {
+    this.current = null;
+    this.scores = new Map();
+  }
+
+  push(gesture) {
+    if (!this.scores.has(gesture)) this.scores.set(gesture, 0);
+
+    let best = null;
+    for (const [g, score] of this.scores.entries()) {
+      const updated = (1 - this.alpha) * score + (g === gesture ? this.alpha : 0);
+      if (updated < 0.01) {
+        this.scores.delete(g);
+        continue;
+      }
+      this.scores.set(g, updated);
+      if (!best || updated > this.scores.get(best)) best = g;
+    }
+
+    if (best && this.scores.get(best) >= this.threshold) {
+      this.current = best;
+      return best;
+    }
+    return gesture === this.current ? this.current : null;
+  }
+
+  describe() {
+    return { unit: 'average', target: this.threshold, entries: this.scores.entries() };
+  }
+
+  force(gesture) {
+    this.scores = new Map([[gesture, 1]]);
+    this.current = gesture;
+  }
+}
+
+/**
+ * Online Viterbi over a hidden "gesture being signed" state. Signers hold a letter
+ * for several frames (stayProbability) and the classifier is right most of the time
+ * (observationAccuracy, lower between confusable handshapes). A background state
+ * stands for "a gesture not seen yet", so a new gesture has to win against it first.
+ */
+export class HmmSmoother extends GestureSmoother {
+  constructor(options = {}) {
+    super();
+    this.stayProbability = 0.8;
+    this.observationAccuracy = 0.7;
+    this.confusableShare = 0.5; // Of the error mass, how much goes to confusable shapes
+    this.minProbability = 0.6; // Best path state must hold this share to be emitted
+    this.minRunFrames = 0; // Frames in a row a new gesture must also be seen for (0 = probability alone)
+    this.configure(options);
+  }
+
+  reset() {
+    this.current = null;
+    this.delta = new Map([[BACKGROUND_STATE, 1]]); // state → normalised best-path probability
+    this.lastObserved = null;
+    this.run = 0;
+  }
+
+  emissionProbability(state, observed, stateCount) {
+    if (state === observed) return this.observationAccuracy;
+    const error = 1 - this.observationAccuracy;
+    const others = Math.max(1, stateCount - 1);
+    return areConfusable(state, observed)
+      ? error * (this.confusableShare + (1 - this.confusableShare) / others)
+      : error * (1 - this.confusableShare) / others;
+  }
+
+  push(gesture) {
+    this.run = gesture === this.lastObserved ? this.run + 1 : 1;
+    this.lastObserved = gesture;
+    if (!this.delta.has(BACKGROUND_STATE)) this.delta.set(BACKGROUND_STATE, 0);
+    if (!this.delta.has(gesture)) this.delta.set(gesture, 0);
+
+    const states = Array.from(this.delta.keys());
+    const switchProbability = (1 - this.stayProbability) / Math.max(1, states.length - 1);
+    const ranked = states.map(state => this.delta.get(state)).sort((a, b) => b - a);
+
+    // Viterbi step: best predecessor (staying, or switching from the best other state)
+    const next = new Map();
+    let total = 0;
+    states.forEach(state => {
+      const previous = this.delta.get(state);
+      const bestOther = states.length === 1 ? 1 : (previous === ranked[0] ? ranked[1] : ranked[0]);
+      const stay = previous * this.stayProbability;
+      const move = bestOther * switchProbability;
+      const value = Math.max(stay, move) * this.emissionProbability(state, gesture, states.length);
+      next.set(state, value);
+      total += value;
+    });
+
+    // Normalise and forget states with no realistic path
+    let best = null;
+    this.delta = new Map();
+    next.forEach((value, state) => {
+      const probability = total > 0 ? value / total : 1 / states.length;
+      if (probability < 0.001) return;
+      this.delta.set(state, probability);
+      if (state !== BACKGROUND_STATE && (!best || probability > this.delta.get(best))) best = state;
+    });
+
+    // With few states a cheap switch can win in one frame - minRunFrames holds it back
+    const settled = best === this.current || this.minRunFrames === 0 || (best === gesture && this.run >= this.minRunFrames);
+    if (best && settled && this.delta.get(best) >= this.minProbability) {
+      this.current = best;
+      return best;
+    }
+    return gesture === this.current ? this.current : null;
+  }
+
+  describe() {
+    return { unit: 'probability', target: this.minProbability, entries: this.delta.entries() };
+  }
+
+  force(gesture) {
+    this.delta = new Map([[gesture, 1]]);
+    this.current = gesture;
+  }
+}
+
+/**
+ * A gesture is accepted once it has been held without interruption for holdMs
+ */
+export class HoldToConfirmSmoother extends GestureSmoother {
+  constructor(options = {}) {
+    super();
+    this.holdMs = 400;
+    this.configure(options);
+  }
+
+  reset() {
+    this.current = null;
+    this.candidate = null;
+    this.candidateSince = 0;
+    this.lastTimestamp = 0;
+  }
+
+  push(gesture, timestamp) {
+    this.lastTimestamp = timestamp;
+    if (gesture !== this.candidate) {
+      this.candidate = gesture;
+      this.candidateSince = timestamp;
+    }
+
+    if (timestamp - this.candidateSince >= this.holdMs) {
+      this.current = gesture;
+      return gesture;
+    }
+    return gesture === this.current ? this.current : null;
+  }
+
+  describe() {
+    const held = this.candidate ? [[this.candidate, this.lastTimestamp - this.candidateSince]] : [];
+    return { unit: 'ms', target: this.holdMs, entries: held };
+  }
+
+  force(gesture, timestamp) {
+    this.lastTimestamp = timestamp;
+    this.candidate = gesture;
+    this.candidateSince = timestamp - this.holdMs;
+    this.current = gesture;
+  }
+}
+
+const SMOOTHERS = {
+  confidence: ConfidenceSmoother,
+  majority: MajorityVoteSmoother,
+  ema: EmaSmoother,
+  hmm: HmmSmoother,
+  hold: HoldToConfirmSmoother
+};
+
+/**
+ * @param {string} strategy - One of SMOOTHING_STRATEGIES
+ * @param {Object} options - { speed: 'fast'|'normal'|'slow', ...strategy parameters }
+ * @returns {GestureSmoother}
+ */
+export function createSmoother(strategy = 'confidence', { speed = 'normal', ...options } = {}) {
+  if (!SMOOTHERS[strategy]) {
+    log.warn(`⚠️ Unknown smoothing strategy "${strategy}" - using confidence`);
+    strategy = 'confidence';
+  }
+  const preset = SMOOTHING_PRESETS[speed]?.[strategy] || SMOOTHING_PRESETS.normal[strategy];
+  return new SMOOTHERS[strategy]({ ...preset, ...options });
+}
@@ -0,0 +1,200 @@
+// Hand Calibration
+// Fits personal hand geometry thresholds from a few reference letters signed by the user
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.calibration');
+
+// Pixel thresholds used by SignLanguageDetector when no calibration is stored.
+// They were tuned for an average hand at arm's length from the camera.
+export const DEFAULT_HAND_THRESHOLDS = {
+  thumbExtended: 25, // isFingerExtended: thumb tip → thumb base
+  fingerExtended: 30, // isFingerExtended: fingertip → knuckle
+  fingersTogether: 20, // areFingersTogether: tip → tip
+  thumbAcrossPalmX: 50, // isThumbAcrossPalm: thumb tip → wrist (horizontal)
+  thumbAcrossPalmY: 40 // isThumbAcrossPalm: thumb tip → knuckle line (vertical)
+};
+
+// Wrist → middle knuckle length the defaults were tuned for
+const REFERENCE_HAND_SIZE = 55;
+
+const FINGER_TIPS = { thumb: 4, index: 8, middle: 12, ring: 16, pinky: 20 };
+const FINGER_BASES = { thumb: 2, index: 5, middle: 9, ring: 13, pinky: 17 };
+
+// Each step says which geometry the reference letter shows
+export const CALIBRATION_STEPS = [
+  {
+    letter: 'B',
+    instruction: 'Flat hand, fingers together pointing up, thumb folded across your palm',
+    extended: ['index', 'middle', 'ring', 'pinky'],
+    closed: ['thumb'],
+    thumbAcrossPalm: true
+  },
+  {
+    letter: 'A',
+    instruction: 'Closed fist with your thumb resting against the side of your index finger',
+    closed: ['index', 'middle', 'ring', 'pinky']
+  },
+  {
+    letter: 'Y',
+    instruction: 'Thumb and pinky stretched out, other fingers closed',
+    extended: ['thumb', 'pinky'],
+    closed: ['index', 'middle', 'ring'],
+    thumbAcrossPalm: false
+  },
+  {
+    letter: 'U',
+    instruction: 'Index and middle finger up and pressed together',
+    extended: ['index', 'middle'],
+    closed: ['ring', 'pinky'],
+    fingersTogether: true
+  },
+  {
+    letter: 'V',
+    instruction: 'Index and middle finger up and spread apart',
+    extended: ['index', 'middle'],
+    closed: ['ring', 'pinky'],
+    fingersTogether: false
+  }
+];
+
+class HandCalibrator {
+  constructor(steps = CALIBRATION_STEPS) {
+    this.steps = steps;
+    this.samplesPerStep = 10; // Frames captured per reference letter
+    this.reset();
+  }
+
+  reset() {
+    this.samples = {}; // letter → [measurements]
+  }
+
+  /**
+   * Record one frame of a reference letter
+   * @param {string} letter - Reference letter being signed
+   * @param {Array} keypoints - 21 pixel keypoints (see SignLanguageDetector.getHandKeypoints)
+   * @returns {number} - Samples collected for this letter so far
+   */
+  addSample(letter, keypoints) {
+    if (!keypoints || keypoints.length < 21) return this.getSampleCount(letter);
+
+    if (!this.samples[letter]) this.samples[letter] = [];
+    this.samples[letter].push(this.measure(keypoints));
+    return this.samples[letter].length;
+  }
+
+  getSampleCount(letter) {
+    return this.samples[letter]?.length || 0;
+  }
+
+  isStepComplete(letter) {
+    return this.getSampleCount(letter) >= this.samplesPerStep;
+  }
+
+  isComplete() {
+    return this.steps.every(step => this.isStepComplete(step.letter));
+  }
+
+  /**
+   * Raw distances the thresholds are compared against
+   */
+  measure(keypoints) {
+    const fingers = {};
+    Object.keys(FINGER_TIPS).forEach(finger => {
+      fingers[finger] = this.distance(keypoints[FINGER_TIPS[finger]], keypoints[FINGER_BASES[finger]]);
+    });
+
+    const thumbTip = keypoints[4];
+    return {
+      handSize: this.distance(keypoints[0], keypoints[9]),
+      fingers,
+      tipGap: this.distance(keypoints[8], keypoints[12]),
+      thumbAcrossX: Math.abs(thumbTip.x - keypoints[0].x),
+      thumbAcrossY: Math.abs(thumbTip.y - (keypoints[5].y + keypoints[9].y) / 2)
+    };
+  }
+
+  /**
+   * Fit thresholds halfway between what the user's hand looks like in the
+   * positive and negative reference letters. Thresholds without enough
+   * evidence fall back to the defaults scaled by hand size.
+   * @returns {Object} - { version, calibratedAt, handSize, thresholds, warnings }
+   */
+  fit() {
+    const collect = (select) => this.steps.flatMap(step =>
+      (this.samples[step.letter] || []).flatMap(sample => select(step, sample))
+    );
+
+    const handSize = this.median(collect((step, sample) => sample.handSize));
+    if (!handSize) {
+      throw new Error('No hand samples recorded');
+    }
+
+    const scale = handSize / REFERENCE_HAND_SIZE;
+    const warnings = [];
+    const thresholds = {};
+
+    // Positive values must sit on the correct side of the threshold, otherwise the
+    // samples contradict each other (e.g. the hand was out of frame) - keep the scaled default
+    const fitBetween = (key, above, below) => {
+      const high = this.median(above);
+      const low = this.median(below);
+      if (high === null || low === null || high <= low) {
+        warnings.push(`${key}: reference letters did not separate, using the scaled default`);
+        thresholds[key] = DEFAULT_HAND_THRESHOLDS[key] * scale;
+        return;
+      }
+      thresholds[key] = (high + low) / 2;
+    };
+
+    const fingerDistances = (listName, thumb) => collect((step, sample) =>
+      (step[listName] || [])
+        .filter(finger => (finger === 'thumb') === thumb)
+        .map(finger => sample.fingers[finger])
+    );
+
+    fitBetween('thumbExtended', fingerDistances('extended', true), fingerDistances('closed', true));
+    fitBetween('fingerExtended', fingerDistances('extended', false), fingerDistances('closed', false));
+
+    // Fingers together means a SMALL gap, so the "above" side is the spread V
+    fitBetween('fingersTogether',
+      collect((step, sample) => step.fingersTogether === false ? [sample.tipGap] : []),
+      collect((step, sample) => step.fingersTogether === true ? [sample.tipGap] : []));
+
+    fitBetween('thumbAcrossPalmX',
+      collect((step, sample) => step.thumbAcrossPalm === false ? [sample.thumbAcrossX] : []),
+      collect((step, sample) => step.thumbAcrossPalm === true ? [sample.thumbAcrossX] : []));
+
+    // Only the across-palm letter tells us where the thumb sits vertically - allow some slack above it
+    const acrossY = this.median(collect((step, sample) => step.thumbAcrossPalm === true ? [sample.thumbAcrossY] : []));
+    thresholds.thumbAcrossPalmY = Math.max(DEFAULT_HAND_THRESHOLDS.thumbAcrossPalmY * scale, (acrossY || 0) * 1.5);
+
+    Object.keys(thresholds).forEach(key => {
+      thresholds[key] = Math.round(thresholds[key] * 10) / 10;
+    });
+
+    warnings.forEach(warning => log.warn(`⚠️ Calibration: ${warning}`));
+    log.info('📏 Calibration fitted:', thresholds, `(hand size ${handSize.toFixed(1)}px)`);
+
+    return {
+      version: 1,
+      calibratedAt: new Date().toISOString(),
+      handSize: Math.round(handSize * 10) / 10,
+      thresholds,
+      warnings
+    };
+  }
+
+  median(values) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  distance(a, b) {
+    if (!a || !b) return 0;
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+  }
+}
+
+export default HandCalibrator;
@@ -0,0 +1,302 @@
+// Handshape Rule Engine
+// Evaluates declarative handshape rules (see rules/aslLetters.json) against pixel keypoints
+//
+// A rule set is { name, version, rules: [...] }. Each rule:
+//   {
+//     id: 'K',                      // unique, used to override the rule at runtime
+//     label: 'K',                   // gesture returned when the rule matches
+//     fingers: { index: true, ring: false },   // required finger states (omitted = any)
+//     conditions: [ ... ]           // all must hold
+//   }
+//
+// Conditions (distances in pixels, angles in degrees, min/max are exclusive):
+//   { type: 'feature', name: 'thumbAcrossPalm', args: [] }    named predicate supplied by the detector
+//   { type: 'distance', from: 4, to: 8 | [8, 12], reduce: 'min'|'max'|'avg', min, max }
+//   { type: 'distance', pairs: [[8, 5], [12, 9]], reduce: 'avg', min, max }
+//   { type: 'axisDistance', axis: 'x'|'y'|'z', from: 0, to: 8, absolute: true, min, max }   to - from
+//   { type: 'direction', from: 5, to: 8, ranges: [[45, 135]] }   angle of the from → to line
+//   { type: 'between', axis: 'x', point: 4, bounds: [5, 9] }
+//   { type: 'ratio', numerator: [8, 6], denominator: [6, 5], min, max }   distance / distance
+//   { all: [...] }, { any: [...] }, { not: {...} }, { count: [...], min: 2, max }   count bounds are inclusive
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.rules');
+
+const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+const CONDITION_TYPES = ['feature', 'distance', 'axisDistance', 'direction', 'between', 'ratio'];
+const REDUCERS = {
+  min: values => Math.min(...values),
+  max: values => Math.max(...values),
+  avg: values => values.reduce((a, b) => a + b, 0) / values.length
+};
+
+class HandshapeRuleEngine {
+  /**
+   * @param {Object} ruleSet - { name, rules } (see rules/*.json)
+   * @param {Object} features - Named predicates: name → (keypoints, ...args) => boolean
+   */
+  constructor(ruleSet, features = {}) {
+    this.name = ruleSet?.name || 'rules';
+    this.features = features;
+    this.rules = [];
+    this.maxCandidates = 5; // Runner-up labels reported alongside the match
+    if (ruleSet) this.loadRules(ruleSet, { replace: true });
+  }
+
+  /**
+   * Load a rule set. Rules with an existing id replace that rule in place,
+   * new rules are appended (or inserted before `rule.before` when given).
+   * @param {Object|Array} ruleSet - { name, rules } or a bare array of rules
+   * @param {Object} options - { replace: true } drops the current rules first
+   * @returns {number} - Number of rules accepted
+   */
+  loadRules(ruleSet, { replace = false } = {}) {
+    const rules = Array.isArray(ruleSet) ? ruleSet : ruleSet?.rules;
+    if (!Array.isArray(rules)) {
+      log.warn(`⚠️ Ignoring ${this.name} rule set without a rules array`);
+      return 0;
+    }
+
+    if (replace) this.rules = [];
+
+    let accepted = 0;
+    rules.forEach(rule => {
+      if (this.addRule(rule)) accepted++;
+    });
+
+    log.info(`📐 ${this.name}: ${this.rules.length} handshape rules (${accepted} loaded)`);
+    return accepted;
+  }
+
+  /**
+   * Add or replace a single rule
+   * @param {Object} rule - Rule definition
+   * @returns {boolean} - Whether the rule was accepted
+   */
+  addRule(rule) {
+    const error = this.validateRule(rule);
+    if (error) {
+      log.warn(`⚠️ Ignoring handshape rule ${rule?.id || '?'}: ${error}`);
+      return false;
+    }
+
+    const normalized = { label: rule.id, fingers: {}, conditions: [], ...rule };
+    delete normalized.before;
+
+    const existing = this.rules.findIndex(r => r.id === rule.id);
+    if (existing !== -1) {
+      this.rules[existing] = normalized;
+      return true;
+    }
+
+    const beforeIdx = rule.before ? this.rules.findIndex(r => r.id === rule.before) : -1;
+    if (beforeIdx !== -1) {
+      this.rules.splice(beforeIdx, 0, normalized);
+    } else {
+      this.rules.push(normalized);
+    }
+    return true;
+  }
+
+  /**
+   * Patch an existing rule, e.g. to tune one letter's thresholds
+   * @param {string} id - Rule id
+   * @param {Object} patch - Fields to replace (fingers, conditions, label, ...)
+   * @returns {boolean}
+   */
+  overrideRule(id, patch) {
+    const rule = this.getRule(id);
+    if (!rule) {
+      log.warn(`⚠️ No handshape rule with id ${id}`);
+      return false;
+    }
+    return this.addRule({ ...rule, ...patch, id });
+  }
+
+  removeRule(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(r => r.id !== id);
+    return this.rules.length !== before;
+  }
+
+  getRule(id) {
+    return this.rules.find(r => r.id === id) || null;
+  }
+
+  getRules() {
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * Evaluate the rules in order
+   * @param {Array} keypoints - 21 pixel keypoints {x, y, z}
+   * @param {Object} fingers - Finger states {thumb, index, middle, ring, pinky}
+   * @returns {Object} - { label, ruleId, candidates: [{ label, ruleId, score }] }
+   *                     label is 'unknown' when no rule fully matches
+   */
+  evaluate(keypoints, fingers) {
+    // Feature predicates are shared between rules - compute each once per frame
+    const featureCache = new Map();
+    const context = { keypoints, featureCache };
+
+    let match = null;
+    const scored = [];
+
+    this.rules.forEach(rule => {
+      const score = this.scoreRule(rule, fingers, context);
+      scored.push({ label: rule.label, ruleId: rule.id, score });
+      if (!match && score === 1) match = rule;
+    });
+
+    // Best score per label, highest first
+    const bestByLabel = new Map();
+    scored.forEach(candidate => {
+      const current = bestByLabel.get(candidate.label);
+      if (!current || candidate.score > current.score) bestByLabel.set(candidate.label, candidate);
+    });
+    const candidates = Array.from(bestByLabel.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxCandidates);
+
+    if (match) {
+      log.debug(`🔍 ${match.label} detected (rule ${match.id}${match.description ? `: ${match.description}` : ''})`);
+    }
+
+    return {
+      label: match ? match.label : 'unknown',
+      ruleId: match ? match.id : null,
+      candidates
+    };
+  }
+
+  /**
+   * Fraction of a rule's checks (finger states + conditions) that hold - 1 is a full match
+   */
+  scoreRule(rule, fingers, context) {
+    const fingerChecks = FINGERS.filter(f => rule.fingers[f] !== undefined);
+    const total = fingerChecks.length + rule.conditions.length;
+    if (total === 0) return 0;
+
+    let passed = fingerChecks.filter(f => rule.fingers[f] === fingers[f]).length;
+    // Geometry only matters for rules whose finger pattern is right
+    if (passed === fingerChecks.length) {
+      passed += rule.conditions.filter(c => this.checkCondition(c, context)).length;
+    }
+
+    return passed / total;
+  }
+
+  checkCondition(condition, context) {
+    if (condition.all) return condition.all.every(c => this.checkCondition(c, context));
+    if (condition.any) return condition.any.some(c => this.checkCondition(c, context));
+    if (condition.not) return !this.checkCondition(condition.not, context);
+    if (condition.count) {
+      const passed = condition.count.filter(c => this.checkCondition(c, context)).length;
+      return passed >= (condition.min ?? 1) && (condition.max === undefined || passed <= condition.max);
+    }
+
+    const { keypoints } = context;
+    switch (condition.type) {
+      case 'feature':
+        return this.checkFeature(condition, context);
+
+      case 'distance': {
+        const pairs = condition.pairs || [].concat(condition.to).map(to => [condition.from, to]);
+        const distances = pairs.map(([a, b]) => this.distance(keypoints[a], keypoints[b]));
+        return this.inRange(REDUCERS[condition.reduce || 'min'](distances), condition);
+      }
+
+      case 'axisDistance': {
+        const from = keypoints[condition.from][condition.axis];
+        const to = keypoints[condition.to][condition.axis];
+        if (from === undefined || to === undefined) return false;
+        const diff = to - from;
+        return this.inRange(condition.absolute ? Math.abs(diff) : diff, condition);
+      }
+
+      case 'direction': {
+        const from = keypoints[condition.from];
+        const to = keypoints[condition.to];
+        const angle = Math.atan2(to.y - from.y, to.x - from.x) * (180 / Math.PI);
+        return condition.ranges.some(([min, max]) => angle > min && angle < max);
+      }
+
+      case 'between': {
+        const value = keypoints[condition.point][condition.axis];
+        const bounds = condition.bounds.map(i => keypoints[i][condition.axis]);
+        return value > Math.min(...bounds) && value < Math.max(...bounds);
+      }
+
+      case 'ratio': {
+        const numerator = this.distance(keypoints[condition.numerator[0]], keypoints[condition.numerator[1]]);
+        const denominator = this.distance(keypoints[condition.denominator[0]], keypoints[condition.denominator[1]]);
+        if (!denominator) return false;
+        return this.inRange(numerator / denominator, condition);
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  checkFeature(condition, context) {
+    const args = condition.args || [];
+    const key = `${condition.name}(${args.join(',')})`;
+    if (!context.featureCache.has(key)) {
+      context.featureCache.set(key, !!this.features[condition.name](context.keypoints, ...args));
+    }
+    return context.featureCache.get(key);
+  }
+
+  inRange(value, { min, max }) {
+    if (min !== undefined && !(value > min)) return false;
+    if (max !== undefined && !(value < max)) return false;
+    return true;
+  }
+
+  /**
+   * @returns {string|null} - Why the rule is invalid, or null if it is valid
+   */
+  validateRule(rule) {
+    if (!rule || !rule.id) return 'missing id';
+
+    const unknownFingers = Object.keys(rule.fingers || {}).filter(f => !FINGERS.includes(f));
+    if (unknownFingers.length > 0) return `unknown finger ${unknownFingers.join(', ')}`;
+
+    for (const condition of rule.conditions || []) {
+      const error = this.validateCondition(condition);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  validateCondition(condition) {
+    if (!condition || typeof condition !== 'object') return 'empty condition';
+
+    const nested = condition.all || condition.any || condition.count;
+    if (nested) {
+      if (!Array.isArray(nested)) return 'all/any/count need an array';
+      for (const child of nested) {
+        const error = this.validateCondition(child);
+        if (error) return error;
+      }
+      return null;
+    }
+    if (condition.not) return this.validateCondition(condition.not);
+
+    if (!CONDITION_TYPES.includes(condition.type)) return `unknown condition type ${condition.type}`;
+    if (condition.type === 'feature' && typeof this.features[condition.name] !== 'function') {
+      return `unknown feature ${condition.name}`;
+    }
+    if (condition.reduce && !REDUCERS[condition.reduce]) return `unknown reducer ${condition.reduce}`;
+    if (condition.type === 'direction' && !Array.isArray(condition.ranges)) return 'direction needs ranges';
+    return null;
+  }
+
+  distance(a, b) {
+    if (!a || !b) return 0;
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+  }
+}
+
+export default HandshapeRuleEngine;
@@ -0,0 +1,187 @@
+// Hybrid Fusion
+// Combines the CNN-LSTM letter prediction with the angle-based handshape rules
+// and keeps per-letter statistics of which path the fused decision followed
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.fusion');
+
+// How the two classifiers are combined
+//   max             - the single most confident path wins
+//   weighted        - per-letter weighted sum of both confidences
+//   rules-tiebreak  - ML decides, the rules settle low-confidence or close ML calls
+export const FUSION_STRATEGIES = ['max', 'weighted', 'rules-tiebreak'];
+
+class HybridFusion {
+  constructor(options = {}) {
+    this.strategy = 'weighted';
+    this.mlWeight = 0.6; // Weighted strategy: ML share, the rules get the rest
+    this.mlThreshold = 0.5; // ML predictions below this are not trusted on their own
+    this.ruleConfidence = 0.75; // Confidence of a full rule match (rules have no probabilities)
+    this.tieMargin = 0.15; // ML top-2 closer than this counts as a tie
+    this.minFusedScore = 0.4; // Weighted strategy: below this the letter is 'unknown'
+    this.configure(options);
+
+    this.resetStats();
+  }
+
+  /**
+   * Change the strategy and/or its parameters
+   * @param {Object} options - { strategy, mlWeight, mlThreshold, ruleConfidence, tieMargin, minFusedScore }
+   */
+  configure(options = {}) {
+    const { strategy, ...params } = options;
+    if (strategy !== undefined) {
+      if (!FUSION_STRATEGIES.includes(strategy)) {
+        log.warn(`⚠️ Unknown fusion strategy "${strategy}" - keeping "${this.strategy}"`);
+      } else {
+        this.strategy = strategy;
+      }
+    }
+
+    ['mlWeight', 'mlThreshold', 'ruleConfidence', 'tieMargin', 'minFusedScore'].forEach(key => {
+      if (typeof params[key] === 'number') this[key] = params[key];
+    });
+  }
+
+  /**
+   * Fuse one frame's predictions
+   * @param {Object} mlResult - aslMLModel.predict result { letter, confidence, topPredictions }
+   * @param {Object} ruleResult - HandshapeRuleEngine.evaluate result { label, ruleId, candidates }
+   * @returns {Object} - { label, confidence, source: 'ml'|'rules'|'both'|'none', mlLabel, ruleLabel, strategy }
+   */
+  fuse(mlResult, ruleResult) {
+    const mlScores = new Map((mlResult?.topPredictions || []).map(p => [p.letter, p.confidence]));
+    const ruleScores = new Map((ruleResult?.candidates || []).map(c => [c.label, c.score * this.ruleConfidence]));
+
+    const mlTop = mlResult?.topPredictions?.[0] || null;
+    const mlLabel = mlTop ? mlTop.letter : null;
+    const ruleLabel = ruleResult && ruleResult.label !== 'unknown' ? ruleResult.label : null;
+
+    let decision;
+    if (this.strategy === 'max') {
+      decision = this.fuseMax(mlTop, ruleLabel);
+    } else if (this.strategy === 'rules-tiebreak') {
+      decision = this.fuseRulesTiebreak(mlResult?.topPredictions || [], ruleLabel);
+    } else {
+      decision = this.fuseWeighted(mlScores, ruleScores);
+    }
+
+    const fused = {
+      ...decision,
+      source: this.getSource(decision.label, mlLabel, ruleLabel),
+      mlLabel,
+      ruleLabel,
+      strategy: this.strategy
+    };
+
+    this.recordStats(fused);
+    return fused;
+  }
+
+  /**
+   * Every letter's combined score of one frame, for consumers that want more than the
+   * winner (the sentence builder's autocorrect). Weighted like the 'weighted' strategy;
+   * without an ML prediction the rule scores are used alone.
+   * @param {Object|null} mlResult - aslMLModel.predict result
+   * @param {Object|null} ruleResult - HandshapeRuleEngine.evaluate result
+   * @returns {Map} - label → score
+   */
+  getLetterScores(mlResult, ruleResult) {
+    const mlScores = new Map((mlResult?.topPredictions || []).map(p => [p.letter, p.confidence]));
+    const ruleScores = new Map((ruleResult?.candidates || []).map(c => [c.label, c.score * this.ruleConfidence]));
+    if (mlScores.size === 0) return ruleScores;
+
+    const ruleWeight = ruleScores.size > 0 ? 1 - this.mlWeight : 0;
+    const mlWeight = 1 - ruleWeight;
+    const scores = new Map();
+    new Set([...mlScores.keys(), ...ruleScores.keys()]).forEach(label => {
+      scores.set(label, mlWeight * (mlScores.get(label) || 0) + ruleWeight * (ruleScores.get(label) || 0));
+    });
+    return scores;
+  }
+
+  fuseMax(mlTop, ruleLabel) {
+    const mlConfidence = mlTop && mlTop.confidence >= this.mlThreshold ? mlTop.confidence : 0;
+    const ruleConfidence = ruleLabel ? this.ruleConfidence : 0;
+
+    if (mlConfidence === 0 && ruleConfidence === 0) return { label: 'unknown', confidence: 0 };
+    return mlConfidence > ruleConfidence
+      ? { label: mlTop.letter, confidence: mlConfidence }
+      : { label: ruleLabel, confidence: ruleConfidence };
+  }
+
+  fuseWeighted(mlScores, ruleScores) {
+    const ruleWeight = 1 - this.mlWeight;
+    let best = { label: 'unknown', confidence: 0 };
+
+    new Set([...mlScores.keys(), ...ruleScores.keys()]).forEach(label => {
+      const score = this.mlWeight * (mlScores.get(label) || 0) + ruleWeight * (ruleScores.get(label) || 0);
+      if (score > best.confidence) best = { label, confidence: score };
+    });
+
+    return best.confidence >= this.minFusedScore ? best : { label: 'unknown', confidence: best.confidence };
+  }
+
+  fuseRulesTiebreak(topPredictions, ruleLabel) {
+    const [first, second] = topPredictions;
+    const mlConfident = first && first.confidence >= this.mlThreshold;
+    const mlClear = mlConfident && (!second || first.confidence - second.confidence >= this.tieMargin);
+
+    if (mlClear) return { label: first.letter, confidence: first.confidence };
+    if (ruleLabel) return { label: ruleLabel, confidence: this.ruleConfidence };
+    if (mlConfident) return { label: first.letter, confidence: first.confidence };
+    return { label: 'unknown', confidence: first ? first.confidence : 0 };
+  }
+
+  getSource(label, mlLabel, ruleLabel) {
+    if (label === 'unknown') return 'none';
+    if (label === mlLabel && label === ruleLabel) return 'both';
+    return label === mlLabel ? 'ml' : 'rules';
+  }
+
+  /**
+   * Count agreement per fused letter
+   */
+  recordStats(fused) {
+    if (fused.label === 'unknown') {
+      this.totals.unknown++;
+      return;
+    }
+
+    if (!this.letterStats.has(fused.label)) {
+      this.letterStats.set(fused.label, { frames: 0, agreed: 0, mlWins: 0, rulesWins: 0 });
+    }
+
+    const entries = [this.letterStats.get(fused.label), this.totals];
+    entries.forEach(stats => {
+      stats.frames++;
+      if (fused.source === 'both') stats.agreed++;
+      if (fused.source === 'ml') stats.mlWins++;
+      if (fused.source === 'rules') stats.rulesWins++;
+    });
+  }
+
+  /**
+   * @returns {Object} - { strategy, totals, letters: { A: { frames, agreed, mlWins, rulesWins, agreementRate } } }
+   */
+  getStats() {
+    const withRate = (stats) => ({
+      ...stats,
+      agreementRate: stats.frames > 0 ? stats.agreed / stats.frames : 0
+    });
+
+    const letters = {};
+    Array.from(this.letterStats.keys()).sort().forEach(letter => {
+      letters[letter] = withRate(this.letterStats.get(letter));
+    });
+
+    return { strategy: this.strategy, totals: withRate(this.totals), letters };
+  }
+
+  resetStats() {
+    this.letterStats = new Map();
+    this.totals = { frames: 0, agreed: 0, mlWins: 0, rulesWins: 0, unknown: 0 };
+  }
+}
+
+export default HybridFusion;
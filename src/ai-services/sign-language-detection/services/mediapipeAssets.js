@@ -0,0 +1,115 @@
+// MediaPipe Hands asset location and integrity check
+// Assets are self-hosted (see scripts/copy-mediapipe-assets.js) so detection works offline.
+//
+// Environment:
+//   VITE_MEDIAPIPE_HANDS_PATH      where the hands files are served (default /mediapipe/hands)
+//   VITE_MEDIAPIPE_VERIFY=false    skip the SHA-256 check against manifest.json
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.assets');
+
+export const MEDIAPIPE_HANDS_PATH = (import.meta.env.VITE_MEDIAPIPE_HANDS_PATH || '/mediapipe/hands').replace(/\/$/, '');
+const VERIFY_INTEGRITY = import.meta.env.VITE_MEDIAPIPE_VERIFY !== 'false';
+
+let manifestPromise = null;
+let verificationPromise = null;
+let remoteModelsReported = false;
+
+/**
+ * Load manifest.json from the asset directory (once)
+ * @returns {Promise<Object|null>} - null when the assets were never prepared
+ */
+export function loadAssetManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(`${MEDIAPIPE_HANDS_PATH}/manifest.json`)
+      .then(response => (response.ok ? response.json() : null))
+      .catch(() => null);
+  }
+  return manifestPromise;
+}
+
+/**
+ * Detector options for the local assets
+ * @param {string} modelType - 'full' or 'lite'
+ * @param {string} runtime - 'mediapipe' or 'tfjs' (only the tfjs runtime needs the tfjs models)
+ * @returns {Promise<Object>} - { solutionPath, detectorModelUrl?, landmarkModelUrl? }
+ */
+export async function getHandModelConfig(modelType = 'full', runtime = 'mediapipe') {
+  const manifest = await loadAssetManifest();
+  if (!manifest) {
+    log.warn(`⚠️ No MediaPipe asset manifest at ${MEDIAPIPE_HANDS_PATH} - run "npm run mediapipe:assets"`);
+  }
+
+  const config = { solutionPath: MEDIAPIPE_HANDS_PATH };
+
+  // Without local tfjs models the tfjs runtime falls back to tfhub.dev
+  // (manifests from before the lite models were added only have the full pair)
+  const suffix = modelType === 'lite' ? '-lite' : '';
+  const detector = manifest?.tfjs?.[`detector${suffix}`];
+  const landmark = manifest?.tfjs?.[`landmark${suffix}`];
+  if (detector && landmark) {
+    config.detectorModelUrl = `${MEDIAPIPE_HANDS_PATH}/${detector}`;
+    config.landmarkModelUrl = `${MEDIAPIPE_HANDS_PATH}/${landmark}`;
+  } else if (runtime === 'tfjs' && manifest && !remoteModelsReported) {
+    // The deployment isn't offline-capable - say so once, with the reason the build recorded
+    remoteModelsReported = true;
+    log.warn(`⚠️ tfjs hand models are not bundled${manifest.tfjsError ? ` (${manifest.tfjsError})` : ''} - ` +
+      'loading them from tfhub.dev, detection needs internet access');
+  }
+
+  return config;
+}
+
+/**
+ * Check every file listed in manifest.json against its SHA-256 hash - once per session,
+ * the detector initializes for every call, calibration and collector page
+ * @returns {Promise<Object>} - { verified, checked, reason }
+ * @throws {Error} - When a file is missing or does not match, so a broken deployment fails loudly
+ */
+export function verifyMediaPipeAssets() {
+  if (!verificationPromise) {
+    verificationPromise = checkAssets().catch(error => {
+      verificationPromise = null; // Check again after a fixed deployment
+      throw error;
+    });
+  }
+  return verificationPromise;
+}
+
+async function checkAssets() {
+  if (!VERIFY_INTEGRITY) {
+    return { verified: false, checked: 0, reason: 'disabled by VITE_MEDIAPIPE_VERIFY' };
+  }
+
+  const manifest = await loadAssetManifest();
+  if (!manifest) {
+    return { verified: false, checked: 0, reason: 'no manifest' };
+  }
+
+  // crypto.subtle only exists in secure contexts (https or localhost)
+  if (!globalThis.crypto?.subtle) {
+    log.warn('⚠️ MediaPipe integrity check skipped: crypto.subtle needs https or localhost');
+    return { verified: false, checked: 0, reason: 'crypto.subtle unavailable' };
+  }
+
+  log.debug(`🔐 Verifying ${Object.keys(manifest.files).length} MediaPipe asset files...`);
+
+  for (const [file, expected] of Object.entries(manifest.files)) {
+    const response = await fetch(`${MEDIAPIPE_HANDS_PATH}/${file}`);
+    if (!response.ok) {
+      throw new Error(`MediaPipe asset missing: ${file} (${response.status})`);
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+    const actual = Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+
+    if (actual !== expected.sha256) {
+      throw new Error(`MediaPipe asset failed integrity check: ${file}`);
+    }
+  }
+
+  log.info(`✅ MediaPipe assets verified (@mediapipe/hands ${manifest.version})`);
+  return { verified: true, checked: Object.keys(manifest.files).length, reason: null };
+}
@@ -0,0 +1,374 @@
+// Model Downloader
+// Versioned model loading from a registry manifest, with checksum verification,
+// download progress, IndexedDB caching and rollback to the previously active version.
+//
+// /models/registry.json (generate it with "npm run models:registry"):
+// {
+//   "models": {
+//     "asl-cnn-lstm": {
+//       "active": "1.1.0",
+//       "versions": {
+//         "1.1.0": {
+//           "model": "asl-cnn-lstm/1.1.0/model.json",     // relative to the registry
+//           "labels": "asl-cnn-lstm/1.1.0/letters.json",  // JSON array of class names
+//           "inputShape": [null, 21, 3],
+//           "files": { "model.json": { "size": 1234, "sha256": "..." }, ... }  // next to model.json
+//         }
+//       }
+//     }
+//   }
+// }
+import * as tf from '@tensorflow/tfjs';
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('ml.registry');
+
+const DB_NAME = 'signlink-models';
+const STATE_STORE = 'state';
+
+/**
+ * Open the small IndexedDB store that remembers the active version of each model.
+ * IndexedDB (unlike localStorage) is also available in the detection worker.
+ */
+const openStateDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STATE_STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const sha256Hex = async (buffer) => {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+class ModelDownloader {
+  constructor() {
+    this.registryUrl = '/models/registry.json';
+    this.registry = null;
+    this.keepVersions = 3; // Cached versions kept per model for rollback
+  }
+
+  /**
+   * Fetch the registry manifest (once)
+   * @returns {Promise<Object|null>} - null when the server has no registry
+   */
+  async loadRegistry() {
+    if (this.registry) return this.registry;
+
+    try {
+      const response = await fetch(this.registryUrl);
+      if (!response.ok) return null;
+      this.registry = await response.json();
+      return this.registry;
+    } catch (error) {
+      // Offline - cached versions can still be loaded
+      log.warn('⚠️ Model registry not reachable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} name - Model name, e.g. 'asl-cnn-lstm'
+   * @returns {Promise<Array>} - Version strings listed in the registry
+   */
+  async getVersions(name) {
+    const registry = await this.loadRegistry();
+    return Object.keys(registry?.models?.[name]?.versions || {});
+  }
+
+  /**
+   * Load a model version - from the IndexedDB cache when possible, otherwise downloaded
+   * and verified - and make it the active version
+   * @param {string} name - Model name
+   * @param {Object} options - { version, onProgress({ file, loaded, total }) }
+   * @returns {Promise<Object|null>} - { model, version, labels, inputShape, source: 'cache'|'network' },
+   *                                   null when the model isn't in the registry or the cache
+   */
+  async loadModel(name, { version = null, onProgress = null } = {}) {
+    const registry = await this.loadRegistry();
+    const entry = registry?.models?.[name];
+    const state = await this.readState(name);
+
+    const target = version || this.pickVersion(entry, state);
+    if (!target) return null;
+
+    let loaded;
+    if (await this.isCached(name, target)) {
+      loaded = {
+        model: await this.loadFromCache(name, target),
+        labels: state.labels[target] || null,
+        inputShape: state.inputShapes[target] || null,
+        source: 'cache'
+      };
+    } else {
+      const info = entry?.versions?.[target];
+      if (!info) {
+        log.warn(`⚠️ Model ${name}@${target} is not in the registry`);
+        return null;
+      }
+      loaded = { ...(await this.download(name, target, info, onProgress)), source: 'network' };
+      state.labels[target] = loaded.labels;
+      state.inputShapes[target] = loaded.inputShape;
+    }
+
+    if (version) state.pinned = true;
+    await this.activate(name, target, state);
+
+    log.info(`✅ Model ${name}@${target} loaded from ${loaded.source}`);
+    return { ...loaded, version: target };
+  }
+
+  /**
+   * Devices follow the registry's active version unless a version was chosen
+   * explicitly (or rolled back to); offline they keep what they last used
+   */
+  pickVersion(entry, state) {
+    return state.pinned ? state.active : entry?.active || state.active;
+  }
+
+  /**
+   * Version loadModel would load when no version is asked for
+   * @param {string} name - Model name
+   * @returns {Promise<string|null>}
+   */
+  async resolveVersion(name) {
+    const registry = await this.loadRegistry();
+    return this.pickVersion(registry?.models?.[name], await this.readState(name));
+  }
+
+  /**
+   * @returns {Promise<Array|null>} - Class names of a version this device has loaded before
+   */
+  async getLabels(name, version) {
+    return (await this.readState(name)).labels[version] || null;
+  }
+
+  /**
+   * Download model.json, its weight shards and the label file, verify checksums,
+   * and store the model in IndexedDB
+   */
+  async download(name, version, info, onProgress) {
+    const baseUrl = new URL(info.model, new URL(this.registryUrl, self.location.origin)).href;
+    const modelDir = baseUrl.slice(0, baseUrl.lastIndexOf('/') + 1);
+    const files = info.files || {};
+    const total = Object.values(files).reduce((sum, file) => sum + (file.size || 0), 0);
+    let loaded = 0;
+
+    const fetchFile = async (file) => {
+      const response = await fetch(modelDir + file);
+      if (!response.ok) throw new Error(`${name}@${version}: ${file} not found (${response.status})`);
+
+      // Stream the body so progress moves during large shards
+      const reader = response.body.getReader();
+      const chunks = [];
+      let size = 0;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        size += value.length;
+        loaded += value.length;
+        if (onProgress) onProgress({ file, loaded, total });
+      }
+      const buffer = new Uint8Array(size);
+      let offset = 0;
+      chunks.forEach(chunk => {
+        buffer.set(chunk, offset);
+        offset += chunk.length;
+      });
+
+      const expected = files[file]?.sha256;
+      if (!expected) {
+        log.warn(`⚠️ ${name}@${version}: no checksum for ${file}`);
+      } else if (await sha256Hex(buffer.buffer) !== expected) {
+        throw new Error(`${name}@${version}: ${file} failed checksum verification`);
+      }
+      return buffer.buffer;
+    };
+
+    log.info(`📥 Downloading model ${name}@${version}...`);
+    const modelJson = JSON.parse(new TextDecoder().decode(await fetchFile(info.model.split('/').pop())));
+
+    // Weight shards in manifest order make up one weight buffer
+    const weightSpecs = [];
+    const shards = [];
+    for (const group of modelJson.weightsManifest || []) {
+      weightSpecs.push(...group.weights);
+      for (const path of group.paths) {
+        shards.push(new Uint8Array(await fetchFile(path)));
+      }
+    }
+    const weightData = new Uint8Array(shards.reduce((sum, shard) => sum + shard.length, 0));
+    let offset = 0;
+    shards.forEach(shard => {
+      weightData.set(shard, offset);
+      offset += shard.length;
+    });
+
+    let labels = null;
+    if (info.labels) {
+      labels = JSON.parse(new TextDecoder().decode(await fetchFile(info.labels.split('/').pop())));
+    }
+
+    const handler = tf.io.fromMemory({
+      modelTopology: modelJson.modelTopology,
+      weightSpecs,
+      weightData: weightData.buffer,
+      format: modelJson.format,
+      generatedBy: modelJson.generatedBy,
+      convertedBy: modelJson.convertedBy,
+      signature: modelJson.signature,
+      userDefinedMetadata: modelJson.userDefinedMetadata
+    });
+    const model = modelJson.format === 'graph-model'
+      ? await tf.loadGraphModel(handler)
+      : await tf.loadLayersModel(handler);
+
+    try {
+      await model.save(this.getCacheKey(name, version));
+    } catch (error) {
+      log.warn(`⚠️ Could not cache ${name}@${version} in IndexedDB:`, error.message);
+    }
+
+    return { model, labels, inputShape: info.inputShape || null };
+  }
+
+  async loadFromCache(name, version) {
+    const key = this.getCacheKey(name, version);
+    try {
+      return await tf.loadLayersModel(key);
+    } catch (layersError) {
+      return tf.loadGraphModel(key);
+    }
+  }
+
+  /**
+   * Switch back to the version that was active before the current one
+   * @param {string} name - Model name
+   * @returns {Promise<Object|null>} - Same as loadModel, or null if there is nothing to roll back to
+   */
+  async rollback(name) {
+    const state = await this.readState(name);
+    const previous = state.history.pop();
+    if (!previous) {
+      log.warn(`⚠️ No previous version of ${name} to roll back to`);
+      return null;
+    }
+
+    // The version being rolled back from must not become a rollback target itself
+    const current = state.active;
+    state.active = null;
+    await this.writeState(name, state);
+
+    const result = await this.loadModel(name, { version: previous });
+    if (!result) {
+      state.active = current;
+      state.history.push(previous);
+      await this.writeState(name, state);
+      return null;
+    }
+
+    // A version that was rolled back from is not kept around
+    try {
+      await tf.io.removeModel(this.getCacheKey(name, current));
+    } catch (error) {
+      // Was never cached
+    }
+
+    log.info(`↩️ Rolled back ${name} from ${current} to ${previous}`);
+    return result;
+  }
+
+  /**
+   * Stop pinning a chosen version - the next load uses the registry's active version again
+   */
+  async followRegistry(name) {
+    const state = await this.readState(name);
+    state.pinned = false;
+    await this.writeState(name, state);
+  }
+
+  /**
+   * Record the active version, remember the one it replaced and drop old cached versions
+   */
+  async activate(name, version, state) {
+    if (state.active && state.active !== version) {
+      state.history = state.history.filter(v => v !== state.active && v !== version);
+      state.history.push(state.active);
+    }
+    state.active = version;
+
+    // Active + the newest (keepVersions - 1) rollback targets stay cached
+    while (state.history.length > this.keepVersions - 1) {
+      const dropped = state.history.shift();
+      delete state.labels[dropped];
+      delete state.inputShapes[dropped];
+      try {
+        await tf.io.removeModel(this.getCacheKey(name, dropped));
+      } catch (error) {
+        // Was never cached
+      }
+    }
+
+    await this.writeState(name, state);
+  }
+
+  /**
+   * @returns {Promise<string|null>} - Active version of a model on this device
+   */
+  async getActiveVersion(name) {
+    return (await this.readState(name)).active;
+  }
+
+  async isCached(name, version) {
+    try {
+      const models = await tf.io.listModels();
+      return !!models[this.getCacheKey(name, version)];
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getCacheKey(name, version) {
+    return `indexeddb://signlink-${name}@${version}`;
+  }
+
+  /**
+   * @returns {Promise<Object>} - { active, pinned, history, labels: { version: [...] }, inputShapes: { version: [...] } }
+   */
+  async readState(name) {
+    const empty = { active: null, pinned: false, history: [], labels: {}, inputShapes: {} };
+    try {
+      const db = await openStateDb();
+      const state = await new Promise((resolve, reject) => {
+        const request = db.transaction(STATE_STORE).objectStore(STATE_STORE).get(name);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      db.close();
+      return { ...empty, ...state };
+    } catch (error) {
+      return empty;
+    }
+  }
+
+  async writeState(name, state) {
+    try {
+      const db = await openStateDb();
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STATE_STORE, 'readwrite');
+        transaction.objectStore(STATE_STORE).put(state, name);
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+      });
+      db.close();
+    } catch (error) {
+      log.warn(`⚠️ Could not save model state for ${name}:`, error.message);
+    }
+  }
+}
+
+export default new ModelDownloader();
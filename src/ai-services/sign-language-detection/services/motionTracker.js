@@ -0,0 +1,403 @@
+// Motion Tracker for dynamic ASL letters (J and Z) and word-sign motion
+// Keeps a short time window of fingertip and hand paths on top of the static classifier
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.motion');
+
+// MediaPipe keypoint indices used for tracking
+const WRIST = 0;
+const THUMB_TIP = 4;
+const INDEX_TIP = 8;
+const MIDDLE_MCP = 9;
+const MIDDLE_TIP = 12;
+const RING_TIP = 16;
+const PINKY_TIP = 20;
+
+// Static handshape each motion letter is drawn with - it starts and ends the stroke
+export const MOTION_LETTER_SHAPES = { J: 'I', Z: 'D' };
+
+class MotionTracker {
+  constructor() {
+    this.frames = [];
+    this.windowMs = 2000; // Keep 2 seconds of fingertip history
+    this.minFrames = 3; // Need at least start, turn and end of a stroke
+    this.cooldownMs = 1000; // Ignore new motion letters right after one was recognised
+    this.lastMotionTimestamp = 0;
+
+    // All distances below are in "hand units" (wrist → middle knuckle length)
+    // so they work regardless of camera distance
+    this.jitterThreshold = 0.08; // Movement smaller than this is treated as a still hand
+    this.motionSpanMs = 100; // isInMotion looks this far back, whatever the frame rate
+    this.minJDrop = 0.35; // Pinky must travel down at least this far
+    this.minJHook = 0.25; // ...then curve sideways at least this far
+    this.minZStroke = 0.35; // Each horizontal stroke of the Z
+    this.minZDiagonalDrop = 0.25; // The diagonal stroke must also travel down
+    this.minHandTravel = 0.5; // Whole-hand movement for directional word motions
+    this.minCircleTurn = 300; // Degrees of accumulated turning for a circle
+    this.minCircleSize = 0.5; // ...around a path at least this wide and tall
+    this.minNodSwing = 0.35; // Each up or down leg of a nod travels at least this far
+    this.minRepeatedMotionMs = 400; // Nods and circles take this long - re-positioning between letters is quicker
+    this.minForwardGrowth = 1.2; // Hand grows 20% when it moves toward the camera
+    this.minPinchClose = 0.4; // Thumb-index gap must close by this much for a pinch
+    this.pinchWindowMs = 600; // A pinch or snap closes this fast - slower closing is a letter change
+    this.pinchOpenGap = 0.6; // Fingertip → thumb tip gap at the start of the window (open)
+    this.pinchClosedGap = 0.3; // ...and at its end (touching)
+    this.minPushGrowth = 1.35; // A push grows the hand 35% - much more than a drift toward the camera
+    this.pushWindowMs = 800; // ...within this long
+    this.pushHoldMs = 250; // ...and is then held still
+    this.holdSizeTolerance = 0.06; // Size change still counted as holding
+  }
+
+  /**
+   * Add a frame to the trajectory window
+   * @param {Array} keypoints - 21 image-space keypoints {x, y}
+   * @param {Object} fingers - Finger states {thumb, index, middle, ring, pinky}
+   * @param {number} timestamp - Frame time in ms
+   */
+  addFrame(keypoints, fingers, timestamp = Date.now()) {
+    if (!keypoints || keypoints.length < 21 || !fingers) return;
+
+    const handSize = this.distance(keypoints[WRIST], keypoints[MIDDLE_MCP]);
+    if (!handSize) return;
+
+    this.frames.push({
+      timestamp,
+      fingers,
+      handSize,
+      indexTip: { x: keypoints[INDEX_TIP].x, y: keypoints[INDEX_TIP].y },
+      pinkyTip: { x: keypoints[PINKY_TIP].x, y: keypoints[PINKY_TIP].y },
+      center: this.getCenter(keypoints),
+      // Fingertip → thumb tip gaps
+      pinch: this.distance(keypoints[THUMB_TIP], keypoints[INDEX_TIP]) / handSize,
+      middlePinch: this.distance(keypoints[THUMB_TIP], keypoints[MIDDLE_TIP]) / handSize,
+      ringPinch: this.distance(keypoints[THUMB_TIP], keypoints[RING_TIP]) / handSize
+    });
+
+    // Drop frames that fell out of the time window
+    while (this.frames.length > 0 && timestamp - this.frames[0].timestamp > this.windowMs) {
+      this.frames.shift();
+    }
+  }
+
+  /**
+   * Check the current window for a J or Z stroke
+   * @returns {string|null} - 'J', 'Z' or null when no motion letter was completed
+   */
+  detectMotionLetter() {
+    if (this.frames.length < this.minFrames) return null;
+
+    const now = this.frames[this.frames.length - 1].timestamp;
+    if (now - this.lastMotionTimestamp < this.cooldownMs) return null;
+
+    let letter = null;
+    if (this.isJStroke()) {
+      letter = 'J';
+    } else if (this.isZStroke()) {
+      letter = 'Z';
+    }
+
+    if (letter) {
+      log.info(`✍️ Motion letter recognised: ${letter}`);
+      this.markRecognized(now);
+    }
+
+    return letter;
+  }
+
+  /**
+   * Start the cooldown and clear the window after a dynamic gesture was recognised,
+   * so the same stroke is not reported twice
+   * @param {number} timestamp - Time of recognition in ms
+   */
+  markRecognized(timestamp = Date.now()) {
+    this.lastMotionTimestamp = timestamp;
+    this.frames = [];
+  }
+
+  /**
+   * Describe how the whole hand moved over the current window
+   * @returns {Array} - Motion labels: 'still', 'wave', 'nod', 'circle', 'forward',
+   *                    'up', 'down', 'sideways', 'pinch', 'snap', 'push' (empty while too few frames)
+   */
+  getMotionFeatures() {
+    if (this.frames.length < this.minFrames) return [];
+
+    const now = this.frames[this.frames.length - 1].timestamp;
+    if (now - this.lastMotionTimestamp < this.cooldownMs) return [];
+
+    const path = this.normalizePath(this.frames, 'center');
+    const first = this.frames[0];
+    const last = this.frames[this.frames.length - 1];
+    const end = path[path.length - 1];
+    const labels = [];
+
+    // Significant steps only - jitter would otherwise add fake reversals
+    const steps = this.getSteps(path);
+
+    const growth = last.handSize / first.handSize;
+    if (steps.length === 0 && Math.abs(last.pinch - first.pinch) < this.minPinchClose &&
+        growth < this.minForwardGrowth) {
+      return ['still'];
+    }
+
+    const horizontalReversals = this.countReversals(steps.map(s => s.dx));
+    // Nods and circles are repeated, sizeable movements - the small shifts between fist
+    // letters (A, S, E, M, N, T) reverse direction too, but briefly and by little
+    const movingMs = steps.length > 1
+      ? this.frames[steps[steps.length - 1].to].timestamp - this.frames[steps[0].from].timestamp
+      : 0;
+    const repeated = movingMs >= this.minRepeatedMotionMs;
+    const verticalReversals = this.countReversals(this.getSwings(steps.map(s => s.dy), this.minNodSwing));
+    if (horizontalReversals >= 2) labels.push('wave');
+    if (repeated && verticalReversals >= 2) labels.push('nod');
+
+    // Accumulated turning angle between consecutive steps
+    let turn = 0;
+    for (let i = 1; i < steps.length; i++) {
+      let delta = Math.atan2(steps[i].dy, steps[i].dx) - Math.atan2(steps[i - 1].dy, steps[i - 1].dx);
+      while (delta > Math.PI) delta -= 2 * Math.PI;
+      while (delta < -Math.PI) delta += 2 * Math.PI;
+      turn += delta;
+    }
+    const width = Math.max(...path.map(p => p.x)) - Math.min(...path.map(p => p.x));
+    const height = Math.max(...path.map(p => p.y)) - Math.min(...path.map(p => p.y));
+    if (repeated && Math.abs(turn * 180 / Math.PI) >= this.minCircleTurn &&
+        Math.min(width, height) >= this.minCircleSize) {
+      labels.push('circle');
+    }
+
+    if (growth >= this.minForwardGrowth) labels.push('forward');
+    if (this.isPush()) labels.push('push');
+
+    if (Math.abs(end.x) >= this.minHandTravel && Math.abs(end.x) > Math.abs(end.y)) labels.push('sideways');
+    if (end.y >= this.minHandTravel && end.y > Math.abs(end.x)) labels.push('down');
+    if (-end.y >= this.minHandTravel && -end.y > Math.abs(end.x)) labels.push('up');
+
+    // Pinch - index closes onto the thumb; snap - index and middle together, ring and pinky
+    // folded throughout (NO). Only within a short window that starts open, so letter
+    // changes like L → A or G → A over the 2 s window don't count
+    const recent = this.frames.filter(frame => now - frame.timestamp <= this.pinchWindowMs);
+    if (this.isClosing(recent, ['pinch'])) labels.push('pinch');
+    const snapShape = recent[0].fingers.index && recent[0].fingers.middle &&
+      recent.every(frame => !frame.fingers.ring && !frame.fingers.pinky);
+    if (snapShape && this.isClosing(recent, ['pinch', 'middlePinch']) && last.ringPinch > this.pinchClosedGap) {
+      labels.push('snap');
+    }
+
+    return labels;
+  }
+
+  /**
+   * Whether fingertips went from open to touching the thumb over the frames
+   * @param {Array} frames - Frames of the pinch window, oldest first
+   * @param {Array} gaps - Frame gap fields that must all close ('pinch', 'middlePinch')
+   */
+  isClosing(frames, gaps) {
+    if (frames.length < 2) return false;
+    const start = frames[0];
+    const end = frames[frames.length - 1];
+    return gaps.every(gap =>
+      start[gap] >= this.pinchOpenGap &&
+      end[gap] <= this.pinchClosedGap &&
+      start[gap] - end[gap] >= this.minPinchClose
+    );
+  }
+
+  /**
+   * Push - the hand grew by minPushGrowth within pushWindowMs and has kept its size
+   * for pushHoldMs since (ACCEPT-SUGGESTION's thumbs-up toward the camera)
+   */
+  isPush() {
+    const last = this.frames[this.frames.length - 1];
+    let holdStart = this.frames.length - 1;
+    while (holdStart > 0 &&
+        Math.abs(this.frames[holdStart - 1].handSize / last.handSize - 1) <= this.holdSizeTolerance) {
+      holdStart--;
+    }
+
+    const hold = this.frames[holdStart];
+    if (last.timestamp - hold.timestamp < this.pushHoldMs) return false;
+
+    const before = this.frames.slice(0, holdStart).filter(frame => hold.timestamp - frame.timestamp <= this.pushWindowMs);
+    if (before.length === 0) return false;
+    return last.handSize / Math.min(...before.map(frame => frame.handSize)) >= this.minPushGrowth;
+  }
+
+  /**
+   * Count direction reversals in a sequence of signed step sizes
+   */
+  countReversals(values) {
+    let reversals = 0;
+    let lastSign = 0;
+    values.forEach(value => {
+      const sign = Math.sign(value);
+      if (sign === 0) return;
+      if (lastSign !== 0 && sign !== lastSign) reversals++;
+      lastSign = sign;
+    });
+    return reversals;
+  }
+
+  /**
+   * Join consecutive steps of one direction into legs and keep the legs of at least minSwing
+   * @param {Array} values - Signed step sizes along one axis
+   * @returns {Array} - Signed leg lengths
+   */
+  getSwings(values, minSwing) {
+    const legs = [];
+    values.forEach(value => {
+      if (value === 0) return;
+      const last = legs.length - 1;
+      if (last >= 0 && Math.sign(legs[last]) === Math.sign(value)) legs[last] += value;
+      else legs.push(value);
+    });
+    return legs.filter(leg => Math.abs(leg) >= minSwing);
+  }
+
+  /**
+   * Steps of a path that are at least jitterThreshold long. Slow movement is added up
+   * over frames until it gets there instead of being dropped as jitter - at 30 fps a
+   * normally paced stroke moves less than the threshold from one frame to the next
+   * @param {Array} path - Normalised points {x, y}
+   * @returns {Array} - Steps {dx, dy, from, to} - indices of the path points the step joins
+   */
+  getSteps(path) {
+    const steps = [];
+    let anchor = 0;
+    for (let i = 1; i < path.length; i++) {
+      const dx = path[i].x - path[anchor].x;
+      const dy = path[i].y - path[anchor].y;
+      if (Math.sqrt(dx * dx + dy * dy) < this.jitterThreshold) continue;
+      steps.push({ dx, dy, from: anchor, to: i });
+      anchor = i;
+    }
+    return steps;
+  }
+
+  /**
+   * Whether the tracked fingertip moved noticeably over the last motionSpanMs.
+   * Static letters should not be emitted while a J or Z is being drawn.
+   * @returns {boolean}
+   */
+  isInMotion() {
+    if (this.frames.length < 2) return false;
+
+    const last = this.frames[this.frames.length - 1];
+    let prev = this.frames[this.frames.length - 2];
+    for (let i = this.frames.length - 2; i >= 0 && last.timestamp - prev.timestamp < this.motionSpanMs; i--) {
+      prev = this.frames[i];
+    }
+    const tip = last.fingers.pinky && !last.fingers.index ? 'pinkyTip' : 'indexTip';
+
+    return this.distance(last[tip], prev[tip]) / last.handSize > this.jitterThreshold;
+  }
+
+  /**
+   * J - Pinky extended (I handshape), pinky tip drops down then hooks sideways
+   */
+  isJStroke() {
+    const run = this.getTrailingRun(f => f.pinky && !f.index && !f.middle && !f.ring);
+    if (run.length < this.minFrames) return false;
+
+    const path = this.normalizePath(run, 'pinkyTip');
+    const start = path[0];
+    const end = path[path.length - 1];
+
+    // Lowest point of the stroke (largest y in screen coordinates)
+    let lowestIdx = 0;
+    path.forEach((p, i) => {
+      if (p.y > path[lowestIdx].y) lowestIdx = i;
+    });
+    const lowest = path[lowestIdx];
+
+    // A straight sideways slide is not a J: the pinky has to go down first
+    const drop = lowest.y - start.y;
+    const hook = Math.abs(end.x - start.x);
+    const curvesAtEnd = lowestIdx > 0 && hook >= this.minJHook;
+
+    log.debug(`   J check: drop=${drop.toFixed(2)} hook=${hook.toFixed(2)} lowestIdx=${lowestIdx}/${path.length - 1}`);
+    return drop >= this.minJDrop && curvesAtEnd;
+  }
+
+  /**
+   * Z - Index extended alone, tip draws right → diagonal down-left → right
+   * (or the mirrored pattern, since the video is not flipped)
+   */
+  isZStroke() {
+    const run = this.getTrailingRun(f => f.index && !f.middle && !f.ring && !f.pinky);
+    if (run.length < this.minFrames) return false;
+
+    const segments = this.segmentHorizontalStrokes(this.normalizePath(run, 'indexTip'));
+    if (segments.length < 3) return false;
+
+    const [top, diagonal, bottom] = segments.slice(-3);
+    const alternates = Math.sign(top.dx) === Math.sign(bottom.dx) && Math.sign(top.dx) !== Math.sign(diagonal.dx);
+    const longEnough = [top, diagonal, bottom].every(s => Math.abs(s.dx) >= this.minZStroke);
+    const diagonalDown = diagonal.dy >= this.minZDiagonalDrop;
+
+    log.debug(`   Z check: strokes=${segments.length} alternates=${alternates} longEnough=${longEnough} diagonalDown=${diagonalDown}`);
+    return alternates && longEnough && diagonalDown;
+  }
+
+  /**
+   * Split a path into strokes wherever the horizontal direction reverses
+   * @param {Array} path - Normalised points {x, y}
+   * @returns {Array} - Strokes {dx, dy}
+   */
+  segmentHorizontalStrokes(path) {
+    const segments = [];
+    let current = null;
+
+    this.getSteps(path).forEach(({ dx, dy }) => {
+      if (current && Math.sign(dx) === Math.sign(current.dx)) {
+        current.dx += dx;
+        current.dy += dy;
+      } else {
+        current = { dx, dy };
+        segments.push(current);
+      }
+    });
+
+    return segments;
+  }
+
+  /**
+   * Latest consecutive frames whose finger states satisfy the handshape check
+   */
+  getTrailingRun(matchesShape) {
+    const run = [];
+    for (let i = this.frames.length - 1; i >= 0; i--) {
+      if (!matchesShape(this.frames[i].fingers)) break;
+      run.unshift(this.frames[i]);
+    }
+    return run;
+  }
+
+  /**
+   * Express a fingertip path relative to its first point, in hand units
+   */
+  normalizePath(frames, tip) {
+    const origin = frames[0][tip];
+    return frames.map(frame => ({
+      x: (frame[tip].x - origin.x) / frame.handSize,
+      y: (frame[tip].y - origin.y) / frame.handSize
+    }));
+  }
+
+  getCenter(points) {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+  }
+
+  distance(a, b) {
+    if (!a || !b) return 0;
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+  }
+
+  reset() {
+    this.frames = [];
+    this.lastMotionTimestamp = 0;
+  }
+}
+
+export default MotionTracker;
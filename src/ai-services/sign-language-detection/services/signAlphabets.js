@@ -0,0 +1,47 @@
+// Sign Alphabets
+// Manual alphabets the detector can read. A locale (src/services/locales) picks one;
+// the detector switches with setAlphabet(id).
+//
+//   letterRules         - one-handed handshape rules (rules/*.json)
+//   numberRules         - number mode rules
+//   twoHandedLetters    - classifier for letters signed with both hands, or null
+//   motionLetters       - J and Z are drawn in the air (MotionTracker)
+//   strokeStarts        - letters whose stroke starts from another letter's handshape (J from I) -
+//                         the detector holds that shape back until it has been still for a moment
+//   mlModel             - the letter model in /models was trained on this alphabet
+//   wordSigns           - the word sign vocabulary (vocabulary/commonSigns.js, twoHandedSigns.js)
+//                         belongs to this sign language
+import BSLFingerspellingClassifier from './bslFingerspelling';
+import { MOTION_LETTER_SHAPES } from './motionTracker';
+import aslLetterRules from '../rules/aslLetters.json';
+import aslNumberRules from '../rules/aslNumbers.json';
+import bslLetterRules from '../rules/bslLetters.json';
+import bslNumberRules from '../rules/bslNumbers.json';
+
+export const SIGN_ALPHABETS = {
+  asl: {
+    id: 'asl',
+    name: 'ASL (one-handed)',
+    letterRules: aslLetterRules,
+    numberRules: aslNumberRules,
+    twoHandedLetters: null,
+    motionLetters: true,
+    strokeStarts: MOTION_LETTER_SHAPES,
+    mlModel: true,
+    wordSigns: true
+  },
+  bsl: {
+    id: 'bsl',
+    name: 'BSL (two-handed)',
+    letterRules: bslLetterRules,
+    numberRules: bslNumberRules,
+    twoHandedLetters: BSLFingerspellingClassifier,
+    motionLetters: false,
+    // J is drawn down the palm from the I fingertip
+    strokeStarts: { J: 'I' },
+    mlModel: false,
+    wordSigns: false
+  }
+};
+
+export const DEFAULT_ALPHABET = 'asl';
@@ -0,0 +1,223 @@
+// Sign Detection Worker Client
+// Feeds video frames to the detection worker and hands results back on the main thread
+import logger, { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.worker');
+
+class SignDetectionWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.isInitialized = false;
+    this.videoElement = null;
+    this.onResult = null;
+    this.frameCallbackId = null;
+    this.busy = false; // A frame is in the worker - skip new frames until it answers
+    this.nextFrameId = 0;
+    this.pendingFrameId = null;
+    this.lastFrameTime = 0;
+    this.minFrameInterval = 100; // ms - paced by the adaptive frame scheduler (setFrameInterval)
+    this.stats = { sent: 0, skipped: 0 };
+    this.nextRequestId = 0;
+    this.statsRequests = new Map(); // id → resolve for pending agreement-stats requests
+    this.stopLogForwarding = null;
+  }
+
+  /**
+   * Workers need ImageBitmap transfer and OffscreenCanvas for the webgl backend
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap === 'function';
+  }
+
+  /**
+   * Start the worker and load the hand model inside it
+   * @param {Object} options - Passed to SignLanguageDetector.initialize in the worker
+   * @returns {Promise<boolean>}
+   */
+  async initialize(options = {}) {
+    if (this.isInitialized) return true;
+
+    try {
+      this.worker = new Worker(
+        new URL('../workers/signDetection.worker.js', import.meta.url),
+        { type: 'module' }
+      );
+
+      await new Promise((resolve, reject) => {
+        this.worker.onmessage = ({ data }) => {
+          if (data.type === 'log') logger.record(data.entry);
+          if (data.type === 'ready') resolve();
+          if (data.type === 'error') reject(new Error(data.error));
+        };
+        this.worker.onerror = (event) => reject(new Error(event.message || 'Worker failed to load'));
+        this.worker.postMessage({ type: 'init', options, logSpec: logger.spec });
+      });
+
+      // Diagnostics panel changes apply to the worker's logger too
+      this.stopLogForwarding = logger.onConfigure(spec => {
+        this.worker?.postMessage({ type: 'log-config', spec });
+      });
+
+      this.worker.onmessage = this.handleMessage.bind(this);
+      this.worker.onerror = (event) => log.error('❌ Detection worker error:', event.message);
+      this.isInitialized = true;
+      log.info('🧵 Sign detection running in a Web Worker');
+      return true;
+    } catch (error) {
+      log.error('❌ Detection worker failed to start:', error.message);
+      this.terminate();
+      return false;
+    }
+  }
+
+  /**
+   * Send every new video frame to the worker, skipping frames while it is busy
+   * @param {HTMLVideoElement} videoElement
+   * @param {Function} onResult - Called with the detectGesture result shape
+   */
+  start(videoElement, onResult) {
+    if (!this.isInitialized) {
+      log.warn('⚠️ Detection worker not initialized');
+      return;
+    }
+
+    this.stop();
+    this.videoElement = videoElement;
+    this.onResult = onResult;
+    this.stats = { sent: 0, skipped: 0 };
+    this.scheduleFrame();
+  }
+
+  stop() {
+    if (this.frameCallbackId !== null && this.videoElement) {
+      if (this.videoElement.cancelVideoFrameCallback) {
+        this.videoElement.cancelVideoFrameCallback(this.frameCallbackId);
+      } else {
+        cancelAnimationFrame(this.frameCallbackId);
+      }
+    }
+    this.frameCallbackId = null;
+    this.videoElement = null;
+    this.onResult = null;
+    this.busy = false;
+    this.pendingFrameId = null;
+  }
+
+  /**
+   * requestVideoFrameCallback fires once per decoded frame; browsers without it
+   * fall back to requestAnimationFrame
+   */
+  scheduleFrame() {
+    const video = this.videoElement;
+    if (!video) return;
+
+    const callback = () => this.sendFrame();
+    this.frameCallbackId = video.requestVideoFrameCallback
+      ? video.requestVideoFrameCallback(callback)
+      : requestAnimationFrame(callback);
+  }
+
+  async sendFrame() {
+    const video = this.videoElement;
+    if (!video) return;
+
+    const now = performance.now();
+    const ready = video.readyState >= 2 && video.videoWidth > 0;
+
+    if (!ready || this.busy || now - this.lastFrameTime < this.minFrameInterval) {
+      if (ready && this.busy) this.stats.skipped++;
+      this.scheduleFrame();
+      return;
+    }
+
+    this.busy = true;
+    this.lastFrameTime = now;
+
+    try {
+      const frame = await createImageBitmap(video);
+      // Stopped while the bitmap was being created
+      if (this.videoElement !== video) {
+        frame.close();
+        return;
+      }
+      this.pendingFrameId = this.nextFrameId++;
+      this.worker.postMessage({ type: 'frame', frame, id: this.pendingFrameId }, [frame]);
+      this.stats.sent++;
+    } catch (error) {
+      log.error('❌ Could not capture video frame:', error);
+      this.busy = false;
+    }
+
+    this.scheduleFrame();
+  }
+
+  handleMessage({ data }) {
+    if (data.type === 'log') {
+      logger.record(data.entry);
+      return;
+    }
+
+    if (data.type === 'stats') {
+      this.statsRequests.get(data.id)?.(data.stats);
+      this.statsRequests.delete(data.id);
+      return;
+    }
+
+    // Late answers for frames sent before a stop/start are dropped
+    if (data.type !== 'result' || data.id !== this.pendingFrameId) return;
+
+    this.busy = false;
+    this.pendingFrameId = null;
+    if (this.onResult) this.onResult(data.result);
+  }
+
+  /**
+   * Minimum time between two frames sent to the worker
+   * @param {number} interval - ms
+   */
+  setFrameInterval(interval) {
+    this.minFrameInterval = interval;
+  }
+
+  /**
+   * Forward a configuration call to the detector in the worker
+   * (see CALLABLE_METHODS in signDetection.worker.js)
+   * @param {string} method - Detector method name
+   * @param {...any} args - Structured-cloneable arguments
+   */
+  call(method, ...args) {
+    if (!this.worker) return;
+    this.worker.postMessage({ type: 'call', method, args });
+  }
+
+  /**
+   * Hybrid ML/rules agreement statistics of the detector in the worker
+   * @returns {Promise<Object|null>} - See SignLanguageDetector.getAgreementStats
+   */
+  getAgreementStats() {
+    if (!this.worker) return Promise.resolve(null);
+
+    const id = this.nextRequestId++;
+    return new Promise(resolve => {
+      this.statsRequests.set(id, resolve);
+      this.worker.postMessage({ type: 'stats', id });
+    });
+  }
+
+  terminate() {
+    this.stop();
+    this.statsRequests.forEach(resolve => resolve(null));
+    this.statsRequests.clear();
+    this.stopLogForwarding?.();
+    this.stopLogForwarding = null;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.isInitialized = false;
+  }
+}
+
+export default SignDetectionWorkerClient;
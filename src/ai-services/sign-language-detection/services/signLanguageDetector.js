@@ -3,6 +3,19 @@ import * as handPoseDetection from '@tensorflow-models/hand-pose-detection';
 import * as tf from '@tensorflow/tfjs-core';
 import '@tensorflow/tfjs-backend-webgl';
 import aslMLModel from '../../../services/aslMLModel';
+import { createLogger } from '../../../services/logger';
+import MotionTracker, { MOTION_LETTER_SHAPES } from './motionTracker';
+import TwoHandedSignClassifier from './twoHandedSigns';
+import WordSignRecognizer from './wordSignRecognizer';
+import HandshapeRuleEngine from './handshapeRuleEngine';
+import HybridFusion from './hybridFusion';
+import { createSmoother } from './gestureSmoothing';
+import SigningZone from './signingZone';
+import { DEFAULT_HAND_THRESHOLDS } from './handCalibration';
+import { getHandModelConfig, verifyMediaPipeAssets } from './mediapipeAssets';
+import { SIGN_ALPHABETS, DEFAULT_ALPHABET } from './signAlphabets';
+
+const log = createLogger('sign');
 
 class SignLanguageDetector {
   constructor() {
@@ -10,99 +23,126 @@ class SignLanguageDetector {
     this.mlModel = aslMLModel; // ML model singleton for hybrid detection
     this.isInitialized = false;
     this.currentGesture = '';
-    this.gestureBuffer = [];
-    this.bufferSize = 10; // Smooth detection over 10 frames
-    
-    // ML + Angle-based hybrid settings
-    this.useMLHybrid = false; // DISABLED: Using angle-based detection only
-    this.mlConfidenceThreshold = 0.50; // Require 50% confidence from ML (balanced hybrid)
-    this.angleConfidenceThreshold = 0.75; // Lower threshold for angle-based
-    
-    // OPTIMIZED: Advanced gesture smoothing
-    this.gestureConfidence = new Map(); // Track confidence for each gesture
-    this.minConfidenceFrames = 2; // REDUCED: Minimum frames before confirming (was 3, originally 5) - faster response
-    this.lastGesture = 'none';
-    this.lastGestureTimestamp = 0;
-    this.gestureDebounceTime = 100; // REDUCED: ms - prevent rapid switching (was 200ms) - faster letter changes
+    
+    // ML + Angle-based hybrid settings - needs the CNN-LSTM model in /models/asl-cnn-lstm,
+    // so it is opt-in (VITE_SIGN_ML_HYBRID=true or setMLHybrid(true))
+    this.useMLHybrid = import.meta.env.VITE_SIGN_ML_HYBRID === 'true';
+    this.fusion = new HybridFusion({
+      strategy: import.meta.env.VITE_SIGN_FUSION_STRATEGY || 'weighted',
+      mlThreshold: 0.50, // Require 50% confidence from ML (balanced hybrid)
+      ruleConfidence: 0.75 // Confidence given to a full angle-based rule match
+    });
+    this.lastFusion = null; // Fused decision of the last frame when the hybrid ran
+    this.lastMLResult = null; // { letter, confidence, topPredictions } of the last ML prediction
+    
+    // Pluggable gesture smoothing (gestureSmoothing.js) - per-user via setSmoothing
+    this.smoothing = { strategy: 'confidence', speed: 'normal' };
+    this.smoother = createSmoother(this.smoothing.strategy, { speed: this.smoothing.speed });
+    
+    // Letters only count while a hand is inside the signing zone (setSigningZone, profile.signingZone)
+    this.signingZone = new SigningZone();
+    
+    // Motion layer for dynamic letters (J, Z) that a single frame cannot capture
+    this.motionTracker = new MotionTracker();
+    this.lastHandAnalysis = null; // Keypoints + finger states of the last classified hand
+    // Shapes a letter's stroke starts from (I and D for J and Z) are only emitted once held still this long
+    this.motionLeadMs = 500;
+    this.stillShape = null; // Smoothed gesture the hand has held still...
+    this.stillShapeSince = 0; // ...since then
+    this.strokeEndShape = null; // Shape a motion letter ended in, not emitted until the hand changes
+    
+    // Whole-word signs that need both hands (maxHands: 2)
+    this.twoHandedClassifier = new TwoHandedSignClassifier();
+    
+    // The rules were written for a right hand - left hands are mirrored onto it
+    // (setDominantHand, profile.dominantHand)
+    this.dominantHand = 'right';
+    // MediaPipe labels hands as they look in a mirrored selfie image. Frames are detected
+    // unflipped (flipHorizontal: false), so its "Left" is the signer's right hand - see getHandedness
+    this.inputMirrored = false;
+    this.handednessMinScore = 0.8; // mediapipe runtime: below this its Left/Right label is not trusted
+    
+    // Pluggable vocabulary of whole-word signs (HELLO, THANK-YOU, YES, ...)
+    this.wordSignRecognizer = new WordSignRecognizer();
+    
+    // 'letters' or 'numbers' - V/W/F and 2/6/9 share handshapes, so context decides
+    this.recognitionMode = 'letters';
+    
+    // Declarative handshape rules (rules/*.json) - tune or replace them at runtime
+    // with loadHandshapeRules / overrideHandshapeRule
+    this.lastRuleResult = null; // { label, ruleId, candidates } of the last rule evaluation
+    
+    // Manual alphabet being read (signAlphabets.js) - per user via setAlphabet, profile.signLocale
+    this.alphabet = null;
+    this.twoHandedLetterClassifier = null; // Letters signed with both hands (BSL)
+    this.setAlphabet(DEFAULT_ALPHABET);
+    
+    // Landmark overlay / debug HUD - results carry a `debug` field while enabled
+    this.debugOverlay = false;
+    this.lastFrameSize = { width: 640, height: 480 };
+    
+    // Hand geometry thresholds (pixels) - replaced by the user's calibration if they have one
+    this.thresholds = { ...DEFAULT_HAND_THRESHOLDS };
+    
+    this.assetIntegrity = null; // Result of the MediaPipe asset integrity check
+    
+    // Hand model and runtime - the adaptive frame scheduler switches full/lite (setModelType)
+    this.modelType = 'full';
+    this.runtime = null; // 'mediapipe' or 'tfjs' once initialized
+    this.modelSwitchId = 0;
   }
 
-  async initialize() {
+  /**
+   * @param {Object} options - { runtime: 'mediapipe' | 'tfjs' } - workers have no DOM for
+   *                           the MediaPipe script loader, so they ask for tfjs directly
+   */
+  async initialize({ runtime = 'mediapipe' } = {}) {
     try {
-      console.log('🤖 Initializing Sign Language Detector...');
+      log.info('🤖 Initializing Sign Language Detector...');
       
       // Initialize ML model
       if (this.useMLHybrid) {
-        console.log('🧠 Initializing ML model for hybrid detection...');
-        const mlLoaded = await this.mlModel.initialize();
-        if (mlLoaded) {
-          console.log('✅ ML model loaded - Hybrid detection enabled!');
-        } else {
-          console.warn('⚠️  ML model failed to load - Using angle-based only');
-          this.useMLHybrid = false;
-        }
+        await this.setMLHybrid(true);
       }
       
       // Check TensorFlow.js backend
-      console.log('🔍 Checking TensorFlow.js backend...');
+      log.info('🔍 Checking TensorFlow.js backend...');
       await tf.ready();
       const backend = tf.getBackend();
-      console.log('✅ TensorFlow.js backend ready:', backend);
+      log.info('✅ TensorFlow.js backend ready:', backend);
       
       // Test if backend can create tensors
       try {
         const testTensor = tf.tensor([1, 2, 3]);
-        console.log('✅ Backend can create tensors');
+        log.info('✅ Backend can create tensors');
         testTensor.dispose();
       } catch (e) {
-        console.error('❌ Backend cannot create tensors:', e);
+        log.error('❌ Backend cannot create tensors:', e);
         throw new Error('TensorFlow.js backend not working properly');
       }
       
-      console.log('📦 Loading MediaPipe Hands model (OPTIMIZED)...');
-      
-      const model = handPoseDetection.SupportedModels.MediaPipeHands;
-      
-      // OPTIMIZED: Use best MediaPipe configuration for ASL detection
-      // - Full model (192x192) for maximum accuracy
-      // - High confidence thresholds to reduce false positives
-      // - Tracking enabled for smooth detection in video
-      let detectorConfig = {
-        runtime: 'mediapipe',
-        modelType: 'full', // 'full' model is most accurate (vs 'lite')
-        maxHands: 2, // Detect both hands for two-handed signs
-        solutionPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands',
-        // Advanced detection parameters for better ASL recognition:
-        minDetectionConfidence: 0.7, // Higher confidence = less false positives
-        minTrackingConfidence: 0.7,  // Better tracking between frames
-      };
-      
-      console.log('🔧 Using OPTIMIZED MediaPipe configuration for ASL detection...');
-      console.log('🔧 Detector config:', JSON.stringify(detectorConfig, null, 2));
+      // Model files are self-hosted - check them before MediaPipe loads them
+      this.assetIntegrity = await verifyMediaPipeAssets();
       
-      // Create detector with timeout
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Model loading timeout after 30 seconds')), 30000)
-      );
+      log.info('📦 Loading MediaPipe Hands model (OPTIMIZED)...');
       
-      try {
-        const detectorPromise = handPoseDetection.createDetector(model, detectorConfig);
-        this.detector = await Promise.race([detectorPromise, timeoutPromise]);
-        console.log('✅ Using MediaPipe runtime');
-      } catch (mpError) {
-        console.warn('⚠️ MediaPipe runtime failed, falling back to TensorFlow.js runtime');
-        console.warn('MediaPipe error:', mpError.message);
-        
-        // Fall back to tfjs runtime
-        detectorConfig = {
-          runtime: 'tfjs',
-          modelType: 'full',
-          maxHands: 2
-        };
-        
-        console.log('🔧 Detector config (tfjs):', JSON.stringify(detectorConfig, null, 2));
-        const detectorPromise = handPoseDetection.createDetector(model, detectorConfig);
-        this.detector = await Promise.race([detectorPromise, timeoutPromise]);
-        console.log('✅ Using TensorFlow.js runtime');
+      if (runtime === 'tfjs') {
+        this.detector = await this.createDetector('tfjs', this.modelType);
+        this.runtime = 'tfjs';
+        log.info('✅ Using TensorFlow.js runtime');
+      } else {
+        try {
+          this.detector = await this.createDetector('mediapipe', this.modelType);
+          this.runtime = 'mediapipe';
+          log.info('✅ Using MediaPipe runtime');
+        } catch (mpError) {
+          // Fall back to tfjs runtime
+          log.warn('⚠️ MediaPipe runtime failed, falling back to TensorFlow.js runtime');
+          log.warn('MediaPipe error:', mpError.message);
+          this.detector = await this.createDetector('tfjs', this.modelType);
+          this.runtime = 'tfjs';
+          log.info('✅ Using TensorFlow.js runtime');
+        }
       }
       
       // Verify detector was created
@@ -110,32 +150,17 @@ class SignLanguageDetector {
         throw new Error('Detector creation failed - detector is null');
       }
       
-      console.log('✅ Detector created successfully');
-      console.log('🔍 Detector object:', this.detector);
-      console.log('🔍 Detector methods:', Object.keys(this.detector));
-      
-      // Test if MediaPipe model files are accessible
-      console.log('🌐 Testing MediaPipe CDN access...');
-      try {
-        const testUrl = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.js';
-        const response = await fetch(testUrl, { method: 'HEAD' });
-        if (response.ok) {
-          console.log('✅ MediaPipe CDN is accessible');
-        } else {
-          console.warn('⚠️ MediaPipe CDN returned status:', response.status);
-        }
-      } catch (fetchError) {
-        console.error('❌ Cannot access MediaPipe CDN:', fetchError.message);
-        console.error('💡 This may cause null coordinate issues');
-      }
+      log.info('✅ Detector created successfully');
+      log.debug('🔍 Detector object:', this.detector);
+      log.debug('🔍 Detector methods:', Object.keys(this.detector));
       
       this.isInitialized = true;
-      console.log('✅ Sign Language Detector initialized');
+      log.info('✅ Sign Language Detector initialized');
       
       return true;
     } catch (error) {
-      console.error('❌ Error initializing detector:', error);
-      console.error('❌ Error details:', {
+      log.error('❌ Error initializing detector:', error);
+      log.error('❌ Error details:', {
         message: error.message,
         stack: error.stack,
         name: error.name
@@ -143,8 +168,8 @@ class SignLanguageDetector {
       
       // Check if it's a network error
       if (error.message.includes('fetch') || error.message.includes('network') || error.message.includes('timeout')) {
-        console.error('🌐 Network error - MediaPipe model may not have loaded from CDN');
-        console.error('💡 Check internet connection and try again');
+        log.error('🌐 Network error - MediaPipe model files could not be loaded');
+        log.error('💡 Check that the assets are served (npm run mediapipe:assets) and try again');
       }
       
       this.isInitialized = false;
@@ -152,15 +177,104 @@ class SignLanguageDetector {
     }
   }
 
+  /**
+   * Load a hand landmark detector
+   * @param {string} runtime - 'mediapipe' or 'tfjs'
+   * @param {string} modelType - 'full' (most accurate) or 'lite' (faster, for slow devices)
+   * @returns {Promise<Object>} - hand-pose-detection detector
+   */
+  async createDetector(runtime, modelType) {
+    const handModelConfig = await getHandModelConfig(modelType, runtime);
+    const model = handPoseDetection.SupportedModels.MediaPipeHands;
+    
+    // OPTIMIZED: Use best MediaPipe configuration for ASL detection
+    // - Full model (192x192) for maximum accuracy, lite when the device can't keep up
+    // - High confidence thresholds to reduce false positives
+    // - Tracking enabled for smooth detection in video
+    const detectorConfig = runtime === 'mediapipe'
+      ? {
+        runtime: 'mediapipe',
+        modelType,
+        maxHands: 2, // Detect both hands for two-handed signs
+        solutionPath: handModelConfig.solutionPath, // Local copy, see mediapipeAssets.js
+        // Advanced detection parameters for better ASL recognition:
+        minDetectionConfidence: 0.7, // Higher confidence = less false positives
+        minTrackingConfidence: 0.7,  // Better tracking between frames
+      }
+      : {
+        runtime: 'tfjs',
+        modelType,
+        maxHands: 2,
+        // Local tfjs models when they were downloaded with the assets, otherwise tfhub.dev
+        ...(handModelConfig.detectorModelUrl && {
+          detectorModelUrl: handModelConfig.detectorModelUrl,
+          landmarkModelUrl: handModelConfig.landmarkModelUrl
+        })
+      };
+    
+    log.debug(`🔧 Detector config (${runtime}):`, JSON.stringify(detectorConfig, null, 2));
+    
+    // Create detector with timeout
+    let timer = null;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Model loading timeout after 30 seconds')), 30000);
+    });
+    try {
+      return await Promise.race([handPoseDetection.createDetector(model, detectorConfig), timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Switch between the 'full' and 'lite' hand models (AdaptiveFrameScheduler does this
+   * from measured latency). The current detector keeps running until the new one has loaded.
+   * @param {string} modelType - 'full' or 'lite'
+   * @returns {Promise<boolean>} - Whether the detector now uses that model
+   */
+  async setModelType(modelType) {
+    if (modelType !== 'full' && modelType !== 'lite') {
+      log.warn('⚠️ Unknown hand model type:', modelType);
+      return false;
+    }
+    if (modelType === this.modelType) return true;
+    
+    // Not loaded yet - initialize uses it
+    if (!this.isInitialized || !this.detector) {
+      this.modelType = modelType;
+      return true;
+    }
+    
+    const switchId = ++this.modelSwitchId;
+    try {
+      const detector = await this.createDetector(this.runtime, modelType);
+      // A newer switch or cleanup happened while this model loaded
+      if (switchId !== this.modelSwitchId || !this.isInitialized) {
+        detector.dispose();
+        return false;
+      }
+      
+      const previous = this.detector;
+      this.detector = detector;
+      this.modelType = modelType;
+      previous.dispose();
+      log.info(`🔁 Hand model switched to ${modelType}`);
+      return true;
+    } catch (error) {
+      log.error(`❌ Could not load the ${modelType} hand model:`, error.message);
+      return false;
+    }
+  }
+
   async detectGesture(videoElement) {
     if (!this.isInitialized || !this.detector) {
-      console.warn('⚠️ Detector not initialized');
+      log.warn('⚠️ Detector not initialized');
       return null;
     }
 
     // Ensure video is ready and playing
     if (!videoElement || videoElement.readyState < 2 || videoElement.videoWidth === 0) {
-      console.warn('⚠️ Video not ready:', {
+      log.warn('⚠️ Video not ready:', {
         exists: !!videoElement,
         readyState: videoElement?.readyState,
         videoWidth: videoElement?.videoWidth,
@@ -169,22 +283,46 @@ class SignLanguageDetector {
       return null;
     }
 
+    return this.detectFrame(videoElement);
+  }
+
+  /**
+   * Detect and classify the hands in a single frame. The detection worker calls
+   * this directly with an OffscreenCanvas, the main thread goes through detectGesture.
+   * @param {HTMLVideoElement|HTMLCanvasElement|OffscreenCanvas|ImageBitmap} frame
+   * @returns {Promise<Object|null>} - { gesture, type, confidence, hands, timestamp,
+   *                                    timing: { latency, modelType } }
+   */
+  async detectFrame(frame) {
+    if (!this.isInitialized || !this.detector) {
+      log.warn('⚠️ Detector not initialized');
+      return null;
+    }
+
     try {
+      // Image keypoints are in the frame's pixels - the overlay scales them to the video
+      this.lastFrameSize = {
+        width: frame.videoWidth || frame.width,
+        height: frame.videoHeight || frame.height
+      };
+      
       // OPTIMIZED: Use estimateHands with timestamp for better tracking
-      const timestamp = performance.now();
-      const hands = await this.detector.estimateHands(videoElement, {
-        flipHorizontal: false, // Don't flip for more accurate detection
+      const startedAt = performance.now();
+      const hands = await this.detector.estimateHands(frame, {
+        flipHorizontal: false, // Don't flip for more accurate detection - getHandedness swaps the labels
         staticImageMode: false // Use tracking for video (smoother, faster)
       });
+      // The adaptive frame scheduler paces detection by this
+      const timing = { latency: performance.now() - startedAt, modelType: this.modelType };
       
-      console.log('👋 Hands detected:', hands.length);
+      log.debug('👋 Hands detected:', hands.length, `(${Math.round(timing.latency)}ms)`);
       
       if (hands.length === 0) {
-        return { gesture: 'none', confidence: 0, hands: [] };
+        return { ...await this.processHands(hands), timing };
       }
       
       // Validate hand data structure
-      console.log('🔍 First hand data structure:', {
+      log.debug('🔍 First hand data structure:', {
         hasKeypoints: !!hands[0].keypoints,
         keypointsLength: hands[0].keypoints?.length,
         hasKeypoints3D: !!hands[0].keypoints3D,
@@ -196,7 +334,7 @@ class SignLanguageDetector {
       // Check if keypoints are valid (not null)
       if (hands[0].keypoints3D && hands[0].keypoints3D.length > 0) {
         const samplePoint = hands[0].keypoints3D[8]; // index finger tip
-        console.log('🔍 Sample keypoint (index finger tip):', {
+        log.debug('🔍 Sample keypoint (index finger tip):', {
           x: samplePoint.x,
           y: samplePoint.y,
           z: samplePoint.z,
@@ -206,52 +344,330 @@ class SignLanguageDetector {
         // Check if ALL keypoints are null
         const allNull = hands[0].keypoints3D.every(kp => kp.x === null || kp.y === null || kp.z === null);
         if (allNull) {
-          console.error('❌ CRITICAL: All keypoints have NULL coordinates!');
-          console.error('💡 This indicates MediaPipe model failed to process the video frame properly');
-          console.error('💡 Possible causes:');
-          console.error('   - Model files not loaded from CDN');
-          console.error('   - TensorFlow.js backend not initialized');
-          console.error('   - Video frame incompatible with model');
-          console.error('   - Insufficient lighting or poor camera quality');
+          log.error('❌ CRITICAL: All keypoints have NULL coordinates!');
+          log.error('💡 This indicates MediaPipe model failed to process the video frame properly');
+          log.error('💡 Possible causes:');
+          log.error('   - Model files not loaded (see mediapipeAssets.js)');
+          log.error('   - TensorFlow.js backend not initialized');
+          log.error('   - Video frame incompatible with model');
+          log.error('   - Insufficient lighting or poor camera quality');
         }
       }
 
-      // Analyze hand landmarks to detect gestures
-      const rawGesture = await this.classifyGesture(hands);
-      
-      // OPTIMIZED: Use advanced smoothing for stable detection
-      const smoothedGesture = this.smoothGesture(rawGesture);
-      
-      // Legacy buffer smoothing (kept for backward compatibility)
-      this.gestureBuffer.push(rawGesture);
-      if (this.gestureBuffer.length > this.bufferSize) {
-        this.gestureBuffer.shift();
-      }
-      
-      return {
-        gesture: smoothedGesture,
+      return { ...await this.processHands(hands), timing };
+    } catch (error) {
+      log.error('❌ Error detecting gesture:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Classify, track and smooth the hands of one frame. Split from detectFrame so
+   * recorded landmarks can be replayed without a camera (scripts/benchmark-recognition.js).
+   * @param {Array} hands - Hands as returned by estimateHands
+   * @returns {Promise<Object>} - { gesture, rawGesture, type, confidence, hands, fusion, candidates, zone, timestamp }
+   *                              (gesture and rawGesture are null while the zone isn't active)
+   */
+  async processHands(hands) {
+    const zone = this.signingZone.update(
+      hands.map(hand => this.getImageKeypoints(hand)),
+      this.lastFrameSize,
+      Date.now()
+    );
+    // Signing stopped - the next letter starts from scratch
+    if (zone.changed && zone.state === 'idle') {
+      this.smoother.reset();
+      this.motionTracker.reset();
+    }
+    
+    if (hands.length === 0) {
+      this.mlModel.resetSequence(); // Don't join motion across hand appearances
+      const empty = { gesture: 'none', confidence: 0, hands: [], zone };
+      if (this.debugOverlay) empty.debug = this.getDebugInfo(hands);
+      return empty;
+    }
+    
+    // Hands resting outside the zone (or still settling into it) aren't classified
+    if (!zone.active) {
+      const gated = {
+        gesture: null,
+        rawGesture: null,
         confidence: this.calculateConfidence(hands),
-        hands: hands,
+        hands,
+        zone,
         timestamp: Date.now()
       };
-    } catch (error) {
-      console.error('❌ Error detecting gesture:', error);
-      return null;
+      if (this.debugOverlay) gated.debug = this.getDebugInfo(hands);
+      return gated;
+    }
+    
+    // Analyze hand landmarks to detect gestures
+    const rawGesture = await this.classifyGesture(hands);
+    
+    // Feed the fingertip trajectory layer - J and Z only exist as motion
+    let smoothedGesture;
+    const motionLetter = this.trackMotion(hands[0]);
+    const wordSign = motionLetter ? null : this.recognizeWordSign(hands[0]);
+    if (motionLetter) {
+      smoothedGesture = this.confirmDynamicGesture(motionLetter);
+    } else if (wordSign && wordSign.dynamic) {
+      // Moving word signs are complete once the motion is seen
+      this.motionTracker.markRecognized();
+      smoothedGesture = this.confirmDynamicGesture(wordSign.word);
+    } else if (wordSign) {
+      // Static word signs (I-LOVE-YOU) are smoothed like letters
+      smoothedGesture = this.smoothGesture(wordSign.word);
+    } else if (this.motionTracker.isInMotion()) {
+      // Hand is drawing a stroke - don't emit the static shape (e.g. I at the start of J)
+      this.stillShape = null;
+      smoothedGesture = null;
+    } else {
+      // OPTIMIZED: Use advanced smoothing for stable detection
+      smoothedGesture = this.holdBackMotionShape(this.smoothGesture(rawGesture));
     }
+    
+    // Runner-up letters let the sentence builder fix M/N, S/A/E, U/V/R by the word they form
+    const letterCandidates = this.getGestureType(smoothedGesture) === 'letter'
+      ? this.getLetterCandidates(smoothedGesture)
+      : null;
+    
+    const result = {
+      gesture: smoothedGesture,
+      rawGesture, // Unsmoothed classifier output of this frame
+      type: this.getGestureType(smoothedGesture), // 'letter' or 'word'
+      confidence: this.calculateConfidence(hands),
+      hands: hands,
+      fusion: this.lastFusion, // Which classifier the raw letter came from (hybrid only)
+      candidates: letterCandidates,
+      zone, // Signing zone state - { state, active, reason, changed }
+      timestamp: Date.now()
+    };
+    if (this.debugOverlay) result.debug = this.getDebugInfo(hands);
+    return result;
+  }
+
+  /**
+   * Most likely letters of the current frame as probabilities, from the rule scores and
+   * (with the hybrid on) the ML prediction. The emitted letter always leads - the
+   * smoother picked it over several frames, even if this one frame disagrees.
+   * @param {string} letter - Letter being emitted
+   * @param {number} limit - Number of candidates
+   * @returns {Array} - [{ letter, probability }], probabilities summing to 1
+   */
+  getLetterCandidates(letter, limit = 4) {
+    const scores = this.fusion.getLetterScores(this.lastMLResult, this.lastRuleResult);
+    const best = Math.max(0, ...scores.values());
+    scores.set(letter, Math.max(scores.get(letter) || 0, best, 0.01));
+    
+    const top = [...scores.entries()]
+      .filter(([label, score]) => /^[A-Z]$/.test(label) && score > 0)
+      .sort((a, b) => (b[0] === letter) - (a[0] === letter) || b[1] - a[1])
+      .slice(0, limit);
+    const total = top.reduce((sum, [, score]) => sum + score, 0);
+    return top.map(([label, score]) => ({ letter: label, probability: score / total }));
+  }
+
+  /**
+   * Show or hide the landmark overlay data in detection results
+   * @param {boolean} enabled
+   */
+  setDebugOverlay(enabled) {
+    this.debugOverlay = !!enabled;
+  }
+
+  /**
+   * Everything the landmark overlay / debug HUD shows for the current frame
+   * @param {Array} hands - Hands from estimateHands
+   * @returns {Object} - { frameSize, hands: [{ handedness, keypoints, centred }], fingers,
+   *                       candidates: { rules: [{ label, score }], ml: [{ label, score }] }, smoothing,
+   *                       zone: { enabled, region, minHandSize, state, reason, ... } }
+   */
+  getDebugInfo(hands) {
+    const { width, height } = this.lastFrameSize;
+    const debugHands = hands.slice(0, 2).map(hand => {
+      const imageKeypoints = this.getImageKeypoints(hand);
+      // Without image keypoints fall back to the hand-centred world keypoints the rules use
+      const keypoints = imageKeypoints
+        ? imageKeypoints.map(kp => ({ x: kp.x, y: kp.y }))
+        : (hand.keypoints3D || []).map(kp => ({ x: (kp.x + 0.5) * width, y: (0.5 - kp.y) * height }));
+      return { handedness: this.getHandedness(hand), keypoints, centred: !imageKeypoints };
+    });
+
+    return {
+      frameSize: { width, height },
+      hands: debugHands,
+      fingers: this.lastHandAnalysis?.fingers || null,
+      candidates: {
+        rules: (this.lastRuleResult?.candidates || []).slice(0, 5)
+          .map(({ label, score }) => ({ label, score })),
+        ml: (this.lastMLResult?.topPredictions || []).slice(0, 5)
+          .map(({ letter, confidence }) => ({ label: letter, score: confidence }))
+      },
+      smoothing: { ...this.smoothing, ...this.smoother.getState() },
+      zone: { ...this.signingZone.getConfig(), ...this.signingZone.getStatus() }
+    };
   }
 
   async classifyGesture(hands) {
+    this.lastHandAnalysis = null;
+    this.lastRuleResult = null;
+    this.lastFusion = null;
+    this.lastMLResult = null;
     if (hands.length === 0) return 'none';
     
+    // Two-handed letters (BSL) and signs (MORE, BOOK, HELP, AGAIN, 6-10) need both hands at once
+    if (hands.length >= 2 && this.twoHandedLetterClassifier && this.recognitionMode === 'letters') {
+      const twoHandedLetter = this.classifyTwoHanded(hands, this.twoHandedLetterClassifier);
+      this.lastRuleResult = {
+        label: twoHandedLetter || 'unknown',
+        ruleId: twoHandedLetter ? this.alphabet.id : null,
+        candidates: this.twoHandedLetterClassifier.getCandidates()
+      };
+      if (twoHandedLetter) {
+        log.debug(`🙌 Two-handed letter (${this.alphabet.id}): ${twoHandedLetter}`);
+        return twoHandedLetter;
+      }
+    }
+    // Without the alphabet's word signs, two hands still count 6-10 in number mode
+    if (hands.length >= 2 && (this.alphabet.wordSigns || this.recognitionMode === 'numbers')) {
+      const twoHandedSign = this.classifyTwoHanded(hands);
+      if (twoHandedSign && (this.alphabet.wordSigns || this.getGestureType(twoHandedSign) === 'number')) {
+        log.debug(`🙌 Two-handed sign: ${twoHandedSign}`);
+        return twoHandedSign;
+      }
+    }
+    
     const hand = hands[0];
+    const keypoints = this.getNormalizedKeypoints(hand);
+    
+    if (!keypoints || keypoints.length === 0) {
+      log.error('❌ No valid keypoints found in hand object');
+      return 'none';
+    }
+    
+    // Debug: Log keypoints before passing to isFingerExtended
+    log.debug('🔍 keypoints[8] before isFingerExtended:', JSON.stringify(keypoints[8]));
+    
+    // ========================================================================
+    // ANGLE-BASED DETECTION
+    // ========================================================================
+    
+    // For angle-based detection, use pixel coordinates
+    const pixelKeypoints = this.toPixelKeypoints(keypoints);
     
+    // Extract finger states (extended or closed) using pixel coordinates
+    const fingers = this.getFingerStates(pixelKeypoints);
+
+    // Debug finger states
+    log.debug(`🖐️ Finger states: thumb=${fingers.thumb}, index=${fingers.index}, middle=${fingers.middle}, ring=${fingers.ring}, pinky=${fingers.pinky}`);
+    
+    // Keep the analysis around for the motion layer
+    this.lastHandAnalysis = {
+      keypoints: pixelKeypoints,
+      fingers
+    };
+
+    // Letter or number detection (the alphabet's one-handed rules) using pixel coordinates
+    let gesture = this.recognitionMode === 'numbers'
+      ? this.detectNumber(pixelKeypoints, fingers)
+      : this.detectLetter(pixelKeypoints, fingers);
+    
+    // ========================================================================
+    // HYBRID ML + ANGLE-BASED FUSION (the model only knows letters)
+    // ========================================================================
+    
+    if (this.recognitionMode === 'letters' && this.alphabet.mlModel && this.useMLHybrid && this.mlModel.isLoaded) {
+      try {
+        // Use normalized [0, 1] coordinates (x, y, z) matching training data,
+        // and every letter's probability so the fusion can weigh all of them.
+        // Sequence models see the last frames of the hand, so the LSTM can use motion
+        const topN = this.mlModel.letters.length;
+        let mlResult;
+        if (this.mlModel.isSequenceModel()) {
+          this.mlModel.addFrame(keypoints);
+          mlResult = await this.mlModel.predictSequence(null, topN);
+        } else {
+          mlResult = await this.mlModel.predict(keypoints, topN);
+        }
+        this.lastMLResult = mlResult;
+        this.lastFusion = this.fusion.fuse(mlResult, this.lastRuleResult);
+        
+        const { label, source, mlLabel, ruleLabel } = this.lastFusion;
+        log.debug(`🧠 Fusion (${this.fusion.strategy}): ML=${mlLabel} rules=${ruleLabel || 'unknown'} → ${label} [${source}]`);
+        gesture = label;
+      } catch (error) {
+        log.error('❌ ML prediction error:', error);
+        // Keep the angle-based result
+      }
+    }
+    
+    if (gesture !== 'unknown') {
+      log.debug(`🔤 Classified as: ${gesture}`);
+    }
+    
+    return gesture;
+  }
+
+  /**
+   * Turn the ML + angle-based hybrid on or off. Loads the CNN-LSTM model the
+   * first time; stays off if the model can't be loaded.
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>} - Whether the hybrid is now active
+   */
+  async setMLHybrid(enabled) {
+    if (!enabled) {
+      this.useMLHybrid = false;
+      this.lastFusion = null;
+      return false;
+    }
+
+    log.info('🧠 Initializing ML model for hybrid detection...');
+    const mlLoaded = await this.mlModel.initialize();
+    if (mlLoaded) {
+      log.info(`✅ ML model loaded - Hybrid detection enabled (${this.fusion.strategy})!`);
+    } else {
+      log.warn('⚠️  ML model failed to load - Using angle-based only');
+    }
+    this.useMLHybrid = mlLoaded;
+    return mlLoaded;
+  }
+
+  /**
+   * Choose how ML and rule confidences are combined
+   * @param {string} strategy - 'max', 'weighted' or 'rules-tiebreak'
+   * @param {Object} options - Fusion parameters, e.g. { mlWeight: 0.7 } (see hybridFusion.js)
+   */
+  setFusionStrategy(strategy, options = {}) {
+    this.fusion.configure({ ...options, strategy });
+  }
+
+  /**
+   * Per-letter agreement between the ML model and the rules since the last reset
+   * @returns {Object} - { strategy, totals, letters: { A: { frames, agreed, mlWins, rulesWins, agreementRate } } }
+   */
+  getAgreementStats() {
+    return this.fusion.getStats();
+  }
+
+  resetAgreementStats() {
+    this.fusion.resetStats();
+  }
+
+  /**
+   * Convert a hand from estimateHands into normalized keypoints
+   * (x, y, z in [0, 1] plus xPixel/yPixel for angle-based detection)
+   * @param {Object} hand - Hand from estimateHands
+   * @returns {Array|null}
+   */
+  getNormalizedKeypoints(hand) {
     // ALWAYS use keypoints3D since 2D keypoints have null values
     // MediaPipe Hands returns 3D world coordinates which are valid
-    let keypoints;
-    
     if (hand.keypoints3D && hand.keypoints3D.length > 0) {
-      console.log('✅ Using 3D keypoints (21 points available)');
-      console.log('🔍 RAW keypoints3D[8]:', JSON.stringify(hand.keypoints3D[8]));
+      // A left hand is mirrored so rules and model see the right hand they were made for
+      const mirror = this.getHandedness(hand) === 'Left' ? -1 : 1;
+      
+      log.debug('✅ Using 3D keypoints (21 points available)');
+      log.debug('🔍 RAW keypoints3D[8]:', JSON.stringify(hand.keypoints3D[8]));
       
       // First pass: find z-coordinate range for normalization
       let minZ = Infinity, maxZ = -Infinity;
@@ -265,131 +681,411 @@ class SignLanguageDetector {
       // to match the original training data preprocessing
       // Original model trained on: MediaPipe static image mode (x,y in [0,1], z normalized)
       // Browser MediaPipe gives: World coordinates (x,y in [-0.5, 0.5], z can be negative)
-      keypoints = hand.keypoints3D.map(point => ({
-        x: point.x + 0.5,  // Convert from world [-0.5, 0.5] to image [0, 1]
+      const keypoints = hand.keypoints3D.map(point => ({
+        x: mirror * point.x + 0.5,  // Convert from world [-0.5, 0.5] to image [0, 1]
         y: 1.0 - (point.y + 0.5),  // Convert and flip Y (MediaPipe Y is inverted)
         z: (point.z - minZ) / zRange,  // Normalize z to [0, 1] to match training data
         name: point.name,
         // Store pixel coordinates for angle-based detection
-        xPixel: (point.x + 0.5) * 640,
+        xPixel: (mirror * point.x + 0.5) * 640,
         yPixel: (0.5 - point.y) * 480
       }));
-      console.log('📍 Converted 3D to normalized. Sample point:', keypoints[8]);
-    } else if (hand.keypoints && hand.keypoints.length > 0) {
-      console.log('⚠️ Falling back to 2D keypoints');
-      keypoints = hand.keypoints;
-    } else {
-      console.error('❌ No keypoints available');
-      return 'none';
-    }
-    
-    if (!keypoints || keypoints.length === 0) {
-      console.error('❌ No valid keypoints found in hand object');
-      return 'none';
+      log.debug('📍 Converted 3D to normalized. Sample point:', keypoints[8]);
+      return keypoints;
     }
     
-    // Debug: Log keypoints before passing to isFingerExtended
-    console.log('🔍 keypoints[8] before isFingerExtended:', JSON.stringify(keypoints[8]));
-    
-    // ========================================================================
-    // HYBRID ML + ANGLE-BASED DETECTION
-    // ========================================================================
-    
-    // Try ML model first if enabled
-    if (this.useMLHybrid && this.mlModel && this.mlModel.isLoaded) {
-      try {
-        // Pass keypoints array directly to ML model (it will flatten internally)
-        // Use normalized [0, 1] coordinates (x, y, z) matching training data
-        const mlResult = await this.mlModel.predict(keypoints);
-        
-        console.log(`🧠 ML Prediction: ${mlResult.letter} (${(mlResult.confidence * 100).toFixed(1)}%)`);
-        
-        // Use ML result if confidence is high enough
-        if (mlResult.confidence >= this.mlConfidenceThreshold) {
-          console.log(`✅ Using ML prediction (high confidence): ${mlResult.letter}`);
-          return mlResult.letter;
-        } else {
-          console.log(`⚠️  ML confidence too low (${(mlResult.confidence * 100).toFixed(1)}%), falling back to angle-based...`);
-        }
-      } catch (error) {
-        console.error('❌ ML prediction error:', error);
-        // Fall through to angle-based detection
-      }
+    if (hand.keypoints && hand.keypoints.length > 0) {
+      log.debug('⚠️ Falling back to 2D keypoints');
+      return hand.keypoints;
     }
     
-    // ========================================================================
-    // FALLBACK TO ANGLE-BASED DETECTION
-    // ========================================================================
-    
-    // For angle-based detection, use pixel coordinates
-    // Convert keypoints to use pixel coordinates for angles
-    const pixelKeypoints = keypoints.map(kp => ({
+    log.error('❌ No keypoints available');
+    return null;
+  }
+
+  /**
+   * Convert normalized keypoints to pixel coordinates for angle-based detection
+   * @param {Array} keypoints - Keypoints from getNormalizedKeypoints
+   * @returns {Array}
+   */
+  toPixelKeypoints(keypoints) {
+    return keypoints.map(kp => ({
       x: kp.xPixel || kp.x,
       y: kp.yPixel || kp.y,
       z: kp.z,
       name: kp.name
     }));
-    
-    // Extract finger states (extended or closed) using pixel coordinates
-    const thumbExtended = this.isFingerExtended(pixelKeypoints, 'thumb');
-    const indexExtended = this.isFingerExtended(pixelKeypoints, 'index');
-    const middleExtended = this.isFingerExtended(pixelKeypoints, 'middle');
-    const ringExtended = this.isFingerExtended(pixelKeypoints, 'ring');
-    const pinkyExtended = this.isFingerExtended(pixelKeypoints, 'pinky');
+  }
 
-    // Debug finger states
-    console.log(`🖐️ Finger states: thumb=${thumbExtended}, index=${indexExtended}, middle=${middleExtended}, ring=${ringExtended}, pinky=${pinkyExtended}`);
+  /**
+   * Extended/closed state of every finger
+   * @param {Array} pixelKeypoints - Keypoints in pixel coordinates
+   * @returns {Object} - { thumb, index, middle, ring, pinky }
+   */
+  getFingerStates(pixelKeypoints) {
+    return {
+      thumb: this.isFingerExtended(pixelKeypoints, 'thumb'),
+      index: this.isFingerExtended(pixelKeypoints, 'index'),
+      middle: this.isFingerExtended(pixelKeypoints, 'middle'),
+      ring: this.isFingerExtended(pixelKeypoints, 'ring'),
+      pinky: this.isFingerExtended(pixelKeypoints, 'pinky')
+    };
+  }
 
-    // ASL Alphabet Detection using pixel coordinates
-    const gesture = this.detectASLLetter(pixelKeypoints, thumbExtended, indexExtended, middleExtended, ringExtended, pinkyExtended);
-    
-    if (gesture !== 'unknown') {
-      console.log(`🔤 Classified as: ${gesture}`);
+  /**
+   * Pixel keypoints of the first hand in the current frame, without classifying it.
+   * Used by the calibration wizard to measure the user's hand.
+   * @param {HTMLVideoElement} videoElement
+   * @returns {Promise<Array|null>}
+   */
+  async getHandKeypoints(videoElement) {
+    if (!this.isInitialized || !this.detector || !videoElement || videoElement.readyState < 2) {
+      return null;
     }
     
-    return gesture;
+    try {
+      const hands = await this.detector.estimateHands(videoElement, {
+        flipHorizontal: false,
+        staticImageMode: false
+      });
+      if (hands.length === 0) return null;
+      
+      const keypoints = this.getNormalizedKeypoints(hands[0]);
+      return keypoints ? this.toPixelKeypoints(keypoints) : null;
+    } catch (error) {
+      log.error('❌ Error reading hand keypoints:', error);
+      return null;
+    }
   }
 
   // ============================================================================
-  // ANGLE-BASED DETECTION HELPERS
+  // CALIBRATION
   // ============================================================================
-  
+
   /**
-   * Calculate angle between three points (in degrees)
-   * Returns angle at point p2 formed by p1-p2-p3
-   * @param {Object} p1 - First point {x, y}
-   * @param {Object} p2 - Vertex point {x, y}
-   * @param {Object} p3 - Third point {x, y}
-   * @returns {number} Angle in degrees (-180 to 180)
+   * Use thresholds fitted to the user's hand (see handCalibration.js)
+   * @param {Object|null} calibration - Stored profile calibration { thresholds, ... }; null resets
    */
-  calculateAngle(p1, p2, p3) {
-    const angle1 = Math.atan2(p1.y - p2.y, p1.x - p2.x);
-    const angle2 = Math.atan2(p3.y - p2.y, p3.x - p2.x);
-    let angle = (angle2 - angle1) * (180 / Math.PI);
+  applyCalibration(calibration) {
+    if (!calibration || !calibration.thresholds) {
+      this.resetCalibration();
+      return;
+    }
     
-    // Normalize to -180 to 180 range
-    while (angle > 180) angle -= 360;
-    while (angle < -180) angle += 360;
+    const thresholds = { ...DEFAULT_HAND_THRESHOLDS };
+    Object.keys(DEFAULT_HAND_THRESHOLDS).forEach(key => {
+      const value = calibration.thresholds[key];
+      if (Number.isFinite(value) && value > 0) thresholds[key] = value;
+    });
     
-    return angle;
+    this.thresholds = thresholds;
+    log.info('📏 Applied hand calibration:', thresholds);
+  }
+
+  resetCalibration() {
+    this.thresholds = { ...DEFAULT_HAND_THRESHOLDS };
   }
 
   /**
-   * Calculate angle of a line from horizontal (in degrees)
-   * @param {Object} p1 - Start point {x, y}
-   * @param {Object} p2 - End point {x, y}
-   * @returns {number} Angle in degrees (-180 to 180)
+   * Signing hand of the user - decides which hand leads two-handed signs and how
+   * a hand is treated when MediaPipe isn't sure whether it is left or right
+   * @param {string} hand - 'right' or 'left'
    */
-  getDirectionAngle(p1, p2) {
-    const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x) * (180 / Math.PI);
-    return angle;
+  setDominantHand(hand) {
+    if (hand !== 'right' && hand !== 'left') {
+      log.warn('⚠️ Unknown dominant hand:', hand);
+      return;
+    }
+    this.dominantHand = hand;
+    this.twoHandedClassifier.dominantHandedness = hand === 'left' ? 'Left' : 'Right';
+    if (this.twoHandedLetterClassifier) {
+      this.twoHandedLetterClassifier.dominantHandedness = this.twoHandedClassifier.dominantHandedness;
+    }
+    this.motionTracker.reset();
+    this.smoother.reset();
+    log.info(`✋ Dominant hand: ${hand}`);
   }
 
   /**
-   * Calculate bend angle at a finger joint
-   * @param {Object} tip - Finger tip point
-   * @param {Object} pip - PIP joint (middle joint)
-   * @param {Object} mcp - MCP joint (base joint)
+   * The signer's hand - MediaPipe's Left/Right label swapped for unmirrored frames, or the
+   * dominant hand when the label can't be trusted.
+   * hand.score depends on the runtime: the mediapipe runtime reports the Left/Right
+   * classification score, the tfjs runtime (the detection worker) the hand presence score -
+   * it cuts the handedness at 0.5 internally and doesn't expose it. So only the mediapipe
+   * score is held against handednessMinScore.
+   * @param {Object} hand - Hand from estimateHands
+   * @returns {string} - 'Left' or 'Right'
+   */
+  getHandedness(hand) {
+    const label = hand?.handedness;
+    const known = label === 'Left' || label === 'Right';
+    const confident = this.runtime !== 'mediapipe' || hand.score === undefined ||
+      hand.score >= this.handednessMinScore;
+    if (!known || !confident) return this.dominantHand === 'left' ? 'Left' : 'Right';
+    if (this.inputMirrored) return label;
+    return label === 'Left' ? 'Right' : 'Left';
+  }
+
+  // ============================================================================
+  // TWO-HANDED SIGNS
+  // ============================================================================
+
+  /**
+   * Classify signs that use both hands (handedness + relative position)
+   * @param {Array} hands - Hands from estimateHands (at least 2)
+   * @param {Object} classifier - Two-handed word signs by default, or the alphabet's letters
+   * @returns {string|null} - Word token / letter or null
+   */
+  classifyTwoHanded(hands, classifier = this.twoHandedClassifier) {
+    const analyzed = hands.slice(0, 2).map(hand => {
+      const keypoints = this.getNormalizedKeypoints(hand);
+      if (!keypoints || keypoints.length < 21) return null;
+      
+      const pixelKeypoints = this.toPixelKeypoints(keypoints);
+      return {
+        handedness: this.getHandedness(hand),
+        keypoints: pixelKeypoints,
+        imageKeypoints: this.getImageKeypoints(hand),
+        fingers: this.getFingerStates(pixelKeypoints)
+      };
+    });
+    
+    if (analyzed.some(hand => !hand)) return null;
+    
+    return classifier.classify(analyzed[0], analyzed[1], { numbers: this.recognitionMode === 'numbers' });
+  }
+
+  /**
+   * Whether a gesture is a fingerspelled letter, a number or a whole-word token
+   * @param {string|null} gesture - Smoothed gesture
+   * @returns {string|null} - 'letter', 'number', 'word' or null for no gesture
+   */
+  getGestureType(gesture) {
+    if (!gesture || gesture === 'none' || gesture === 'unknown') return null;
+    if (/^[A-Z]$/.test(gesture)) return 'letter';
+    if (/^\d+$/.test(gesture)) return 'number';
+    return 'word';
+  }
+
+  /**
+   * Switch between fingerspelling and number context
+   * @param {string} mode - 'letters' or 'numbers'
+   */
+  setRecognitionMode(mode) {
+    if (mode !== 'letters' && mode !== 'numbers') {
+      log.warn('⚠️ Unknown recognition mode:', mode);
+      return;
+    }
+    if (mode === this.recognitionMode) return;
+    
+    this.recognitionMode = mode;
+    // Letter confidence must not carry over into digits (V → 2) and vice versa
+    this.smoother.reset();
+    log.info(`🔢 Recognition mode: ${mode}`);
+  }
+
+  // ============================================================================
+  // MOTION LAYER (J, Z)
+  // ============================================================================
+
+  /**
+   * Add the current hand to the fingertip trajectory and check for J/Z
+   * @param {Object} hand - Hand from estimateHands
+   * @returns {string|null} - Motion letter or null
+   */
+  trackMotion(hand) {
+    if (!this.lastHandAnalysis) return null;
+    
+    const imageKeypoints = this.getImageKeypoints(hand) || this.lastHandAnalysis.keypoints;
+    this.motionTracker.addFrame(imageKeypoints, this.lastHandAnalysis.fingers, Date.now());
+    
+    // J and Z are letters - a moving index finger means nothing in number mode
+    // (or in alphabets that don't draw them in the air)
+    return this.recognitionMode === 'letters' && this.alphabet.motionLetters
+      ? this.motionTracker.detectMotionLetter()
+      : null;
+  }
+
+  /**
+   * Image-space keypoints follow the hand across the frame, unlike keypoints3D
+   * which are centred on the hand. Returns null when MediaPipe gave us nulls.
+   * @param {Object} hand - Hand from estimateHands
+   * @returns {Array|null}
+   */
+  getImageKeypoints(hand) {
+    const points = hand?.keypoints;
+    if (!points || points.length < 21) return null;
+    
+    const valid = points.every(kp => Number.isFinite(kp.x) && Number.isFinite(kp.y));
+    return valid ? points : null;
+  }
+
+  /**
+   * Motion letters and moving word signs are complete once the stroke is drawn,
+   * so they skip the frame-count smoothing and replace the current gesture immediately
+   * @param {string} gesture - e.g. 'J', 'Z', 'HELLO'
+   * @returns {string}
+   */
+  confirmDynamicGesture(gesture) {
+    this.smoother.force(gesture, Date.now());
+    this.strokeEndShape = MOTION_LETTER_SHAPES[gesture] || null;
+    return gesture;
+  }
+
+  /**
+   * Keep the handshape a stroke starts from (alphabet.strokeStarts - I for J) out of the sentence
+   * around the stroke - before it, until the hand has been still for motionLeadMs, and after
+   * a J or Z drawn in the air, until the hand shows another shape. Otherwise the sentence
+   * reads "IJ" or "JI".
+   * @param {string|null} gesture - Smoothed static gesture
+   * @returns {string|null}
+   */
+  holdBackMotionShape(gesture) {
+    if (!this.alphabet.strokeStarts || this.recognitionMode !== 'letters') return gesture;
+
+    const now = Date.now();
+    if (gesture !== this.stillShape) {
+      this.stillShape = gesture;
+      this.stillShapeSince = now;
+    }
+    if (gesture && gesture !== this.strokeEndShape) this.strokeEndShape = null;
+
+    const startsStroke = Object.values(this.alphabet.strokeStarts).includes(gesture);
+    if (gesture === this.strokeEndShape || (startsStroke && now - this.stillShapeSince < this.motionLeadMs)) {
+      return null;
+    }
+    return gesture;
+  }
+
+  // ============================================================================
+  // WORD SIGNS
+  // ============================================================================
+
+  /**
+   * Match the current hand against the word sign vocabulary
+   * @param {Object} hand - Hand from estimateHands
+   * @returns {Object|null} - { word, dynamic } or null
+   */
+  recognizeWordSign(hand) {
+    if (!this.lastHandAnalysis) return null;
+    
+    // The vocabulary is ASL - other sign languages sign these words differently - and
+    // belongs with fingerspelling, like two-handed, ML and motion letters: a fist moving
+    // in number mode isn't YES. Control signs aren't words, they work everywhere
+    return this.wordSignRecognizer.recognize({
+      fingers: this.lastHandAnalysis.fingers,
+      orientation: this.getHandOrientation(hand),
+      motion: this.motionTracker.getMotionFeatures()
+    }, { vocabulary: this.alphabet.wordSigns && this.recognitionMode === 'letters' });
+  }
+
+  /**
+   * The ACCEPT-SUGGESTION control sign is only recognised while word suggestions
+   * are shown - with nothing to accept it could only fire by accident
+   * @param {boolean} visible
+   */
+  setSuggestionsVisible(visible) {
+    this.wordSignRecognizer.setControlSignEnabled('ACCEPT-SUGGESTION', !!visible);
+  }
+
+  /**
+   * Palm facing and finger direction from the raw 3D keypoints
+   * (MediaPipe world coordinates: x right, y down, z away from the camera)
+   * @param {Object} hand - Hand from estimateHands
+   * @returns {Object} - { palm: 'forward'|'signer'|'up'|'down'|'side', fingers: 'up'|'down'|'side'|'forward' }
+   */
+  getHandOrientation(hand) {
+    const points = hand?.keypoints3D;
+    if (!points || points.length < 21) return {};
+    
+    const wrist = points[0];
+    const toIndex = { x: points[5].x - wrist.x, y: points[5].y - wrist.y, z: points[5].z - wrist.z };
+    const toPinky = { x: points[17].x - wrist.x, y: points[17].y - wrist.y, z: points[17].z - wrist.z };
+    const toMiddle = { x: points[9].x - wrist.x, y: points[9].y - wrist.y, z: points[9].z - wrist.z };
+    
+    // Palm normal - the cross product flips direction for a left hand
+    const handSign = this.getHandedness(hand) === 'Left' ? -1 : 1;
+    const normal = {
+      x: handSign * (toIndex.y * toPinky.z - toIndex.z * toPinky.y),
+      y: handSign * (toIndex.z * toPinky.x - toIndex.x * toPinky.z),
+      z: handSign * (toIndex.x * toPinky.y - toIndex.y * toPinky.x)
+    };
+    
+    const dominantAxis = (v) => {
+      const ax = Math.abs(v.x), ay = Math.abs(v.y), az = Math.abs(v.z);
+      if (az >= ax && az >= ay) return 'z';
+      return ay >= ax ? 'y' : 'x';
+    };
+    
+    let palm;
+    switch (dominantAxis(normal)) {
+      case 'z': palm = normal.z < 0 ? 'forward' : 'signer'; break;
+      case 'y': palm = normal.y < 0 ? 'up' : 'down'; break;
+      default: palm = 'side';
+    }
+    
+    let fingers;
+    switch (dominantAxis(toMiddle)) {
+      case 'y': fingers = toMiddle.y < 0 ? 'up' : 'down'; break;
+      case 'z': fingers = 'forward'; break;
+      default: fingers = 'side';
+    }
+    
+    return { palm, fingers };
+  }
+
+  /**
+   * Add or replace a whole-word sign at runtime
+   * @param {Object} definition - { word, handshape, orientation, motion }
+   */
+  registerWordSign(definition) {
+    return this.wordSignRecognizer.registerSign(definition);
+  }
+
+  isWordSign(gesture) {
+    return this.wordSignRecognizer.hasSign(gesture) || this.twoHandedClassifier.signs.includes(gesture);
+  }
+
+  // ============================================================================
+  // ANGLE-BASED DETECTION HELPERS
+  // ============================================================================
+  
+  /**
+   * Calculate angle between three points (in degrees)
+   * Returns angle at point p2 formed by p1-p2-p3
+   * @param {Object} p1 - First point {x, y}
+   * @param {Object} p2 - Vertex point {x, y}
+   * @param {Object} p3 - Third point {x, y}
+   * @returns {number} Angle in degrees (-180 to 180)
+   */
+  calculateAngle(p1, p2, p3) {
+    const angle1 = Math.atan2(p1.y - p2.y, p1.x - p2.x);
+    const angle2 = Math.atan2(p3.y - p2.y, p3.x - p2.x);
+    let angle = (angle2 - angle1) * (180 / Math.PI);
+    
+    // Normalize to -180 to 180 range
+    while (angle > 180) angle -= 360;
+    while (angle < -180) angle += 360;
+    
+    return angle;
+  }
+
+  /**
+   * Calculate angle of a line from horizontal (in degrees)
+   * @param {Object} p1 - Start point {x, y}
+   * @param {Object} p2 - End point {x, y}
+   * @returns {number} Angle in degrees (-180 to 180)
+   */
+  getDirectionAngle(p1, p2) {
+    const angle = Math.atan2(p2.y - p1.y, p2.x - p1.x) * (180 / Math.PI);
+    return angle;
+  }
+
+  /**
+   * Calculate bend angle at a finger joint
+   * @param {Object} tip - Finger tip point
+   * @param {Object} pip - PIP joint (middle joint)
+   * @param {Object} mcp - MCP joint (base joint)
    * @returns {number} Bend angle in degrees (0 = straight, 180 = fully bent)
    */
   getFingerCurlAngle(tip, pip, mcp) {
@@ -449,178 +1145,116 @@ class SignLanguageDetector {
   // END ANGLE-BASED HELPERS
   // ============================================================================
 
-  detectASLLetter(keypoints, thumbExt, indexExt, middleExt, ringExt, pinkyExt) {
-    // Helper to check thumb position relative to fingers
-    const thumbAcrossPalm = this.isThumbAcrossPalm(keypoints);
-    const thumbToSide = this.isThumbToSide(keypoints);
-    const thumbTouchingFingers = this.isThumbTouchingFingers(keypoints);
-    
-    // Check all fingers closed first (for A, E, M, S differentiation)
-    const allFingersClosed = !indexExt && !middleExt && !ringExt && !pinkyExt;
-    
-    if (allFingersClosed) {
-      // A - Closed fist with thumb CLEARLY to the side (perpendicular)
-      if (thumbToSide && !thumbAcrossPalm) {
-        console.log('🔍 A detected: thumb to side');
-        return 'A';
-      }
-      
-      // M - Three fingers draped over thumb (very close to thumb) - CHECK FIRST
-      if (this.isMShape(keypoints)) {
-        console.log('🔍 M detected: three fingers over thumb');
-        return 'M';
-      }
-      
-      // E - Fingers curled BACK with thumb across (fingertips NOT near thumb)
-      if (this.isEShape(keypoints)) {
-        console.log('🔍 E detected: fingers curled back, thumb across');
-        return 'E';
-      }
-      
-      // S - Thumb wrapped ACROSS FRONT of fingers (thumb in front)
-      if (this.isThumbInFront(keypoints)) {
-        console.log('🔍 S detected: thumb in front');
-        return 'S';
-      }
-      
-      // Default to A if thumb position unclear but to side
-      if (thumbToSide) {
-        console.log('🔍 A detected (default): thumb appears to side');
-        return 'A';
-      }
-    }
-    
-    // D - Index finger up, other fingers and thumb form circle (CHECK FIRST - very specific)
-    if (indexExt && !middleExt && !ringExt && !pinkyExt && this.isDShape(keypoints)) {
-      console.log('🔍 D detected: index up with circle');
-      return 'D';
-    }
-    
-    // B - All four fingers extended together, thumb across palm
-    if (indexExt && middleExt && ringExt && pinkyExt && thumbAcrossPalm) {
-      return 'B';
-    }
-    
-    // F - Index and thumb form circle, other three fingers extended (CHECK BEFORE C)
-    if (middleExt && ringExt && pinkyExt && !indexExt && this.isFShape(keypoints)) {
-      console.log('🔍 F detected: OK circle with three fingers up');
-      return 'F';
-    }
-    
-    // H - Index and middle extended sideways together, ring/pinky closed (CHECK BEFORE G and C)
-    // Thumb can be slightly out or tucked in for H
-    if (indexExt && middleExt && !ringExt && !pinkyExt && this.isHShape(keypoints)) {
-      console.log('🔍 H detected: index + middle extended sideways, ring/pinky closed');
-      return 'H';
-    }
-    
-    // Q - Index + thumb pointing DOWN (CHECK BEFORE G - more specific!)
-    if (indexExt && thumbExt && !middleExt && !ringExt && !pinkyExt && this.isQShape(keypoints)) {
-      console.log('🔍 Q detected: index + thumb pointing DOWN, others closed');
-      return 'Q';
-    }
-    
-    // G - Index pointing sideways/forward, thumb parallel, OTHER FINGERS CLOSED (CHECK AFTER Q)
-    if (indexExt && thumbExt && !middleExt && !ringExt && !pinkyExt && this.isGShape(keypoints, indexExt, thumbExt)) {
-      console.log('🔍 G detected: index + thumb extended sideways/forward, others closed');
-      return 'G';
-    }
-    
-    // P - Index and middle pointing DOWN, ring/pinky closed (CHECK BEFORE K!)
-    // Must check BEFORE K because P has same finger configuration but different direction
-    if (indexExt && middleExt && !ringExt && !pinkyExt && this.isPShape(keypoints)) {
-      console.log('🔍 P detected: index + middle pointing DOWN, ring/pinky closed');
-      return 'P';
-    }
-    
-    // K - Index up, middle extended at angle, thumb between them, ring/pinky closed (CHECK AFTER P)
-    // Note: Thumb can be partially extended (between fingers), not fully extended
-    const kShapeValid = this.isKShape(keypoints);
-    console.log('🔍 K check:', { indexExt, middleExt, thumbExt, ringExt, pinkyExt, kShapeValid });
-    
-    if (indexExt && middleExt && !ringExt && !pinkyExt && kShapeValid) {
-      console.log('🔍 K detected: index + middle at angle UP/FORWARD, ring/pinky closed');
-      return 'K';
-    }
-    
-    // I - Pinky up, other fingers closed, thumb across (CHECK BEFORE C)
-    if (!indexExt && !middleExt && !ringExt && pinkyExt && thumbAcrossPalm) {
-      console.log('🔍 I detected: pinky up, other fingers closed, thumb across palm');
-      return 'I';
-    }
-    
-    // L - Index up, thumb out at right angle (CHECK BEFORE C - very specific)
-    if (indexExt && thumbExt && !middleExt && !ringExt && !pinkyExt && this.isLShape(keypoints)) {
-      console.log('🔍 L detected: index up, thumb out at 90 degrees');
-      return 'L';
-    }
-    
-    // N - Two fingers (index, middle) draped over thumb (CHECK BEFORE C)
-    // Ring and pinky should be CLOSED, thumb tucked under index/middle
-    if (!indexExt && !middleExt && !ringExt && !pinkyExt && this.isNShape(keypoints)) {
-      console.log('🔍 N detected: two fingers over thumb');
-      return 'N';
-    }
-    
-    // C - Curved hand shape (all fingers curved, forming C)
-    if (this.isCShape(keypoints)) {
-      return 'C';
-    }
-    
-    // O - All fingers form circle/oval shape
-    if (this.isOShape(keypoints)) {
-      return 'O';
-    }
-    
-    // R - Index and middle crossed
-    if (this.isRShape(keypoints, indexExt, middleExt)) {
-      return 'R';
-    }
-    
-    // S - Fist with thumb across front (same as A but thumb in front)
-    if (!indexExt && !middleExt && !ringExt && !pinkyExt && this.isThumbInFront(keypoints)) {
-      return 'S';
-    }
-    
-    // T - Thumb between index and middle
-    if (this.isTShape(keypoints)) {
-      return 'T';
-    }
-    
-    // U - Index and middle extended together, others closed
-    if (indexExt && middleExt && !ringExt && !pinkyExt && this.areFingersTogether(keypoints, 8, 12)) {
-      return 'U';
-    }
-    
-    // V - Index and middle extended in V shape, others closed
-    if (indexExt && middleExt && !ringExt && !pinkyExt && !this.areFingersTogether(keypoints, 8, 12)) {
-      return 'V';
-    }
-    
-    // W - Index, middle, ring extended, pinky closed
-    if (indexExt && middleExt && ringExt && !pinkyExt && !thumbExt) {
-      return 'W';
-    }
-    
-    // X - Index bent/crooked
-    if (this.isXShape(keypoints, indexExt)) {
-      return 'X';
+  /**
+   * Match pixel keypoints against the alphabet's one-handed letter rules (rules/aslLetters.json for ASL)
+   * @param {Array} keypoints - Pixel keypoints
+   * @param {Object} fingers - Finger states {thumb, index, middle, ring, pinky}
+   * @returns {string} - Letter or 'unknown'
+   */
+  detectLetter(keypoints, fingers) {
+    // J and Z are motion letters - recognised by the motion tracker, not here
+    return this.evaluateRules(this.letterRules, keypoints, fingers);
+  }
+
+  /**
+   * Match pixel keypoints against the alphabet's number rules (rules/aslNumbers.json)
+   * @param {Array} keypoints - Pixel keypoints
+   * @param {Object} fingers - Finger states {thumb, index, middle, ring, pinky}
+   * @returns {string} - Digit or 'unknown'
+   */
+  detectNumber(keypoints, fingers) {
+    return this.evaluateRules(this.numberRules, keypoints, fingers);
+  }
+
+  evaluateRules(engine, keypoints, fingers) {
+    const result = engine.evaluate(keypoints, fingers);
+    this.lastRuleResult = result;
+    return result.label;
+  }
+
+  /**
+   * Named predicates that rules can reference with { type: 'feature', name }
+   * @returns {Object} - name → (keypoints, ...args) => boolean
+   */
+  getRuleFeatures() {
+    return {
+      thumbAcrossPalm: (keypoints) => this.isThumbAcrossPalm(keypoints),
+      thumbToSide: (keypoints) => this.isThumbToSide(keypoints),
+      thumbInFront: (keypoints) => this.isThumbInFront(keypoints),
+      fingersTogether: (keypoints, tip1, tip2) => this.areFingersTogether(keypoints, tip1, tip2)
+    };
+  }
+
+  /**
+   * Load handshape rules at runtime. Rules whose id already exists replace it,
+   * so a partial rule set can tune single letters.
+   * @param {Object|Array} ruleSet - { name, rules } or an array of rules
+   * @param {Object} options - { mode: 'letters'|'numbers', replace: false }
+   * @returns {number} - Number of rules accepted
+   */
+  loadHandshapeRules(ruleSet, { mode = 'letters', replace = false } = {}) {
+    return this.getRuleEngine(mode).loadRules(ruleSet, { replace });
+  }
+
+  /**
+   * Fetch a JSON rule set (e.g. from /public) and load it
+   * @param {string} url - Rule set URL
+   * @param {Object} options - Same as loadHandshapeRules
+   */
+  async loadHandshapeRulesFromUrl(url, options = {}) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return this.loadHandshapeRules(await response.json(), options);
+    } catch (error) {
+      log.error(`❌ Failed to load handshape rules from ${url}:`, error.message);
+      return 0;
     }
-    
-    // Y - Thumb and pinky extended, others closed (hang loose)
-    if (thumbExt && !indexExt && !middleExt && !ringExt && pinkyExt) {
-      return 'Y';
+  }
+
+  /**
+   * Patch one rule, e.g. overrideHandshapeRule('K', { conditions: [...] })
+   * @param {string} id - Rule id
+   * @param {Object} patch - Fields to replace
+   * @param {string} mode - 'letters' or 'numbers'
+   */
+  overrideHandshapeRule(id, patch, mode = 'letters') {
+    return this.getRuleEngine(mode).overrideRule(id, patch);
+  }
+
+  getRuleEngine(mode) {
+    return mode === 'numbers' ? this.numberRules : this.letterRules;
+  }
+
+  /**
+   * Read another manual alphabet - replaces the handshape rules (runtime rule
+   * changes are lost) and the two-handed letter classifier
+   * @param {string} id - Key of SIGN_ALPHABETS, e.g. 'asl' or 'bsl'
+   * @returns {boolean} - Whether the alphabet is known
+   */
+  setAlphabet(id) {
+    const alphabet = SIGN_ALPHABETS[id];
+    if (!alphabet) {
+      log.warn('⚠️ Unknown sign alphabet:', id);
+      return false;
     }
-    
-    // Z - Index pointing (motion gesture - static approximation)
-    if (indexExt && !middleExt && !ringExt && !pinkyExt && !thumbExt) {
-      return 'Z';
+    if (alphabet === this.alphabet) return true;
+    
+    this.alphabet = alphabet;
+    this.letterRules = new HandshapeRuleEngine(alphabet.letterRules, this.getRuleFeatures());
+    this.numberRules = new HandshapeRuleEngine(alphabet.numberRules, this.getRuleFeatures());
+    this.twoHandedLetterClassifier = alphabet.twoHandedLetters ? new alphabet.twoHandedLetters() : null;
+    if (this.twoHandedLetterClassifier) {
+      this.twoHandedLetterClassifier.dominantHandedness = this.twoHandedClassifier.dominantHandedness;
     }
-    
-    return 'unknown';
+    this.lastRuleResult = null;
+    this.smoother.reset();
+    this.motionTracker.reset();
+    log.info(`🔤 Sign alphabet: ${alphabet.name}`);
+    return true;
   }
 
-  // Helper methods for ASL letter detection
+  // Feature predicates used by the handshape rules
   
   isThumbAcrossPalm(keypoints) {
     const thumbTip = keypoints[4];
@@ -634,9 +1268,10 @@ class SignLanguageDetector {
     const avgFingerBaseY = (indexBase.y + middleBase.y) / 2;
     
     // Thumb should be close to palm horizontally and near finger bases vertically
-    const isAcross = xDistance < 50 && Math.abs(yPosition - avgFingerBaseY) < 40;
+    const isAcross = xDistance < this.thresholds.thumbAcrossPalmX &&
+      Math.abs(yPosition - avgFingerBaseY) < this.thresholds.thumbAcrossPalmY;
     
-    console.log('   isThumbAcrossPalm:', isAcross, '(xDist:', xDistance.toFixed(1), 'yDiff:', Math.abs(yPosition - avgFingerBaseY).toFixed(1) + ')');
+    log.debug('   isThumbAcrossPalm:', isAcross, '(xDist:', xDistance.toFixed(1), 'yDiff:', Math.abs(yPosition - avgFingerBaseY).toFixed(1) + ')');
     return isAcross;
   }
   
@@ -653,71 +1288,10 @@ class SignLanguageDetector {
     // Strong indicator: thumb is far to the side AND not across palm
     const isToSide = xDiff > 40 && thumbExtension > 35;
     
-    console.log('   isThumbToSide:', isToSide, '(xDiff:', xDiff.toFixed(1), 'extension:', thumbExtension.toFixed(1) + ')');
+    log.debug('   isThumbToSide:', isToSide, '(xDiff:', xDiff.toFixed(1), 'extension:', thumbExtension.toFixed(1) + ')');
     return isToSide;
   }
   
-  isDShape(keypoints) {
-    const thumbTip = keypoints[4];
-    const middleTip = keypoints[12];
-    const ringTip = keypoints[16];
-    const pinkyTip = keypoints[20];
-    
-    // D forms a circle with thumb and middle/ring/pinky fingers
-    // All three closed fingers should be close together AND close to thumb
-    const thumbToMiddle = Math.sqrt(
-      Math.pow(thumbTip.x - middleTip.x, 2) +
-      Math.pow(thumbTip.y - middleTip.y, 2)
-    );
-    
-    const thumbToRing = Math.sqrt(
-      Math.pow(thumbTip.x - ringTip.x, 2) +
-      Math.pow(thumbTip.y - ringTip.y, 2)
-    );
-    
-    const thumbToPinky = Math.sqrt(
-      Math.pow(thumbTip.x - pinkyTip.x, 2) +
-      Math.pow(thumbTip.y - pinkyTip.y, 2)
-    );
-    
-    // Middle, ring, pinky should be bunched together (touching or close)
-    const middleToRing = Math.sqrt(
-      Math.pow(middleTip.x - ringTip.x, 2) +
-      Math.pow(middleTip.y - ringTip.y, 2)
-    );
-    
-    const ringToPinky = Math.sqrt(
-      Math.pow(ringTip.x - pinkyTip.x, 2) +
-      Math.pow(ringTip.y - pinkyTip.y, 2)
-    );
-    
-    // For D: fingers bunched AND at least one touches thumb (forming circle)
-    const fingersBunched = middleToRing < 25 && ringToPinky < 25;
-    const thumbTouchingClosedFingers = (thumbToMiddle < 35 || thumbToRing < 35 || thumbToPinky < 35);
-    
-    const isD = fingersBunched && thumbTouchingClosedFingers;
-    
-    console.log('   isDShape:', isD, 
-      '(fingersBunched:', fingersBunched, 
-      'thumbToClosedFingers:', thumbTouchingClosedFingers,
-      'thumbToMiddle:', thumbToMiddle.toFixed(1),
-      'thumbToRing:', thumbToRing.toFixed(1) + ')');
-    
-    return isD;
-  }
-
-  isThumbTouchingFingers(keypoints) {
-    const thumbTip = keypoints[4];
-    const middleTip = keypoints[12];
-    
-    // Check if thumb is close to middle finger tip (forming circle)
-    const distance = Math.sqrt(
-      Math.pow(thumbTip.x - middleTip.x, 2) +
-      Math.pow(thumbTip.y - middleTip.y, 2)
-    );
-    return distance < 30;
-  }
-  
   isThumbInFront(keypoints) {
     const thumbTip = keypoints[4];
     const indexMCP = keypoints[5];
@@ -731,256 +1305,10 @@ class SignLanguageDetector {
     // S has thumb in front AND wrapped (not extended far)
     const isInFront = zDiff > 0.01 && xDiff < 60;
     
-    console.log('   isThumbInFront:', isInFront, '(zDiff:', zDiff.toFixed(3), 'xDiff:', xDiff.toFixed(1) + ')');
+    log.debug('   isThumbInFront:', isInFront, '(zDiff:', zDiff.toFixed(3), 'xDiff:', xDiff.toFixed(1) + ')');
     return isInFront;
   }
   
-  isCShape(keypoints) {
-    // All fingertips should be curved (similar x position but different y)
-    const tips = [8, 12, 16, 20].map(i => keypoints[i]);
-    const bases = [5, 9, 13, 17].map(i => keypoints[i]);
-    const thumbTip = keypoints[4];
-    
-    // Check if fingers are curved (tips not far from bases)
-    const avgDistance = tips.reduce((sum, tip, idx) => {
-      const base = bases[idx];
-      return sum + Math.sqrt(Math.pow(tip.x - base.x, 2) + Math.pow(tip.y - base.y, 2));
-    }, 0) / 4;
-    
-    // C should be more open/curved than N or M - stricter requirements
-    // Fingers should curve but NOT be tucked over thumb
-    // Check that fingers are NOT close to thumb (like in N or M)
-    const fingersToThumb = tips.map(tip => 
-      Math.sqrt(Math.pow(tip.x - thumbTip.x, 2) + Math.pow(tip.y - thumbTip.y, 2))
-    );
-    const avgDistToThumb = fingersToThumb.reduce((a, b) => a + b, 0) / fingersToThumb.length;
-    
-    // C: fingers curved (25-45px), but NOT close to thumb (must be >40px away)
-    const isCurved = avgDistance > 25 && avgDistance < 45;
-    const fingersAway = avgDistToThumb > 40; // Fingers NOT over thumb
-    
-    console.log('   isCShape: curved=', isCurved, 'away=', fingersAway, '(avgDist:', avgDistance.toFixed(1), 'distToThumb:', avgDistToThumb.toFixed(1) + ')');
-    return isCurved && fingersAway;
-  }
-  
-  isOKShape(keypoints) {
-    const thumbTip = keypoints[4];
-    const indexTip = keypoints[8];
-    
-    // Thumb and index form circle
-    const distance = Math.sqrt(
-      Math.pow(thumbTip.x - indexTip.x, 2) +
-      Math.pow(thumbTip.y - indexTip.y, 2)
-    );
-    return distance < 25;
-  }
-  
-  isFShape(keypoints) {
-    // F: Thumb tip touches index finger (at knuckle/joint), forming OK-like circle
-    // Middle, ring, pinky are extended upward/outward
-    const thumbTip = keypoints[4];
-    const indexTip = keypoints[8];
-    const indexDIP = keypoints[7];  // Index distal interphalangeal joint
-    const indexPIP = keypoints[6];  // Index proximal interphalangeal joint
-    const indexMCP = keypoints[5];  // Index metacarpophalangeal joint (base)
-    const middleTip = keypoints[12];
-    const ringTip = keypoints[16];
-    const pinkyTip = keypoints[20];
-    const palmBase = keypoints[0];
-    
-    // Check if thumb touches any part of the index finger (not just the tip)
-    const distances = [indexTip, indexDIP, indexPIP, indexMCP].map(joint => 
-      Math.sqrt(
-        Math.pow(thumbTip.x - joint.x, 2) +
-        Math.pow(thumbTip.y - joint.y, 2)
-      )
-    );
-    
-    const minDistance = Math.min(...distances);
-    const thumbTouchesIndex = minDistance < 30;
-    
-    // For F: Check that middle, ring, pinky are EXTENDED (far from palm)
-    // These three fingers should be much farther from palm than the index/thumb circle
-    const middleDist = Math.sqrt(
-      Math.pow(middleTip.x - palmBase.x, 2) +
-      Math.pow(middleTip.y - palmBase.y, 2)
-    );
-    const ringDist = Math.sqrt(
-      Math.pow(ringTip.x - palmBase.x, 2) +
-      Math.pow(ringTip.y - palmBase.y, 2)
-    );
-    const pinkyDist = Math.sqrt(
-      Math.pow(pinkyTip.x - palmBase.x, 2) +
-      Math.pow(pinkyTip.y - palmBase.y, 2)
-    );
-    
-    const avgExtension = (middleDist + ringDist + pinkyDist) / 3;
-    
-    // OPTIMIZED: Lowered threshold from 80 to 75 for more reliable F detection
-    // Three fingers should be well extended (>75px from palm) for F
-    const fingersExtended = avgExtension > 75;
-    
-    const isF = thumbTouchesIndex && fingersExtended;
-    
-    console.log('   isFShape:', isF, '(thumbTouch:', thumbTouchesIndex, 'minDist:', minDistance.toFixed(1), 'avgExt:', avgExtension.toFixed(1), 'extended:', fingersExtended + ')');
-    return isF;
-  }
-  
-  isOShape(keypoints) {
-    const thumbTip = keypoints[4];
-    const indexTip = keypoints[8];
-    
-    // All fingertips close together forming O
-    const distance = Math.sqrt(
-      Math.pow(thumbTip.x - indexTip.x, 2) +
-      Math.pow(thumbTip.y - indexTip.y, 2)
-    );
-    return distance < 35;
-  }
-  
-  isGShape(keypoints, indexExt, thumbExt) {
-    if (!indexExt || !thumbExt) return false;
-    
-    const indexTip = keypoints[8];
-    const indexBase = keypoints[5];
-    const thumbTip = keypoints[4];
-    const thumbBase = keypoints[2];
-    
-    // ANGLE-BASED DETECTION: G = Index pointing SIDEWAYS/HORIZONTAL (not down)
-    // Calculate direction angle from horizontal for index finger
-    const indexAngle = this.getDirectionAngle(indexBase, indexTip);
-    
-    // Horizontal pointing: angle between -30° and +30° (right) or 150-210° (left)
-    // This is camera-distance independent
-    const indexHorizontal = Math.abs(indexAngle) < 30 || Math.abs(Math.abs(indexAngle) - 180) < 30;
-    
-    // Index and thumb should be parallel (tips at similar height)
-    const yDiff = Math.abs(indexTip.y - thumbTip.y);
-    const parallel = yDiff < 50;
-    
-    console.log('   isGShape (ANGLE): indexAngle=', indexAngle.toFixed(1), '°, indexHorizontal=', indexHorizontal, 'parallel=', parallel, '(yDiff:', yDiff.toFixed(1), 'px)');
-    return parallel && indexHorizontal;
-  }
-  
-  isHShape(keypoints) {
-    // Check if index and middle fingers are side by side (horizontal)
-    return this.areFingersTogether(keypoints, 8, 12);
-  }
-  
-  isKShape(keypoints) {
-    const indexTip = keypoints[8];
-    const indexBase = keypoints[5];
-    const middleTip = keypoints[12];
-    const middleBase = keypoints[9];
-    
-    // Check if index and middle fingers are spread apart (V shape)
-    const indexMiddleDist = Math.abs(indexTip.x - middleTip.x);
-    const isValid = indexMiddleDist > 10 && indexMiddleDist < 50;
-    
-    // ANGLE-BASED DETECTION: K = Fingers must point UP/FORWARD (negative angles)
-    // Calculate direction angles for both fingers
-    const indexAngle = this.getDirectionAngle(indexBase, indexTip);
-    const middleAngle = this.getDirectionAngle(middleBase, middleTip);
-    
-    // K should point UPWARD or slightly FORWARD, but NOT horizontal sideways (that's H)
-    // Upward pointing: angle between -135° and -45° (straight up = -90°)
-    // Slightly forward: angle between -45° and -10° OR 10° and 45° (but not near ±180° which is sideways/H)
-    const indexPointingUp = (indexAngle < -10 && indexAngle > -135) || (indexAngle > 10 && indexAngle < 45);
-    const middlePointingUp = (middleAngle < -10 && middleAngle > -135) || (middleAngle > 10 && middleAngle < 45);
-    const pointingUp = indexPointingUp && middlePointingUp; // BOTH should point up/forward, not horizontal
-    
-    console.log('   isKShape (ANGLE): indexAngle=', indexAngle.toFixed(1), '°, middleAngle=', middleAngle.toFixed(1), '°, spread=', indexMiddleDist.toFixed(1), 'px, pointingUp=', pointingUp);
-    return isValid && pointingUp;
-  }
-  
-  isLShape(keypoints) {
-    const indexTip = keypoints[8];
-    const thumbTip = keypoints[4];
-    const wrist = keypoints[0];
-    
-    // Index pointing up, thumb pointing sideways (90 degree angle)
-    const indexVertical = Math.abs(indexTip.y - wrist.y) > 60;
-    const thumbHorizontal = Math.abs(thumbTip.x - wrist.x) > 40;
-    
-    return indexVertical && thumbHorizontal;
-  }
-  
-  isPShape(keypoints) {
-    const indexTip = keypoints[8];
-    const indexBase = keypoints[5];
-    const middleTip = keypoints[12];
-    const middleBase = keypoints[9];
-    const wrist = keypoints[0];
-    
-    // ANGLE-BASED DETECTION: P = Index and middle pointing DOWN at 45-135° angle
-    // Calculate direction angles for both fingers
-    const indexAngle = this.getDirectionAngle(indexBase, indexTip);
-    const middleAngle = this.getDirectionAngle(middleBase, middleTip);
-    
-    // Downward pointing: angle between 45° and 135° (90° = straight down)
-    const indexPointingDown = indexAngle > 45 && indexAngle < 135;
-    const middlePointingDown = middleAngle > 45 && middleAngle < 135;
-    
-    // Both fingers must be pointing down AND below wrist level
-    const bothDown = indexPointingDown && middlePointingDown;
-    const belowWrist = indexTip.y > wrist.y && middleTip.y > wrist.y;
-    
-    console.log('   isPShape (ANGLE): indexAngle=', indexAngle.toFixed(1), '°, middleAngle=', middleAngle.toFixed(1), '°, bothDown=', bothDown, 'belowWrist=', belowWrist);
-    
-    return bothDown && belowWrist;
-  }
-  
-  isQShape(keypoints) {
-    const indexTip = keypoints[8];
-    const indexBase = keypoints[5];
-    const thumbTip = keypoints[4];
-    const thumbBase = keypoints[2];
-    const wrist = keypoints[0];
-    
-    // ANGLE-BASED DETECTION: Q = index + thumb pointing DOWN at 45-135° angle
-    // Calculate direction angle from horizontal for both fingers
-    const indexAngle = this.getDirectionAngle(indexBase, indexTip);
-    const thumbAngle = this.getDirectionAngle(thumbBase, thumbTip);
-    
-    // Downward pointing: angle between 45° and 135° (90° = straight down)
-    // This is camera-distance independent and works for all hand sizes
-    const indexPointingDown = indexAngle > 45 && indexAngle < 135;
-    const thumbPointingDown = thumbAngle > 30 && thumbAngle < 150; // Thumb can be less strict
-    const bothDown = indexPointingDown && thumbPointingDown;
-    
-    // Also check they're below wrist for additional validation
-    const belowWrist = indexTip.y > wrist.y && thumbTip.y > wrist.y;
-    
-    console.log('   isQShape (ANGLE): indexAngle=', indexAngle.toFixed(1), '°, thumbAngle=', thumbAngle.toFixed(1), '°, indexDown=', indexPointingDown, 'thumbDown=', thumbPointingDown, 'bothDown=', bothDown, 'belowWrist=', belowWrist);
-    
-    // Q = index + thumb pointing DOWN (like upside-down gun) with clear downward angle
-    return bothDown && belowWrist;
-  }
-  
-  isRShape(keypoints, indexExt, middleExt) {
-    if (!indexExt || !middleExt) return false;
-    
-    const indexTip = keypoints[8];
-    const middleTip = keypoints[12];
-    
-    // Index and middle fingers crossed
-    const xDiff = Math.abs(indexTip.x - middleTip.x);
-    return xDiff < 15; // Very close together, suggesting crossing
-  }
-  
-  isTShape(keypoints) {
-    const thumbTip = keypoints[4];
-    const indexBase = keypoints[5];
-    const middleBase = keypoints[9];
-    
-    // Thumb tucked between index and middle knuckles
-    const thumbBetween = 
-      thumbTip.x > Math.min(indexBase.x, middleBase.x) &&
-      thumbTip.x < Math.max(indexBase.x, middleBase.x);
-    
-    return thumbBetween;
-  }
-  
   areFingersTogether(keypoints, finger1Tip, finger2Tip) {
     const tip1 = keypoints[finger1Tip];
     const tip2 = keypoints[finger2Tip];
@@ -990,145 +1318,7 @@ class SignLanguageDetector {
       Math.pow(tip1.x - tip2.x, 2) +
       Math.pow(tip1.y - tip2.y, 2)
     );
-    return distance < 20;
-  }
-  
-  isEShape(keypoints) {
-    // E: Fingers curled BACK (away from camera/behind thumb), thumb across palm
-    // Key difference from M: fingers are BEHIND thumb, not draped over it
-    const thumbTip = keypoints[4];
-    const indexTip = keypoints[8];
-    const middleTip = keypoints[12];
-    const ringTip = keypoints[16];
-    const pinkyTip = keypoints[20];
-    
-    const thumbAcrossPalm = this.isThumbAcrossPalm(keypoints);
-    
-    // Key for E: Check if fingertips are BEHIND thumb (farther from camera)
-    // Use z-coordinate: fingers should be farther from camera (more positive z) than thumb
-    const fingersBehind = [indexTip, middleTip, ringTip, pinkyTip].filter(tip => 
-      tip.z && thumbTip.z && tip.z > thumbTip.z + 0.005
-    ).length >= 3;
-    
-    // Alternative: if no z-depth difference, check that fingers are NOT very close to thumb
-    const distances = [indexTip, middleTip, ringTip, pinkyTip].map(tip => 
-      Math.sqrt(
-        Math.pow(tip.x - thumbTip.x, 2) +
-        Math.pow(tip.y - thumbTip.y, 2)
-      )
-    );
-    const minDistance = Math.min(...distances);
-    const avgDistance = distances.reduce((a, b) => a + b, 0) / 4;
-    
-    // E: thumb across palm AND (fingers behind thumb OR fingers not touching thumb closely)
-    const notTouchingThumb = minDistance > 30;
-    const isE = thumbAcrossPalm && (fingersBehind || notTouchingThumb);
-    
-    console.log('   isEShape:', isE, '(avgDist:', avgDistance.toFixed(1), 'minDist:', minDistance.toFixed(1), 'fingersBehind:', fingersBehind, 'thumbAcross:', thumbAcrossPalm + ')');
-    return isE;
-  }
-
-  isMShape(keypoints) {
-    // M: Three fingers (index, middle, ring) DRAPED OVER thumb (forward toward camera)
-    const thumbTip = keypoints[4];
-    const indexTip = keypoints[8];
-    const middleTip = keypoints[12];
-    const ringTip = keypoints[16];
-    
-    // Check if three fingertips are close to thumb
-    const distances = [indexTip, middleTip, ringTip].map(tip => 
-      Math.sqrt(
-        Math.pow(tip.x - thumbTip.x, 2) +
-        Math.pow(tip.y - thumbTip.y, 2)
-      )
-    );
-    
-    const avgDistance = distances.reduce((a, b) => a + b, 0) / 3;
-    const minDistance = Math.min(...distances);
-    
-    // Key for M: Check if fingertips are DRAPED OVER (in front of) thumb
-    // Use z-coordinate: fingers should be closer to camera (more negative z) than thumb
-    // FIXED: Check ABSOLUTE z-direction - fingers should be further (POSITIVE diff) from thumb
-    const zDiffs = [
-      { finger: 'index', z: indexTip.z, diff: indexTip.z - thumbTip.z },
-      { finger: 'middle', z: middleTip.z, diff: middleTip.z - thumbTip.z },
-      { finger: 'ring', z: ringTip.z, diff: ringTip.z - thumbTip.z }
-    ];
-    
-    // M: Fingers are AWAY from camera (thumb closer), so diff should be POSITIVE > 0.005
-    const fingersInFrontCount = zDiffs.filter(f => 
-      f.z !== undefined && thumbTip.z !== undefined && f.diff > 0.005
-    ).length;
-    
-    const fingersInFront = fingersInFrontCount >= 2;
-    
-    // M: fingers close to thumb AND draped forward/over it
-    const isM = avgDistance < 28 && minDistance < 22 && fingersInFront;
-    
-    console.log('   isMShape:', isM, '(avgDist:', avgDistance.toFixed(1), 'minDist:', minDistance.toFixed(1), 'fingersInFront:', fingersInFront, `${fingersInFrontCount}/3)` );
-    console.log('   👆 M z-check: thumbZ=' + (thumbTip.z ? thumbTip.z.toFixed(3) : 'null'), zDiffs.map(f => `${f.finger}=${f.diff.toFixed(3)}`).join(' '));
-    return isM;
-  }
-  
-  isNShape(keypoints) {
-    // N: Two fingers (index, middle) draped over thumb
-    // Similar to M but ONLY 2 fingers instead of 3
-    const thumbTip = keypoints[4];
-    const indexTip = keypoints[8];
-    const middleTip = keypoints[12];
-    const ringTip = keypoints[16];
-    
-    // Check 2D distance - fingers should be close to thumb
-    const distances = [indexTip, middleTip].map(tip => 
-      Math.sqrt(
-        Math.pow(tip.x - thumbTip.x, 2) +
-        Math.pow(tip.y - thumbTip.y, 2)
-      )
-    );
-    
-    const avgDist = distances.reduce((a, b) => a + b, 0) / distances.length;
-    const minDist = Math.min(...distances);
-    
-    // Z-coordinate check: fingers should be CLOSE to thumb depth (not far away)
-    // For N, fingers curl over thumb, so z-values should be similar
-    const fingersToCheck = [
-      { name: 'index', diff: Math.abs(indexTip.z - thumbTip.z) },
-      { name: 'middle', diff: Math.abs(middleTip.z - thumbTip.z) }
-    ];
-    
-    // Check if fingers are at similar depth to thumb (within 0.03 units - relaxed)
-    const fingersAtSimilarDepth = fingersToCheck.filter(f => f.diff < 0.03).length;
-    const depthCheck = fingersAtSimilarDepth >= 1; // At least 1 finger close in depth
-    
-    console.log(`   isNShape: avgDist=${avgDist.toFixed(1)} minDist=${minDist.toFixed(1)} depthCheck=${depthCheck} ${fingersAtSimilarDepth}/2 close`);
-    console.log(`   👆 N z-check: thumbZ=${thumbTip.z.toFixed(3)} index=${indexTip.z.toFixed(3)} middle=${middleTip.z.toFixed(3)}`);
-    console.log(`   👆 N z-diffs: index=${fingersToCheck[0].diff.toFixed(3)} middle=${fingersToCheck[1].diff.toFixed(3)}`);
-    
-    // N: Relaxed thresholds for 2D distance AND similar depth (fingers draped over thumb)
-    return avgDist < 35 && minDist < 30 && depthCheck;
-  }
-  
-  isXShape(keypoints, indexExt) {
-    if (!indexExt) return false;
-    
-    const indexTip = keypoints[8];
-    const indexPIP = keypoints[6]; // Proximal joint
-    const indexMCP = keypoints[5]; // Base joint
-    
-    // Check if index is bent/crooked (not straight)
-    // Calculate angles to detect hook shape
-    const tipToMid = Math.sqrt(
-      Math.pow(indexTip.x - indexPIP.x, 2) +
-      Math.pow(indexTip.y - indexPIP.y, 2)
-    );
-    
-    const midToBase = Math.sqrt(
-      Math.pow(indexPIP.x - indexMCP.x, 2) +
-      Math.pow(indexPIP.y - indexMCP.y, 2)
-    );
-    
-    // If finger is bent, the tip-to-mid distance should be shorter
-    return tipToMid < midToBase * 1.2;
+    return distance < this.thresholds.fingersTogether;
   }
 
   isFingerExtended(keypoints, fingerName) {
@@ -1152,7 +1342,7 @@ class SignLanguageDetector {
     const baseIndex = fingerBase[fingerName];
     
     if (!keypoints[tipIndex] || !keypoints[baseIndex]) {
-      console.log(`⚠️ Missing keypoint for ${fingerName}: tip=${tipIndex} exists=${!!keypoints[tipIndex]}, base=${baseIndex} exists=${!!keypoints[baseIndex]}`);
+      log.debug(`⚠️ Missing keypoint for ${fingerName}: tip=${tipIndex} exists=${!!keypoints[tipIndex]}, base=${baseIndex} exists=${!!keypoints[baseIndex]}`);
       return false;
     }
 
@@ -1161,8 +1351,8 @@ class SignLanguageDetector {
     
     // Log the actual keypoint structure (only once for index finger to avoid spam)
     if (fingerName === 'index') {
-      console.log(`🔍 Keypoint tip JSON:`, JSON.stringify(tip, null, 2));
-      console.log(`🔍 Keypoint base JSON:`, JSON.stringify(base, null, 2));
+      log.debug(`🔍 Keypoint tip JSON:`, JSON.stringify(tip, null, 2));
+      log.debug(`🔍 Keypoint base JSON:`, JSON.stringify(base, null, 2));
     }
     
     // Calculate distance
@@ -1174,8 +1364,8 @@ class SignLanguageDetector {
     // OPTIMIZED: Better thresholds based on MediaPipe best practices
     // For thumb, check if it's extended (distance from base)
     if (fingerName === 'thumb') {
-      const isExtended = distance > 25; // Optimized threshold for ASL
-      console.log(`👍 ${fingerName}: distance=${distance.toFixed(1)}, extended=${isExtended}`);
+      const isExtended = distance > this.thresholds.thumbExtended; // Optimized threshold for ASL
+      log.debug(`👍 ${fingerName}: distance=${distance.toFixed(1)}, extended=${isExtended}`);
       return isExtended;
     }
     
@@ -1185,127 +1375,74 @@ class SignLanguageDetector {
     
     // A finger is extended if the distance is large enough AND pointing away from palm
     // This accounts for various hand angles and orientations
-    const isExtended = distance > 30;
+    const isExtended = distance > this.thresholds.fingerExtended;
     
-    console.log(`👉 ${fingerName}: distance=${distance.toFixed(1)}, yDiff=${yDiff.toFixed(1)}, extended=${isExtended}`);
+    log.debug(`👉 ${fingerName}: distance=${distance.toFixed(1)}, yDiff=${yDiff.toFixed(1)}, extended=${isExtended}`);
     return isExtended;
   }
 
-  getMostFrequentGesture() {
-    if (this.gestureBuffer.length === 0) return 'none';
-    
-    const frequency = {};
-    this.gestureBuffer.forEach(gesture => {
-      frequency[gesture] = (frequency[gesture] || 0) + 1;
-    });
-    
-    return Object.keys(frequency).reduce((a, b) => 
-      frequency[a] > frequency[b] ? a : b
-    );
-  }
-
   calculateConfidence(hands) {
     if (hands.length === 0) return 0;
     
-    // Average confidence of all keypoints
+    // Average confidence of all keypoints (recorded fixtures may only have keypoints3D)
     const hand = hands[0];
+    if (!hand.keypoints || hand.keypoints.length === 0) return Math.round((hand.score || 0) * 100);
     const scores = hand.keypoints.map(kp => kp.score || 0);
     const avgScore = scores.reduce((a, b) => a + b, 0) / scores.length;
     
     return Math.round(avgScore * 100);
   }
 
-  // OPTIMIZED: Smooth gesture detection to reduce flickering
+  // Smooth gesture detection to reduce flickering - null while a new gesture is still building
   smoothGesture(detectedGesture) {
-    const currentTime = Date.now();
-    
-    // Update gesture confidence map
-    if (!this.gestureConfidence.has(detectedGesture)) {
-      this.gestureConfidence.set(detectedGesture, 0);
-    }
-    
-    // Define similar gesture groups that should RESET each other's confidence
-    const fistLikeGestures = new Set(['N', 'M', 'C', 'E', 'A', 'S', 'T', 'O']);
-    const fingerGestures = new Set(['F', 'K', 'P', 'Q', 'R', 'U', 'V', 'W', 'X', 'H', 'B', 'G']); // Added H, B, G - similar hand shapes
-    // P/N/M are confusable (fingers over thumb) - special handling
-    const thumbOverlapGestures = new Set(['N', 'M', 'P', 'K']);
-    
-    // Check if switching between similar gestures - if so, RESET the old one
-    if (this.lastGesture !== detectedGesture) {
-      const bothFistLike = fistLikeGestures.has(detectedGesture) && fistLikeGestures.has(this.lastGesture);
-      const bothFingerGestures = fingerGestures.has(detectedGesture) && fingerGestures.has(this.lastGesture);
-      const bothThumbOverlap = thumbOverlapGestures.has(detectedGesture) && thumbOverlapGestures.has(this.lastGesture);
-      
-      if (bothFistLike || bothFingerGestures || bothThumbOverlap) {
-        // HARD RESET confidence for similar competing gestures
-        console.log(`🔄 Switching between similar gestures: ${this.lastGesture} → ${detectedGesture} (RESET old confidence)`);
-        this.gestureConfidence.set(this.lastGesture, 0);
-      }
-    }
-    
-    // Increment confidence for detected gesture
-    const currentConfidence = this.gestureConfidence.get(detectedGesture);
-    this.gestureConfidence.set(detectedGesture, currentConfidence + 1);
-    
-    // AGGRESSIVE DECAY: Decay confidence for other gestures (increased from 0.5 to 2.0)
-    for (const [gesture, confidence] of this.gestureConfidence.entries()) {
-      if (gesture !== detectedGesture && confidence > 0) {
-        this.gestureConfidence.set(gesture, Math.max(0, confidence - 2.0));
-      }
-    }
-    
-    // Debug: Show confidence map for confusable gesture debugging
-    const debugGestures = new Set(['N', 'M', 'C', 'E', 'P', 'K', 'O']);
-    if (debugGestures.has(detectedGesture) || debugGestures.has(this.lastGesture)) {
-      const confMap = {};
-      for (const [g, c] of this.gestureConfidence.entries()) {
-        if (c > 0) confMap[g] = c.toFixed(1);
-      }
-      console.log(`📊 Smoothing: detected="${detectedGesture}" lastGesture="${this.lastGesture}" confidence=`, confMap);
-    }
-    
-    // Only return gesture if it has enough confidence frames
-    if (currentConfidence >= this.minConfidenceFrames) {
-      // Debounce gesture changes
-      if (detectedGesture !== this.lastGesture) {
-        // Skip debounce for similar gesture switches (already reset confidence)
-        const bothFistLike = fistLikeGestures.has(detectedGesture) && fistLikeGestures.has(this.lastGesture);
-        const bothFingerGestures = fingerGestures.has(detectedGesture) && fingerGestures.has(this.lastGesture);
-        const bothThumbOverlap = thumbOverlapGestures.has(detectedGesture) && thumbOverlapGestures.has(this.lastGesture);
-        const isSimilarSwitch = bothFistLike || bothFingerGestures || bothThumbOverlap;
-        
-        const timeSinceLastChange = currentTime - this.lastGestureTimestamp;
-        if (!isSimilarSwitch && timeSinceLastChange < this.gestureDebounceTime) {
-          console.log(`⏱️ Debouncing: waiting ${this.gestureDebounceTime - timeSinceLastChange}ms before switching from ${this.lastGesture} to ${detectedGesture}`);
-          return this.lastGesture; // Keep returning last gesture
-        }
-        console.log(`✅ Gesture switch confirmed: ${this.lastGesture} → ${detectedGesture}${isSimilarSwitch ? ' (similar, no debounce)' : ''}`);
-        this.lastGesture = detectedGesture;
-        this.lastGestureTimestamp = currentTime;
-      }
-      return detectedGesture;
-    }
-    
-    // Not enough confidence yet
-    // If detecting a NEW gesture (different from last), return null to avoid stale letter detection
-    // Only return lastGesture if we're still detecting the SAME gesture
-    if (detectedGesture !== this.lastGesture) {
-      console.log(`⏳ Building confidence for "${detectedGesture}" (${currentConfidence}/${this.minConfidenceFrames}), returning null to prevent stale detection`);
-      return null;
-    }
-    
-    // Same gesture, return it
-    return this.lastGesture;
+    return this.smoother.push(detectedGesture, Date.now());
+  }
+
+  /**
+   * Choose how per-frame gestures are smoothed
+   * @param {Object} settings - { strategy: 'confidence'|'majority'|'ema'|'hmm'|'hold',
+   *                              speed: 'fast'|'normal'|'slow', options: strategy parameters }
+   */
+  setSmoothing({ strategy = 'confidence', speed = 'normal', options = {} } = {}) {
+    this.smoothing = { strategy, speed };
+    this.smoother = createSmoother(strategy, { speed, ...options });
+    log.info(`🎚️ Gesture smoothing: ${strategy} (${speed})`);
+  }
+
+  /**
+   * Where in the frame (and how close to the camera) hands have to be for letters to count
+   * @param {Object|null} settings - { enabled, area: 'wide'|'centre'|'upper',
+   *                                   distance: 'near'|'normal'|'far' } - null for the defaults
+   *                                   (see signingZone.js)
+   */
+  setSigningZone(settings) {
+    this.signingZone.configure(settings || {});
+    this.signingZone.reset();
+    log.info('🎯 Signing zone:', this.signingZone.getConfig());
+  }
+
+  /**
+   * Forget smoothing and motion history, e.g. between replayed recordings
+   */
+  resetTracking() {
+    this.signingZone.reset();
+    this.smoother.reset();
+    this.motionTracker.reset();
+    this.stillShape = null;
+    this.strokeEndShape = null;
+    this.mlModel.resetSequence();
   }
 
   cleanup() {
+    this.modelSwitchId++; // Drop a model that is still loading
     if (this.detector) {
       this.detector.dispose();
       this.detector = null;
     }
     this.isInitialized = false;
-    this.gestureBuffer = [];
-    console.log('🧹 Sign Language Detector cleaned up');
+    this.smoother.reset();
+    this.motionTracker.reset();
+    log.info('🧹 Sign Language Detector cleaned up');
   }
 }
 
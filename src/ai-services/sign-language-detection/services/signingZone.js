@@ -0,0 +1,164 @@
+// Signing Zone
+// Decides whether the user is actually signing: a hand has to be inside a region of the
+// frame and close enough to the camera for a moment before its letters count. Hands
+// resting at the edge of the frame or in the lap then stop producing phantom letters.
+//
+//   idle ──hand in zone──▶ entering ──enterMs──▶ signing ──hand leaves──▶ leaving
+//     ▲                        │                    ▲                        │
+//     └────────hand leaves─────┘                    └───back within graceMs──┤
+//     ◀──────────────────────────────graceMs passed──────────────────────────┘
+//
+// update() → { state, active, reason, changed } - only 'signing' is active.
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.zone');
+
+export const ZONE_STATES = ['idle', 'entering', 'signing', 'leaving'];
+
+// Regions as fractions of the camera frame (unmirrored - all presets are symmetric)
+export const ZONE_AREAS = {
+  wide: { x: 0.05, y: 0.02, width: 0.9, height: 0.88 },
+  centre: { x: 0.2, y: 0.05, width: 0.6, height: 0.8 },
+  upper: { x: 0.1, y: 0, width: 0.8, height: 0.65 } // Face and chest only
+};
+
+// Minimum hand size (largest side of the hand's box / the frame's) by distance to the camera
+export const ZONE_DISTANCES = {
+  near: 0.25,
+  normal: 0.15,
+  far: 0.08
+};
+
+// MediaPipe keypoint indices of the palm - its centre decides whether a hand is in the zone
+const PALM_POINTS = [0, 5, 9, 13, 17];
+
+class SigningZone {
+  /**
+   * @param {Object} options - { enabled, area, distance, region, minHandSize, enterMs, graceMs }
+   */
+  constructor(options = {}) {
+    this.configure(options);
+    this.reset();
+  }
+
+  /**
+   * @param {Object} options - enabled: false lets every hand through; area / distance pick
+   *                           presets, region / minHandSize set them directly
+   */
+  configure({
+    enabled = true,
+    area = 'wide',
+    distance = 'normal',
+    region = null,
+    minHandSize = null,
+    enterMs = 250, // Hand must stay in the zone this long before letters count
+    graceMs = 600 // A signing hand may leave this long without losing the signing state
+  } = {}) {
+    this.enabled = enabled;
+    this.area = ZONE_AREAS[area] ? area : 'wide';
+    this.distance = ZONE_DISTANCES[distance] ? distance : 'normal';
+    this.region = region || ZONE_AREAS[this.area];
+    this.minHandSize = minHandSize ?? ZONE_DISTANCES[this.distance];
+    this.enterMs = enterMs;
+    this.graceMs = graceMs;
+  }
+
+  reset() {
+    this.state = 'idle';
+    this.stateSince = null;
+    this.lastInZoneAt = null;
+    this.reason = 'no-hand';
+  }
+
+  /**
+   * Where one hand is relative to the zone
+   * @param {Array|null} keypoints - Image-space keypoints, null when unknown
+   * @param {Object} frameSize - { width, height } in the keypoints' pixels
+   * @returns {string|null} - null when in the zone, otherwise 'outside' or 'too-small'
+   */
+  checkHand(keypoints, { width, height }) {
+    // Hand-centred landmarks only (e.g. replayed recordings) - position can't be judged
+    if (!keypoints) return null;
+
+    const xs = keypoints.map(kp => kp.x / width);
+    const ys = keypoints.map(kp => kp.y / height);
+    const palmX = PALM_POINTS.reduce((sum, i) => sum + xs[i], 0) / PALM_POINTS.length;
+    const palmY = PALM_POINTS.reduce((sum, i) => sum + ys[i], 0) / PALM_POINTS.length;
+
+    const { x, y, width: zoneWidth, height: zoneHeight } = this.region;
+    if (palmX < x || palmX > x + zoneWidth || palmY < y || palmY > y + zoneHeight) return 'outside';
+
+    const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    return size < this.minHandSize ? 'too-small' : null;
+  }
+
+  /**
+   * Advance the state machine with one frame
+   * @param {Array} hands - Image-space keypoints per detected hand (null entries when unknown)
+   * @param {Object} frameSize - { width, height }
+   * @param {number} timestamp - ms
+   * @returns {Object} - { state, active, reason, changed }
+   */
+  update(hands, frameSize, timestamp = Date.now()) {
+    const previous = this.state;
+
+    if (!this.enabled) {
+      this.reason = hands.length ? null : 'no-hand';
+      this.setState('signing', timestamp);
+      return this.getStatus(previous);
+    }
+
+    // Signing if any hand is in the zone; otherwise report why the first one isn't
+    const reasons = hands.map(keypoints => this.checkHand(keypoints, frameSize));
+    const inZone = reasons.includes(null);
+    this.reason = inZone ? null : (reasons[0] || 'no-hand');
+
+    if (inZone) {
+      this.lastInZoneAt = timestamp;
+      if (this.state === 'idle') this.setState('entering', timestamp);
+      if (this.state === 'leaving') this.setState('signing', timestamp);
+      if (this.state === 'entering' && timestamp - this.stateSince >= this.enterMs) {
+        this.setState('signing', timestamp);
+      }
+    } else {
+      if (this.state === 'entering') this.setState('idle', timestamp);
+      if (this.state === 'signing') this.setState('leaving', timestamp);
+      if (this.state === 'leaving' && timestamp - this.lastInZoneAt >= this.graceMs) {
+        this.setState('idle', timestamp);
+      }
+    }
+
+    return this.getStatus(previous);
+  }
+
+  setState(state, timestamp) {
+    if (state === this.state) return;
+    log.debug(`🎯 Signing zone: ${this.state} → ${state}${this.reason ? ` (${this.reason})` : ''}`);
+    this.state = state;
+    this.stateSince = timestamp;
+  }
+
+  getStatus(previous = this.state) {
+    return {
+      state: this.state,
+      active: this.state === 'signing',
+      reason: this.reason,
+      changed: previous !== this.state
+    };
+  }
+
+  /**
+   * @returns {Object} - Current settings, e.g. for drawing the zone over the video
+   */
+  getConfig() {
+    return {
+      enabled: this.enabled,
+      area: this.area,
+      distance: this.distance,
+      region: this.region,
+      minHandSize: this.minHandSize
+    };
+  }
+}
+
+export default SigningZone;
@@ -0,0 +1,163 @@
+// Two-Handed Sign Classifier
+// Recognises whole-word signs that need both hands: MORE, BOOK, HELP, AGAIN and numbers 6-10
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.twohand');
+
+// MediaPipe keypoint indices
+const WRIST = 0;
+const THUMB_TIP = 4;
+const MIDDLE_MCP = 9;
+const FINGER_TIPS = [8, 12, 16, 20];
+const FINGER_MCPS = [5, 9, 13, 17];
+
+class TwoHandedSignClassifier {
+  constructor() {
+    // The signing (dominant) hand - labels as normalised by SignLanguageDetector.getHandedness
+    this.dominantHandedness = 'Right';
+
+    // Word tokens this classifier can produce
+    this.signs = ['MORE', 'BOOK', 'HELP', 'AGAIN', '6', '7', '8', '9', '10'];
+
+    // Distances are in "hand units" (wrist → middle knuckle length)
+    this.touchDistance = 1.3; // Hand centres closer than this are touching
+    this.stackDistance = 2.0; // Dominant hand resting on the other palm
+    this.bentCurlRatio = 1.1; // Fingertip/knuckle distance ratio separating a fist from a bent hand
+    this.flatOThumbDistance = 0.45; // Fingertips bunched on the thumb
+  }
+
+  /**
+   * Classify a pair of analysed hands
+   * @param {Object} handA - { handedness, keypoints, imageKeypoints, fingers }
+   * @param {Object} handB - Same shape as handA
+   * @param {Object} options - { numbers: true } in number mode, the only mode that reads 6-10
+   * @returns {string|null} - Word token or null if no two-handed sign matches
+   */
+  classify(handA, handB, { numbers = false } = {}) {
+    const [dominant, base] = this.assignRoles(handA, handB);
+    const dominantShape = this.getHandShape(dominant);
+    const baseShape = this.getHandShape(base);
+    const relation = this.getRelation(dominant, base);
+
+    log.debug(`🙌 Two hands: dominant=${dominantShape.name}(${dominantShape.extendedCount}) base=${baseShape.name}(${baseShape.extendedCount})`,
+      relation ? `dist=${relation.distance.toFixed(2)} dx=${relation.dx.toFixed(2)} dy=${relation.dy.toFixed(2)}` : 'no image position');
+
+    // Signs where the hands touch need the relative position from image keypoints
+    if (relation) {
+      const baseIsPalm = baseShape.name === 'flat' || baseShape.name === 'open';
+
+      // MORE - Both flat-O hands, fingertips tapping together
+      if (dominantShape.name === 'flatO' && baseShape.name === 'flatO' && relation.distance < this.touchDistance) {
+        return 'MORE';
+      }
+
+      // BOOK - Both flat hands side by side, palms together
+      const bothFlat = ['flat', 'open'].includes(dominantShape.name) && baseIsPalm;
+      if (bothFlat && relation.distance < this.touchDistance && Math.abs(relation.dy) < 0.6) {
+        return 'BOOK';
+      }
+
+      // HELP - Dominant fist (A hand) resting on top of the flat palm
+      if (dominantShape.name === 'fist' && baseIsPalm && relation.dy < -0.3 &&
+          Math.abs(relation.dx) < 1.0 && relation.distance < this.stackDistance) {
+        return 'HELP';
+      }
+
+      // AGAIN - Bent hand arcing onto the flat palm
+      if (dominantShape.name === 'bent' && baseIsPalm &&
+          Math.abs(relation.dx) < 1.2 && relation.distance < this.stackDistance) {
+        return 'AGAIN';
+      }
+    }
+
+    // 6-10 - One open hand (5) plus 1-5 fingers on the other, hands apart. While
+    // fingerspelling, a relaxed open second hand would turn every letter into a number
+    const apart = !relation || relation.distance >= this.touchDistance;
+    if (numbers && apart) {
+      if (dominantShape.name === 'open' && baseShape.extendedCount >= 1) {
+        return String(5 + baseShape.extendedCount);
+      }
+      if (baseShape.name === 'open' && dominantShape.extendedCount >= 1) {
+        return String(5 + dominantShape.extendedCount);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide which hand is signing and which one is the base hand
+   * @returns {Array} - [dominant, base]
+   */
+  assignRoles(handA, handB) {
+    const aIsDominant = handA.handedness === this.dominantHandedness;
+    const bIsDominant = handB.handedness === this.dominantHandedness;
+
+    if (bIsDominant && !aIsDominant) return [handB, handA];
+    return [handA, handB];
+  }
+
+  /**
+   * Coarse handshape used by the two-handed signs
+   * @param {Object} hand - { keypoints, fingers }
+   * @returns {Object} - { name: 'open'|'flat'|'flatO'|'fist'|'bent'|'other', extendedCount }
+   */
+  getHandShape(hand) {
+    const { keypoints, fingers } = hand;
+    const extendedCount = ['thumb', 'index', 'middle', 'ring', 'pinky'].filter(f => fingers[f]).length;
+    const fourExtended = fingers.index && fingers.middle && fingers.ring && fingers.pinky;
+    const fourClosed = !fingers.index && !fingers.middle && !fingers.ring && !fingers.pinky;
+
+    const handSize = this.distance(keypoints[WRIST], keypoints[MIDDLE_MCP]) || 1;
+    const thumbToTips = FINGER_TIPS.reduce((sum, tip) =>
+      sum + this.distance(keypoints[THUMB_TIP], keypoints[tip]), 0) / FINGER_TIPS.length / handSize;
+    const curlRatio = FINGER_TIPS.reduce((sum, tip, i) =>
+      sum + this.distance(keypoints[WRIST], keypoints[tip]) / (this.distance(keypoints[WRIST], keypoints[FINGER_MCPS[i]]) || 1), 0) / FINGER_TIPS.length;
+
+    let name = 'other';
+    if (fourExtended && fingers.thumb) {
+      name = 'open';
+    } else if (fourExtended) {
+      name = 'flat';
+    } else if (thumbToTips < this.flatOThumbDistance) {
+      name = 'flatO';
+    } else if (fourClosed) {
+      name = curlRatio < this.bentCurlRatio ? 'fist' : 'bent';
+    }
+
+    return { name, extendedCount };
+  }
+
+  /**
+   * Position of the dominant hand relative to the base hand, in hand units.
+   * Negative dy means the dominant hand is above.
+   * @returns {Object|null} - { dx, dy, distance } or null without image keypoints
+   */
+  getRelation(dominant, base) {
+    if (!dominant.imageKeypoints || !base.imageKeypoints) return null;
+
+    const dominantCenter = this.getCenter(dominant.imageKeypoints);
+    const baseCenter = this.getCenter(base.imageKeypoints);
+    const handSize = (
+      this.distance(dominant.imageKeypoints[WRIST], dominant.imageKeypoints[MIDDLE_MCP]) +
+      this.distance(base.imageKeypoints[WRIST], base.imageKeypoints[MIDDLE_MCP])
+    ) / 2 || 1;
+
+    const dx = (dominantCenter.x - baseCenter.x) / handSize;
+    const dy = (dominantCenter.y - baseCenter.y) / handSize;
+
+    return { dx, dy, distance: Math.sqrt(dx * dx + dy * dy) };
+  }
+
+  getCenter(points) {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+  }
+
+  distance(a, b) {
+    if (!a || !b) return 0;
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+  }
+}
+
+export default TwoHandedSignClassifier;
@@ -0,0 +1,130 @@
+// Word Sign Recognizer
+// Matches hand shape, orientation and motion against a pluggable vocabulary of whole-word signs
+import commonSigns from '../vocabulary/commonSigns';
+import controlSigns from '../vocabulary/controlSigns';
+import { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.words');
+
+const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+const MOTIONS = ['still', 'wave', 'nod', 'circle', 'forward', 'up', 'down', 'sideways', 'pinch', 'snap', 'push'];
+
+class WordSignRecognizer {
+  constructor(vocabulary = commonSigns, controls = controlSigns) {
+    this.signs = new Map(); // word → definition (insertion order = match order)
+    this.controlSigns = new Map(); // Same, matched first but only while enabled
+    this.enabledControlSigns = new Set();
+    this.loadVocabulary(vocabulary);
+    controls.forEach(definition => this.registerSign(definition, { control: true }));
+  }
+
+  /**
+   * Load a list of sign definitions
+   * @param {Array} definitions - Sign definitions (see vocabulary/commonSigns.js)
+   * @param {Object} options - { replace: true } drops the current vocabulary first
+   */
+  loadVocabulary(definitions, { replace = false } = {}) {
+    if (replace) this.signs.clear();
+    definitions.forEach(definition => this.registerSign(definition));
+    log.debug(`📚 Word sign vocabulary: ${this.signs.size} signs`);
+  }
+
+  /**
+   * Add or replace a single sign definition
+   * @param {Object} definition - { word, handshape, orientation, motion }
+   * @param {Object} options - { control: true } registers a control sign (see vocabulary/controlSigns.js)
+   * @returns {boolean} - Whether the definition was accepted
+   */
+  registerSign(definition, { control = false } = {}) {
+    if (!definition || !definition.word) {
+      log.warn('⚠️ Ignoring word sign without a word:', definition);
+      return false;
+    }
+
+    const motion = [].concat(definition.motion || ['still']);
+    const unknownMotion = motion.filter(m => !MOTIONS.includes(m));
+    if (unknownMotion.length > 0) {
+      log.warn(`⚠️ Ignoring word sign ${definition.word}: unknown motion ${unknownMotion.join(', ')}`);
+      return false;
+    }
+
+    const word = definition.word.toUpperCase();
+    (control ? this.controlSigns : this.signs).set(word, {
+      word,
+      handshape: definition.handshape || {},
+      orientation: definition.orientation || {},
+      motion
+    });
+    return true;
+  }
+
+  /**
+   * Remove a sign from the vocabulary
+   * @param {string} word - Word token
+   */
+  removeSign(word) {
+    return this.signs.delete(word.toUpperCase());
+  }
+
+  hasSign(word) {
+    return !!word && (this.signs.has(word.toUpperCase()) || this.controlSigns.has(word.toUpperCase()));
+  }
+
+  /**
+   * @param {string} word - Control sign token, e.g. 'ACCEPT-SUGGESTION'
+   * @param {boolean} enabled
+   */
+  setControlSignEnabled(word, enabled) {
+    const token = word.toUpperCase();
+    if (!this.controlSigns.has(token)) return;
+    if (enabled) {
+      this.enabledControlSigns.add(token);
+    } else {
+      this.enabledControlSigns.delete(token);
+    }
+  }
+
+  getVocabulary() {
+    return Array.from(this.signs.values());
+  }
+
+  /**
+   * Find the first sign matching the current hand
+   * @param {Object} features - { fingers, orientation: { palm, fingers }, motion: [labels] }
+   * @param {Object} options - { vocabulary: false } matches enabled control signs only
+   * @returns {Object|null} - { word, dynamic } where dynamic means the sign needed motion
+   */
+  recognize({ fingers, orientation = {}, motion = [] }, { vocabulary = true } = {}) {
+    if (!fingers || motion.length === 0) return null;
+
+    const candidates = [
+      ...Array.from(this.enabledControlSigns, word => this.controlSigns.get(word)),
+      ...(vocabulary ? this.signs.values() : [])
+    ];
+    for (const sign of candidates) {
+      if (!this.matchesHandshape(sign.handshape, fingers)) continue;
+      if (!this.matchesOrientation(sign.orientation, orientation)) continue;
+      if (!sign.motion.some(m => motion.includes(m))) continue;
+
+      const dynamic = !sign.motion.includes('still');
+      log.debug(`📚 Word sign matched: ${sign.word} (motion: ${motion.join(', ')})`);
+      return { word: sign.word, dynamic };
+    }
+
+    return null;
+  }
+
+  matchesHandshape(handshape, fingers) {
+    return FINGERS.every(finger =>
+      handshape[finger] === undefined || handshape[finger] === fingers[finger]
+    );
+  }
+
+  matchesOrientation(expected, actual) {
+    if (expected.palm && expected.palm !== actual.palm) return false;
+    if (expected.fingers && expected.fingers !== actual.fingers) return false;
+    return true;
+  }
+}
+
+export default WordSignRecognizer;
@@ -0,0 +1,63 @@
+// Common whole-word ASL signs
+// ===========================
+// Each sign is described declaratively by:
+//   handshape   - finger states that must match (omitted fingers can be anything)
+//   orientation - palm facing ('forward' = toward the camera, 'signer', 'up', 'down', 'side')
+//                 and finger direction ('up', 'down', 'side', 'forward'); omitted = any
+//   motion      - one or more motion labels from MotionTracker.getMotionFeatures()
+//                 ('still', 'wave', 'nod', 'circle', 'forward', 'up', 'down', 'sideways', 'pinch',
+//                 'snap', 'push')
+// Signs are checked in order - put more specific signs first.
+// Signs that operate the app rather than say a word live in controlSigns.js.
+
+const commonSigns = [
+  {
+    word: 'I-LOVE-YOU',
+    handshape: { thumb: true, index: true, middle: false, ring: false, pinky: true },
+    orientation: { palm: 'forward' },
+    motion: ['still']
+  },
+  {
+    word: 'HELLO',
+    handshape: { index: true, middle: true, ring: true, pinky: true },
+    orientation: { palm: 'forward', fingers: 'up' },
+    motion: ['sideways']
+  },
+  {
+    word: 'GOODBYE',
+    handshape: { index: true, middle: true, ring: true, pinky: true },
+    orientation: { palm: 'forward', fingers: 'up' },
+    motion: ['wave']
+  },
+  {
+    word: 'THANK-YOU',
+    handshape: { index: true, middle: true, ring: true, pinky: true },
+    orientation: { palm: 'signer' },
+    motion: ['forward', 'down']
+  },
+  {
+    word: 'PLEASE',
+    handshape: { index: true, middle: true, ring: true, pinky: true },
+    orientation: { palm: 'signer' },
+    motion: ['circle']
+  },
+  {
+    word: 'SORRY',
+    handshape: { index: false, middle: false, ring: false, pinky: false },
+    orientation: { palm: 'signer' },
+    motion: ['circle']
+  },
+  {
+    word: 'YES',
+    handshape: { index: false, middle: false, ring: false, pinky: false },
+    motion: ['nod']
+  },
+  {
+    // Index and middle snap shut onto the thumb
+    word: 'NO',
+    handshape: { ring: false, pinky: false },
+    motion: ['snap']
+  }
+];
+
+export default commonSigns;
@@ -0,0 +1,17 @@
+// Control signs
+// =============
+// Signs that operate the app instead of saying a word - not ASL. Same format as
+// commonSigns.js, but each is only recognised while enabled
+// (WordSignRecognizer.setControlSignEnabled), so it can't fire when it means nothing.
+
+const controlSigns = [
+  {
+    // Thumbs-up pushed toward the camera and held takes the top word suggestion
+    // (sentenceBuilder.acceptSuggestion) - enabled while suggestions are shown
+    word: 'ACCEPT-SUGGESTION',
+    handshape: { thumb: true, index: false, middle: false, ring: false, pinky: false },
+    motion: ['push']
+  }
+];
+
+export default controlSigns;
@@ -0,0 +1,100 @@
+// Sign Detection Worker
+// Runs hand landmark detection and classification off the main thread.
+//
+// Messages in:
+//   { type: 'init', options }                  → { type: 'ready' } | { type: 'error', error }
+//   { type: 'frame', frame: ImageBitmap, id }  → { type: 'result', id, result }
+//   { type: 'call', method, args }             → forwards configuration to the detector
+//   { type: 'stats', id }                      → { type: 'stats', id, stats } (hybrid agreement)
+//   { type: 'log-config', spec }               → logger namespaces/levels (see services/logger.js)
+// Log entries are posted back as { type: 'log', entry } for the main thread's diagnostics buffer.
+import signLanguageDetector from '../services/signLanguageDetector';
+import logger, { createLogger } from '../../../services/logger';
+
+const log = createLogger('sign.worker');
+
+// Workers have no localStorage or URL flag - the main thread sends the spec and keeps the entries
+logger.subscribe(entry => self.postMessage({ type: 'log', entry }));
+
+// Detector methods the main thread may call through { type: 'call' }
+const CALLABLE_METHODS = [
+  'applyCalibration',
+  'resetCalibration',
+  'setRecognitionMode',
+  'loadHandshapeRules',
+  'overrideHandshapeRule',
+  'registerWordSign',
+  'setMLHybrid',
+  'setFusionStrategy',
+  'resetAgreementStats',
+  'setSmoothing',
+  'setDominantHand',
+  'setDebugOverlay',
+  'setModelType',
+  'setSigningZone',
+  'setAlphabet',
+  'setSuggestionsVisible'
+];
+
+// Frames are drawn at a fixed size so image-space keypoints (used by the motion
+// layer) have the same scale whatever resolution the camera delivers
+const FRAME_WIDTH = 640;
+const FRAME_HEIGHT = 480;
+
+let canvas = null;
+let context = null;
+
+const drawFrame = (bitmap) => {
+  if (!canvas) {
+    canvas = new OffscreenCanvas(FRAME_WIDTH, FRAME_HEIGHT);
+    context = canvas.getContext('2d');
+  }
+  context.drawImage(bitmap, 0, 0, FRAME_WIDTH, FRAME_HEIGHT);
+  bitmap.close();
+  return canvas;
+};
+
+self.onmessage = async ({ data }) => {
+  switch (data.type) {
+    case 'init': {
+      logger.configure(data.logSpec || '');
+      // The MediaPipe runtime loads its solution through <script> tags, which workers don't have
+      const initialized = await signLanguageDetector.initialize({ runtime: 'tfjs', ...data.options });
+      self.postMessage(initialized
+        ? { type: 'ready' }
+        : { type: 'error', error: 'Sign language detector failed to initialize' });
+      break;
+    }
+
+    case 'frame': {
+      let result = null;
+      try {
+        result = await signLanguageDetector.detectFrame(drawFrame(data.frame));
+      } catch (error) {
+        log.error('❌ Worker frame error:', error);
+      }
+      self.postMessage({ type: 'result', id: data.id, result });
+      break;
+    }
+
+    case 'call': {
+      if (!CALLABLE_METHODS.includes(data.method)) {
+        log.warn('⚠️ Worker: method not callable:', data.method);
+        break;
+      }
+      signLanguageDetector[data.method](...(data.args || []));
+      break;
+    }
+
+    case 'log-config':
+      logger.configure(data.spec);
+      break;
+
+    case 'stats':
+      self.postMessage({ type: 'stats', id: data.id, stats: signLanguageDetector.getAgreementStats() });
+      break;
+
+    default:
+      log.warn('⚠️ Worker: unknown message type:', data.type);
+  }
+};
@@ -0,0 +1,171 @@
+// frontend/src/components/DiagnosticsPanel.jsx
+// Hidden diagnostics panel - Ctrl+Shift+D (or ?diagnostics in the URL) toggles it.
+// Shows the logger's ring buffer, changes which namespaces log at which level and
+// exports the buffer for bug reports.
+import React, { useEffect, useState } from 'react';
+import logger, { LOG_LEVELS } from '../services/logger';
+
+const LEVEL_COLORS = { debug: '#94a3b8', info: '#e2e8f0', warn: '#fbbf24', error: '#f87171' };
+const VISIBLE_ENTRIES = 300;
+
+const panelStyle = {
+  position: 'fixed',
+  top: '20px',
+  right: '20px',
+  bottom: '20px',
+  width: 'min(640px, calc(100vw - 40px))',
+  display: 'flex',
+  flexDirection: 'column',
+  background: 'rgba(15, 23, 42, 0.96)',
+  border: '1px solid rgba(255, 255, 255, 0.15)',
+  borderRadius: '12px',
+  boxShadow: '0 8px 32px rgba(0, 0, 0, 0.6)',
+  color: 'white',
+  fontSize: '12px',
+  zIndex: 10000
+};
+
+const toolbarStyle = {
+  display: 'flex',
+  gap: '0.5rem',
+  alignItems: 'center',
+  flexWrap: 'wrap',
+  padding: '0.75rem',
+  borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+};
+
+const inputStyle = {
+  padding: '0.35rem 0.5rem',
+  background: 'rgba(255, 255, 255, 0.05)',
+  border: '1px solid rgba(255, 255, 255, 0.15)',
+  borderRadius: '6px',
+  color: 'white',
+  fontSize: '12px'
+};
+
+const buttonStyle = {
+  ...inputStyle,
+  cursor: 'pointer',
+  background: 'rgba(255, 255, 255, 0.1)'
+};
+
+export const DiagnosticsPanel = () => {
+  const [open, setOpen] = useState(() => new URLSearchParams(window.location.search).has('diagnostics'));
+  const [entries, setEntries] = useState(() => logger.getEntries());
+  const [spec, setSpec] = useState(logger.spec);
+  const [minLevel, setMinLevel] = useState('debug');
+  const [filter, setFilter] = useState('');
+
+  // Ctrl+Shift+D toggles the panel
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        setOpen(current => !current);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Follow the buffer while open - batched, detection can log every frame
+  useEffect(() => {
+    if (!open) return undefined;
+
+    setEntries(logger.getEntries());
+    let scheduled = null;
+    const unsubscribe = logger.subscribe(() => {
+      if (scheduled) return;
+      scheduled = setTimeout(() => {
+        scheduled = null;
+        setEntries(logger.getEntries());
+      }, 250);
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(scheduled);
+    };
+  }, [open]);
+
+  if (!open) return null;
+
+  const applySpec = (e) => {
+    e.preventDefault();
+    logger.configure(spec.trim(), { persist: true });
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([logger.export()], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `signlink-diagnostics-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleClear = () => {
+    logger.clear();
+    setEntries([]);
+  };
+
+  const needle = filter.trim().toLowerCase();
+  const visible = entries
+    .filter(entry => LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(minLevel))
+    .filter(entry => !needle || entry.namespace.includes(needle) || entry.message.toLowerCase().includes(needle))
+    .slice(-VISIBLE_ENTRIES);
+
+  return (
+    <div style={panelStyle} role="dialog" aria-label="Diagnostics">
+      <div style={{ ...toolbarStyle, justifyContent: 'space-between' }}>
+        <strong style={{ fontSize: '14px' }}>🩺 Diagnostics</strong>
+        <span style={{ color: 'rgba(255, 255, 255, 0.5)' }}>
+          {entries.length} entries · Ctrl+Shift+D to close
+        </span>
+        <button type="button" onClick={() => setOpen(false)} style={buttonStyle} title="Close">✕</button>
+      </div>
+
+      <form onSubmit={applySpec} style={toolbarStyle}>
+        <label htmlFor="diagnostics-spec">Debug output</label>
+        <input
+          id="diagnostics-spec"
+          value={spec}
+          onChange={(e) => setSpec(e.target.value)}
+          placeholder="e.g. sign=debug,webrtc,ws=warn or *"
+          style={{ ...inputStyle, flex: 1, minWidth: '180px' }}
+        />
+        <button type="submit" style={buttonStyle}>Apply</button>
+      </form>
+
+      <div style={toolbarStyle}>
+        <select value={minLevel} onChange={(e) => setMinLevel(e.target.value)} style={inputStyle}>
+          {LOG_LEVELS.map(level => (
+            <option key={level} value={level}>{level}+</option>
+          ))}
+        </select>
+        <input
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter namespace or text"
+          style={{ ...inputStyle, flex: 1, minWidth: '140px' }}
+        />
+        <button type="button" onClick={handleExport} style={buttonStyle}>Export JSONL</button>
+        <button type="button" onClick={handleClear} style={buttonStyle}>Clear</button>
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto', padding: '0.5rem 0.75rem', fontFamily: 'monospace' }}>
+        {visible.length === 0 && (
+          <div style={{ color: 'rgba(255, 255, 255, 0.5)' }}>No log entries</div>
+        )}
+        {visible.map((entry, index) => (
+          <div key={`${entry.time}-${index}`} style={{ color: LEVEL_COLORS[entry.level], whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+            <span style={{ color: 'rgba(255, 255, 255, 0.4)' }}>{entry.time.slice(11, 23)}</span>
+            {' '}[{entry.namespace}] {entry.message}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -0,0 +1,160 @@
+// frontend/src/components/LandmarkOverlay.jsx
+// Hand skeleton over the local video plus a HUD showing why a letter was (or wasn't)
+// recognised: finger states, top rule/ML candidates and the smoothing state
+import React, { useEffect, useRef } from 'react';
+
+// MediaPipe hand landmark connections
+const BONES = [
+  [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+  [0, 5], [5, 6], [6, 7], [7, 8], // Index
+  [5, 9], [9, 10], [10, 11], [11, 12], // Middle
+  [9, 13], [13, 14], [14, 15], [15, 16], // Ring
+  [13, 17], [0, 17], [17, 18], [18, 19], [19, 20] // Pinky + palm
+];
+const FINGERTIPS = [4, 8, 12, 16, 20];
+const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+const HAND_COLORS = { Right: '#2dd4bf', Left: '#f59e0b' };
+
+const formatScore = (value, unit) => {
+  if (unit === 'ms') return `${Math.round(value)}ms`;
+  if (unit === 'frames' || unit === 'votes') return String(Math.round(value * 10) / 10);
+  return `${Math.round(value * 100)}%`;
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.videoRef - Ref to the video the landmarks belong to
+ * @param {Object|null} props.debug - result.debug from SignLanguageDetector.getDebugInfo,
+ *                                    plus the frame's gesture, rawGesture and the
+ *                                    frame scheduler's stats (schedule)
+ */
+export const LandmarkOverlay = ({ videoRef, debug }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const video = videoRef.current;
+    if (!canvas) return;
+
+    // Same pixel size as the video, so object-fit crops both identically
+    canvas.width = video?.videoWidth || debug?.frameSize?.width || 640;
+    canvas.height = video?.videoHeight || debug?.frameSize?.height || 480;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    
+    // Signing zone - solid while letters are being read
+    const zone = debug?.zone;
+    if (zone?.enabled) {
+      context.strokeStyle = zone.active ? 'rgba(45, 212, 191, 0.7)' : 'rgba(245, 158, 11, 0.7)';
+      context.lineWidth = Math.max(1, canvas.width / 320);
+      context.setLineDash(zone.active ? [] : [8, 6]);
+      context.strokeRect(
+        zone.region.x * canvas.width,
+        zone.region.y * canvas.height,
+        zone.region.width * canvas.width,
+        zone.region.height * canvas.height
+      );
+    }
+    if (!debug?.hands?.length) return;
+
+    // The worker detects on a fixed-size copy of the frame
+    const scaleX = canvas.width / (debug.frameSize?.width || canvas.width);
+    const scaleY = canvas.height / (debug.frameSize?.height || canvas.height);
+    const lineWidth = Math.max(2, canvas.width / 200);
+
+    debug.hands.forEach(hand => {
+      const points = hand.keypoints.map(kp => ({ x: kp.x * scaleX, y: kp.y * scaleY }));
+      if (points.length < 21) return;
+      const color = HAND_COLORS[hand.handedness] || '#3b82f6';
+
+      context.strokeStyle = color;
+      context.lineWidth = lineWidth;
+      context.setLineDash(hand.centred ? [lineWidth * 2, lineWidth * 2] : []);
+      BONES.forEach(([from, to]) => {
+        context.beginPath();
+        context.moveTo(points[from].x, points[from].y);
+        context.lineTo(points[to].x, points[to].y);
+        context.stroke();
+      });
+
+      // Fingertips: hand colour when the finger counts as extended, dark when curled
+      points.forEach((point, index) => {
+        const tip = FINGERTIPS.indexOf(index);
+        const extended = tip >= 0 && debug.fingers?.[FINGERS[tip]];
+        context.beginPath();
+        context.arc(point.x, point.y, lineWidth * (tip >= 0 ? 2.5 : 1.5), 0, Math.PI * 2);
+        context.fillStyle = tip >= 0 && !extended ? 'rgba(0, 0, 0, 0.6)' : color;
+        context.fill();
+        if (tip >= 0) context.stroke();
+      });
+    });
+  }, [debug, videoRef]);
+
+  const smoothing = debug?.smoothing;
+  const candidates = debug?.candidates;
+  const schedule = debug?.schedule;
+
+  return (
+    <>
+      <canvas ref={canvasRef} className="landmark-overlay" />
+      <div className="landmark-hud">
+        {!debug?.hands?.length ? (
+          <div className="hud-row">No hand in view</div>
+        ) : (
+          <>
+            <div className="hud-row">
+              Raw <strong>{debug.rawGesture || '—'}</strong>
+              {' → '}
+              Smoothed <strong>{debug.gesture || '…'}</strong>
+              {debug.hands[0].centred && <span className="hud-muted"> (hand-centred)</span>}
+            </div>
+            {debug.fingers && (
+              <div className="hud-row">
+                {FINGERS.map(finger => (
+                  <span key={finger} className={`hud-finger ${debug.fingers[finger] ? 'extended' : 'curled'}`}>
+                    {finger}
+                  </span>
+                ))}
+              </div>
+            )}
+            {candidates?.rules?.length > 0 && (
+              <div className="hud-row">
+                Rules:{' '}
+                {candidates.rules.map(c => `${c.label} ${Math.round(c.score * 100)}%`).join(' · ')}
+              </div>
+            )}
+            {candidates?.ml?.length > 0 && (
+              <div className="hud-row">
+                ML:{' '}
+                {candidates.ml.map(c => `${c.label} ${Math.round(c.score * 100)}%`).join(' · ')}
+              </div>
+            )}
+          </>
+        )}
+        {smoothing && (
+          <div className="hud-row">
+            {smoothing.strategy} ({smoothing.speed}):{' '}
+            {smoothing.scores.length > 0
+              ? smoothing.scores.map(s => `${s.gesture} ${formatScore(s.value, smoothing.unit)}`).join(' · ')
+              : '—'}
+            <span className="hud-muted"> / {formatScore(smoothing.target, smoothing.unit)} {smoothing.unit}</span>
+          </div>
+        )}
+        {debug?.zone?.enabled && (
+          <div className="hud-row hud-muted">
+            zone {debug.zone.state}{debug.zone.reason && ` (${debug.zone.reason})`}
+            {' · '}min hand {Math.round(debug.zone.minHandSize * 100)}%
+          </div>
+        )}
+        {schedule && (
+          <div className="hud-row hud-muted">
+            {schedule.modelType} model · detect {schedule.latency === null ? '—' : `${schedule.latency}ms`}
+            {' · '}every {schedule.interval}ms{schedule.idle && ' (idle)'}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default LandmarkOverlay;
@@ -3,9 +3,16 @@ import React, { useRef, useEffect, useState } from 'react';
 import { useWebRTC } from '../hooks/useWebRTC';
 import { useAIServices } from '../hooks/useAIServices';
 import { useAuth } from '../context/AuthContext';
+import { LandmarkOverlay } from './LandmarkOverlay';
 import { socketService } from '../services/websocketService';
 import './call/VideoCall.css';
 
+// Signing zone feedback on the local video, by why the hand is ignored (see signingZone.js)
+const ZONE_HINTS = {
+  outside: '✋ Move your hand into the signing zone',
+  'too-small': '✋ Move closer to the camera'
+};
+
 export const VideoCall = ({ 
   remoteUserId, 
   remoteUserName = 'User',
@@ -23,6 +30,8 @@ export const VideoCall = ({
   const [showCaptions, setShowCaptions] = useState(true);
   const [remoteCaptions, setRemoteCaptions] = useState([]);
   const [showControls, setShowControls] = useState(false);
+  const [fixIndex, setFixIndex] = useState(null); // Transcript word being fixed
+  const [fixText, setFixText] = useState('');
   const hideControlsTimeout = useRef(null);
   
   const {
@@ -47,18 +56,40 @@ export const VideoCall = ({
     interimTranscript,
     captionHistory,
     currentWord,
-    currentSentence,
+    committedSentence,
     addSpace,
     backspace,
     clearText,
     clearWord,
+    suggestions,
+    acceptSuggestion,
+    transcript,
+    undo,
+    redo,
+    editWord,
+    revertCorrection,
+    deleteWord,
+    respellWord,
+    moveCursor,
+    recognitionMode,
+    toggleNumberMode,
+    debugOverlay,
+    setDebugOverlay,
+    detectionDebug,
+    signingZoneStatus,
     startSignDetection,
     stopSignDetection,
     startSpeechToText,
     stopSpeechToText,
     speakText,
     clearCaptions
-  } = useAIServices(user?.userType || 'hearing', localVideoRef);
+  } = useAIServices(user?.userType || 'hearing', localVideoRef, {
+    calibration: user?.signCalibration,
+    smoothing: user?.signSmoothing,
+    dominantHand: user?.dominantHand || 'right',
+    signingZone: user?.signingZone,
+    locale: user?.signLocale
+  });
 
   // Attach local stream to video element
   useEffect(() => {
@@ -149,18 +180,19 @@ export const VideoCall = ({
     };
   }, [isCallActive, callStatus, isAIReady, user?.userType, showCaptions]); // Removed function deps to prevent constant restart
 
-  // Send complete sentences to remote user when words are completed
+  // Send complete sentences to remote user when words are completed - not on every
+  // transcript edit, which would have the remote text-to-speech read the sentence again
   useEffect(() => {
-    if (currentSentence && currentSentence.trim()) {
+    if (committedSentence && committedSentence.trim()) {
       const caption = {
         type: 'sign',
-        text: currentSentence,
+        text: committedSentence,
         timestamp: Date.now()
       };
       socketService.sendCaption(remoteUserId, caption, callId);
       console.log('📤 Sent complete sentence to remote user:', caption.text);
     }
-  }, [currentSentence, remoteUserId, callId]);
+  }, [committedSentence, remoteUserId, callId]);
 
   // Send interim speech captions for real-time display
   useEffect(() => {
@@ -332,7 +364,7 @@ export const VideoCall = ({
         </div>
 
         {/* Local Video */}
-        <div className="local-video-container">
+        <div className={`local-video-container ${debugOverlay ? 'debug' : ''} ${signingZoneStatus ? `zone-${signingZoneStatus.state}` : ''}`}>
           <video
             ref={localVideoRef}
             autoPlay
@@ -340,6 +372,11 @@ export const VideoCall = ({
             muted={true}
             className="local-video"
           />
+          {debugOverlay && <LandmarkOverlay videoRef={localVideoRef} debug={detectionDebug} />}
+          {/* A hand is visible but ignored - tell the user why */}
+          {signingZoneStatus && ZONE_HINTS[signingZoneStatus.reason] && (
+            <div className="zone-hint">{ZONE_HINTS[signingZoneStatus.reason]}</div>
+          )}
           {!localStream && (
             <div className="video-placeholder">
               <div className="placeholder-content">
@@ -390,6 +427,29 @@ export const VideoCall = ({
               <div className="sentence-builder-header">
                 <span>📝 Building Sentence:</span>
                 <div className="sentence-controls">
+                  <button 
+                    onClick={() => { setFixIndex(null); undo(); }}
+                    disabled={!transcript.canUndo}
+                    className="sentence-btn undo-btn"
+                    title="Undo"
+                  >
+                    ↶
+                  </button>
+                  <button 
+                    onClick={() => { setFixIndex(null); redo(); }}
+                    disabled={!transcript.canRedo}
+                    className="sentence-btn redo-btn"
+                    title="Redo"
+                  >
+                    ↷
+                  </button>
+                  <button 
+                    onClick={toggleNumberMode}
+                    className={`sentence-btn mode-btn ${recognitionMode === 'numbers' ? 'active' : ''}`}
+                    title={recognitionMode === 'numbers' ? 'Switch to Letters' : 'Switch to Numbers'}
+                  >
+                    {recognitionMode === 'numbers' ? '🔢 123' : '🔤 ABC'}
+                  </button>
                   <button 
                     onClick={() => {
                       console.log('🟢 SPACE BUTTON CLICKED IN UI');
@@ -434,8 +494,76 @@ export const VideoCall = ({
               </div>
               <div className="sentence-display">
                 <div className="current-sentence">
-                  {currentSentence || <span className="placeholder">Start signing letters...</span>}
+                  {transcript.words.length === 0 && <span className="placeholder">Start signing letters...</span>}
+                  {transcript.words.map(word => (
+                    <React.Fragment key={word.index}>
+                      {word.index === transcript.cursor && <span className="transcript-cursor">|</span>}
+                      <span
+                        onClick={() => {
+                          setFixIndex(word.index === fixIndex ? null : word.index);
+                          setFixText(word.text);
+                        }}
+                        className={`transcript-word ${word.corrected ? 'corrected' : ''} ${word.index === fixIndex ? 'selected' : ''}`}
+                        title={word.corrected ? `Autocorrected from "${word.raw}" - tap to fix` : 'Tap to fix'}
+                      >
+                        {word.text}
+                      </span>{' '}
+                    </React.Fragment>
+                  ))}
+                  {transcript.cursor < transcript.words.length && (
+                    <button
+                      onClick={() => moveCursor(null)}
+                      className="sentence-btn cursor-end-btn"
+                      title="Continue at the end of the sentence"
+                    >
+                      ⇥ End
+                    </button>
+                  )}
                 </div>
+                {transcript.words[fixIndex] && (
+                  <form
+                    className="word-fix-panel"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      editWord(fixIndex, fixText);
+                      setFixIndex(null);
+                    }}
+                  >
+                    {transcript.words[fixIndex].corrected && (
+                      <button
+                        type="button"
+                        onClick={() => { revertCorrection(fixIndex); setFixIndex(null); }}
+                        className="sentence-btn"
+                        title="Use the letters as they were signed"
+                      >
+                        ↩ {transcript.words[fixIndex].raw}
+                      </button>
+                    )}
+                    <input
+                      value={fixText}
+                      onChange={(e) => setFixText(e.target.value)}
+                      className="word-fix-input"
+                      autoFocus
+                    />
+                    <button type="submit" className="sentence-btn" title="Replace the word">✓</button>
+                    <button
+                      type="button"
+                      onClick={() => { respellWord(fixIndex); setFixIndex(null); }}
+                      className="sentence-btn"
+                      title="Remove the word and sign it again in its place"
+                    >
+                      👋 Respell
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => { deleteWord(fixIndex); setFixIndex(null); }}
+                      className="sentence-btn"
+                      title="Delete the word"
+                    >
+                      🗑️
+                    </button>
+                  </form>
+                )}
                 <div className="current-word">
                   {currentWord && (
                     <>
@@ -444,6 +572,20 @@ export const VideoCall = ({
                     </>
                   )}
                 </div>
+                {suggestions.length > 0 && (
+                  <div className="word-suggestions">
+                    {suggestions.map((word, index) => (
+                      <button
+                        key={word}
+                        onClick={() => acceptSuggestion(index)}
+                        className={`suggestion-chip ${index === 0 ? 'primary' : ''}`}
+                        title={index === 0 ? 'Tap, or sign thumbs-up toward the camera' : 'Tap to use this word'}
+                      >
+                        {index === 0 && '👍 '}{word}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
               {currentGesture && currentGesture.gesture !== 'none' && (
                 <div className="current-letter">
@@ -511,6 +653,16 @@ export const VideoCall = ({
           {isVideoEnabled ? '📹' : '📷❌'}
         </button>
 
+        {(user?.userType === 'deaf' || user?.userType === 'both') && (
+          <button
+            onClick={() => setDebugOverlay(!debugOverlay)}
+            className={`control-btn ${debugOverlay ? 'active' : ''}`}
+            title={debugOverlay ? 'Hide Hand Landmarks' : 'Show Hand Landmarks'}
+          >
+            🖐️
+          </button>
+        )}
+
         <button
           onClick={() => setShowCaptions(!showCaptions)}
           className={`control-btn ${showCaptions ? 'active' : ''}`}
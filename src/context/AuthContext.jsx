@@ -1,5 +1,6 @@
 ﻿import React, { createContext, useState, useContext, useEffect } from 'react';
 import { authAPI } from '../services/api';
+import personalDictionary from '../services/personalDictionary';
 
 const AuthContext = createContext();
 
@@ -36,6 +37,12 @@ export function AuthProvider({ children }) {
     setInitialLoading(false);
   }, []);
 
+  // Each user has their own personal dictionary
+  const userId = user?._id || user?.id || null;
+  useEffect(() => {
+    personalDictionary.setUser(userId);
+  }, [userId]);
+
   const login = async (username, password) => {
     try {
       setActionLoading(true);
@@ -1,11 +1,30 @@
 // Hook for integrating AI services with video calls
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import signLanguageDetector from '../ai-services/sign-language-detection/services/signLanguageDetector';
+import SignDetectionWorkerClient from '../ai-services/sign-language-detection/services/signDetectionWorkerClient';
+import AdaptiveFrameScheduler from '../ai-services/sign-language-detection/services/frameScheduler';
 import speechToText from '../ai-services/speech-to-text/services/speechToText';
 import textToSpeech from '../ai-services/text-to-speech/services/textToSpeech';
 import sentenceBuilder from '../services/sentenceBuilder';
+import { DEFAULT_LOCALE, getLocale } from '../services/locales';
+
+/**
+ * @param {string} userType - 'deaf', 'hearing', 'both' or 'normal'
+ * @param {Object} localVideoRef - Ref to the local <video> element
+ * @param {Object} options - { calibration, smoothing, dominantHand, signingZone, locale } - the user's
+ *                            stored hand calibration (profile.signCalibration), gesture smoothing
+ *                            (profile.signSmoothing), signing hand (profile.dominantHand), signing
+ *                            zone (profile.signingZone) and language + manual alphabet (profile.signLocale)
+ */
+export const useAIServices = (userType, localVideoRef, options = {}) => {
+  const {
+    calibration = null,
+    smoothing = null,
+    dominantHand = 'right',
+    signingZone = null,
+    locale = DEFAULT_LOCALE
+  } = options;
 
-export const useAIServices = (userType, localVideoRef) => {
   const [signDetectionEnabled, setSignDetectionEnabled] = useState(false);
   const [speechToTextEnabled, setSpeechToTextEnabled] = useState(false);
   const [textToSpeechEnabled, setTextToSpeechEnabled] = useState(false);
@@ -18,13 +37,74 @@ export const useAIServices = (userType, localVideoRef) => {
   // Sentence building state
   const [currentWord, setCurrentWord] = useState('');
   const [currentSentence, setCurrentSentence] = useState('');
+  const [committedSentence, setCommittedSentence] = useState(''); // Sentence as of the last finished word - what goes out as a caption
+  const [transcriptRevision, setTranscriptRevision] = useState(0); // Bumped by edits that keep the text (cursor, undo history)
+  
+  const [recognitionMode, setRecognitionModeState] = useState('letters'); // 'letters' | 'numbers'
+  
+  // Landmark overlay / debug HUD - detection results carry debug info while it is on
+  const [debugOverlay, setDebugOverlayState] = useState(false);
+  const [detectionDebug, setDetectionDebug] = useState(null);
+  
+  // Signing zone feedback - { state, active, reason } of the latest frame
+  const [signingZoneStatus, setSigningZoneStatus] = useState(null);
   
   const [isAIReady, setIsAIReady] = useState(false);
   const [aiError, setAiError] = useState(null);
   
-  const detectionIntervalRef = useRef(null);
+  const detectionTimerRef = useRef(null);
+  const detectionRunRef = useRef(0); // Bumped on stop so a detection in flight doesn't reschedule
+  const frameSchedulerRef = useRef(null); // Adaptive interval and full/lite model choice
   const gestureHistoryRef = useRef([]);
   const lastDetectedLetterRef = useRef('');
+  const calibrationRef = useRef(calibration);
+  const smoothingRef = useRef(smoothing);
+  const dominantHandRef = useRef(dominantHand);
+  const signingZoneRef = useRef(signingZone);
+  const localeRef = useRef(locale);
+  const suggestionsVisibleRef = useRef(false);
+  const zoneStatusRef = useRef(null);
+  const workerClientRef = useRef(null); // Set when detection runs in a Web Worker
+  const debugOverlayRef = useRef(false);
+
+  // Apply detector settings on the main thread and forward them to the worker's detector, if any
+  const configureDetector = (method, ...args) => {
+    signLanguageDetector[method](...args);
+    workerClientRef.current?.call(method, ...args);
+  };
+
+  // Keep the detector in sync if the profile calibration changes mid-session
+  useEffect(() => {
+    calibrationRef.current = calibration;
+    configureDetector('applyCalibration', calibration);
+  }, [calibration]);
+
+  // Same for the user's smoothing strategy and signing speed
+  useEffect(() => {
+    smoothingRef.current = smoothing;
+    if (smoothing) configureDetector('setSmoothing', smoothing);
+  }, [smoothing]);
+
+  // Left-handed signers get their hand mirrored onto the right-hand rules
+  useEffect(() => {
+    dominantHandRef.current = dominantHand;
+    configureDetector('setDominantHand', dominantHand);
+  }, [dominantHand]);
+
+  // Where in the frame hands have to be for letters to count
+  useEffect(() => {
+    signingZoneRef.current = signingZone;
+    configureDetector('setSigningZone', signingZone);
+  }, [signingZone]);
+
+  // Word lists, autocorrect, the alphabet the detector reads and the speech language
+  useEffect(() => {
+    localeRef.current = locale;
+    const { alphabet, speechLang } = getLocale(locale);
+    sentenceBuilder.setLocale(locale);
+    configureDetector('setAlphabet', alphabet);
+    speechToText.setLanguage(speechLang);
+  }, [locale]);
 
   // Initialize AI services based on user type
   useEffect(() => {
@@ -43,9 +123,27 @@ export const useAIServices = (userType, localVideoRef) => {
         console.log('🔄 Effective user type:', effectiveType);
         
         if (effectiveType === 'deaf' || effectiveType === 'both') {
-          // Deaf users: Enable sign language detection
-          const signInitialized = await signLanguageDetector.initialize();
+          // Deaf users: Enable sign language detection - in a worker when the browser
+          // supports it, so detection doesn't block video and UI
+          let signInitialized = false;
+          if (SignDetectionWorkerClient.isSupported()) {
+            const workerClient = new SignDetectionWorkerClient();
+            if (await workerClient.initialize()) {
+              workerClientRef.current = workerClient;
+              signInitialized = true;
+            }
+          }
+          if (!signInitialized) {
+            console.log('⚠️ Web Worker detection unavailable - detecting on the main thread');
+            signInitialized = await signLanguageDetector.initialize();
+          }
           if (signInitialized) {
+            configureDetector('applyCalibration', calibrationRef.current);
+            if (smoothingRef.current) configureDetector('setSmoothing', smoothingRef.current);
+            configureDetector('setDominantHand', dominantHandRef.current);
+            configureDetector('setSigningZone', signingZoneRef.current);
+            configureDetector('setAlphabet', getLocale(localeRef.current).alphabet);
+            configureDetector('setSuggestionsVisible', suggestionsVisibleRef.current);
             setSignDetectionEnabled(true);
             console.log('✅ Sign language detection enabled');
           }
@@ -55,6 +153,7 @@ export const useAIServices = (userType, localVideoRef) => {
           // Hearing users: Enable speech-to-text
           const speechInitialized = speechToText.initialize();
           if (speechInitialized) {
+            speechToText.setLanguage(getLocale(localeRef.current).speechLang);
             setSpeechToTextEnabled(true);
             console.log('✅ Speech-to-text enabled');
           }
@@ -89,25 +188,75 @@ export const useAIServices = (userType, localVideoRef) => {
     }
 
     console.log('👋 Starting sign language detection');
-    console.log('   Detection interval: 500ms');
     
-    detectionIntervalRef.current = setInterval(async () => {
-      const result = await signLanguageDetector.detectGesture(localVideoRef.current);
+    // Keeps its model choice across restarts, measurements start over
+    if (!frameSchedulerRef.current) frameSchedulerRef.current = new AdaptiveFrameScheduler();
+    const scheduler = frameSchedulerRef.current;
+    scheduler.reset();
+    
+    const handleResult = (result) => {
+      if (result?.timing) {
+        const schedule = scheduler.recordFrame({
+          latency: result.timing.latency,
+          handsPresent: result.hands?.length > 0
+        });
+        if (schedule.modelChanged) configureDetector('setModelType', schedule.modelType);
+        workerClientRef.current?.setFrameInterval(schedule.interval);
+      }
+      
+      // Re-render only when the zone state or the reason changes, not every frame
+      const zone = result?.zone;
+      const previousZone = zoneStatusRef.current;
+      if (zone && (zone.state !== previousZone?.state || zone.reason !== previousZone?.reason)) {
+        zoneStatusRef.current = { state: zone.state, active: zone.active, reason: zone.reason };
+        setSigningZoneStatus(zoneStatusRef.current);
+      }
+      
+      if (debugOverlayRef.current && result) {
+        setDetectionDebug(result.debug
+          ? { ...result.debug, gesture: result.gesture, rawGesture: result.rawGesture, schedule: scheduler.getStats() }
+          : null);
+      }
       
       // Lower threshold for better detection (hands detected = valid gesture)
       // If confidence is 0, it means MediaPipe detected hands but no score
       const MIN_CONFIDENCE = 0; // Accept all detected gestures
       
-      // Check if result is valid and gesture is not null (null means confidence building for new gesture)
+      // Check if result is valid and gesture is not null (null means confidence building for new gesture,
+      // or hands outside the signing zone - only letters signed inside it reach the sentence builder)
       if (result && result.gesture && result.gesture !== 'none' && result.gesture !== 'unknown_gesture' && result.hands && result.hands.length > 0) {
         const detectedLetter = result.gesture.toUpperCase();
         
-        // Only process if it's a letter A-Z
-        if (/^[A-Z]$/.test(detectedLetter)) {
+        // Number signs combine into multi-digit numbers in the current word
+        if (result.type === 'number') {
+          console.log(`🔢 NUMBER DETECTED: ${detectedLetter} (${result.confidence}% confidence)`);
+          
+          const builderResult = sentenceBuilder.addNumber(detectedLetter, result.confidence / 100);
+          
+          setCurrentWord(builderResult.currentWord);
+          setCurrentSentence(builderResult.sentence);
+          setCurrentGesture(result);
+        } else if (result.type === 'word') {
+          // Whole-word signs (e.g. two-handed MORE, BOOK) go straight into the sentence
+          console.log(`🙌 WORD SIGN DETECTED: ${detectedLetter} (${result.confidence}% confidence)`);
+          
+          const builderResult = sentenceBuilder.addWord(detectedLetter, result.confidence / 100);
+          
+          setCurrentWord(builderResult.currentWord);
+          setCurrentSentence(builderResult.sentence);
+          
+          if (builderResult.action === 'word_added' || builderResult.action === 'suggestion_accepted') {
+            commitSentence(builderResult.sentence);
+          }
+          
+          setCurrentGesture(result);
+        } else if (/^[A-Z]$/.test(detectedLetter)) {
+          // Only process if it's a letter A-Z
           console.log(`👋 LETTER DETECTED: ${detectedLetter} (${result.confidence}% confidence)`);
           
           // Add to sentence builder
-          const builderResult = sentenceBuilder.addLetter(detectedLetter, result.confidence / 100);
+          // The detector's runner-up letters let autocorrect resolve handshape mix-ups
+          const builderResult = sentenceBuilder.addLetter(detectedLetter, result.confidence / 100, result.candidates);
           
           // Update UI state
           setCurrentWord(builderResult.currentWord);
@@ -122,7 +271,7 @@ export const useAIServices = (userType, localVideoRef) => {
           if (builderResult.action === 'word_completed') {
             const word = builderResult.correctedWord || builderResult.currentWord;
             console.log(`   → Caption: ${word}`);
-            addCaption(`${builderResult.sentence}`, 'sign');
+            commitSentence(builderResult.sentence);
           }
           
           setCurrentGesture(result);
@@ -148,22 +297,79 @@ export const useAIServices = (userType, localVideoRef) => {
         if (gestureHistoryRef.current.length > 50) {
           gestureHistoryRef.current.shift();
         }
-      } else if (result && result.gesture === 'none') {
-        // Clear current gesture when no hands detected
+      } else if (result && (result.gesture === 'none' || result.zone?.active === false)) {
+        // Clear current gesture when no hands detected or they left the signing zone
         setCurrentGesture(null);
       }
-    }, 500); // Detect every 500ms
+    };
+    
+    if (workerClientRef.current) {
+      console.log('   Detection: Web Worker, adaptive frame interval (skipped while busy)');
+      workerClientRef.current.setFrameInterval(scheduler.interval);
+      workerClientRef.current.start(localVideoRef.current, handleResult);
+      return;
+    }
+    
+    console.log('   Detection: main thread, adaptive frame interval');
+    const runId = ++detectionRunRef.current;
+    const detectNext = async () => {
+      const startedAt = Date.now();
+      handleResult(await signLanguageDetector.detectGesture(localVideoRef.current));
+      if (runId !== detectionRunRef.current) return; // Stopped meanwhile
+      
+      // The interval is start to start, detection time included
+      const delay = Math.max(0, scheduler.interval - (Date.now() - startedAt));
+      detectionTimerRef.current = setTimeout(detectNext, delay);
+    };
+    detectionTimerRef.current = setTimeout(detectNext, 0);
   }, [signDetectionEnabled, localVideoRef]);
 
   // Stop sign language detection
   const stopSignDetection = useCallback(() => {
-    if (detectionIntervalRef.current) {
-      clearInterval(detectionIntervalRef.current);
-      detectionIntervalRef.current = null;
+    if (workerClientRef.current) {
+      workerClientRef.current.stop();
+    }
+    detectionRunRef.current++;
+    zoneStatusRef.current = null;
+    setSigningZoneStatus(null);
+    if (detectionTimerRef.current) {
+      clearTimeout(detectionTimerRef.current);
+      detectionTimerRef.current = null;
       console.log('🛑 Stopped sign language detection');
     }
   }, []);
 
+  // Switch sign detection between fingerspelling and numbers
+  const setRecognitionMode = useCallback((mode) => {
+    configureDetector('setRecognitionMode', mode);
+    setRecognitionModeState(signLanguageDetector.recognitionMode);
+  }, []);
+
+  // Draw landmarks and the per-letter debug HUD over the local video
+  const setDebugOverlay = useCallback((enabled) => {
+    debugOverlayRef.current = enabled;
+    configureDetector('setDebugOverlay', enabled);
+    setDebugOverlayState(enabled);
+    if (!enabled) setDetectionDebug(null);
+  }, []);
+
+  const toggleNumberMode = useCallback(() => {
+    setRecognitionMode(signLanguageDetector.recognitionMode === 'numbers' ? 'letters' : 'numbers');
+  }, [setRecognitionMode]);
+
+  // Hybrid ML + rules fusion: 'max', 'weighted' or 'rules-tiebreak'
+  const setFusionStrategy = useCallback((strategy, fusionOptions = {}) => {
+    configureDetector('setFusionStrategy', strategy, fusionOptions);
+  }, []);
+
+  // Per-letter agreement between the ML model and the rules (from the worker when detection runs there)
+  const getAgreementStats = useCallback(async () => {
+    if (workerClientRef.current) {
+      return workerClientRef.current.getAgreementStats();
+    }
+    return signLanguageDetector.getAgreementStats();
+  }, []);
+
   // Start speech-to-text
   const startSpeechToText = useCallback(() => {
     if (!speechToTextEnabled) {
@@ -208,7 +414,7 @@ export const useAIServices = (userType, localVideoRef) => {
       return false;
     }
 
-    return textToSpeech.speak(text, options);
+    return textToSpeech.speak(text, { lang: getLocale(localeRef.current).speechLang, ...options });
   }, [textToSpeechEnabled]);
 
   // Stop TTS
@@ -228,6 +434,13 @@ export const useAIServices = (userType, localVideoRef) => {
     setCaptionHistory(prev => [...prev.slice(-20), caption]); // Keep last 20 captions
   }, []);
 
+  // A word was finished - the sentence is ready to go out. Edits of the transcript
+  // don't commit, so fixes are sent with the next finished word instead of on every tap
+  const commitSentence = useCallback((sentence) => {
+    setCommittedSentence(sentence);
+    addCaption(sentence, 'sign');
+  }, [addCaption]);
+
   // Clear caption history
   const clearCaptions = useCallback(() => {
     setCaptionHistory([]);
@@ -245,6 +458,11 @@ export const useAIServices = (userType, localVideoRef) => {
       return `ASL Letter: ${gesture}`;
     }
     
+    // Whole-word signs from the detector vocabulary (THANK-YOU → "THANK YOU")
+    if (signLanguageDetector.isWordSign(gesture)) {
+      return `ASL Sign: ${gesture.replace(/-/g, ' ')}`;
+    }
+    
     // Fallback for unknown gestures
     if (gesture === 'unknown') {
       return 'Unknown gesture';
@@ -260,6 +478,10 @@ export const useAIServices = (userType, localVideoRef) => {
     stopSpeaking();
     
     signLanguageDetector.cleanup();
+    if (workerClientRef.current) {
+      workerClientRef.current.terminate();
+      workerClientRef.current = null;
+    }
     speechToText.cleanup();
     textToSpeech.cleanup();
     
@@ -282,8 +504,10 @@ export const useAIServices = (userType, localVideoRef) => {
       console.log(`🔧 Auto-corrected: "${result.correctedWord}"`);
     }
     console.log('📝 Updated sentence:', result.sentence);
-    addCaption(result.sentence, 'sign');
-  }, [addCaption]);
+    if (result.action === 'word_completed') {
+      commitSentence(result.sentence);
+    }
+  }, [commitSentence]);
 
   const backspace = useCallback(() => {
     console.log('⌫⌫⌫ BACKSPACE CLICKED!!! ⌫⌫⌫');
@@ -299,6 +523,33 @@ export const useAIServices = (userType, localVideoRef) => {
     setCurrentSentence(result.sentence);
   }, []);
 
+  // Top completions of the current word - tap one (or sign ACCEPT-SUGGESTION for the first)
+  const suggestions = useMemo(
+    () => sentenceBuilder.getSuggestions(),
+    [currentWord, currentSentence]
+  );
+
+  // A word finished without taking any of these is learned as the user's own (a name)
+  useEffect(() => {
+    sentenceBuilder.noteSuggestionsShown(suggestions);
+  }, [suggestions]);
+
+  // The thumbs-up ACCEPT-SUGGESTION sign only counts while there is a suggestion to take
+  const hasSuggestions = suggestions.length > 0;
+  useEffect(() => {
+    suggestionsVisibleRef.current = hasSuggestions;
+    configureDetector('setSuggestionsVisible', hasSuggestions);
+  }, [hasSuggestions]);
+
+  const acceptSuggestion = useCallback((choice = 0) => {
+    const result = sentenceBuilder.acceptSuggestion(choice);
+    setCurrentWord(result.currentWord);
+    setCurrentSentence(result.sentence);
+    if (result.action === 'suggestion_accepted') {
+      commitSentence(result.sentence);
+    }
+  }, [commitSentence]);
+
   const clearWord = useCallback(() => {
     console.log('⌫⌫⌫ CLEAR WORD CLICKED!!! ⌫⌫⌫');
     const result = sentenceBuilder.clearWord();
@@ -306,6 +557,26 @@ export const useAIServices = (userType, localVideoRef) => {
     setCurrentSentence(result.sentence);
   }, []);
 
+  // Editable transcript - tap a word to fix it before it goes out as a caption
+  const transcript = useMemo(
+    () => sentenceBuilder.getTranscript(),
+    [currentWord, currentSentence, transcriptRevision]
+  );
+
+  const applyEdit = useCallback((result) => {
+    setCurrentWord(result.currentWord);
+    setCurrentSentence(result.sentence);
+    setTranscriptRevision(revision => revision + 1);
+  }, []);
+
+  const undo = useCallback(() => applyEdit(sentenceBuilder.undo()), [applyEdit]);
+  const redo = useCallback(() => applyEdit(sentenceBuilder.redo()), [applyEdit]);
+  const editWord = useCallback((index, text) => applyEdit(sentenceBuilder.editWord(index, text)), [applyEdit]);
+  const revertCorrection = useCallback((index) => applyEdit(sentenceBuilder.revertCorrection(index)), [applyEdit]);
+  const deleteWord = useCallback((index) => applyEdit(sentenceBuilder.deleteWord(index)), [applyEdit]);
+  const respellWord = useCallback((index) => applyEdit(sentenceBuilder.respellWord(index)), [applyEdit]);
+  const moveCursor = useCallback((index) => applyEdit(sentenceBuilder.moveCursor(index)), [applyEdit]);
+
   return {
     // States
     isAIReady,
@@ -319,14 +590,34 @@ export const useAIServices = (userType, localVideoRef) => {
     startSignDetection,
     stopSignDetection,
     gestureHistory: gestureHistoryRef.current,
+    recognitionMode,
+    setRecognitionMode,
+    toggleNumberMode,
+    setFusionStrategy,
+    getAgreementStats,
+    debugOverlay,
+    setDebugOverlay,
+    detectionDebug,
+    signingZoneStatus,
     
     // Sentence building
     currentWord,
     currentSentence,
+    committedSentence,
     addSpace,
     backspace,
     clearText,
     clearWord,
+    suggestions,
+    acceptSuggestion,
+    transcript,
+    undo,
+    redo,
+    editWord,
+    revertCorrection,
+    deleteWord,
+    respellWord,
+    moveCursor,
     
     // Speech-to-text
     currentTranscript,
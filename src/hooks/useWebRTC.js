@@ -1,5 +1,8 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { socketService } from '../services/websocketService';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('webrtc');
 
 export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
   const [localStream, setLocalStream] = useState(null);
@@ -27,7 +30,7 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
 
   // ✅ FIXED: Stable cleanup function without dependencies
   const cleanupWebRTC = useCallback(() => {
-    console.log('🧹 Cleaning up WebRTC...');
+    log.info('🧹 Cleaning up WebRTC...');
     
     // Stop all local media tracks
     if (localStreamRef.current) {
@@ -61,18 +64,18 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
     setError(null);
     isInitializedRef.current = false;
     
-    console.log('✅ WebRTC cleanup completed');
+    log.info('✅ WebRTC cleanup completed');
   }, []); // ✅ No dependencies
 
   // ✅ FIXED: Initialize WebRTC with stable dependencies
   const initializeWebRTC = useCallback(async () => {
     if (isInitializedRef.current) {
-      console.log('🔄 WebRTC already initialized');
+      log.info('🔄 WebRTC already initialized');
       return;
     }
 
     try {
-      console.log('🎥 Initializing WebRTC...');
+      log.info('🎥 Initializing WebRTC...');
       setCallStatus('connecting');
       setError(null);
 
@@ -96,7 +99,7 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
       
       localStreamRef.current = stream;
       setLocalStream(stream);
-      console.log('✅ User media obtained');
+      log.info('✅ User media obtained');
 
       const pc = new RTCPeerConnection(iceServers);
       peerConnectionRef.current = pc;
@@ -108,22 +111,22 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
 
       // Handle incoming remote stream
       pc.ontrack = (event) => {
-        console.log('📹 ontrack event received!');
-        console.log('   - Track kind:', event.track.kind);
-        console.log('   - Streams count:', event.streams?.length);
+        log.info('📹 ontrack event received!');
+        log.debug('   - Track kind:', event.track.kind);
+        log.debug('   - Streams count:', event.streams?.length);
         
         if (event.streams && event.streams[0]) {
           const remoteStream = event.streams[0];
-          console.log('✅ Remote stream received successfully');
-          console.log('   - Video tracks:', remoteStream.getVideoTracks().length);
-          console.log('   - Audio tracks:', remoteStream.getAudioTracks().length);
+          log.info('✅ Remote stream received successfully');
+          log.debug('   - Video tracks:', remoteStream.getVideoTracks().length);
+          log.debug('   - Audio tracks:', remoteStream.getAudioTracks().length);
           
           remoteStreamRef.current = remoteStream;
           setRemoteStream(remoteStream);
           setIsCallActive(true);
           setCallStatus('connected');
         } else {
-          console.warn('⚠️ No streams in ontrack event');
+          log.warn('⚠️ No streams in ontrack event');
         }
       };
 
@@ -137,7 +140,7 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
       // Handle connection state changes
       pc.onconnectionstatechange = () => {
         const state = pc.connectionState;
-        console.log(`🔗 Peer connection state: ${state}`);
+        log.info(`🔗 Peer connection state: ${state}`);
         
         switch (state) {
           case 'connected':
@@ -162,11 +165,11 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
       };
 
       isInitializedRef.current = true;
-      console.log('✅ WebRTC initialized successfully');
-      console.log('📊 isCaller status will be checked for auto-offer');
+      log.info('✅ WebRTC initialized successfully');
+      log.debug('📊 isCaller status will be checked for auto-offer');
 
     } catch (error) {
-      console.error('❌ Error initializing WebRTC:', error);
+      log.error('❌ Error initializing WebRTC:', error);
       setCallStatus('failed');
       setError(error.message || 'Failed to initialize video call');
       cleanupWebRTC();
@@ -175,85 +178,85 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
 
   // ✅ FIXED: Event handlers with stable dependencies
   const handleWebRTCOffer = useCallback(async (data) => {
-    console.log('📨 handleWebRTCOffer called from:', data.fromUserId);
+    log.debug('📨 handleWebRTCOffer called from:', data.fromUserId);
     
     if (!peerConnectionRef.current) {
-      console.error('❌ No peer connection available');
+      log.error('❌ No peer connection available');
       return;
     }
     
     if (data.fromUserId !== remoteUserId) {
-      console.log('⚠️ Offer from wrong user. Expected:', remoteUserId, 'Got:', data.fromUserId);
+      log.warn('⚠️ Offer from wrong user. Expected:', remoteUserId, 'Got:', data.fromUserId);
       return;
     }
 
     try {
-      console.log('📥 Processing WebRTC offer');
+      log.info('📥 Processing WebRTC offer');
       
       // Check signaling state to prevent race conditions
       const signalingState = peerConnectionRef.current.signalingState;
-      console.log('🔍 Current signaling state:', signalingState);
+      log.debug('🔍 Current signaling state:', signalingState);
       
       if (signalingState === 'have-local-offer') {
-        console.log('⚠️ Already have local offer, ignoring remote offer to prevent glare');
+        log.warn('⚠️ Already have local offer, ignoring remote offer to prevent glare');
         return;
       }
       
       setCallStatus('connecting');
-      console.log('📝 Setting remote description (offer)...');
+      log.debug('📝 Setting remote description (offer)...');
       await peerConnectionRef.current.setRemoteDescription(data.offer);
-      console.log('✅ Remote description set');
+      log.debug('✅ Remote description set');
       
-      console.log('📝 Creating answer...');
+      log.debug('📝 Creating answer...');
       const answer = await peerConnectionRef.current.createAnswer();
-      console.log('✅ Answer created');
+      log.debug('✅ Answer created');
       
-      console.log('📝 Setting local description (answer)...');
+      log.debug('📝 Setting local description (answer)...');
       await peerConnectionRef.current.setLocalDescription(answer);
-      console.log('✅ Local description set');
+      log.debug('✅ Local description set');
       
-      console.log('📤 Sending answer to:', remoteUserId);
+      log.debug('📤 Sending answer to:', remoteUserId);
       socketService.sendWebRTCAnswer(remoteUserId, answer, callId);
-      console.log('✅ WebRTC answer sent successfully');
+      log.info('✅ WebRTC answer sent successfully');
       
     } catch (error) {
-      console.error('❌ Error handling WebRTC offer:', error);
+      log.error('❌ Error handling WebRTC offer:', error);
       setCallStatus('failed');
       setError(error.message || 'Failed to respond to call');
     }
   }, [remoteUserId, callId]);
 
   const handleWebRTCAnswer = useCallback(async (data) => {
-    console.log('📨 handleWebRTCAnswer called from:', data.fromUserId);
+    log.debug('📨 handleWebRTCAnswer called from:', data.fromUserId);
     
     if (!peerConnectionRef.current) {
-      console.error('❌ No peer connection available');
+      log.error('❌ No peer connection available');
       return;
     }
     
     if (data.fromUserId !== remoteUserId) {
-      console.log('⚠️ Answer from wrong user. Expected:', remoteUserId, 'Got:', data.fromUserId);
+      log.warn('⚠️ Answer from wrong user. Expected:', remoteUserId, 'Got:', data.fromUserId);
       return;
     }
 
     try {
-      console.log('📥 Processing WebRTC answer');
+      log.info('📥 Processing WebRTC answer');
       
       // Check signaling state
       const signalingState = peerConnectionRef.current.signalingState;
-      console.log('🔍 Current signaling state:', signalingState);
+      log.debug('🔍 Current signaling state:', signalingState);
       
       if (signalingState !== 'have-local-offer') {
-        console.log('⚠️ Not in correct state to receive answer (expected: have-local-offer, got:', signalingState + ')');
+        log.warn('⚠️ Not in correct state to receive answer (expected: have-local-offer, got:', signalingState + ')');
         return;
       }
       
-      console.log('📝 Setting remote description (answer)...');
+      log.debug('📝 Setting remote description (answer)...');
       await peerConnectionRef.current.setRemoteDescription(data.answer);
-      console.log('✅ Remote answer set successfully');
-      console.log('🎉 WebRTC connection should now be established!');
+      log.info('✅ Remote answer set successfully');
+      log.debug('🎉 WebRTC connection should now be established!');
     } catch (error) {
-      console.error('❌ Error handling WebRTC answer:', error);
+      log.error('❌ Error handling WebRTC answer:', error);
       setCallStatus('failed');
       setError(error.message || 'Failed to establish call connection');
     }
@@ -265,13 +268,13 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
     try {
       await peerConnectionRef.current.addIceCandidate(data.candidate);
     } catch (error) {
-      console.error('❌ Error adding ICE candidate:', error);
+      log.error('❌ Error adding ICE candidate:', error);
     }
   }, [remoteUserId]);
 
   const handleEndCall = useCallback((data) => {
     if (data.fromUserId === remoteUserId) {
-      console.log('📞 Call ended by remote user');
+      log.info('📞 Call ended by remote user');
       cleanupWebRTC();
     }
   }, [remoteUserId, cleanupWebRTC]);
@@ -285,11 +288,11 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
 
     try {
       const signalingState = peerConnectionRef.current.signalingState;
-      console.log('📤 Creating WebRTC offer... (current state:', signalingState + ')');
+      log.info('📤 Creating WebRTC offer... (current state:', signalingState + ')');
       
       // Prevent creating offer if not in stable state
       if (signalingState !== 'stable') {
-        console.log('⚠️ Cannot create offer, not in stable state:', signalingState);
+        log.warn('⚠️ Cannot create offer, not in stable state:', signalingState);
         return;
       }
       
@@ -299,10 +302,10 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
       await peerConnectionRef.current.setLocalDescription(offer);
       
       socketService.sendWebRTCOffer(remoteUserId, offer, callId);
-      console.log('✅ WebRTC offer created and sent');
+      log.info('✅ WebRTC offer created and sent');
       
     } catch (error) {
-      console.error('❌ Error creating offer:', error);
+      log.error('❌ Error creating offer:', error);
       setCallStatus('failed');
       setError(error.message || 'Failed to create call offer');
       
@@ -336,7 +339,7 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
 
   // ✅ FIXED: End call with stable dependencies
   const endCall = useCallback(() => {
-    console.log('📞 Ending call...');
+    log.info('📞 Ending call...');
     
     if (remoteUserId && callId) {
       socketService.sendEndCall(remoteUserId, callId);
@@ -347,14 +350,14 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
 
   // ✅ FIXED: Simplified useEffect without infinite re-renders
   useEffect(() => {
-    console.log('🔧 useWebRTC effect triggered with remoteUserId:', remoteUserId, 'callId:', callId);
+    log.debug('🔧 useWebRTC effect triggered with remoteUserId:', remoteUserId, 'callId:', callId);
     
     if (!remoteUserId) {
-      console.warn('⚠️ No remoteUserId provided, skipping WebRTC initialization');
+      log.warn('⚠️ No remoteUserId provided, skipping WebRTC initialization');
       return;
     }
 
-    console.log('✅ Starting WebRTC setup for remote user:', remoteUserId);
+    log.info('✅ Starting WebRTC setup for remote user:', remoteUserId);
 
     // Setup event listeners
     socketService.onWebRTCOffer(handleWebRTCOffer);
@@ -367,7 +370,7 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
 
     // Cleanup
     return () => {
-      console.log('🧹 Cleaning up WebRTC listeners');
+      log.debug('🧹 Cleaning up WebRTC listeners');
       socketService.off('webrtc_offer', handleWebRTCOffer);
       socketService.off('webrtc_answer', handleWebRTCAnswer);
       socketService.off('webrtc_ice_candidate', handleICECandidate);
@@ -377,7 +380,7 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
 
   // ✅ NEW: Automatically create offer when caller's WebRTC is initialized
   useEffect(() => {
-    console.log('🔍 Auto-offer check:', {
+    log.debug('🔍 Auto-offer check:', {
       isCaller,
       isInitialized: isInitializedRef.current,
       offerCreated: offerCreatedRef.current,
@@ -386,7 +389,7 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
     });
 
     if (isCaller && isInitializedRef.current && !offerCreatedRef.current && peerConnectionRef.current && localStream) {
-      console.log('📤 Caller detected - automatically creating offer in 1000ms');
+      log.info('📤 Caller detected - automatically creating offer in 1000ms');
       offerCreatedRef.current = true;
       
       // Clear any existing timeout
@@ -397,16 +400,16 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
       // Delay to ensure both sides are ready and prevent glare
       offerTimeoutRef.current = setTimeout(() => {
         if (!peerConnectionRef.current) {
-          console.log('⚠️ Peer connection lost before creating offer');
+          log.warn('⚠️ Peer connection lost before creating offer');
           return;
         }
         
         const signalingState = peerConnectionRef.current.signalingState;
-        console.log('📤 About to create offer, signaling state:', signalingState);
+        log.debug('📤 About to create offer, signaling state:', signalingState);
         
         // Only create offer if in stable state
         if (signalingState === 'stable') {
-          console.log('📤 Creating offer...');
+          log.debug('📤 Creating offer...');
           // Call createOffer directly without callback dependency
           if (!peerConnectionRef.current) {
             setError('No peer connection available');
@@ -417,10 +420,10 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
             try {
               const pc = peerConnectionRef.current;
               const state = pc.signalingState;
-              console.log('📤 Creating WebRTC offer... (current state:', state + ')');
+              log.debug('📤 Creating WebRTC offer... (current state:', state + ')');
               
               if (state !== 'stable') {
-                console.log('⚠️ Cannot create offer, not in stable state:', state);
+                log.warn('⚠️ Cannot create offer, not in stable state:', state);
                 return;
               }
               
@@ -429,22 +432,22 @@ export const useWebRTC = (remoteUserId, callId, isCaller = false) => {
               await pc.setLocalDescription(offer);
               
               socketService.sendWebRTCOffer(remoteUserId, offer, callId);
-              console.log('✅ WebRTC offer created and sent');
+              log.info('✅ WebRTC offer created and sent');
               
             } catch (error) {
-              console.error('❌ Error creating offer:', error);
+              log.error('❌ Error creating offer:', error);
               setCallStatus('failed');
               setError(error.message || 'Failed to create call offer');
               offerCreatedRef.current = false;
             }
           })();
         } else {
-          console.log('⚠️ Not in stable state, resetting flag to retry');
+          log.warn('⚠️ Not in stable state, resetting flag to retry');
           offerCreatedRef.current = false;
         }
       }, 1000);
     } else if (!isCaller) {
-      console.log('📥 Receiver mode - waiting for offer');
+      log.info('📥 Receiver mode - waiting for offer');
     }
     
     // Cleanup timeout on unmount
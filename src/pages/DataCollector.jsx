@@ -0,0 +1,402 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaCircle, FaStop, FaUndo, FaDownload, FaTrash, FaBrain } from 'react-icons/fa';
+import signLanguageDetector from '../ai-services/sign-language-detection/services/signLanguageDetector';
+import DatasetRecorder from '../ai-services/sign-language-detection/services/datasetRecorder';
+import aslMLModel from '../services/aslMLModel';
+
+// Time between recorded frames while a sign is held
+const RECORD_INTERVAL_MS = 150;
+// Frames recorded per press of Record
+const SAMPLES_PER_BURST = 30;
+// Passes over the recorded samples when personalising the model
+const FINE_TUNE_EPOCHS = 15;
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+const DIGITS = '0123456789'.split('');
+
+export default function DataCollector() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const recordTimerRef = useRef(null);
+  const recorderRef = useRef(null);
+
+  if (!recorderRef.current) {
+    recorderRef.current = new DatasetRecorder({
+      userId: user?._id || user?.id,
+      userType: user?.userType,
+      handSize: user?.signCalibration?.handSize
+    });
+  }
+
+  const [status, setStatus] = useState('loading'); // loading | ready | recording | error
+  const [error, setError] = useState(null);
+  const [label, setLabel] = useState('A');
+  const [burstCount, setBurstCount] = useState(0);
+  const [lastBurst, setLastBurst] = useState(null); // { label, count } for undo
+  const [counts, setCounts] = useState({});
+  const [training, setTraining] = useState(null); // { epoch } while fine-tuning
+  const [trainMessage, setTrainMessage] = useState(null);
+  const [personalized, setPersonalized] = useState(aslMLModel.isPersonalized);
+
+  // Start the camera and the hand detector
+  useEffect(() => {
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+        }
+
+        const initialized = await signLanguageDetector.initialize();
+        if (!initialized) throw new Error('Hand detection could not be started');
+        signLanguageDetector.applyCalibration(user?.signCalibration);
+        signLanguageDetector.setDominantHand(user?.dominantHand || 'right');
+        // Every sample is recorded on purpose - no signing-zone gating
+        signLanguageDetector.setSigningZone({ enabled: false });
+        if (!cancelled) setStatus('ready');
+      } catch (err) {
+        console.error('❌ Data collector setup failed:', err);
+        if (!cancelled) {
+          setError(err.message || 'Camera not available');
+          setStatus('error');
+        }
+      }
+    };
+
+    start();
+    aslMLModel.hasPersonalModel().then(saved => {
+      if (!cancelled) setPersonalized(saved);
+    });
+
+    return () => {
+      cancelled = true;
+      clearInterval(recordTimerRef.current);
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+      }
+      signLanguageDetector.cleanup();
+    };
+  }, []);
+
+  const stopRecording = () => {
+    clearInterval(recordTimerRef.current);
+    recordTimerRef.current = null;
+    setStatus('ready');
+  };
+
+  const startRecording = () => {
+    const recorder = recorderRef.current;
+    const recordingLabel = label;
+    let busy = false; // detectGesture can take longer than one interval
+    let recorded = 0;
+
+    // The live prediction stored with each sample should come from the matching mode
+    signLanguageDetector.setRecognitionMode(DIGITS.includes(recordingLabel) ? 'numbers' : 'letters');
+
+    setBurstCount(0);
+    setStatus('recording');
+
+    recordTimerRef.current = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      const result = await signLanguageDetector.detectGesture(videoRef.current);
+      busy = false;
+
+      const hand = result?.hands?.[0];
+      if (!hand || !recordTimerRef.current) return;
+
+      const sample = recorder.addSample(recordingLabel, signLanguageDetector.getNormalizedKeypoints(hand), {
+        handedness: signLanguageDetector.getHandedness(hand),
+        handScore: hand.score,
+        predicted: result.gesture
+      });
+      if (!sample) return;
+
+      recorded++;
+      setBurstCount(recorded);
+      setLastBurst({ label: recordingLabel, count: recorded });
+      setCounts(recorder.getCounts());
+
+      if (recorded >= SAMPLES_PER_BURST) stopRecording();
+    }, RECORD_INTERVAL_MS);
+  };
+
+  const undoLastBurst = () => {
+    if (!lastBurst) return;
+    recorderRef.current.removeLast(lastBurst.label, lastBurst.count);
+    setCounts(recorderRef.current.getCounts());
+    setLastBurst(null);
+  };
+
+  const clearAll = () => {
+    if (!window.confirm('Delete all recorded samples?')) return;
+    recorderRef.current.clear();
+    setCounts({});
+    setLastBurst(null);
+  };
+
+  const exportDataset = (format) => {
+    const { content, fileName, mimeType } = recorderRef.current.export(format);
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Retrain the model's last layers on the recorded letters, on this device only
+  const personalizeModel = async () => {
+    setTraining({ epoch: 0 });
+    setTrainMessage(null);
+    try {
+      const loaded = await aslMLModel.initialize();
+      if (!loaded) throw new Error('The sign language model is not available on this server');
+
+      const result = await aslMLModel.fineTune(recorderRef.current.samples, {
+        epochs: FINE_TUNE_EPOCHS,
+        onEpochEnd: (epoch) => setTraining({ epoch: epoch + 1 })
+      });
+      setPersonalized(true);
+      setTrainMessage(`✅ Model personalised on ${result.samples} samples (${Math.round((result.accuracy || 0) * 100)}% training accuracy). It is used in your next call.`);
+    } catch (err) {
+      console.error('❌ Fine-tuning failed:', err);
+      setTrainMessage(`❌ ${err.message}`);
+    } finally {
+      setTraining(null);
+    }
+  };
+
+  const resetPersonalization = async () => {
+    await aslMLModel.resetPersonalization();
+    setPersonalized(false);
+    setTrainMessage('Personalised model removed - the shared model is used again.');
+  };
+
+  const totalSamples = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  const containerStyle = {
+    minHeight: '100vh',
+    background: 'linear-gradient(135deg, #0f0f0f 0%, #1a1a1a 50%, #262626 100%)',
+    padding: '2rem 1rem',
+    color: 'white'
+  };
+
+  const cardStyle = {
+    background: 'rgba(18, 18, 18, 0.9)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '24px',
+    padding: '2rem',
+    backdropFilter: 'blur(20px)',
+    boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)',
+    maxWidth: '720px',
+    margin: '0 auto'
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '1rem',
+    marginBottom: '1.5rem',
+    paddingBottom: '1rem',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  };
+
+  const titleStyle = {
+    fontSize: '1.75rem',
+    fontWeight: '700',
+    background: 'linear-gradient(45deg, #405DE6, #833AB4, #E1306C)',
+    WebkitBackgroundClip: 'text',
+    WebkitTextFillColor: 'transparent',
+    backgroundClip: 'text'
+  };
+
+  const backButtonStyle = {
+    padding: '0.5rem',
+    background: 'rgba(255, 255, 255, 0.1)',
+    color: 'white',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center'
+  };
+
+  const videoStyle = {
+    width: '100%',
+    borderRadius: '16px',
+    background: '#000',
+    marginBottom: '1rem'
+  };
+
+  const buttonStyle = {
+    padding: '0.75rem 1.5rem',
+    background: 'linear-gradient(45deg, #405DE6, #833AB4)',
+    color: 'white',
+    border: 'none',
+    borderRadius: '12px',
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.5rem'
+  };
+
+  const secondaryButtonStyle = {
+    ...buttonStyle,
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: '1px solid rgba(255, 255, 255, 0.2)'
+  };
+
+  const labelButtonStyle = (value) => ({
+    width: '2.25rem',
+    height: '2.25rem',
+    borderRadius: '8px',
+    border: value === label ? '1px solid #833AB4' : '1px solid rgba(255, 255, 255, 0.15)',
+    background: value === label ? 'linear-gradient(45deg, #405DE6, #833AB4)' : 'rgba(255, 255, 255, 0.05)',
+    color: 'white',
+    fontWeight: '600',
+    cursor: status === 'recording' ? 'not-allowed' : 'pointer',
+    position: 'relative'
+  });
+
+  const countBadgeStyle = {
+    position: 'absolute',
+    top: '-6px',
+    right: '-6px',
+    fontSize: '0.6rem',
+    background: '#10b981',
+    borderRadius: '999px',
+    padding: '0 0.3rem'
+  };
+
+  const renderLabelButtons = (values) => (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem', marginBottom: '0.75rem' }}>
+      {values.map(value => (
+        <button
+          key={value}
+          onClick={() => setLabel(value)}
+          disabled={status === 'recording'}
+          style={labelButtonStyle(value)}
+        >
+          {value}
+          {counts[value] > 0 && <span style={countBadgeStyle}>{counts[value]}</span>}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div style={containerStyle}>
+      <div style={cardStyle}>
+        <div style={headerStyle}>
+          <button onClick={() => navigate('/profile/edit')} style={backButtonStyle}>
+            <FaArrowLeft size={16} />
+          </button>
+          <h1 style={titleStyle}>Record Training Data</h1>
+        </div>
+
+        <p style={{ color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.9rem', marginBottom: '1rem' }}>
+          Pick a letter or number, sign it and press Record. Each recording captures {SAMPLES_PER_BURST} frames
+          of hand landmarks. Export the dataset when you are done - nothing is uploaded.
+        </p>
+
+        <video ref={videoRef} autoPlay playsInline muted style={videoStyle} />
+
+        {status === 'loading' && <p>⏳ Starting camera and hand detection...</p>}
+
+        {status === 'error' && <p style={{ color: '#f87171' }}>❌ {error}</p>}
+
+        {(status === 'ready' || status === 'recording') && (
+          <div>
+            {renderLabelButtons(LETTERS)}
+            {renderLabelButtons(DIGITS)}
+
+            <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', margin: '1rem 0' }}>
+              {status === 'recording' ? (
+                <button onClick={stopRecording} style={{ ...buttonStyle, background: '#dc2626' }}>
+                  <FaStop /> Stop ({burstCount}/{SAMPLES_PER_BURST})
+                </button>
+              ) : (
+                <button onClick={startRecording} style={buttonStyle}>
+                  <FaCircle color="#f87171" /> Record {label}
+                </button>
+              )}
+              <button
+                onClick={undoLastBurst}
+                disabled={!lastBurst || status === 'recording'}
+                style={{ ...secondaryButtonStyle, opacity: lastBurst && status !== 'recording' ? 1 : 0.5 }}
+              >
+                <FaUndo /> Undo last recording
+              </button>
+            </div>
+
+            <div style={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              gap: '0.75rem',
+              flexWrap: 'wrap',
+              paddingTop: '1rem',
+              borderTop: '1px solid rgba(255, 255, 255, 0.1)'
+            }}>
+              <span style={{ color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.9rem' }}>
+                {totalSamples} samples, {Object.keys(counts).length} signs
+              </span>
+              <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+                <button onClick={clearAll} disabled={totalSamples === 0} style={secondaryButtonStyle}>
+                  <FaTrash /> Clear
+                </button>
+                <button onClick={() => exportDataset('csv')} disabled={totalSamples === 0} style={secondaryButtonStyle}>
+                  <FaDownload /> CSV
+                </button>
+                <button onClick={() => exportDataset('jsonl')} disabled={totalSamples === 0} style={buttonStyle}>
+                  <FaDownload /> JSONL
+                </button>
+              </div>
+            </div>
+
+            <div style={{ marginTop: '1.5rem', padding: '1rem', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '12px' }}>
+              <h3 style={{ fontSize: '1.1rem', fontWeight: '600', marginBottom: '0.5rem' }}>Personalise on this device</h3>
+              <p style={{ color: 'rgba(255, 255, 255, 0.6)', fontSize: '0.85rem', marginBottom: '0.75rem' }}>
+                Retrain the letter model on your recordings so it fits the way you sign. The result stays
+                in this browser and replaces the shared model here.
+              </p>
+              <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+                <button
+                  onClick={personalizeModel}
+                  disabled={totalSamples === 0 || !!training || status === 'recording'}
+                  style={{ ...buttonStyle, opacity: totalSamples === 0 || training ? 0.6 : 1 }}
+                >
+                  <FaBrain />
+                  {training ? `Training... ${training.epoch}/${FINE_TUNE_EPOCHS}` : 'Train on my samples'}
+                </button>
+                {personalized && !training && (
+                  <button onClick={resetPersonalization} style={secondaryButtonStyle}>
+                    <FaUndo /> Use shared model
+                  </button>
+                )}
+              </div>
+              {trainMessage && (
+                <p style={{ color: 'rgba(255, 255, 255, 0.8)', fontSize: '0.85rem', marginTop: '0.75rem' }}>{trainMessage}</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
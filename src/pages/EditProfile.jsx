@@ -1,7 +1,8 @@
 ﻿import React, { useState, useRef, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
-import { FaUser, FaEnvelope, FaSave, FaArrowLeft, FaCamera } from 'react-icons/fa';
+import { FaUser, FaEnvelope, FaSave, FaArrowLeft, FaCamera, FaHandPaper, FaDatabase, FaBook } from 'react-icons/fa';
+import { LOCALES, DEFAULT_LOCALE } from '../services/locales';
 
 export default function EditProfile() {
   const { user, logout, updateProfile } = useAuth();
@@ -77,6 +78,28 @@ export default function EditProfile() {
     }
   };
 
+  const handleResetCalibration = async () => {
+    if (!window.confirm('Remove your hand calibration and use the default thresholds?')) return;
+    await updateProfile({ signCalibration: null });
+  };
+
+  // Smoothing is saved as soon as it changes - VideoCall applies it from the profile
+  const handleSmoothingChange = async (e) => {
+    const current = user?.signSmoothing || { strategy: 'confidence', speed: 'normal' };
+    await updateProfile({ signSmoothing: { ...current, [e.target.name]: e.target.value } });
+  };
+
+  // Same for the signing zone - area 'off' turns the gating off
+  const handleSigningZoneChange = async (e) => {
+    const current = user?.signingZone || { enabled: true, area: 'wide', distance: 'normal' };
+    const next = { ...current, [e.target.name]: e.target.value };
+    if (e.target.name === 'area') {
+      next.enabled = e.target.value !== 'off';
+      next.area = next.enabled ? e.target.value : current.area;
+    }
+    await updateProfile({ signingZone: next });
+  };
+
   const handleAvatarClick = () => {
     if (fileInputRef.current) fileInputRef.current.click();
   };
@@ -366,6 +389,196 @@ export default function EditProfile() {
             </p>
           </div>
 
+          {/* Sign Detection Calibration */}
+          <div style={{ marginBottom: '2rem', padding: '1rem', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '12px' }}>
+            <h3 style={{ fontSize: '1.1rem', fontWeight: '600', marginBottom: '0.5rem', color: 'rgba(255, 255, 255, 0.9)' }}>
+              Sign Detection Calibration
+            </h3>
+            <p style={{ color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.9rem', marginBottom: '0.75rem' }}>
+              {user?.signCalibration
+                ? `Calibrated on ${new Date(user.signCalibration.calibratedAt).toLocaleDateString()}`
+                : 'Not calibrated - using default hand measurements'}
+            </p>
+            <p style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.8rem', marginBottom: '0.75rem' }}>
+              Sign a few reference letters so detection fits your hand size and camera distance.
+            </p>
+            <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+              <button
+                type="button"
+                onClick={() => navigate('/profile/calibration')}
+                style={{ ...buttonStyle, padding: '0.5rem 1.25rem' }}
+              >
+                <FaHandPaper />
+                {user?.signCalibration ? 'Recalibrate' : 'Calibrate'}
+              </button>
+              {user?.signCalibration && (
+                <button
+                  type="button"
+                  onClick={handleResetCalibration}
+                  style={{
+                    ...buttonStyle,
+                    padding: '0.5rem 1.25rem',
+                    background: 'rgba(255, 255, 255, 0.1)',
+                    border: '1px solid rgba(255, 255, 255, 0.2)'
+                  }}
+                >
+                  Reset to defaults
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => navigate('/profile/data-collector')}
+                style={{
+                  ...buttonStyle,
+                  padding: '0.5rem 1.25rem',
+                  background: 'rgba(255, 255, 255, 0.1)',
+                  border: '1px solid rgba(255, 255, 255, 0.2)'
+                }}
+              >
+                <FaDatabase />
+                Record training data
+              </button>
+            </div>
+          </div>
+
+          {/* Language & Fingerspelling Alphabet */}
+          <div style={{ marginBottom: '2rem', padding: '1rem', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '12px' }}>
+            <h3 style={{ fontSize: '1.1rem', fontWeight: '600', marginBottom: '0.5rem', color: 'rgba(255, 255, 255, 0.9)' }}>
+              Language & Fingerspelling
+            </h3>
+            <p style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.8rem', marginBottom: '0.75rem' }}>
+              The manual alphabet you fingerspell with and the language of your captions. BSL uses both hands;
+              word signs are only recognised in ASL.
+            </p>
+            <select
+              value={user?.signLocale || DEFAULT_LOCALE}
+              onChange={(e) => updateProfile({ signLocale: e.target.value })}
+              style={{ ...inputStyle, maxWidth: '320px' }}
+            >
+              {Object.values(LOCALES).map(locale => (
+                <option key={locale.id} value={locale.id}>{locale.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Signing Hand */}
+          <div style={{ marginBottom: '2rem', padding: '1rem', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '12px' }}>
+            <h3 style={{ fontSize: '1.1rem', fontWeight: '600', marginBottom: '0.5rem', color: 'rgba(255, 255, 255, 0.9)' }}>
+              Signing Hand
+            </h3>
+            <p style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.8rem', marginBottom: '0.75rem' }}>
+              The hand you fingerspell with. Left-handed signing is mirrored so it is recognised as accurately as right-handed signing.
+            </p>
+            <select
+              value={user?.dominantHand || 'right'}
+              onChange={(e) => updateProfile({ dominantHand: e.target.value })}
+              style={{ ...inputStyle, maxWidth: '240px' }}
+            >
+              <option value="right">Right hand</option>
+              <option value="left">Left hand</option>
+            </select>
+          </div>
+
+          {/* Sign Detection Smoothing */}
+          <div style={{ marginBottom: '2rem', padding: '1rem', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '12px' }}>
+            <h3 style={{ fontSize: '1.1rem', fontWeight: '600', marginBottom: '0.5rem', color: 'rgba(255, 255, 255, 0.9)' }}>
+              Sign Detection Smoothing
+            </h3>
+            <p style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.8rem', marginBottom: '0.75rem' }}>
+              How a letter is confirmed before it is typed. Fast signers may prefer quicker confirmation,
+              slower signers fewer accidental letters.
+            </p>
+            <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+              <div style={{ ...formGroupStyle, flex: '1 1 200px', marginBottom: 0 }}>
+                <label style={labelStyle}>Method</label>
+                <select
+                  name="strategy"
+                  value={user?.signSmoothing?.strategy || 'confidence'}
+                  onChange={handleSmoothingChange}
+                  style={inputStyle}
+                >
+                  <option value="confidence">Confidence frames (default)</option>
+                  <option value="majority">Majority vote</option>
+                  <option value="ema">Moving average</option>
+                  <option value="hmm">Sequence model (HMM)</option>
+                  <option value="hold">Hold to confirm</option>
+                </select>
+              </div>
+              <div style={{ ...formGroupStyle, flex: '1 1 200px', marginBottom: 0 }}>
+                <label style={labelStyle}>Signing speed</label>
+                <select
+                  name="speed"
+                  value={user?.signSmoothing?.speed || 'normal'}
+                  onChange={handleSmoothingChange}
+                  style={inputStyle}
+                >
+                  <option value="fast">Fast</option>
+                  <option value="normal">Normal</option>
+                  <option value="slow">Slow</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {/* Signing Zone */}
+          <div style={{ marginBottom: '2rem', padding: '1rem', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '12px' }}>
+            <h3 style={{ fontSize: '1.1rem', fontWeight: '600', marginBottom: '0.5rem', color: 'rgba(255, 255, 255, 0.9)' }}>
+              Signing Zone
+            </h3>
+            <p style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.8rem', marginBottom: '0.75rem' }}>
+              Letters are only typed while your hand is inside this part of the camera picture and close enough
+              to the camera, so hands resting at the edge of the picture don't type anything.
+            </p>
+            <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+              <div style={{ ...formGroupStyle, flex: '1 1 200px', marginBottom: 0 }}>
+                <label style={labelStyle}>Zone</label>
+                <select
+                  name="area"
+                  value={user?.signingZone?.enabled === false ? 'off' : (user?.signingZone?.area || 'wide')}
+                  onChange={handleSigningZoneChange}
+                  style={inputStyle}
+                >
+                  <option value="wide">Whole picture except the edges (default)</option>
+                  <option value="centre">Centre of the picture</option>
+                  <option value="upper">Face and chest</option>
+                  <option value="off">Off - read every hand</option>
+                </select>
+              </div>
+              <div style={{ ...formGroupStyle, flex: '1 1 200px', marginBottom: 0 }}>
+                <label style={labelStyle}>Distance from camera</label>
+                <select
+                  name="distance"
+                  value={user?.signingZone?.distance || 'normal'}
+                  onChange={handleSigningZoneChange}
+                  disabled={user?.signingZone?.enabled === false}
+                  style={inputStyle}
+                >
+                  <option value="near">Close (laptop)</option>
+                  <option value="normal">Normal</option>
+                  <option value="far">Far (TV or room camera)</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {/* Personal Dictionary */}
+          <div style={{ marginBottom: '2rem', padding: '1rem', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '12px' }}>
+            <h3 style={{ fontSize: '1.1rem', fontWeight: '600', marginBottom: '0.5rem', color: 'rgba(255, 255, 255, 0.9)' }}>
+              Personal Dictionary
+            </h3>
+            <p style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.8rem', marginBottom: '0.75rem' }}>
+              Names, places and other words you fingerspell that autocorrect should leave alone.
+            </p>
+            <button
+              type="button"
+              onClick={() => navigate('/profile/dictionary')}
+              style={{ ...buttonStyle, padding: '0.5rem 1.25rem' }}
+            >
+              <FaBook />
+              Manage words
+            </button>
+          </div>
+
           {/* Action Buttons */}
           <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
             <button
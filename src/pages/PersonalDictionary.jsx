@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaPlus, FaTrash, FaSync } from 'react-icons/fa';
+import personalDictionary from '../services/personalDictionary';
+
+const SOURCE_LABELS = {
+  manual: 'Added by you',
+  edited: 'From an edit',
+  accepted: 'Learned'
+};
+
+export default function PersonalDictionary() {
+  const navigate = useNavigate();
+  const [entries, setEntries] = useState(() => personalDictionary.getEntries());
+  const [newWord, setNewWord] = useState('');
+  const [error, setError] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [syncMessage, setSyncMessage] = useState(null);
+
+  // Follow changes - words are also learned during calls and by syncing
+  useEffect(() => {
+    setEntries(personalDictionary.getEntries());
+    return personalDictionary.subscribe(() => setEntries(personalDictionary.getEntries()));
+  }, []);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!personalDictionary.add(newWord)) {
+      setError('Use letters only - apostrophes and hyphens are fine inside a word.');
+      return;
+    }
+    setError(null);
+    setNewWord('');
+  };
+
+  const handleSync = async () => {
+    setSyncing(true);
+    setSyncMessage(null);
+    const synced = await personalDictionary.sync();
+    setSyncing(false);
+    setSyncMessage(synced
+      ? '✅ Synced with your account'
+      : '⚠️ Could not reach the server - your words are kept on this device and will sync later');
+  };
+
+  const sortedEntries = [...entries].sort((a, b) => a.word.localeCompare(b.word));
+
+  const containerStyle = {
+    minHeight: '100vh',
+    background: 'linear-gradient(135deg, #0f0f0f 0%, #1a1a1a 50%, #262626 100%)',
+    padding: '2rem 1rem',
+    color: 'white'
+  };
+
+  const cardStyle = {
+    background: 'rgba(18, 18, 18, 0.9)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '24px',
+    padding: '2rem',
+    backdropFilter: 'blur(20px)',
+    boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)',
+    maxWidth: '720px',
+    margin: '0 auto'
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '1rem',
+    marginBottom: '1.5rem',
+    paddingBottom: '1rem',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  };
+
+  const titleStyle = {
+    fontSize: '1.75rem',
+    fontWeight: '700',
+    background: 'linear-gradient(45deg, #405DE6, #833AB4, #E1306C)',
+    WebkitBackgroundClip: 'text',
+    WebkitTextFillColor: 'transparent',
+    backgroundClip: 'text'
+  };
+
+  const backButtonStyle = {
+    padding: '0.5rem',
+    background: 'rgba(255, 255, 255, 0.1)',
+    color: 'white',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center'
+  };
+
+  const inputStyle = {
+    flex: 1,
+    padding: '0.75rem 1rem',
+    background: 'rgba(255, 255, 255, 0.05)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '12px',
+    color: 'white',
+    fontSize: '0.9rem'
+  };
+
+  const buttonStyle = {
+    padding: '0.75rem 1.5rem',
+    background: 'linear-gradient(45deg, #405DE6, #833AB4)',
+    color: 'white',
+    border: 'none',
+    borderRadius: '12px',
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.5rem'
+  };
+
+  const secondaryButtonStyle = {
+    ...buttonStyle,
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: '1px solid rgba(255, 255, 255, 0.2)'
+  };
+
+  const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '0.75rem',
+    padding: '0.6rem 0.75rem',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.06)'
+  };
+
+  return (
+    <div style={containerStyle}>
+      <div style={cardStyle}>
+        <div style={headerStyle}>
+          <button onClick={() => navigate('/profile/edit')} style={backButtonStyle}>
+            <FaArrowLeft size={16} />
+          </button>
+          <h1 style={titleStyle}>Personal Dictionary</h1>
+        </div>
+
+        <p style={{ color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.9rem', marginBottom: '1rem' }}>
+          Words here are never autocorrected and are suggested while you fingerspell. Words you correct
+          in the transcript are added automatically; words you spell and keep are learned after you use them twice.
+        </p>
+
+        <form onSubmit={handleAdd} style={{ display: 'flex', gap: '0.75rem', marginBottom: '0.5rem' }}>
+          <input
+            value={newWord}
+            onChange={(e) => setNewWord(e.target.value)}
+            placeholder="Add a name, place or word"
+            style={inputStyle}
+          />
+          <button type="submit" disabled={!newWord.trim()} style={{ ...buttonStyle, opacity: newWord.trim() ? 1 : 0.6 }}>
+            <FaPlus /> Add
+          </button>
+        </form>
+        {error && <p style={{ color: '#f87171', fontSize: '0.85rem', marginBottom: '0.5rem' }}>❌ {error}</p>}
+
+        <div style={{ margin: '1rem 0', background: 'rgba(255, 255, 255, 0.05)', borderRadius: '12px' }}>
+          {sortedEntries.length === 0 && (
+            <p style={{ padding: '1rem', color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.9rem' }}>
+              No words yet.
+            </p>
+          )}
+          {sortedEntries.map(entry => (
+            <div key={entry.word.toLowerCase()} style={rowStyle}>
+              <div>
+                <div style={{ fontWeight: '600' }}>{entry.word}</div>
+                <div style={{ color: 'rgba(255, 255, 255, 0.5)', fontSize: '0.75rem' }}>
+                  {SOURCE_LABELS[entry.source] || entry.source} · used {entry.count}×
+                  {!entry.trusted && ' · not trusted yet'}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => personalDictionary.remove(entry.word)}
+                style={{ ...backButtonStyle, color: '#f87171' }}
+                title={`Remove ${entry.word}`}
+              >
+                <FaTrash size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '0.75rem',
+          flexWrap: 'wrap',
+          paddingTop: '1rem',
+          borderTop: '1px solid rgba(255, 255, 255, 0.1)'
+        }}>
+          <span style={{ color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.9rem' }}>
+            {entries.length} words
+            {personalDictionary.lastSyncedAt && ` · synced ${new Date(personalDictionary.lastSyncedAt).toLocaleTimeString()}`}
+          </span>
+          <button onClick={handleSync} disabled={syncing} style={secondaryButtonStyle}>
+            <FaSync /> {syncing ? 'Syncing...' : 'Sync now'}
+          </button>
+        </div>
+        {syncMessage && (
+          <p style={{ color: 'rgba(255, 255, 255, 0.8)', fontSize: '0.85rem', marginTop: '0.75rem' }}>{syncMessage}</p>
+        )}
+      </div>
+    </div>
+  );
+}
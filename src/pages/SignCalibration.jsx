@@ -0,0 +1,291 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useNavigate } from 'react-router-dom';
+import { FaArrowLeft, FaHandPaper, FaRedo, FaSave } from 'react-icons/fa';
+import signLanguageDetector from '../ai-services/sign-language-detection/services/signLanguageDetector';
+import HandCalibrator, { CALIBRATION_STEPS } from '../ai-services/sign-language-detection/services/handCalibration';
+
+// Time between captured frames while a reference letter is held
+const CAPTURE_INTERVAL_MS = 150;
+
+export default function SignCalibration() {
+  const { updateProfile } = useAuth();
+  const navigate = useNavigate();
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const captureTimerRef = useRef(null);
+  const calibratorRef = useRef(new HandCalibrator());
+
+  const [status, setStatus] = useState('loading'); // loading | ready | capturing | done | error
+  const [error, setError] = useState(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [sampleCount, setSampleCount] = useState(0);
+  const [result, setResult] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const step = CALIBRATION_STEPS[stepIndex];
+  const samplesPerStep = calibratorRef.current.samplesPerStep;
+
+  // Start the camera and the hand detector
+  useEffect(() => {
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+        }
+
+        const initialized = await signLanguageDetector.initialize();
+        if (!initialized) throw new Error('Hand detection could not be started');
+        if (!cancelled) setStatus('ready');
+      } catch (err) {
+        console.error('❌ Calibration setup failed:', err);
+        if (!cancelled) {
+          setError(err.message || 'Camera not available');
+          setStatus('error');
+        }
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      clearInterval(captureTimerRef.current);
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+      }
+      signLanguageDetector.cleanup();
+    };
+  }, []);
+
+  const captureStep = () => {
+    const calibrator = calibratorRef.current;
+    let busy = false; // estimateHands can take longer than one interval
+    setStatus('capturing');
+
+    captureTimerRef.current = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      const keypoints = await signLanguageDetector.getHandKeypoints(videoRef.current);
+      busy = false;
+      const count = calibrator.addSample(step.letter, keypoints);
+      setSampleCount(count);
+
+      if (!calibrator.isStepComplete(step.letter)) return;
+
+      clearInterval(captureTimerRef.current);
+      if (stepIndex < CALIBRATION_STEPS.length - 1) {
+        setStepIndex(stepIndex + 1);
+        setSampleCount(0);
+        setStatus('ready');
+        return;
+      }
+
+      try {
+        setResult(calibrator.fit());
+        setStatus('done');
+      } catch (err) {
+        setError(err.message);
+        setStatus('error');
+      }
+    }, CAPTURE_INTERVAL_MS);
+  };
+
+  const restart = () => {
+    clearInterval(captureTimerRef.current);
+    calibratorRef.current.reset();
+    setStepIndex(0);
+    setSampleCount(0);
+    setResult(null);
+    setError(null);
+    setStatus('ready');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const response = await updateProfile({ signCalibration: result });
+    setSaving(false);
+    if (response.success) {
+      navigate('/profile/edit');
+    } else {
+      alert(response.error || 'Could not save calibration');
+    }
+  };
+
+  const containerStyle = {
+    minHeight: '100vh',
+    background: 'linear-gradient(135deg, #0f0f0f 0%, #1a1a1a 50%, #262626 100%)',
+    padding: '2rem 1rem',
+    color: 'white'
+  };
+
+  const cardStyle = {
+    background: 'rgba(18, 18, 18, 0.9)',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '24px',
+    padding: '2rem',
+    backdropFilter: 'blur(20px)',
+    boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)',
+    maxWidth: '640px',
+    margin: '0 auto'
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '1rem',
+    marginBottom: '1.5rem',
+    paddingBottom: '1rem',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.1)'
+  };
+
+  const titleStyle = {
+    fontSize: '1.75rem',
+    fontWeight: '700',
+    background: 'linear-gradient(45deg, #405DE6, #833AB4, #E1306C)',
+    WebkitBackgroundClip: 'text',
+    WebkitTextFillColor: 'transparent',
+    backgroundClip: 'text'
+  };
+
+  const backButtonStyle = {
+    padding: '0.5rem',
+    background: 'rgba(255, 255, 255, 0.1)',
+    color: 'white',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center'
+  };
+
+  const videoStyle = {
+    width: '100%',
+    borderRadius: '16px',
+    background: '#000',
+    marginBottom: '1rem'
+  };
+
+  const buttonStyle = {
+    padding: '0.75rem 2rem',
+    background: 'linear-gradient(45deg, #405DE6, #833AB4)',
+    color: 'white',
+    border: 'none',
+    borderRadius: '12px',
+    fontSize: '0.9rem',
+    fontWeight: '600',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.5rem'
+  };
+
+  const secondaryButtonStyle = {
+    ...buttonStyle,
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: '1px solid rgba(255, 255, 255, 0.2)'
+  };
+
+  const progressTrackStyle = {
+    height: '6px',
+    background: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: '3px',
+    overflow: 'hidden',
+    margin: '0.75rem 0 1.25rem'
+  };
+
+  const progressBarStyle = {
+    height: '100%',
+    width: `${Math.min(100, (sampleCount / samplesPerStep) * 100)}%`,
+    background: 'linear-gradient(45deg, #405DE6, #833AB4)',
+    transition: 'width 0.15s ease'
+  };
+
+  return (
+    <div style={containerStyle}>
+      <div style={cardStyle}>
+        <div style={headerStyle}>
+          <button onClick={() => navigate('/profile/edit')} style={backButtonStyle}>
+            <FaArrowLeft size={16} />
+          </button>
+          <h1 style={titleStyle}>Calibrate Sign Detection</h1>
+        </div>
+
+        <p style={{ color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.9rem', marginBottom: '1rem' }}>
+          Sign each reference letter and hold it steady while we measure your hand.
+          Sit where you normally sit during calls.
+        </p>
+
+        <video ref={videoRef} autoPlay playsInline muted style={videoStyle} />
+
+        {status === 'loading' && <p>⏳ Starting camera and hand detection...</p>}
+
+        {status === 'error' && (
+          <div>
+            <p style={{ color: '#f87171', marginBottom: '1rem' }}>❌ {error}</p>
+            {signLanguageDetector.isInitialized && (
+              <button onClick={restart} style={secondaryButtonStyle}><FaRedo /> Try again</button>
+            )}
+          </div>
+        )}
+
+        {(status === 'ready' || status === 'capturing') && (
+          <div>
+            <div style={{ fontSize: '0.8rem', color: 'rgba(255, 255, 255, 0.5)' }}>
+              Step {stepIndex + 1} of {CALIBRATION_STEPS.length}
+            </div>
+            <h2 style={{ fontSize: '1.5rem', fontWeight: '600', margin: '0.25rem 0' }}>
+              Letter {step.letter}
+            </h2>
+            <p style={{ color: 'rgba(255, 255, 255, 0.8)', fontSize: '0.9rem' }}>{step.instruction}</p>
+
+            <div style={progressTrackStyle}>
+              <div style={progressBarStyle} />
+            </div>
+
+            <button
+              onClick={captureStep}
+              disabled={status === 'capturing'}
+              style={{ ...buttonStyle, opacity: status === 'capturing' ? 0.7 : 1 }}
+            >
+              <FaHandPaper />
+              {status === 'capturing' ? `Hold still... ${sampleCount}/${samplesPerStep}` : `Capture ${step.letter}`}
+            </button>
+          </div>
+        )}
+
+        {status === 'done' && result && (
+          <div>
+            <h2 style={{ fontSize: '1.25rem', fontWeight: '600', marginBottom: '0.75rem' }}>✅ Calibration complete</h2>
+            <ul style={{ color: 'rgba(255, 255, 255, 0.7)', fontSize: '0.85rem', marginBottom: '1rem', paddingLeft: '1.25rem' }}>
+              {Object.entries(result.thresholds).map(([key, value]) => (
+                <li key={key}>{key}: {value}px</li>
+              ))}
+            </ul>
+            {result.warnings.length > 0 && (
+              <p style={{ color: '#fbbf24', fontSize: '0.8rem', marginBottom: '1rem' }}>
+                Some letters were unclear, so a few values use defaults. You can recalibrate at any time.
+              </p>
+            )}
+            <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+              <button onClick={restart} style={secondaryButtonStyle}><FaRedo /> Start over</button>
+              <button onClick={handleSave} disabled={saving} style={{ ...buttonStyle, opacity: saving ? 0.7 : 1 }}>
+                <FaSave />
+                {saving ? 'Saving...' : 'Save Calibration'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
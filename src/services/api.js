@@ -91,4 +91,16 @@ export const friendsAPI = {
       method: 'POST',
       body: { requestId },
     }),
-};
\ No newline at end of file
+};
+
+// Personal dictionary API calls
+export const dictionaryAPI = {
+  get: () =>
+    apiCall('/users/me/dictionary'),
+
+  save: (entries) =>
+    apiCall('/users/me/dictionary', {
+      method: 'PUT',
+      body: { entries },
+    }),
+};
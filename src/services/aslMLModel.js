@@ -2,83 +2,233 @@
  * ASL ML Model Service
  * ====================
  * Loads and runs the CNN-LSTM model for ASL letter prediction
- * Works with MediaPipe hand landmarks (21 × 3 = 63 features)
+ * Works with MediaPipe hand landmarks (21 × 3 = 63 features), either one frame
+ * at a time or as a rolling window of frames so the LSTM can see motion
  */
 
 import * as tf from '@tensorflow/tfjs';
+import modelDownloader from '../ai-services/sign-language-detection/services/modelDownloader';
+import { createLogger } from './logger';
+
+const log = createLogger('ml');
+
+const DEFAULT_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
 
 class ASLMLModel {
   constructor() {
     this.model = null;
     this.isLoaded = false;
-    this.modelPath = '/models/asl-cnn-lstm/model.json';
+    this.modelName = 'asl-cnn-lstm'; // Entry in /models/registry.json (see modelDownloader.js)
+    this.modelPath = '/models/asl-cnn-lstm/model.json'; // Used when the server has no registry
+    this.modelVersion = null; // Registry version in use, null for the unversioned modelPath
+    this.modelSource = null; // 'network', 'cache', 'personal' or 'legacy'
+    
+    // On-device fine-tuning (see fineTune) - loaded instead of the version it was trained from
+    this.personalModelPath = 'indexeddb://signlink-asl-personal';
+    this.isPersonalized = false;
     
-    // A-Z letters
-    this.letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+    // A-Z letters - registry models bring their own label file
+    this.letters = DEFAULT_LETTERS;
     
-    console.log('🧠 ASL ML Model Service initialized');
+    // Sequence input (used when the model's input has a time axis)
+    this.sequenceLength = 16; // Frames per window - replaced by the model's own time axis if fixed
+    this.sequenceStride = 1; // Use every Nth frame, so a window covers sequenceLength × stride frames
+    this.sequencePadding = 'edge'; // 'edge' repeats the oldest frame, 'zero' pads with zeros
+    this.sequenceNormalization = 'wrist'; // 'wrist' (translate + scale by hand size) or 'none'
+    this.frameBuffer = []; // Rolling window fed by addFrame
+    
+    log.debug('🧠 ASL ML Model Service initialized');
   }
 
   /**
    * Load the TensorFlow.js model
+   * @param {Object} options - { version, onProgress } - see modelDownloader.loadModel
    */
-  async initialize() {
+  async initialize(options = {}) {
     if (this.isLoaded) {
-      console.log('✅ Model already loaded');
+      log.info('✅ Model already loaded');
       return true;
     }
 
     try {
-      console.log('📦 Loading CNN-LSTM model from:', this.modelPath);
-      console.log('🔍 Full URL:', window.location.origin + this.modelPath);
-      
-      // Check if model file exists
-      const modelResponse = await fetch(window.location.origin + this.modelPath);
-      if (!modelResponse.ok) {
-        throw new Error(`Model file not found: ${this.modelPath} (${modelResponse.status})`);
-      }
-      console.log('✅ Model JSON file found');
-      
-      // Try loading as LayersModel first
-      try {
-        console.log('🔄 Attempting to load as LayersModel...');
-        this.model = await tf.loadLayersModel(this.modelPath);
-        console.log('✅ Loaded as LayersModel');
-      } catch (layersError) {
-        console.warn('⚠️  LayersModel failed, trying GraphModel...', layersError.message);
-        // Fallback to GraphModel if LayersModel fails
-        this.model = await tf.loadGraphModel(this.modelPath);
-        console.log('✅ Loaded as GraphModel');
+      // A model fine-tuned on this device replaces the shared one it was trained from,
+      // unless a version was asked for explicitly
+      const personal = options.version ? null : await this.loadPersonalModel();
+      this.isPersonalized = !!personal;
+      if (personal) {
+        this.model = personal.model;
+        this.modelVersion = personal.baseVersion;
+        this.modelSource = 'personal';
+        this.letters = personal.labels;
+      } else {
+        this.model = await this.loadBaseModel(options);
       }
 
       this.isLoaded = true;
       
-      console.log('✅ CNN-LSTM model loaded successfully!');
-      console.log('   Model inputs:', this.model.inputs);
-      console.log('   Model outputs:', this.model.outputs);
+      log.info('✅ CNN-LSTM model loaded successfully!');
+      log.debug('   Model inputs:', this.model.inputs);
+      log.debug('   Model outputs:', this.model.outputs);
+      
+      // A fixed time axis in the model wins over the configured window size
+      const timeSteps = this.isSequenceModel() ? this.getInputShape()[1] : null;
+      if (timeSteps) {
+        this.sequenceLength = timeSteps;
+      }
+      log.info(`   Input: ${this.isSequenceModel() ? `sequence of ${this.sequenceLength} frames` : 'single frame'}`);
       
       // Warm up model with dummy prediction
       await this.warmUp();
       
       return true;
     } catch (error) {
-      console.error('❌ Error loading model:', error.message);
-      console.log('ℹ️  Falling back to angle-based detection (which works great!)');
+      log.error('❌ Error loading model:', error.message);
+      log.info('ℹ️  Falling back to angle-based detection (which works great!)');
       this.isLoaded = false;
       return false;
     }
   }
 
+  /**
+   * Load the shared model - the registry version if there is a registry, otherwise modelPath
+   * @param {Object} options - { version, onProgress }
+   * @returns {Promise<tf.LayersModel|tf.GraphModel>}
+   */
+  async loadBaseModel(options = {}) {
+    const versioned = await modelDownloader.loadModel(this.modelName, options);
+    if (versioned) {
+      this.applyModelMetadata(versioned);
+      return versioned.model;
+    }
+
+    this.modelVersion = null;
+    this.modelSource = 'legacy';
+    this.letters = DEFAULT_LETTERS;
+    log.info('📦 Loading CNN-LSTM model from:', this.modelPath);
+    // self works on the main thread and inside the detection worker
+    log.debug('🔍 Full URL:', self.location.origin + this.modelPath);
+    
+    // Check if model file exists
+    const modelResponse = await fetch(self.location.origin + this.modelPath);
+    if (!modelResponse.ok) {
+      throw new Error(`Model file not found: ${this.modelPath} (${modelResponse.status})`);
+    }
+    log.info('✅ Model JSON file found');
+    
+    // Try loading as LayersModel first
+    try {
+      log.debug('🔄 Attempting to load as LayersModel...');
+      const model = await tf.loadLayersModel(this.modelPath);
+      log.info('✅ Loaded as LayersModel');
+      return model;
+    } catch (layersError) {
+      log.warn('⚠️  LayersModel failed, trying GraphModel...', layersError.message);
+      // Fallback to GraphModel if LayersModel fails (GraphModels can't be fine-tuned)
+      const model = await tf.loadGraphModel(this.modelPath);
+      log.info('✅ Loaded as GraphModel');
+      return model;
+    }
+  }
+
+  /**
+   * Take over the labels and version of a registry model
+   * @param {Object} versioned - modelDownloader.loadModel result
+   */
+  applyModelMetadata(versioned) {
+    this.modelVersion = versioned.version;
+    this.modelSource = versioned.source;
+    if (Array.isArray(versioned.labels) && versioned.labels.length > 0) {
+      this.letters = versioned.labels;
+    }
+    if (versioned.inputShape && JSON.stringify(versioned.inputShape) !== JSON.stringify(this.getInputShape(versioned.model))) {
+      log.warn(`⚠️  Model ${versioned.version} input shape differs from the registry:`, versioned.inputShape);
+    }
+  }
+
+  /**
+   * Load a specific registry version and keep using it on this device
+   * @param {string} version - e.g. '1.2.0'
+   * @param {Object} options - { onProgress }
+   * @returns {Promise<boolean>}
+   */
+  async useVersion(version, options = {}) {
+    this.dispose();
+    return this.initialize({ ...options, version });
+  }
+
+  /**
+   * Go back to the previously active registry version (e.g. after a bad release)
+   * @returns {Promise<boolean>} - false if there was nothing to roll back to
+   */
+  async rollbackModel() {
+    const previous = await modelDownloader.rollback(this.modelName);
+    if (!previous) return false;
+
+    // The personal model belongs to the version rolled back from
+    this.dispose();
+    this.isPersonalized = false;
+    this.model = previous.model;
+    this.applyModelMetadata(previous);
+    this.isLoaded = true;
+    await this.warmUp();
+    return true;
+  }
+
+  /**
+   * Whether this device has a fine-tuned model saved
+   * @returns {Promise<boolean>}
+   */
+  async hasPersonalModel() {
+    try {
+      const models = await tf.io.listModels();
+      return !!models[this.personalModelPath];
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Load this device's fine-tuned model from IndexedDB, if it was trained from the
+   * version the device uses now (a rollback or another pinned version leaves it unused)
+   * @returns {Promise<Object|null>} - { model, baseVersion, labels }, null when the user never
+   *                                   fine-tuned or the model belongs to another version
+   */
+  async loadPersonalModel() {
+    try {
+      if (!(await this.hasPersonalModel())) return null;
+
+      const model = await tf.loadLayersModel(this.personalModelPath);
+      // Recorded by fineTune - older personal models were trained from the active version
+      const trainedFrom = model.getUserDefinedMetadata() || {};
+      const current = await modelDownloader.resolveVersion(this.modelName);
+      const baseVersion = 'baseVersion' in trainedFrom ? trainedFrom.baseVersion : current;
+      if (baseVersion !== current) {
+        log.info(`ℹ️  Personalised model was trained from ${baseVersion || 'the unversioned model'}, using ${current || 'the unversioned model'}`);
+        model.dispose();
+        return null;
+      }
+
+      const labels = trainedFrom.labels
+        || (baseVersion && await modelDownloader.getLabels(this.modelName, baseVersion))
+        || DEFAULT_LETTERS;
+      log.info('✅ Loaded personalised model from IndexedDB');
+      return { model, baseVersion, labels };
+    } catch (error) {
+      log.warn('⚠️  Personalised model could not be loaded, using the shared model:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Warm up the model with a dummy prediction
    * This improves first real prediction speed
    */
   async warmUp() {
     try {
-      console.log('🔥 Warming up model...');
+      log.info('🔥 Warming up model...');
       
-      // Create dummy input (63 features)
-      const dummyInput = tf.randomNormal([1, 63]);
+      // Create dummy input in the model's input shape
+      const dummyInput = tf.randomNormal(this.getBatchShape(1));
       
       // Run prediction
       const prediction = this.model.predict(dummyInput);
@@ -87,20 +237,21 @@ class ASLMLModel {
       dummyInput.dispose();
       prediction.dispose();
       
-      console.log('✅ Model warmed up and ready!');
+      log.info('✅ Model warmed up and ready!');
     } catch (error) {
-      console.warn('⚠️  Warm-up failed:', error);
+      log.warn('⚠️  Warm-up failed:', error);
     }
   }
 
   /**
    * Predict ASL letter from MediaPipe landmarks
    * @param {Array} landmarks - 21 landmarks with {x, y, z} coordinates
+   * @param {Number} topN - Number of ranked letters to return (hybrid fusion wants all 26)
    * @returns {Object} - {letter, confidence, topPredictions}
    */
-  async predict(landmarks) {
+  async predict(landmarks, topN = 3) {
     if (!this.isLoaded || !this.model) {
-      console.error('❌ Model not loaded. Call initialize() first.');
+      log.error('❌ Model not loaded. Call initialize() first.');
       return { letter: null, confidence: 0, topPredictions: [] };
     }
 
@@ -111,31 +262,25 @@ class ASLMLModel {
       // Debug: Log feature range to verify normalization
       const minFeature = Math.min(...features);
       const maxFeature = Math.max(...features);
-      console.log(`📊 Feature range: [${minFeature.toFixed(3)}, ${maxFeature.toFixed(3)}] (should be ~[0, 1])`);
+      log.debug(`📊 Feature range: [${minFeature.toFixed(3)}, ${maxFeature.toFixed(3)}] (should be ~[0, 1])`);
       
-      // Reshape flat array [63] into 3D structure [21, 3]
-      // Model expects: (batch_size, landmarks, coordinates)
-      const reshapedFeatures = [];
-      for (let i = 0; i < 21; i++) {
-        reshapedFeatures.push([
-          features[i * 3],      // x
-          features[i * 3 + 1],  // y
-          features[i * 3 + 2]   // z
-        ]);
-      }
+      // Sequence models get the frame repeated over the whole window
+      const input = this.isSequenceModel()
+        ? this.buildSequence([landmarks], { padding: 'edge' })
+        : features;
       
-      // Create tensor as [1, 21, 3] (batch_size=1, landmarks=21, coordinates=3)
-      const inputTensor = tf.tensor3d([reshapedFeatures]);
+      // Model expects: (batch_size, landmarks, coordinates), e.g. [1, 21, 3]
+      const inputTensor = tf.tensor(input, this.getBatchShape(1));
       
       // Run prediction
       const prediction = this.model.predict(inputTensor);
       const probabilities = await prediction.data();
       
-      // Get top 3 predictions
-      const topPredictions = this.getTopPredictions(probabilities, 3);
+      // Get top N predictions
+      const topPredictions = this.getTopPredictions(probabilities, topN);
       
-      // Debug: Log all top predictions
-      console.log('🔝 Top 3 predictions:', topPredictions.map(p => `${p.letter}(${(p.confidence * 100).toFixed(1)}%)`).join(', '));
+      // Debug: Log the top 3 predictions
+      log.debug('🔝 Top 3 predictions:', topPredictions.slice(0, 3).map(p => `${p.letter}(${(p.confidence * 100).toFixed(1)}%)`).join(', '));
       
       // Best prediction
       const letter = topPredictions[0].letter;
@@ -151,7 +296,7 @@ class ASLMLModel {
         topPredictions
       };
     } catch (error) {
-      console.error('❌ Prediction error:', error);
+      log.error('❌ Prediction error:', error);
       return { letter: null, confidence: 0, topPredictions: [] };
     }
   }
@@ -200,23 +345,167 @@ class ASLMLModel {
   }
 
   /**
-   * Batch predict multiple landmark sets
-   * Useful for processing video frames
-   * @param {Array} landmarksBatch - Array of landmark arrays
+   * Add a frame to the rolling window used by predictSequence
+   * @param {Array} landmarks - 21 landmarks with {x, y, z}
+   */
+  addFrame(landmarks) {
+    this.frameBuffer.push(this.flattenLandmarks(landmarks));
+    
+    // Keep just enough frames for one strided window
+    const maxFrames = this.sequenceLength * this.sequenceStride;
+    if (this.frameBuffer.length > maxFrames) {
+      this.frameBuffer.splice(0, this.frameBuffer.length - maxFrames);
+    }
+  }
+
+  /**
+   * Forget buffered frames (e.g. when the hand leaves the frame)
+   */
+  resetSequence() {
+    this.frameBuffer = [];
+  }
+
+  /**
+   * Predict from a window of frames
+   * @param {Array} frames - Landmark frames, oldest first (defaults to the addFrame window)
+   * @param {Number} topN - Number of ranked letters to return
+   * @returns {Object} - {letter, confidence, topPredictions}
+   */
+  async predictSequence(frames = null, topN = 3) {
+    if (!this.isLoaded || !this.model) {
+      log.error('❌ Model not loaded. Call initialize() first.');
+      return { letter: null, confidence: 0, topPredictions: [] };
+    }
+
+    const sequence = frames || this.frameBuffer;
+    if (sequence.length === 0) {
+      return { letter: null, confidence: 0, topPredictions: [] };
+    }
+
+    // Single-frame models can only look at the newest frame
+    if (!this.isSequenceModel()) {
+      return this.predict(this.toLandmarks(sequence[sequence.length - 1]), topN);
+    }
+
+    try {
+      const inputTensor = tf.tensor(this.buildSequence(sequence), this.getBatchShape(1));
+      const prediction = this.model.predict(inputTensor);
+      const probabilities = await prediction.data();
+      
+      const topPredictions = this.getTopPredictions(probabilities, topN);
+      log.debug(`🎞️ Sequence (${Math.min(sequence.length, this.sequenceLength * this.sequenceStride)} frames):`,
+        topPredictions.slice(0, 3).map(p => `${p.letter}(${(p.confidence * 100).toFixed(1)}%)`).join(', '));
+      
+      inputTensor.dispose();
+      prediction.dispose();
+      
+      return {
+        letter: topPredictions[0].letter,
+        confidence: topPredictions[0].confidence,
+        topPredictions
+      };
+    } catch (error) {
+      log.error('❌ Sequence prediction error:', error);
+      return { letter: null, confidence: 0, topPredictions: [] };
+    }
+  }
+
+  /**
+   * Build one model input window from landmark frames
+   * - stride: keeps every Nth frame counting back from the newest
+   * - padding: short windows are filled at the start
+   * - normalisation: see normalizeFrame
+   * @param {Array} frames - Landmark arrays or flattened 63-value frames, oldest first
+   * @param {Object} options - { stride, padding } overrides
+   * @returns {Array} - Flat array of sequenceLength × 63 values
+   */
+  buildSequence(frames, { stride = this.sequenceStride, padding = this.sequencePadding } = {}) {
+    const selected = [];
+    for (let i = frames.length - 1; i >= 0 && selected.length < this.sequenceLength; i -= stride) {
+      selected.unshift(this.toFeatures(frames[i]));
+    }
+
+    const missing = this.sequenceLength - selected.length;
+    if (missing > 0) {
+      const filler = padding === 'zero' || selected.length === 0
+        ? new Array(63).fill(0)
+        : selected[0];
+      for (let i = 0; i < missing; i++) {
+        selected.unshift(filler);
+      }
+    }
+
+    return selected.flatMap(features => this.normalizeFrame(features));
+  }
+
+  /**
+   * Make a frame independent of where the hand is and how far it is from the camera:
+   * wrist at the origin, coordinates divided by the wrist → middle knuckle length
+   * @param {Array} features - 63 values
+   * @returns {Array} - 63 values
+   */
+  normalizeFrame(features) {
+    // All-zero padding frames stay zero
+    if (this.sequenceNormalization !== 'wrist' || features.every(value => value === 0)) return features;
+
+    const [wristX, wristY, wristZ] = features;
+    const handSize = Math.hypot(features[27] - wristX, features[28] - wristY) || 1; // Landmark 9
+
+    return features.map((value, i) => {
+      const origin = [wristX, wristY, wristZ][i % 3];
+      return (value - origin) / handSize;
+    });
+  }
+
+  /**
+   * Split a recorded clip into windows for offline scoring with batchPredict
+   * @param {Array} frames - Landmark frames of the clip, oldest first
+   * @param {Number} hop - Frames between window ends (defaults to a full window)
+   * @returns {Array} - Array of frame windows
+   */
+  getClipWindows(frames, hop = this.sequenceLength * this.sequenceStride) {
+    const span = this.sequenceLength * this.sequenceStride;
+    if (frames.length <= span) return [frames];
+
+    const windows = [];
+    for (let end = span; end <= frames.length; end += hop) {
+      windows.push(frames.slice(end - span, end));
+    }
+    // Score the tail of the clip too
+    if (windows.length && (frames.length - span) % hop !== 0) {
+      windows.push(frames.slice(frames.length - span));
+    }
+    return windows;
+  }
+
+  /**
+   * Batch predict multiple landmark sets or sequences
+   * Useful for processing video frames and scoring recorded clips offline
+   * @param {Array} batch - Array of landmark arrays (single frames) or of frame arrays (sequences)
    * @returns {Array} - Array of prediction results
    */
-  async batchPredict(landmarksBatch) {
+  async batchPredict(batch) {
     if (!this.isLoaded || !this.model) {
-      console.error('❌ Model not loaded');
+      log.error('❌ Model not loaded');
       return [];
     }
 
+    if (batch.length === 0) return [];
+
     try {
-      // Flatten all landmarks
-      const featuresBatch = landmarksBatch.map(lm => this.flattenLandmarks(lm));
+      // A sequence is an array of frames, a frame is an array of {x, y, z} landmarks
+      const isSequenceBatch = Array.isArray(batch[0][0]);
+      
+      const inputs = batch.map(item => {
+        if (this.isSequenceModel()) {
+          return this.buildSequence(isSequenceBatch ? item : [item]);
+        }
+        // Single-frame models score the newest frame of each sequence
+        return this.flattenLandmarks(isSequenceBatch ? this.toLandmarks(item[item.length - 1]) : item);
+      });
       
       // Create tensor
-      const inputTensor = tf.tensor2d(featuresBatch);
+      const inputTensor = tf.tensor(inputs.flat(), this.getBatchShape(batch.length));
       
       // Run prediction
       const prediction = this.model.predict(inputTensor);
@@ -224,11 +513,11 @@ class ASLMLModel {
       
       // Parse results
       const results = [];
-      const batchSize = landmarksBatch.length;
+      const classes = this.letters.length;
       
-      for (let i = 0; i < batchSize; i++) {
-        const startIdx = i * 26;
-        const batchProbs = Array.from(probabilities.slice(startIdx, startIdx + 26));
+      for (let i = 0; i < batch.length; i++) {
+        const startIdx = i * classes;
+        const batchProbs = Array.from(probabilities.slice(startIdx, startIdx + classes));
         const topPredictions = this.getTopPredictions(batchProbs, 3);
         
         results.push({
@@ -244,11 +533,155 @@ class ASLMLModel {
       
       return results;
     } catch (error) {
-      console.error('❌ Batch prediction error:', error);
+      log.error('❌ Batch prediction error:', error);
       return [];
     }
   }
 
+  /**
+   * Fine-tune the last layers on a user's own samples and save the result to
+   * IndexedDB, where initialize() picks it up while the device stays on this model version
+   * @param {Array} samples - { label, features } (DatasetRecorder format) or { label, landmarks }
+   * @param {Object} options - { epochs, batchSize, trainableLayers, learningRate, validationSplit, onEpochEnd }
+   * @returns {Promise<Object>} - { samples, epochs, loss, accuracy }
+   */
+  async fineTune(samples, options = {}) {
+    const {
+      epochs = 15,
+      batchSize = 16,
+      trainableLayers = 2, // Dense head only - the feature layers keep what they learned
+      learningRate = 0.0005,
+      validationSplit = 0.1,
+      onEpochEnd = null
+    } = options;
+
+    if (!this.isLoaded || !this.model) {
+      throw new Error('Model not loaded. Call initialize() first.');
+    }
+    if (typeof this.model.fit !== 'function') {
+      throw new Error('Only Keras LayersModels can be fine-tuned (this model is a GraphModel)');
+    }
+
+    // The model only has letter outputs
+    const usable = samples.filter(sample => this.letters.includes(sample.label) && (sample.features || sample.landmarks));
+    const labels = new Set(usable.map(sample => sample.label));
+    if (usable.length < 10 || labels.size < 2) {
+      throw new Error('Fine-tuning needs at least 10 letter samples covering 2 or more letters');
+    }
+
+    log.info(`🎯 Fine-tuning on ${usable.length} samples (${labels.size} letters, last ${trainableLayers} layers)...`);
+
+    const inputs = usable.map(sample => {
+      const features = this.toFeatures(sample.features || sample.landmarks);
+      // Recorded samples are single frames - sequence models see them held still
+      return this.isSequenceModel() ? this.buildSequence([features], { padding: 'edge' }) : features;
+    });
+    const xs = tf.tensor(inputs.flat(), this.getBatchShape(usable.length));
+    const ys = tf.oneHot(tf.tensor1d(usable.map(sample => this.letters.indexOf(sample.label)), 'int32'), this.letters.length);
+
+    const firstTrainable = Math.max(0, this.model.layers.length - trainableLayers);
+    this.model.layers.forEach((layer, index) => {
+      layer.trainable = index >= firstTrainable;
+    });
+
+    try {
+      this.model.compile({
+        optimizer: tf.train.adam(learningRate),
+        loss: 'categoricalCrossentropy',
+        metrics: ['accuracy']
+      });
+
+      const history = await this.model.fit(xs, ys, {
+        epochs,
+        batchSize,
+        shuffle: true,
+        validationSplit: usable.length >= 50 ? validationSplit : 0,
+        callbacks: {
+          onEpochEnd: (epoch, logs) => {
+            log.info(`   Epoch ${epoch + 1}/${epochs}: loss=${logs.loss.toFixed(4)} acc=${(logs.acc ?? logs.accuracy ?? 0).toFixed(3)}`);
+            if (onEpochEnd) onEpochEnd(epoch, logs);
+          }
+        }
+      });
+
+      // Saved with every layer trainable again so a later fine-tune starts clean
+      this.model.layers.forEach(layer => {
+        layer.trainable = true;
+      });
+      // What it was trained from - initialize() only uses it on that version, with these labels
+      this.model.setUserDefinedMetadata({ baseVersion: this.modelVersion, labels: this.letters });
+      await this.model.save(this.personalModelPath);
+      this.isPersonalized = true;
+
+      const last = (key) => history.history[key]?.[history.history[key].length - 1];
+      const result = {
+        samples: usable.length,
+        epochs,
+        loss: last('loss'),
+        accuracy: last('acc') ?? last('accuracy')
+      };
+      log.info('✅ Personalised model saved to IndexedDB:', result);
+      return result;
+    } finally {
+      xs.dispose();
+      ys.dispose();
+    }
+  }
+
+  /**
+   * Delete this device's fine-tuned model and go back to the shared one
+   */
+  async resetPersonalization() {
+    try {
+      if (await this.hasPersonalModel()) {
+        await tf.io.removeModel(this.personalModelPath);
+      }
+    } catch (error) {
+      log.warn('⚠️  Could not remove personalised model:', error.message);
+    }
+
+    const reload = this.isLoaded;
+    this.dispose();
+    this.isPersonalized = false;
+    log.info('🗑️  Personalised model removed');
+    return reload ? this.initialize() : true;
+  }
+
+  /**
+   * Whether the model input has a time axis: [batch, time, 21, 3] or [batch, time, 63]
+   */
+  isSequenceModel() {
+    const shape = this.getInputShape();
+    return shape.length === 4 || (shape.length === 3 && shape[2] === 63);
+  }
+
+  getInputShape(model = this.model) {
+    return model?.inputs?.[0]?.shape || [null, 21, 3];
+  }
+
+  /**
+   * Concrete input shape for a batch, with a variable time axis set to sequenceLength
+   * @param {Number} batchSize
+   * @returns {Array}
+   */
+  getBatchShape(batchSize) {
+    const shape = this.getInputShape().slice(1).map(dim => (dim === null || dim < 0 ? this.sequenceLength : dim));
+    return [batchSize, ...shape];
+  }
+
+  toFeatures(frame) {
+    return typeof frame[0] === 'number' ? frame : this.flattenLandmarks(frame);
+  }
+
+  toLandmarks(frame) {
+    if (typeof frame[0] !== 'number') return frame;
+    const landmarks = [];
+    for (let i = 0; i < 21; i++) {
+      landmarks.push({ x: frame[i * 3], y: frame[i * 3 + 1], z: frame[i * 3 + 2] });
+    }
+    return landmarks;
+  }
+
   /**
    * Get model info
    */
@@ -259,9 +692,18 @@ class ASLMLModel {
 
     return {
       loaded: true,
-      path: this.modelPath,
-      inputShape: [1, 63],
-      outputClasses: 26,
+      name: this.modelName,
+      version: this.modelVersion,
+      source: this.modelSource,
+      path: this.isPersonalized
+        ? this.personalModelPath
+        : (this.modelVersion ? modelDownloader.getCacheKey(this.modelName, this.modelVersion) : this.modelPath),
+      personalized: this.isPersonalized,
+      inputShape: this.getBatchShape(1),
+      sequence: this.isSequenceModel()
+        ? { length: this.sequenceLength, stride: this.sequenceStride, padding: this.sequencePadding }
+        : null,
+      outputClasses: this.letters.length,
       letters: this.letters,
       architecture: 'CNN-LSTM Hybrid'
     };
@@ -275,7 +717,7 @@ class ASLMLModel {
       this.model.dispose();
       this.model = null;
       this.isLoaded = false;
-      console.log('🗑️  Model disposed');
+      log.info('🗑️  Model disposed');
     }
   }
 }
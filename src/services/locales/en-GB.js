@@ -0,0 +1,33 @@
+/**
+ * British English
+ * The English lists with British spellings and everyday British words added. American
+ * spellings are not corrected - both are fine in a caption.
+ */
+import english from './en';
+
+// British spellings and words, ranked among the English word list's less common words
+const BRITISH_WORDS = [
+  'mum', 'colour', 'favourite', 'centre', 'flat', 'queue', 'cheers', 'brilliant',
+  'holiday', 'realise', 'organise', 'neighbour', 'theatre', 'programme', 'travelling',
+  'lift', 'lorry', 'motorway', 'postcode', 'mobile', 'maths', 'jumper', 'biscuit',
+  'trousers', 'rubbish', 'fortnight', 'tea', 'loo', 'pub', 'football'
+];
+
+export const autoCorrect = {
+  ...english.autoCorrect,
+  'colur': 'colour',
+  'favourate': 'favourite',
+  'neighbor': 'neighbour'
+};
+
+export const commonWords = [...english.commonWords, 'mum', 'colour', 'favourite', 'cheers'];
+
+export default {
+  language: 'en',
+  wordList: {
+    ...english.wordList,
+    words: [...english.wordList.words, ...BRITISH_WORDS]
+  },
+  autoCorrect,
+  commonWords
+};
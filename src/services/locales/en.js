@@ -0,0 +1,132 @@
+/**
+ * English
+ * Word list (word prediction, confusion-aware autocorrect), fingerspelling slips that
+ * autocorrect fixes and the everyday words that are never corrected.
+ */
+import wordList from '../wordList.en.json';
+
+export { wordList };
+
+// Common fingerspelling misreadings → intended word
+export const autoCorrect = {
+  // Common confusions
+  'teh': 'the',
+  'hte': 'the',
+  'adn': 'and',
+  'nad': 'and',
+  'thsi': 'this',
+  'taht': 'that',
+  'waht': 'what',
+  'wiht': 'with',
+  'wnat': 'want',
+  'hvae': 'have',
+  'cna': 'can',
+  'yuo': 'you',
+  'yuor': 'your',
+  'jsut': 'just',
+  'dont': "don't",
+  'cant': "can't",
+  'wont': "won't",
+  'im': "i'm",
+  'ill': "i'll",
+  'helo': 'hello',
+  'helllo': 'hello',
+  'hllo': 'hello',
+  'thankks': 'thanks',
+  'thanx': 'thanks',
+  'plz': 'please',
+  'pls': 'please',
+  'sry': 'sorry',
+  'srry': 'sorry',
+  // Common words often misspelled in ASL
+  'becuase': 'because',
+  'beacuse': 'because',
+  'freind': 'friend',
+  'frend': 'friend',
+  'recieve': 'receive',
+  'recive': 'receive',
+  'beleive': 'believe',
+  'belive': 'believe',
+  'occured': 'occurred',
+  'seperate': 'separate',
+  'definately': 'definitely',
+  'tommorrow': 'tomorrow',
+  'tonite': 'tonight',
+  'untill': 'until',
+  'thier': 'their',
+  'occassion': 'occasion',
+  'embarass': 'embarrass',
+  'realy': 'really',
+  'goverment': 'government',
+  'enviroment': 'environment'
+};
+
+// Everyday words - spelled correctly as they are
+export const commonWords = [
+  // Pronouns & basic words
+  'i', 'me', 'my', 'you', 'your', 'he', 'him', 'his', 'she', 'her', 'it', 'its',
+  'we', 'us', 'our', 'they', 'them', 'their',
+  
+  // Common verbs
+  'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'have', 'has', 'had', 'do', 'does', 'did', 'done',
+  'will', 'would', 'should', 'could', 'can', 'may', 'might',
+  'go', 'goes', 'went', 'come', 'comes', 'came',
+  'get', 'gets', 'got', 'give', 'gives', 'gave',
+  'make', 'makes', 'made', 'take', 'takes', 'took',
+  'see', 'sees', 'saw', 'know', 'knows', 'knew',
+  'think', 'thinks', 'thought', 'want', 'wants', 'wanted',
+  'need', 'needs', 'needed', 'like', 'likes', 'liked',
+  'love', 'loves', 'loved', 'help', 'helps', 'helped',
+  'use', 'uses', 'used', 'work', 'works', 'worked',
+  'try', 'tries', 'tried', 'ask', 'asks', 'asked',
+  'feel', 'feels', 'felt', 'become', 'becomes', 'became',
+  'leave', 'leaves', 'left', 'put', 'puts', 'call', 'calls', 'called',
+  
+  // Articles & conjunctions
+  'the', 'a', 'an', 'and', 'or', 'but', 'if', 'as', 'of', 'at', 'by', 'for',
+  'with', 'from', 'to', 'in', 'on', 'off', 'out', 'up', 'down',
+  'about', 'over', 'under', 'again', 'then', 'than', 'so', 'such',
+  
+  // Question words
+  'what', 'when', 'where', 'who', 'whom', 'whose', 'which', 'why', 'how',
+  
+  // Numbers
+  'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'first', 'second', 'third', 'last', 'next',
+  
+  // Time words
+  'today', 'tomorrow', 'yesterday', 'now', 'later', 'soon', 'never',
+  'morning', 'afternoon', 'evening', 'night', 'day', 'week', 'month', 'year',
+  'time', 'hour', 'minute', 'second',
+  
+  // Common adjectives
+  'good', 'great', 'bad', 'new', 'old', 'big', 'small', 'long', 'short',
+  'high', 'low', 'hot', 'cold', 'warm', 'cool', 'fast', 'slow',
+  'easy', 'hard', 'happy', 'sad', 'nice', 'pretty', 'beautiful',
+  'right', 'wrong', 'true', 'false', 'sure', 'okay', 'ok', 'fine',
+  'ready', 'busy', 'free', 'full', 'empty', 'open', 'close', 'closed',
+  
+  // Common nouns
+  'man', 'woman', 'boy', 'girl', 'person', 'people', 'child', 'children',
+  'friend', 'family', 'dad', 'mom', 'parent', 'brother', 'sister',
+  'home', 'house', 'room', 'door', 'window', 'car', 'phone', 'computer',
+  'food', 'water', 'work', 'school', 'place', 'thing', 'way', 'life',
+  'world', 'hand', 'eye', 'face', 'head', 'body', 'heart',
+  
+  // Polite words
+  'please', 'thank', 'thanks', 'sorry', 'excuse', 'welcome', 'yes', 'no',
+  'hello', 'hi', 'hey', 'bye', 'goodbye', 'goodnight',
+  
+  // Action words for ASL
+  'talk', 'speak', 'say', 'tell', 'sign', 'show', 'look', 'watch',
+  'hear', 'listen', 'understand', 'mean', 'wait', 'stop', 'start',
+  'meet', 'call', 'video', 'chat', 'message', 'text'
+];
+
+export default {
+  language: 'en',
+  wordList,
+  autoCorrect,
+  commonWords
+};
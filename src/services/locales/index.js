@@ -0,0 +1,63 @@
+/**
+ * Locales
+ * A locale pairs a written language (word list, autocorrect rules) with the manual
+ * alphabet its users fingerspell in. Users pick one in their profile (profile.signLocale);
+ * useAIServices passes it to the sentence builder, the sign detector and speech-to-text.
+ *
+ *   id                - profile value, also the speech recognition / synthesis language
+ *   alphabet          - key of SIGN_ALPHABETS in ai-services/sign-language-detection
+ *   confusableLetters - letters of that alphabet the detector mixes up
+ */
+import english from './en';
+import britishEnglish from './en-GB';
+
+export const LOCALES = {
+  'en-US': {
+    ...english,
+    id: 'en-US',
+    name: 'English - ASL fingerspelling',
+    speechLang: 'en-US',
+    alphabet: 'asl',
+    confusableLetters: [
+      ['m', 'n', 't'],
+      ['a', 's', 'e', 't'],
+      ['u', 'v', 'r'],
+      ['k', 'p', 'v'],
+      ['g', 'h'],
+      ['c', 'o'],
+      ['d', 'f']
+    ]
+  },
+  'en-GB': {
+    ...britishEnglish,
+    id: 'en-GB',
+    name: 'British English - BSL fingerspelling',
+    speechLang: 'en-GB',
+    alphabet: 'bsl',
+    confusableLetters: [
+      // Neighbouring fingertips of the vowels
+      ['a', 'e'],
+      ['e', 'i'],
+      ['i', 'o'],
+      ['o', 'u'],
+      // Fingers laid on the palm, counted - or pointing down it, spread or crooked
+      ['l', 'n', 'm'],
+      ['l', 'j'],
+      ['n', 'v'],
+      ['r', 'z'],
+      ['f', 'n'],
+      ['b', 'g'],
+      // Against the base index finger
+      ['d', 'k'],
+      ['p', 'q']
+    ]
+  }
+};
+
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * @param {string} id - Locale id
+ * @returns {Object} - The locale, or the default one for unknown ids
+ */
+export const getLocale = (id) => LOCALES[id] || LOCALES[DEFAULT_LOCALE];
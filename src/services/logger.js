@@ -0,0 +1,193 @@
+// Logger
+// Namespaced, levelled logging with a runtime toggle and an in-memory ring buffer
+// that the diagnostics panel (Ctrl+Shift+D) exports.
+//
+//   import { createLogger } from './logger';
+//   const log = createLogger('webrtc');
+//   log.debug('📡 ICE candidate', candidate);   // hidden unless webrtc debug output is on
+//   log.info('✅ Connected');
+//
+// Which namespaces print at which level is a comma-separated spec - "pattern" or
+// "pattern=level", where a pattern matches a namespace and its children (sign
+// matches sign.rules) and * matches everything:
+//   ?debug=sign,webrtc               URL flag, also saved to localStorage
+//   localStorage.signlink_debug = 'sign=debug,ws=warn'
+// Namespaces without a matching pattern print at info and above. Only entries that
+// print are buffered, so turn a namespace's debug output on before reproducing a problem.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const STORAGE_KEY = 'signlink_debug';
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+const levelRank = (level) => LOG_LEVELS.indexOf(level);
+
+/**
+ * One log argument as text - objects are serialised so the buffer holds no live references
+ */
+const formatArg = (arg) => {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+  try {
+    const json = JSON.stringify(arg);
+    return json && json.length > 500 ? `${json.slice(0, 500)}…` : String(json);
+  } catch (error) {
+    return String(arg);
+  }
+};
+
+class Logger {
+  constructor() {
+    this.defaultLevel = 'info';
+    this.rules = []; // [{ pattern, level }] parsed from the spec
+    this.spec = '';
+    this.bufferSize = 2000; // Entries kept for export
+    this.buffer = [];
+    this.listeners = new Set(); // Called with each new entry
+    this.configListeners = new Set(); // Called with the spec when it changes
+
+    this.configure(this.readStoredSpec());
+  }
+
+  /**
+   * Spec from the ?debug= URL flag (remembered) or localStorage. Workers have
+   * neither and get theirs from the main thread.
+   */
+  readStoredSpec() {
+    try {
+      const fromUrl = new URLSearchParams(self.location.search).get('debug');
+      if (fromUrl !== null) {
+        localStorage.setItem(STORAGE_KEY, fromUrl);
+        return fromUrl;
+      }
+      return localStorage.getItem(STORAGE_KEY) || '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Set which namespaces print at which level
+   * @param {string} spec - e.g. 'sign=debug,webrtc' ('' for defaults)
+   * @param {Object} options - { persist } - also store the spec in localStorage
+   */
+  configure(spec = '', { persist = false } = {}) {
+    this.spec = spec || '';
+    this.rules = this.spec
+      .split(',')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const [pattern, level = 'debug'] = part.split('=');
+        return { pattern, level: LOG_LEVELS.includes(level) ? level : 'debug' };
+      });
+
+    if (persist) {
+      try {
+        if (this.spec) {
+          localStorage.setItem(STORAGE_KEY, this.spec);
+        } else {
+          localStorage.removeItem(STORAGE_KEY);
+        }
+      } catch (error) {
+        // No storage (worker, private mode)
+      }
+    }
+    this.configListeners.forEach(listener => listener(this.spec));
+  }
+
+  /**
+   * Minimum level a namespace prints at - the most specific matching pattern wins
+   */
+  getLevel(namespace) {
+    let match = null;
+    this.rules.forEach(rule => {
+      const matches = rule.pattern === '*' || namespace === rule.pattern || namespace.startsWith(`${rule.pattern}.`);
+      if (matches && (!match || rule.pattern.length >= match.pattern.length)) match = rule;
+    });
+    return match ? match.level : this.defaultLevel;
+  }
+
+  isEnabled(namespace, level) {
+    return levelRank(level) >= levelRank(this.getLevel(namespace));
+  }
+
+  /**
+   * Print (if enabled) and buffer a log call. Disabled debug calls are dropped
+   * without formatting their arguments - they run every frame.
+   */
+  write(namespace, level, args) {
+    if (!this.isEnabled(namespace, level)) return;
+
+    console[CONSOLE_METHODS[level]](`[${namespace}]`, ...args);
+    this.record({
+      time: new Date().toISOString(),
+      level,
+      namespace,
+      message: args.map(formatArg).join(' ')
+    });
+  }
+
+  /**
+   * Add an entry to the ring buffer (also used for entries forwarded from the detection worker)
+   * @param {Object} entry - { time, level, namespace, message }
+   */
+  record(entry) {
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    this.listeners.forEach(listener => listener(entry));
+  }
+
+  /**
+   * @param {string} namespace - e.g. 'sign', 'sign.ml', 'webrtc'
+   * @returns {Object} - { debug, info, warn, error, isEnabled(level) }
+   */
+  scope(namespace) {
+    return {
+      debug: (...args) => this.write(namespace, 'debug', args),
+      info: (...args) => this.write(namespace, 'info', args),
+      warn: (...args) => this.write(namespace, 'warn', args),
+      error: (...args) => this.write(namespace, 'error', args),
+      isEnabled: (level) => this.isEnabled(namespace, level)
+    };
+  }
+
+  getEntries() {
+    return [...this.buffer];
+  }
+
+  clear() {
+    this.buffer = [];
+  }
+
+  /**
+   * @returns {string} - Buffered entries, one JSON object per line
+   */
+  export() {
+    return this.buffer.map(entry => JSON.stringify(entry)).join('\n');
+  }
+
+  /**
+   * @param {Function} listener - Called with every new entry
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @param {Function} listener - Called with the new spec after configure
+   * @returns {Function} - Unsubscribe
+   */
+  onConfigure(listener) {
+    this.configListeners.add(listener);
+    return () => this.configListeners.delete(listener);
+  }
+}
+
+const logger = new Logger();
+
+export const createLogger = (namespace) => logger.scope(namespace);
+
+export default logger;
@@ -0,0 +1,249 @@
+/**
+ * Personal Dictionary
+ * Words one user spells that the shared word list doesn't know - names, places, jargon.
+ * The sentence builder trusts them before autocorrecting, so "Priya" is no longer
+ * "corrected" into "pray".
+ *
+ * Entries come from three places:
+ *   - manual:   added on the dictionary screen - trusted at once
+ *   - edited:   typed into the transcript by hand - trusted at once
+ *   - accepted: kept over the suggestions shown while spelling it, or picked from them - trusted after LEARN_THRESHOLD uses
+ *
+ * Stored per user in localStorage and merged with the backend copy entry by entry
+ * (newest change wins). Removed words stay as tombstones so a removal syncs too.
+ */
+import { dictionaryAPI } from './api';
+import { createLogger } from './logger';
+
+const log = createLogger('words.dictionary');
+
+const STORAGE_PREFIX = 'signlink_dictionary';
+const LEARN_THRESHOLD = 2; // Uses before an accepted word is trusted
+const SYNC_DELAY_MS = 5000; // Changes are batched into one upload
+const TRUSTED_SOURCES = ['manual', 'edited'];
+
+/**
+ * Dictionary key of a word - case-insensitive
+ */
+const toKey = (word) => word.trim().toLowerCase();
+
+class PersonalDictionary {
+  constructor() {
+    this.userId = null;
+    this.entries = new Map(); // key → { word, count, source, updatedAt, removed }
+    this.listeners = new Set();
+    this.syncTimer = null;
+    this.lastSyncedAt = null;
+  }
+
+  /**
+   * Switch to a user's dictionary (null when logged out) and pull their synced copy
+   * @param {string|null} userId
+   */
+  setUser(userId) {
+    if (userId === this.userId) return;
+
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    this.userId = userId;
+    this.lastSyncedAt = null;
+    this.load();
+
+    if (userId) this.sync();
+  }
+
+  getStorageKey() {
+    return this.userId ? `${STORAGE_PREFIX}_${this.userId}` : STORAGE_PREFIX;
+  }
+
+  load() {
+    this.entries = new Map();
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.getStorageKey()) || '[]');
+      stored.forEach(entry => this.entries.set(toKey(entry.word), entry));
+      log.info(`📒 Personal dictionary: ${this.getEntries().length} words`);
+    } catch (error) {
+      log.warn('⚠️ Could not read personal dictionary:', error);
+    }
+    this.notify();
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.getStorageKey(), JSON.stringify([...this.entries.values()]));
+    } catch (error) {
+      log.warn('⚠️ Could not save personal dictionary:', error);
+    }
+  }
+
+  /**
+   * Add a word by hand - trusted immediately
+   * @param {string} word - Display form, e.g. "Priya"
+   * @returns {boolean} - Whether the word was valid
+   */
+  add(word) {
+    return this.learn(word, 'manual');
+  }
+
+  /**
+   * Record a use of a word
+   * @param {string} word - Display form
+   * @param {string} source - 'manual' | 'edited' | 'accepted'
+   * @returns {boolean} - Whether the word was valid
+   */
+  learn(word, source = 'accepted') {
+    const cleaned = word.trim();
+    // Letters with inner apostrophes / hyphens only - numbers and punctuation aren't vocabulary
+    if (!/^[a-z]+(['-][a-z]+)*$/i.test(cleaned)) return false;
+
+    const key = toKey(cleaned);
+    const existing = this.entries.get(key);
+    const keepSource = existing && !existing.removed && TRUSTED_SOURCES.includes(existing.source);
+    const entry = {
+      // A hand-written form keeps its capitals ("iPhone"), a learned one keeps the first seen
+      word: source === 'accepted' && existing && !existing.removed ? existing.word : cleaned,
+      count: (existing && !existing.removed ? existing.count : 0) + 1,
+      source: keepSource && source === 'accepted' ? existing.source : source,
+      updatedAt: Date.now(),
+      removed: false
+    };
+
+    this.entries.set(key, entry);
+    if (!existing || existing.removed || entry.count === LEARN_THRESHOLD) {
+      log.debug(`📒 ${existing && !existing.removed ? 'Learned' : 'Added'} "${entry.word}" (${entry.source})`);
+    }
+    this.changed();
+    return true;
+  }
+
+  /**
+   * @param {string} word
+   */
+  remove(word) {
+    const key = toKey(word);
+    const existing = this.entries.get(key);
+    if (!existing || existing.removed) return;
+
+    this.entries.set(key, { ...existing, removed: true, updatedAt: Date.now() });
+    log.debug(`📒 Removed "${existing.word}"`);
+    this.changed();
+  }
+
+  /**
+   * @param {string} word
+   * @returns {boolean} - Whether the word is trusted (never autocorrected)
+   */
+  has(word) {
+    return this.lookup(word) !== null;
+  }
+
+  /**
+   * @param {string} word - Any case
+   * @returns {string|null} - The word in its stored form if trusted
+   */
+  lookup(word) {
+    const entry = this.entries.get(toKey(word));
+    if (!entry || entry.removed) return null;
+    if (!TRUSTED_SOURCES.includes(entry.source) && entry.count < LEARN_THRESHOLD) return null;
+    return entry.word;
+  }
+
+  /**
+   * Trusted words starting with the letters so far, most used first
+   * @param {string} prefix - Letters of the current word
+   * @param {number} limit
+   * @returns {Array} - Words in their stored form
+   */
+  complete(prefix, limit = 3) {
+    const key = toKey(prefix).replace(/[^a-z]/g, '');
+    if (!key) return [];
+
+    return this.getEntries()
+      .filter(entry => entry.word.toLowerCase().replace(/[^a-z]/g, '').startsWith(key) && this.has(entry.word))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit)
+      .map(entry => entry.word);
+  }
+
+  /**
+   * @returns {Array} - Entries not removed, { word, count, source, updatedAt, trusted }
+   */
+  getEntries() {
+    return [...this.entries.values()]
+      .filter(entry => !entry.removed)
+      .map(entry => ({ ...entry, trusted: this.has(entry.word) }));
+  }
+
+  changed() {
+    this.save();
+    this.notify();
+    this.scheduleSync();
+  }
+
+  scheduleSync() {
+    if (!this.userId) return;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.sync(), SYNC_DELAY_MS);
+  }
+
+  /**
+   * Merge with the backend copy and upload the result. Offline or failed syncs keep
+   * the local dictionary and try again after the next change.
+   * @returns {Promise<boolean>} - Whether the sync succeeded
+   */
+  async sync() {
+    if (!this.userId) return false;
+
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    const userId = this.userId;
+
+    try {
+      const remote = await dictionaryAPI.get();
+      if (userId !== this.userId) return false; // Logged out or switched user meanwhile
+
+      this.merge(remote.entries || []);
+      await dictionaryAPI.save([...this.entries.values()]);
+      this.lastSyncedAt = Date.now();
+      this.save();
+      this.notify();
+      log.info(`☁️ Personal dictionary synced (${this.getEntries().length} words)`);
+      return true;
+    } catch (error) {
+      log.warn('⚠️ Personal dictionary sync failed, keeping local copy:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * @param {Array} remoteEntries - Entries from the backend
+   */
+  merge(remoteEntries) {
+    remoteEntries.forEach(remote => {
+      if (!remote?.word) return;
+      const key = toKey(remote.word);
+      const local = this.entries.get(key);
+      if (!local || (remote.updatedAt || 0) > (local.updatedAt || 0)) {
+        this.entries.set(key, remote);
+      }
+    });
+  }
+
+  /**
+   * @param {Function} listener - Called whenever the entries change
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+// Export singleton instance
+const personalDictionary = new PersonalDictionary();
+personalDictionary.load();
+export default personalDictionary;
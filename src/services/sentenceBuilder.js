@@ -1,142 +1,92 @@
 /**
  * Sentence Builder Service
- * Builds sentences from detected ASL letters with autocorrect
+ * Builds sentences from fingerspelled letters with autocorrect and word prediction.
+ * Word lists and autocorrect rules come from the user's locale (services/locales).
  */
+import wordPredictor, { WordPredictor } from './wordPredictor';
+import personalDictionary from './personalDictionary';
+import { DEFAULT_LOCALE, getLocale } from './locales';
+
+// Control sign (thumbs-up pushed toward the camera) that accepts the top suggestion
+export const ACCEPT_SUGGESTION_SIGN = 'ACCEPT-SUGGESTION';
 
 class SentenceBuilder {
   constructor() {
     this.currentWord = '';
-    this.sentence = '';
+    this.sentence = ''; // Text of the transcript's words, kept in sync by updateSentence
+    this.words = []; // Editable transcript - [{ text, raw, source }], see getTranscript
+    this.cursor = null; // Word index finished words are inserted at - null is the end
+    this.respelling = false; // The cursor goes back to the end once the respelled word is in
     this.lastLetter = '';
     this.lastLetterTimestamp = 0;
     this.letterHoldTime = 1500; // Hold letter for 1.5s to register (increased to prevent duplicates)
     this.spaceHoldTime = 1500; // Hold space gesture for 1.5s
+    this.lastWordSign = '';
+    this.lastWordSignTimestamp = 0;
+    this.wordHoldTime = 1500; // Same word sign must be released this long before it repeats
     
-    // Auto-correct dictionary for common ASL misinterpretations
-    this.autoCorrectDict = {
-      // Common confusions
-      'teh': 'the',
-      'hte': 'the',
-      'adn': 'and',
-      'nad': 'and',
-      'thsi': 'this',
-      'taht': 'that',
-      'waht': 'what',
-      'wiht': 'with',
-      'wnat': 'want',
-      'hvae': 'have',
-      'cna': 'can',
-      'yuo': 'you',
-      'yuor': 'your',
-      'jsut': 'just',
-      'dont': "don't",
-      'cant': "can't",
-      'wont': "won't",
-      'im': "i'm",
-      'ill': "i'll",
-      'helo': 'hello',
-      'helllo': 'hello',
-      'hllo': 'hello',
-      'thankks': 'thanks',
-      'thanx': 'thanks',
-      'plz': 'please',
-      'pls': 'please',
-      'sry': 'sorry',
-      'srry': 'sorry',
-      // Common words often misspelled in ASL
-      'becuase': 'because',
-      'beacuse': 'because',
-      'freind': 'friend',
-      'frend': 'friend',
-      'recieve': 'receive',
-      'recive': 'receive',
-      'beleive': 'believe',
-      'belive': 'believe',
-      'occured': 'occurred',
-      'seperate': 'separate',
-      'definately': 'definitely',
-      'tommorrow': 'tomorrow',
-      'tonite': 'tonight',
-      'untill': 'until',
-      'thier': 'their',
-      'occassion': 'occasion',
-      'embarass': 'embarrass',
-      'realy': 'really',
-      'goverment': 'government',
-      'enviroment': 'environment'
-    };
+    // Completions of the current word - one predictor per locale, built when first used
+    this.predictors = new Map([[DEFAULT_LOCALE, wordPredictor]]);
+    this.suggestionCount = 3;
+    this.suggestionsOffered = false; // Suggestions were on screen at some prefix of currentWord
+    
+    // Confusion-aware autocorrect - the candidate letters of every position in currentWord
+    // are searched for the most likely word they can spell
+    this.letterCandidates = []; // [[{ letter, probability }]] - one list per letter of currentWord
+    this.maxCandidates = 4; // Letters kept per position
+    this.beamWidth = 12; // Partial words kept per step of the search
+    this.frequencyWeight = 0.3; // How much word frequency counts against letter probability
+    
+    // The user's own vocabulary (names, places, jargon) - trusted before any correction
+    this.personalDictionary = personalDictionary;
+    this.personalWordScore = 0.01; // Frequency a personal word counts as in the beam search
+    
+    // Undo/redo - snapshots of the transcript taken before every change
+    this.undoStack = [];
+    this.redoStack = [];
+    this.maxHistory = 100;
+    
+    // Language of the words and alphabet of the letters - setLocale, profile.signLocale
+    this.locale = null;
+    this.setLocale(DEFAULT_LOCALE);
+  }
 
+  /**
+   * Switch the word list, autocorrect rules and letter confusions to another locale
+   * @param {string} id - Locale id, e.g. 'en-US' or 'en-GB' (unknown ids fall back to the default)
+   */
+  setLocale(id) {
+    const locale = getLocale(id);
+    if (locale === this.locale) return;
+    
+    this.locale = locale;
+    // Auto-correct dictionary for common fingerspelling misreadings
+    this.autoCorrectDict = { ...locale.autoCorrect };
     // Common words dictionary for validation
-    this.commonWords = new Set([
-      // Pronouns & basic words
-      'i', 'me', 'my', 'you', 'your', 'he', 'him', 'his', 'she', 'her', 'it', 'its',
-      'we', 'us', 'our', 'they', 'them', 'their',
-      
-      // Common verbs
-      'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-      'have', 'has', 'had', 'do', 'does', 'did', 'done',
-      'will', 'would', 'should', 'could', 'can', 'may', 'might',
-      'go', 'goes', 'went', 'come', 'comes', 'came',
-      'get', 'gets', 'got', 'give', 'gives', 'gave',
-      'make', 'makes', 'made', 'take', 'takes', 'took',
-      'see', 'sees', 'saw', 'know', 'knows', 'knew',
-      'think', 'thinks', 'thought', 'want', 'wants', 'wanted',
-      'need', 'needs', 'needed', 'like', 'likes', 'liked',
-      'love', 'loves', 'loved', 'help', 'helps', 'helped',
-      'use', 'uses', 'used', 'work', 'works', 'worked',
-      'try', 'tries', 'tried', 'ask', 'asks', 'asked',
-      'feel', 'feels', 'felt', 'become', 'becomes', 'became',
-      'leave', 'leaves', 'left', 'put', 'puts', 'call', 'calls', 'called',
-      
-      // Articles & conjunctions
-      'the', 'a', 'an', 'and', 'or', 'but', 'if', 'as', 'of', 'at', 'by', 'for',
-      'with', 'from', 'to', 'in', 'on', 'off', 'out', 'up', 'down',
-      'about', 'over', 'under', 'again', 'then', 'than', 'so', 'such',
-      
-      // Question words
-      'what', 'when', 'where', 'who', 'whom', 'whose', 'which', 'why', 'how',
-      
-      // Numbers
-      'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
-      'first', 'second', 'third', 'last', 'next',
-      
-      // Time words
-      'today', 'tomorrow', 'yesterday', 'now', 'later', 'soon', 'never',
-      'morning', 'afternoon', 'evening', 'night', 'day', 'week', 'month', 'year',
-      'time', 'hour', 'minute', 'second',
-      
-      // Common adjectives
-      'good', 'great', 'bad', 'new', 'old', 'big', 'small', 'long', 'short',
-      'high', 'low', 'hot', 'cold', 'warm', 'cool', 'fast', 'slow',
-      'easy', 'hard', 'happy', 'sad', 'nice', 'pretty', 'beautiful',
-      'right', 'wrong', 'true', 'false', 'sure', 'okay', 'ok', 'fine',
-      'ready', 'busy', 'free', 'full', 'empty', 'open', 'close', 'closed',
-      
-      // Common nouns
-      'man', 'woman', 'boy', 'girl', 'person', 'people', 'child', 'children',
-      'friend', 'family', 'dad', 'mom', 'parent', 'brother', 'sister',
-      'home', 'house', 'room', 'door', 'window', 'car', 'phone', 'computer',
-      'food', 'water', 'work', 'school', 'place', 'thing', 'way', 'life',
-      'world', 'hand', 'eye', 'face', 'head', 'body', 'heart',
-      
-      // Polite words
-      'please', 'thank', 'thanks', 'sorry', 'excuse', 'welcome', 'yes', 'no',
-      'hello', 'hi', 'hey', 'bye', 'goodbye', 'goodnight',
-      
-      // Action words for ASL
-      'talk', 'speak', 'say', 'tell', 'sign', 'show', 'look', 'watch',
-      'hear', 'listen', 'understand', 'mean', 'wait', 'stop', 'start',
-      'meet', 'call', 'video', 'chat', 'message', 'text'
-    ]);
+    this.commonWords = new Set(locale.commonWords);
+    // Handshapes the detector mixes up - the alternatives for a letter when the detector
+    // sent no candidates of its own
+    this.confusableLetters = locale.confusableLetters;
+    
+    if (!this.predictors.has(locale.id)) {
+      this.predictors.set(locale.id, new WordPredictor(locale.wordList));
+    }
+    this.predictor = this.predictors.get(locale.id);
+    // The dictionary words are known to the predictor too
+    this.predictor.addWords([...this.commonWords]);
+    
+    console.log(`🌐 Sentence builder locale: ${locale.name}`);
   }
 
   /**
    * Process detected letter and build sentence
    * @param {string} letter - Detected letter (A-Z)
    * @param {number} confidence - Detection confidence (0-1)
+   * @param {Array|null} candidates - The detector's top letters for this sign
+   *                                  [{ letter, probability }], used by autocorrect
    * @returns {Object} - { currentWord, sentence, action, correctedWord }
    */
-  addLetter(letter, confidence = 1.0) {
+  addLetter(letter, confidence = 1.0, candidates = null) {
     const now = Date.now();
     const timeSinceLastLetter = now - this.lastLetterTimestamp;
     
@@ -196,7 +146,16 @@ class SentenceBuilder {
         };
       }
       
+      this.saveHistory();
+      
+      // A letter after digits starts a new word ("12" then "A" → "12 a")
+      if (this.isNumber(this.currentWord)) {
+        this.completeWord();
+      }
+      
+      if (this.currentWord.length === 0) this.suggestionsOffered = false;
       this.currentWord += lowerLetter;
+      this.letterCandidates.push(this.getPositionCandidates(lowerLetter, confidence, candidates));
       this.lastLetter = letter;
       this.lastLetterTimestamp = now;
 
@@ -222,7 +181,16 @@ class SentenceBuilder {
    * Add space - complete current word and add to sentence
    */
   addSpace() {
-    console.log('🔵 addSpace called. Current word:', this.currentWord);
+    if (this.currentWord.length > 0) this.saveHistory();
+    return this.completeWord();
+  }
+
+  /**
+   * Complete the current word without an undo snapshot of its own - for actions that
+   * finish the spelled word on the way (a number or word sign) and already took one
+   */
+  completeWord() {
+    console.log('🔵 Completing word:', this.currentWord);
     
     if (this.currentWord.length === 0) {
       console.log('⚠️ No word to add (empty currentWord)');
@@ -238,13 +206,18 @@ class SentenceBuilder {
     const correctedWord = this.autoCorrect(this.currentWord);
     console.log('🔧 Auto-correct result:', { original: this.currentWord, corrected: correctedWord });
     
-    // Add to sentence
-    if (this.sentence.length > 0) {
-      this.sentence += ' ' + correctedWord;
-    } else {
-      // Capitalize first letter of sentence
-      this.sentence = correctedWord.charAt(0).toUpperCase() + correctedWord.slice(1);
+    // An unknown word finished although suggestions were on screen while it was spelled is
+    // probably a name - it counts towards trusting it. With nothing offered it may just as
+    // well be misread letters.
+    if (this.suggestionsOffered && correctedWord === this.currentWord.toLowerCase() && !this.isKnownWord(correctedWord)) {
+      this.personalDictionary.learn(correctedWord, 'accepted');
     }
+    
+    // Add to sentence - the spelled letters are kept so the correction can be reverted
+    this.appendToSentence(correctedWord, {
+      raw: this.currentWord,
+      source: this.isNumber(this.currentWord) ? 'number' : 'spelled'
+    });
 
     console.log(`✅ Word completed: "${this.currentWord}" → "${correctedWord}"`);
     console.log(`📄 Sentence now: "${this.sentence}"`);
@@ -257,18 +230,231 @@ class SentenceBuilder {
     };
 
     this.currentWord = '';
+    this.letterCandidates = [];
     this.lastLetter = '';
+    this.suggestionsOffered = false;
     
     return result;
   }
 
+  /**
+   * Add a number sign - consecutive digits combine into one number (5, 5, 1 → "551")
+   * @param {string} number - Digit(s) from the detector, e.g. '7' or '10'
+   * @param {number} confidence - Detection confidence (0-1)
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  addNumber(number, confidence = 1.0) {
+    const now = Date.now();
+    const timeSinceLastLetter = now - this.lastLetterTimestamp;
+    
+    if (!this.isNumber(number)) {
+      return {
+        currentWord: this.currentWord,
+        sentence: this.sentence,
+        action: 'ignored',
+        correctedWord: null
+      };
+    }
+    
+    // Same duplicate window as letters - re-sign the digit to repeat it ("11")
+    if (this.currentWord.endsWith(number) && number === this.lastLetter && timeSinceLastLetter < 2000) {
+      console.log(`🔁 DUPLICATE BLOCKED: "${number}" already at end of number (${timeSinceLastLetter}ms ago)`);
+      return {
+        currentWord: this.currentWord,
+        sentence: this.sentence,
+        action: 'duplicate_blocked',
+        correctedWord: null
+      };
+    }
+    
+    this.saveHistory();
+    
+    // Digits after letters start a new word ("room" then "5" → "room 5")
+    let correctedWord = null;
+    if (this.currentWord.length > 0 && !this.isNumber(this.currentWord)) {
+      correctedWord = this.completeWord().correctedWord;
+    }
+    
+    this.currentWord += number;
+    this.letterCandidates = [];
+    this.lastLetter = number;
+    this.lastLetterTimestamp = now;
+    
+    console.log(`🔢 Added number: ${number} (${Math.round(confidence * 100)}%) → Current number: "${this.currentWord}"`);
+    
+    return {
+      currentWord: this.currentWord,
+      sentence: this.sentence,
+      action: 'number_added',
+      correctedWord
+    };
+  }
+
+  isNumber(text) {
+    return /^\d+$/.test(text);
+  }
+
+  /**
+   * Insert a whole-word sign (e.g. MORE, BOOK, 7) directly into the sentence
+   * @param {string} word - Word token from the detector
+   * @param {number} confidence - Detection confidence (0-1)
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  addWord(word, confidence = 1.0) {
+    const now = Date.now();
+    const timeSinceLastWord = now - this.lastWordSignTimestamp;
+    
+    // A held sign is reported on every detection tick - only insert it once
+    if (word === this.lastWordSign && timeSinceLastWord < this.wordHoldTime) {
+      this.lastWordSignTimestamp = now;
+      console.log(`⏱️ DEBOUNCED word sign: "${word}" (still held)`);
+      return {
+        currentWord: this.currentWord,
+        sentence: this.sentence,
+        action: 'debounced',
+        correctedWord: null
+      };
+    }
+    
+    // Control sign, not a word - take the top suggestion
+    if (word === ACCEPT_SUGGESTION_SIGN) {
+      this.lastWordSign = word;
+      this.lastWordSignTimestamp = now;
+      return this.acceptSuggestion(0);
+    }
+    
+    this.saveHistory();
+    
+    // Finish any fingerspelled word first
+    let correctedWord = null;
+    if (this.currentWord.length > 0) {
+      correctedWord = this.completeWord().correctedWord;
+    }
+    
+    // THANK-YOU → "thank you", I-LOVE-YOU → "I love you"
+    const text = word.toLowerCase().replace(/-/g, ' ').replace(/\bi\b/g, 'I');
+    this.appendToSentence(text, { source: 'sign' });
+    this.lastWordSign = word;
+    this.lastWordSignTimestamp = now;
+    
+    console.log(`🙌 Word sign added: ${word} (${Math.round(confidence * 100)}%) → Sentence: "${this.sentence}"`);
+    
+    return {
+      currentWord: this.currentWord,
+      sentence: this.sentence,
+      action: 'word_added',
+      correctedWord
+    };
+  }
+
+  /**
+   * Likely completions of the current word (next words when it is empty)
+   * @param {number} limit - Number of suggestions
+   * @returns {Array} - Words, most likely first
+   */
+  getSuggestions(limit = this.suggestionCount) {
+    if (this.isNumber(this.currentWord)) return [];
+    
+    // The user's own words first - they spell them often and the word list doesn't know them
+    const previousWord = this.words[this.getCursor() - 1]?.text.split(' ').pop() || '';
+    const personal = this.personalDictionary.complete(this.currentWord, limit);
+    const predicted = this.predictor.predict(this.currentWord, { previousWord, limit: limit + personal.length });
+    const seen = new Set(personal.map(word => word.toLowerCase()));
+    return [...personal, ...predicted.filter(word => !seen.has(word.toLowerCase()))].slice(0, limit);
+  }
+
+  /**
+   * The UI showed suggestions for the word being spelled - finishing it without taking
+   * one means the user meant their own spelling (see completeWord)
+   * @param {Array} suggestions - What was shown, getSuggestions() output
+   */
+  noteSuggestionsShown(suggestions) {
+    if (this.currentWord.length > 0 && suggestions.length > 0) this.suggestionsOffered = true;
+  }
+
+  /**
+   * Complete the current word with a suggestion instead of spelling it out
+   * @param {number|string} choice - Index into getSuggestions() or the word itself
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  acceptSuggestion(choice = 0) {
+    const word = typeof choice === 'number' ? this.getSuggestions()[choice] : choice;
+    if (!word) {
+      return {
+        currentWord: this.currentWord,
+        sentence: this.sentence,
+        action: 'suggestion_ignored',
+        correctedWord: null
+      };
+    }
+    
+    const spelled = this.currentWord;
+    if (!this.isKnownWord(word)) {
+      this.personalDictionary.learn(word, 'accepted');
+    }
+    this.saveHistory();
+    this.appendToSentence(word, { raw: spelled || word, source: 'suggestion' });
+    this.currentWord = '';
+    this.letterCandidates = [];
+    this.lastLetter = '';
+    
+    console.log(`💡 Suggestion accepted: "${spelled}" → "${word}"`);
+    
+    return {
+      currentWord: '',
+      sentence: this.sentence,
+      action: 'suggestion_accepted',
+      correctedWord: word !== spelled ? word : null
+    };
+  }
+
+  /**
+   * Add a finished word to the transcript at the cursor (the end unless it was moved)
+   * @param {string} word - Word to add
+   * @param {Object} details - { raw, source } - the letters as spelled and where the word
+   *                           came from: 'spelled', 'number', 'suggestion', 'sign' or 'edited'
+   */
+  appendToSentence(word, { raw = word, source = 'spelled' } = {}) {
+    const index = this.getCursor();
+    this.words.splice(index, 0, { text: this.capitalizeAt(index, word), raw, source });
+    if (this.cursor !== null) this.cursor++;
+    if (this.respelling) {
+      this.cursor = null;
+      this.respelling = false;
+    }
+    this.updateSentence();
+  }
+
+  /**
+   * Capitalize the first letter of the sentence
+   * @param {number} index - Word index the text goes to
+   * @param {string} text
+   */
+  capitalizeAt(index, text) {
+    return index === 0 ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+  }
+
+  updateSentence() {
+    if (this.cursor !== null && this.cursor >= this.words.length) this.cursor = null;
+    this.sentence = this.words.map(word => word.text).join(' ');
+  }
+
+  /**
+   * @returns {number} - Word index new words go to
+   */
+  getCursor() {
+    return this.cursor ?? this.words.length;
+  }
+
   /**
    * Backspace - remove last letter from current word or last word from sentence
    */
   backspace() {
     if (this.currentWord.length > 0) {
       // Remove last letter from current word
+      this.saveHistory();
       this.currentWord = this.currentWord.slice(0, -1);
+      this.letterCandidates.pop();
       console.log(`⌫ Backspace: Current word now: "${this.currentWord}"`);
       
       return {
@@ -277,12 +463,14 @@ class SentenceBuilder {
         action: 'letter_deleted',
         correctedWord: null
       };
-    } else if (this.sentence.length > 0) {
-      // Remove last word from sentence
-      const words = this.sentence.split(' ');
-      words.pop();
-      this.sentence = words.join(' ');
-      console.log(`⌫ Backspace: Removed last word. Sentence: "${this.sentence}"`);
+    } else if (this.getCursor() > 0) {
+      // Remove the word before the cursor (the last word unless the cursor was moved)
+      this.saveHistory();
+      const index = this.getCursor() - 1;
+      this.words.splice(index, 1);
+      if (this.cursor !== null) this.cursor = index;
+      this.updateSentence();
+      console.log(`⌫ Backspace: Removed word. Sentence: "${this.sentence}"`);
       
       return {
         currentWord: this.currentWord,
@@ -304,9 +492,15 @@ class SentenceBuilder {
    * Clear everything
    */
   clear() {
+    this.saveHistory();
     this.currentWord = '';
+    this.letterCandidates = [];
+    this.words = [];
+    this.cursor = null;
+    this.respelling = false;
     this.sentence = '';
     this.lastLetter = '';
+    this.lastWordSign = '';
     console.log('🗑️ Cleared all text');
     
     return {
@@ -321,7 +515,9 @@ class SentenceBuilder {
    * Clear only the current word (keep sentence)
    */
   clearWord() {
+    this.saveHistory();
     this.currentWord = '';
+    this.letterCandidates = [];
     this.lastLetter = '';
     console.log('🗑️ Cleared current word only');
     
@@ -339,8 +535,19 @@ class SentenceBuilder {
    * @returns {string} - Corrected word
    */
   autoCorrect(word) {
+    // Numbers (phone numbers, times, addresses) are never corrected
+    if (this.isNumber(word)) {
+      return word;
+    }
+    
     const lowerWord = word.toLowerCase();
     
+    // The user's own words are never corrected ("Priya" stays, not "pray")
+    const personalWord = this.personalDictionary.lookup(lowerWord);
+    if (personalWord) {
+      return personalWord;
+    }
+    
     // Check if it's in autocorrect dictionary (exact match for common misspellings)
     if (this.autoCorrectDict[lowerWord]) {
       console.log(`🔧 Auto-corrected: "${word}" → "${this.autoCorrectDict[lowerWord]}"`);
@@ -351,6 +558,18 @@ class SentenceBuilder {
     if (this.commonWords.has(lowerWord)) {
       return lowerWord;
     }
+    
+    // Any other known word is spelled correctly too
+    if (this.predictor.has(lowerWord)) {
+      return this.predictor.lookup(lowerWord).word;
+    }
+    
+    // Most likely word the detector's candidate letters spell (M/N, S/A/E, U/V/R mix-ups)
+    const beamCorrection = this.beamCorrect(lowerWord);
+    if (beamCorrection) {
+      console.log(`🔧 Confusion-corrected: "${word}" → "${beamCorrection}"`);
+      return beamCorrection;
+    }
 
     // Try simple corrections for common patterns
     const simpleCorrection = this.simpleCorrect(lowerWord);
@@ -370,6 +589,84 @@ class SentenceBuilder {
     return lowerWord;
   }
 
+  /**
+   * @param {string} word - Any case
+   * @returns {boolean} - Whether the shared word lists know the word
+   */
+  isKnownWord(word) {
+    const lowerWord = word.toLowerCase();
+    return this.commonWords.has(lowerWord) || Boolean(this.autoCorrectDict[lowerWord]) || this.predictor.has(lowerWord);
+  }
+
+  /**
+   * Candidate letters for one position of the current word - the detector's top letters
+   * when it sent them, otherwise the letter and the handshapes it is confused with
+   * @param {string} letter - Letter that was added (lowercase)
+   * @param {number} confidence - Detection confidence (0-1)
+   * @param {Array|null} candidates - [{ letter, probability }] from the detector
+   * @returns {Array} - [{ letter, probability }], the added letter first
+   */
+  getPositionCandidates(letter, confidence, candidates) {
+    const fromDetector = (candidates || [])
+      .map(c => ({ letter: c.letter.toLowerCase(), probability: c.probability }))
+      .filter(c => /^[a-z]$/.test(c.letter) && c.probability > 0 && c.letter !== letter);
+    
+    let alternatives = fromDetector;
+    let probability = candidates?.find(c => c.letter.toLowerCase() === letter)?.probability;
+    if (fromDetector.length === 0) {
+      const confusable = new Set(this.confusableLetters.filter(group => group.includes(letter)).flat());
+      confusable.delete(letter);
+      // Hand confidence says little about which letter it was - never trust it fully
+      probability = Math.min(0.85, Math.max(0.5, confidence));
+      alternatives = [...confusable].map(other => ({ letter: other, probability: (1 - probability) / confusable.size }));
+    }
+    
+    return [{ letter, probability: probability ?? 1 }, ...alternatives].slice(0, this.maxCandidates);
+  }
+
+  /**
+   * Beam search over the candidate letters of every position, keeping only spellings
+   * that are still the start of a known word
+   * @param {string} word - Word as spelled (lowercase)
+   * @returns {string|null} - Most likely known word, or null
+   */
+  beamCorrect(word) {
+    if (this.letterCandidates.length !== word.length || word.length < 2) return null;
+    
+    const personalKeys = this.personalDictionary.getEntries()
+      .filter(entry => entry.trusted && entry.word.length === word.length)
+      .map(entry => entry.word.toLowerCase());
+    
+    let beam = [{ key: '', logProbability: 0 }];
+    for (const candidates of this.letterCandidates) {
+      const next = [];
+      beam.forEach(entry => {
+        candidates.forEach(({ letter, probability }) => {
+          const key = entry.key + letter;
+          if (this.predictor.hasPrefix(key) || personalKeys.some(personalKey => personalKey.startsWith(key))) {
+            next.push({ key, logProbability: entry.logProbability + Math.log(probability) });
+          }
+        });
+      });
+      if (next.length === 0) return null;
+      beam = next.sort((a, b) => b.logProbability - a.logProbability).slice(0, this.beamWidth);
+    }
+    
+    // Complete words only - a common word beats a rare one with slightly likelier letters
+    let best = null;
+    beam.forEach(({ key, logProbability }) => {
+      const personalWord = personalKeys.includes(key) ? this.personalDictionary.lookup(key) : null;
+      const entry = personalWord
+        ? { word: personalWord, score: this.personalWordScore }
+        : this.predictor.lookup(key);
+      if (!entry) return;
+      const score = logProbability + this.frequencyWeight * Math.log(entry.score);
+      if (!best || score > best.score) best = { word: entry.word, score };
+    });
+    
+    return best ? best.word : null;
+  }
+
   /**
    * Simple pattern-based corrections
    * @param {string} word - Word to correct
@@ -470,6 +767,16 @@ class SentenceBuilder {
       }
     }
 
+    // And the user's own words, so a misspelled name lands on the name
+    for (const entry of this.personalDictionary.getEntries()) {
+      if (!entry.trusted) continue;
+      const distance = this.levenshteinDistance(word, entry.word.toLowerCase());
+      if (distance <= maxDistance && distance < minDistance) {
+        minDistance = distance;
+        closestWord = entry.word;
+      }
+    }
+
     return closestWord;
   }
 
@@ -492,8 +799,218 @@ class SentenceBuilder {
    * @param {string} sentence - New sentence
    */
   setSentence(sentence) {
-    this.sentence = sentence;
+    // Words typed in by hand are meant as written - the dictionary learns the new ones
+    const toWords = (text) => text.split(/\s+/).map(word => word.replace(/^[^a-z]+|[^a-z]+$/gi, '')).filter(Boolean);
+    const previousWords = new Set(toWords(this.sentence).map(word => word.toLowerCase()));
+    toWords(sentence)
+      .filter(word => !previousWords.has(word.toLowerCase()) && !this.isKnownWord(word))
+      .forEach(word => this.personalDictionary.learn(word, 'edited'));
+    
+    // Unchanged words keep their spelled letters
+    this.saveHistory();
+    this.words = sentence.split(/\s+/).filter(Boolean).map((text, index) => (
+      this.words[index]?.text === text ? this.words[index] : { text, raw: text, source: 'edited' }
+    ));
+    this.cursor = null;
+    this.respelling = false;
+    this.updateSentence();
     this.currentWord = '';
+    this.letterCandidates = [];
+  }
+
+  // ============================================================================
+  // EDITABLE TRANSCRIPT
+  // ============================================================================
+
+  /**
+   * The sentence word by word, for tap-to-fix editing
+   * @returns {Object} - { words: [{ index, text, raw, source, corrected }], cursor, currentWord, canUndo, canRedo }
+   *                     corrected is true when autocorrect changed the spelled letters
+   */
+  getTranscript() {
+    return {
+      words: this.words.map((word, index) => ({
+        index,
+        text: word.text,
+        raw: word.raw,
+        source: word.source,
+        corrected: this.isCorrected(word)
+      })),
+      cursor: this.getCursor(),
+      currentWord: this.currentWord,
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0
+    };
+  }
+
+  isCorrected(word) {
+    return word.source === 'spelled' && word.raw.toLowerCase() !== word.text.toLowerCase();
+  }
+
+  /**
+   * Replace a word of the transcript with typed text (one or more words)
+   * @param {number} index - Word index
+   * @param {string} text - Replacement - empty deletes the word
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  editWord(index, text) {
+    const replacement = text.trim().split(/\s+/).filter(Boolean);
+    if (!this.words[index]) return this.getResult('edit_ignored');
+    if (replacement.length === 0) return this.deleteWord(index);
+    
+    // Typed by hand, so meant as written - the dictionary learns unknown words
+    replacement
+      .filter(word => /^[a-z'-]+$/i.test(word) && !this.isKnownWord(word))
+      .forEach(word => this.personalDictionary.learn(word, 'edited'));
+    
+    this.saveHistory();
+    this.words.splice(index, 1, ...replacement.map((word, i) => ({
+      text: this.capitalizeAt(index + i, word),
+      raw: word,
+      source: 'edited'
+    })));
+    if (this.cursor !== null && this.cursor > index) this.cursor += replacement.length - 1;
+    this.updateSentence();
+    console.log(`✏️ Edited word ${index}: "${replacement.join(' ')}" → Sentence: "${this.sentence}"`);
+    return this.getResult('word_edited');
+  }
+
+  /**
+   * Undo an autocorrection - the word goes back to the letters as they were spelled,
+   * which the personal dictionary then trusts ("Priya" corrected to "pray" → "Priya")
+   * @param {number} index - Word index
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  revertCorrection(index) {
+    const word = this.words[index];
+    if (!word || !this.isCorrected(word)) return this.getResult('revert_ignored');
+    
+    if (!this.isKnownWord(word.raw)) {
+      this.personalDictionary.learn(word.raw, 'edited');
+    }
+    this.saveHistory();
+    this.words[index] = { text: this.capitalizeAt(index, word.raw), raw: word.raw, source: 'edited' };
+    this.updateSentence();
+    console.log(`↩️ Reverted "${word.text}" → "${word.raw}"`);
+    return this.getResult('correction_reverted');
+  }
+
+  /**
+   * @param {number} index - Word index
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  deleteWord(index) {
+    if (!this.words[index]) return this.getResult('delete_ignored');
+    
+    this.saveHistory();
+    this.words.splice(index, 1);
+    if (this.cursor !== null && this.cursor > index) this.cursor--;
+    if (index === 0 && this.words.length > 0) {
+      this.words[0] = { ...this.words[0], text: this.capitalizeAt(0, this.words[0].text) };
+    }
+    this.updateSentence();
+    return this.getResult('word_deleted');
+  }
+
+  /**
+   * Remove a word and put the cursor in its place, so the next signed word replaces it -
+   * after that the cursor is back at the end
+   * @param {number} index - Word index
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  respellWord(index) {
+    if (!this.words[index]) return this.getResult('respell_ignored');
+    
+    this.saveHistory();
+    this.words.splice(index, 1);
+    this.cursor = index;
+    this.respelling = true;
+    this.currentWord = '';
+    this.letterCandidates = [];
+    this.lastLetter = '';
+    this.updateSentence();
+    return this.getResult('respelling');
+  }
+
+  /**
+   * Where finished words are inserted - not an edit, so not in the undo history
+   * @param {number|null} index - Word index, null (or past the last word) for the end
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  moveCursor(index) {
+    this.cursor = index === null ? null : Math.max(0, Math.min(index, this.words.length));
+    this.respelling = false;
+    this.updateSentence();
+    return this.getResult('cursor_moved');
+  }
+
+  // ============================================================================
+  // UNDO / REDO
+  // ============================================================================
+
+  snapshot() {
+    return {
+      words: this.words.map(word => ({ ...word })),
+      cursor: this.cursor,
+      respelling: this.respelling,
+      currentWord: this.currentWord,
+      letterCandidates: this.letterCandidates.map(candidates => [...candidates]),
+      suggestionsOffered: this.suggestionsOffered
+    };
+  }
+
+  restore(snapshot) {
+    this.words = snapshot.words;
+    this.cursor = snapshot.cursor;
+    this.respelling = snapshot.respelling;
+    this.currentWord = snapshot.currentWord;
+    this.letterCandidates = snapshot.letterCandidates;
+    this.suggestionsOffered = snapshot.suggestionsOffered;
+    // A letter signed again after undo must not be blocked as a duplicate
+    this.lastLetter = '';
+    this.updateSentence();
+  }
+
+  /**
+   * Remember the transcript before a change - a new change drops the redo history
+   */
+  saveHistory() {
+    this.undoStack.push(this.snapshot());
+    if (this.undoStack.length > this.maxHistory) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  /**
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  undo() {
+    if (this.undoStack.length === 0) return this.getResult('undo_ignored');
+    
+    this.redoStack.push(this.snapshot());
+    this.restore(this.undoStack.pop());
+    console.log(`↶ Undo → "${this.getCompleteText()}"`);
+    return this.getResult('undone');
+  }
+
+  /**
+   * @returns {Object} - { currentWord, sentence, action, correctedWord }
+   */
+  redo() {
+    if (this.redoStack.length === 0) return this.getResult('redo_ignored');
+    
+    this.undoStack.push(this.snapshot());
+    this.restore(this.redoStack.pop());
+    console.log(`↷ Redo → "${this.getCompleteText()}"`);
+    return this.getResult('redone');
+  }
+
+  getResult(action) {
+    return {
+      currentWord: this.currentWord,
+      sentence: this.sentence,
+      action,
+      correctedWord: null
+    };
   }
 
   /**
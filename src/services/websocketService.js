@@ -1,5 +1,8 @@
 // frontend/src/services/websocketService.js
 import { io } from 'socket.io-client';
+import { createLogger } from './logger';
+
+const log = createLogger('ws');
 
 class SocketService {
   constructor() {
@@ -15,7 +18,7 @@ class SocketService {
       try {
         // Prevent duplicate connections
         if (this.socket && this.socket.connected) {
-          console.log('⚠️ Already connected to Socket.io server');
+          log.debug('⚠️ Already connected to Socket.io server');
           resolve();
           return;
         }
@@ -26,14 +29,14 @@ class SocketService {
           return;
         }
 
-        console.log('🔌 Connecting to Socket.io server...');
+        log.info('🔌 Connecting to Socket.io server...');
         
         // Determine server URL based on hostname (for network access)
         const serverUrl = window.location.hostname === 'localhost' 
           ? 'http://localhost:5000' 
           : `http://${window.location.hostname}:5000`;
         
-        console.log('🌐 Socket.io server URL:', serverUrl);
+        log.debug('🌐 Socket.io server URL:', serverUrl);
         
         // Connect to Socket.io server
         this.socket = io(serverUrl, {
@@ -44,26 +47,26 @@ class SocketService {
         });
 
         this.socket.on('connect', () => {
-          console.log('✅ Socket.io connected:', this.socket.id);
+          log.info('✅ Socket.io connected:', this.socket.id);
           this.isConnected = true;
           this.reconnectAttempts = 0;
           resolve();
         });
 
         this.socket.on('disconnect', (reason) => {
-          console.log('❌ Socket.io disconnected:', reason);
+          log.info('❌ Socket.io disconnected:', reason);
           this.isConnected = false;
           this.handleReconnection();
         });
 
         this.socket.on('connect_error', (error) => {
-          console.error('❌ Socket.io connection error:', error.message);
+          log.error('❌ Socket.io connection error:', error.message);
           reject(error);
         });
 
         // Handle incoming messages
         this.socket.onAny((eventName, data) => {
-          console.log(`📨 Received ${eventName}:`, data);
+          log.debug(`📨 Received ${eventName}:`, data);
           this.handleMessage(eventName, data);
         });
 
@@ -80,7 +83,7 @@ class SocketService {
         try {
           handler(data);
         } catch (error) {
-          console.error(`Error in handler for ${eventName}:`, error);
+          log.error(`Error in handler for ${eventName}:`, error);
         }
       });
     }
@@ -90,10 +93,10 @@ class SocketService {
   emit(eventName, data) {
     if (this.socket && this.socket.connected) {
       this.socket.emit(eventName, data);
-      console.log(`📤 Emitted ${eventName}:`, data);
+      log.debug(`📤 Emitted ${eventName}:`, data);
       return true;
     } else {
-      console.error('❌ Socket not connected');
+      log.error('❌ Socket not connected');
       return false;
     }
   }
@@ -104,7 +107,7 @@ class SocketService {
       this.messageHandlers.set(eventName, new Set());
     }
     this.messageHandlers.get(eventName).add(handler);
-    console.log(`📝 Registered handler for ${eventName}`);
+    log.debug(`📝 Registered handler for ${eventName}`);
   }
 
   off(eventName, handler) {
@@ -199,15 +202,15 @@ class SocketService {
   handleReconnection() {
     if (this.reconnectAttempts < this.maxReconnectAttempts) {
       this.reconnectAttempts++;
-      console.log(`🔄 Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+      log.info(`🔄 Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
       
       setTimeout(() => {
         this.connect().catch(error => {
-          console.error('Reconnection failed:', error);
+          log.error('Reconnection failed:', error);
         });
       }, 3000);
     } else {
-      console.error('❌ Max reconnection attempts reached');
+      log.error('❌ Max reconnection attempts reached');
     }
   }
 
@@ -238,7 +241,7 @@ if (typeof window !== 'undefined') {
     const token = localStorage.getItem('signlink_token');
     if (token && !socketService.isConnected && !socketService.socket) {
       socketService.connect().catch(error => {
-        console.error('Failed to connect Socket.io:', error);
+        log.error('Failed to connect Socket.io:', error);
       });
     }
   }, 1000);
@@ -0,0 +1,157 @@
+/**
+ * Word Predictor
+ * Offline word completion for the sentence builder: a trie of word frequencies
+ * (wordList.en.json, ranked most frequent first) plus a small bigram table so the
+ * previous word steers the suggestions ("thank" → "you").
+ *
+ *   wordPredictor.predict('hel')                        → ['help', 'hello', 'held']
+ *   wordPredictor.predict('', { previousWord: 'thank' }) → ['you']
+ */
+import englishWords from './wordList.en.json';
+import { createLogger } from './logger';
+
+const log = createLogger('words.predictor');
+
+const TOP_PER_NODE = 10; // Completions cached at every trie node
+const BIGRAM_WEIGHT = 0.5; // Score added to the most likely next word, less for the ones after it
+
+/**
+ * Trie key of a word - fingerspelling only produces letters, so "don't" is reached by "dont"
+ */
+const toKey = (word) => word.toLowerCase().replace(/[^a-z]/g, '');
+
+class WordPredictor {
+  /**
+   * @param {Object} wordList - { words: [...most frequent first], bigrams: { word: [next words] } }
+   */
+  constructor(wordList = englishWords) {
+    this.root = this.createNode();
+    this.size = 0;
+    this.bigrams = new Map();
+    this.loadWordList(wordList);
+  }
+
+  createNode() {
+    return { children: new Map(), word: null, score: 0, top: [] };
+  }
+
+  /**
+   * @param {Object} wordList - See constructor
+   */
+  loadWordList({ words = [], bigrams = {} }) {
+    this.addWords(words);
+    Object.entries(bigrams).forEach(([word, next]) => this.bigrams.set(toKey(word), next));
+    log.debug(`📖 Word predictor: ${this.size} words, ${this.bigrams.size} bigram contexts`);
+  }
+
+  /**
+   * Add words ranked after the ones already known (Zipf-like score 1 / rank)
+   * @param {Array} words - Most frequent first
+   */
+  addWords(words) {
+    words.forEach(word => {
+      if (!this.has(word)) this.insert(word, 1 / (this.size + 1));
+    });
+  }
+
+  /**
+   * Add a word or raise its score
+   * @param {string} word - Display form, e.g. "don't"
+   * @param {number} score - Higher is suggested first
+   */
+  insert(word, score) {
+    const key = toKey(word);
+    if (!key) return;
+
+    const path = [this.root];
+    let node = this.root;
+    for (const char of key) {
+      if (!node.children.has(char)) node.children.set(char, this.createNode());
+      node = node.children.get(char);
+      path.push(node);
+    }
+
+    if (node.word === null) this.size++;
+    if (node.word !== null && node.score >= score) return;
+    node.word = word;
+    node.score = score;
+
+    // Every prefix of the word keeps its best completions, so lookups never walk the subtree
+    path.forEach(prefixNode => {
+      const top = prefixNode.top.filter(entry => entry.key !== key);
+      top.push({ key, word, score });
+      top.sort((a, b) => b.score - a.score);
+      prefixNode.top = top.slice(0, TOP_PER_NODE);
+    });
+  }
+
+  findNode(key) {
+    let node = this.root;
+    for (const char of key) {
+      node = node.children.get(char);
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  /**
+   * @param {string} word
+   * @returns {boolean}
+   */
+  has(word) {
+    return Boolean(this.findNode(toKey(word))?.word);
+  }
+
+  /**
+   * @param {string} prefix - Letters only
+   * @returns {boolean} - Whether any known word starts with it
+   */
+  hasPrefix(prefix) {
+    return this.findNode(toKey(prefix)) !== null;
+  }
+
+  /**
+   * @param {string} key - Spelled letters, e.g. 'dont'
+   * @returns {Object|null} - { word, score } - word in its display form ("don't")
+   */
+  lookup(key) {
+    const node = this.findNode(toKey(key));
+    return node?.word ? { word: node.word, score: node.score } : null;
+  }
+
+  /**
+   * Most likely words starting with the letters so far
+   * @param {string} prefix - Letters of the current word (may be empty)
+   * @param {Object} options - { previousWord, limit }
+   * @returns {Array} - Words, most likely first
+   */
+  predict(prefix, { previousWord = '', limit = 3 } = {}) {
+    const key = toKey(prefix);
+    if (key.length !== prefix.replace(/'/g, '').length) return []; // Numbers and symbols aren't words
+
+    const node = this.findNode(key);
+    if (!node) return [];
+
+    // Likely next words get a boost - with no letters yet they are the only suggestions
+    const candidates = new Map(key ? node.top.map(entry => [entry.key, { ...entry }]) : []);
+    (this.bigrams.get(toKey(previousWord)) || []).forEach((next, index) => {
+      const nextKey = toKey(next);
+      if (!nextKey.startsWith(key)) return;
+
+      const known = this.findNode(nextKey);
+      const candidate = candidates.get(nextKey) || { key: nextKey, word: known?.word || next, score: known?.score || 0 };
+      candidate.score += BIGRAM_WEIGHT / (index + 1);
+      candidates.set(nextKey, candidate);
+    });
+
+    return [...candidates.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(entry => entry.word);
+  }
+}
+
+// Export singleton instance
+const wordPredictor = new WordPredictor();
+export { WordPredictor };
+export default wordPredictor;